@@ -4,30 +4,56 @@
  *
  * Runs inside `admin.html`.
  * Responsibilities:
- * - Connect to the WebSocket and identify as `admin`
+ * - Require an admin account (redirects to `login.html` otherwise), manage account roles
+ * - List/create sessions (rooms) and switch between them (`?session=<id>`)
+ * - Connect to the WebSocket and identify as `admin` for the current session
+ * - Show the text being typed in each open slot (`caption:draft`)
  * - Poll `/api/live/status` to display HLS segment count and duration
- * - Start/stop the live (calls `/api/live/start` and `/api/live/stop`)
+ * - Poll `/metrics/subtitlers` for the per-subtitler metrics panel
+ * - Start/stop the live (calls `/api/live/start` and `/api/live/stop`) from an uploaded video,
+ *   an RTMP/SRT encoder (OBS) or a stream URL; show publisher disconnects (`live:publisher`)
  * - Configure fragment mode parameters (delay/slots/overlap/grace/subtitlers)
  * - Upload videos via `/api/upload`
+ * - Moderation mode: settings + correction queue (`moderation:queue`, see moderation.js)
+ * - Spell checking: autocorrect toggle + session glossary (typed or imported from a text file)
+ * - Session abbreviations / F-key macros (line format shared with expansion.js)
+ * - Overlap fusion: alignment settings + trace of the last slots (`fragment:alignment`)
+ * - Caption appearance defaults of the spectator page (`captionStyle`, `POST /config`)
+ * - Render the subtitled video after the live (`/render`, progress via `render:status`)
  */
 
 const state = {
+  user: null,
   ws: null,
   isLive: false,
   liveStartedAt: null,
   subtitlers: [],
+  publishUrls: null,
+  moderation: null,
+  drafts: new Map(),  // slotIndex → latest `caption:draft`
+  alignments: [],     // Last slot alignments, most recent first
 };
 
 const el = {};
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  state.user = await STC.requireUser(['admin']);
+  if (!state.user) return;
+  
   // Cache elements
   el.liveStatus = document.getElementById('liveStatus');
   el.segmentCount = document.getElementById('segmentCount');
   el.duration = document.getElementById('duration');
   el.delay = document.getElementById('delay');
   el.videoSelect = document.getElementById('videoSelect');
+  el.ingestSelect = document.getElementById('ingestSelect');
+  el.videoGroup = document.getElementById('videoGroup');
+  el.urlGroup = document.getElementById('urlGroup');
+  el.ingestUrl = document.getElementById('ingestUrl');
+  el.publishInfo = document.getElementById('publishInfo');
+  el.publishUrl = document.getElementById('publishUrl');
+  el.publisherStatus = document.getElementById('publisherStatus');
   el.requiredSubtitlers = document.getElementById('requiredSubtitlers');
   el.delayInput = document.getElementById('delayInput');
   el.slotDuration = document.getElementById('slotDuration');
@@ -42,6 +68,7 @@ document.addEventListener('DOMContentLoaded', () => {
   el.controlMessage = document.getElementById('controlMessage');
   el.subtitlerCount = document.getElementById('subtitlerCount');
   el.subtitlerList = document.getElementById('subtitlerList');
+  el.draftList = document.getElementById('draftList');
   el.currentTurnSection = document.getElementById('currentTurnSection');
   el.currentTurnName = document.getElementById('currentTurnName');
   el.currentTurnTimer = document.getElementById('currentTurnTimer');
@@ -49,13 +76,55 @@ document.addEventListener('DOMContentLoaded', () => {
   el.uploadArea = document.getElementById('uploadArea');
   el.fileInput = document.getElementById('fileInput');
   el.uploadMessage = document.getElementById('uploadMessage');
+  el.sessionSelect = document.getElementById('sessionSelect');
+  el.newSessionId = document.getElementById('newSessionId');
+  el.newSessionName = document.getElementById('newSessionName');
+  el.createSessionBtn = document.getElementById('createSessionBtn');
+  el.sessionMessage = document.getElementById('sessionMessage');
+  el.userList = document.getElementById('userList');
+  el.userMessage = document.getElementById('userMessage');
+  el.moderationEnabled = document.getElementById('moderationEnabled');
+  el.moderationCorrectors = document.getElementById('moderationCorrectors');
+  el.moderationMessage = document.getElementById('moderationMessage');
+  el.autocorrectEnabled = document.getElementById('autocorrectEnabled');
+  el.dictionaryInfo = document.getElementById('dictionaryInfo');
+  el.glossaryInput = document.getElementById('glossaryInput');
+  el.glossaryFile = document.getElementById('glossaryFile');
+  el.spellcheckMessage = document.getElementById('spellcheckMessage');
+  el.expansionsInput = document.getElementById('expansionsInput');
+  el.expansionsMessage = document.getElementById('expansionsMessage');
+  el.fusionSimilarity = document.getElementById('fusionSimilarity');
+  el.fusionMinScore = document.getElementById('fusionMinScore');
+  el.fusionMaxLeadSkip = document.getElementById('fusionMaxLeadSkip');
+  el.fusionMaxTailSkip = document.getElementById('fusionMaxTailSkip');
+  el.fusionMessage = document.getElementById('fusionMessage');
+  el.alignmentList = document.getElementById('alignmentList');
+  el.captionStyleMessage = document.getElementById('captionStyleMessage');
+  el.renderMode = document.getElementById('renderMode');
+  el.renderBtn = document.getElementById('renderBtn');
+  el.renderStatus = document.getElementById('renderStatus');
+  
+  document.getElementById('accountName').textContent = state.user.username;
+  document.getElementById('logoutBtn').addEventListener('click', STC.logout);
   
   // Setup
+  updateSessionLinks();
+  loadUsers();
+  loadSessions();
   initWebSocket();
   loadVideos();
+  loadIngestInfo();
   setupEvents();
   updateRestInfoFromInputs();
   startStatusPolling();
+  startMetricsPolling();
+  loadRenderStatus();
+  state.moderation = new STC.ModerationPanel(document.getElementById('moderationQueue'));
+  loadModeration();
+  loadSpellcheck();
+  loadExpansions();
+  loadFusion();
+  loadCaptionStyle();
 });
 
 // WebSocket
@@ -81,12 +150,34 @@ function handleMessage(msg) {
     case 'live':
       state.isLive = msg.status === 'started';
       if (msg.liveStartedAt) state.liveStartedAt = msg.liveStartedAt;
-      if (msg.status === 'stopped') state.liveStartedAt = null;
+      if (msg.status === 'stopped') {
+        state.liveStartedAt = null;
+        state.drafts.clear();
+        renderDrafts();
+      }
       updateLiveUI();
+      if (msg.status === 'started') loadIngestInfo();
       break;
     case 'fragment:admin-status':
       updateSubtitlers(msg);
       break;
+    case 'caption:draft':
+      updateDraft(msg);
+      break;
+    case 'fragment:alignment':
+      state.alignments = [msg.alignment, ...state.alignments].slice(0, 20);
+      renderAlignments();
+      break;
+    case 'live:publisher':
+      updatePublisherStatus(msg);
+      break;
+    case 'moderation:queue':
+      state.moderation?.update(msg);
+      el.moderationEnabled.value = String(msg.enabled);
+      break;
+    case 'render:status':
+      renderJobStatus(msg.job);
+      break;
   }
 }
 
@@ -103,6 +194,41 @@ function updateLiveUI() {
     el.startBtn.disabled = false;
     el.stopBtn.disabled = true;
     el.currentTurnSection.style.display = 'none';
+    el.publisherStatus.style.display = 'none';
+  }
+}
+
+// Live source
+async function loadIngestInfo() {
+  try {
+    const { publishUrls, ingest } = await STC.apiRequest(STC.API.LIVE_INGEST);
+    state.publishUrls = publishUrls;
+    updateIngestForm();
+    if (ingest) updatePublisherStatus(ingest);
+  } catch (e) {
+    console.error('Failed to load ingest info:', e);
+  }
+}
+
+function updateIngestForm() {
+  const kind = el.ingestSelect.value;
+  el.videoGroup.style.display = kind === 'file' ? '' : 'none';
+  el.urlGroup.style.display = kind === 'url' ? '' : 'none';
+  el.publishInfo.style.display = state.publishUrls?.[kind] ? '' : 'none';
+  el.publishUrl.textContent = state.publishUrls?.[kind] || '-';
+}
+
+function updatePublisherStatus(ingest) {
+  if (!state.isLive) return;
+  el.publisherStatus.style.display = '';
+  if (ingest.publisherConnected) {
+    el.publisherStatus.className = 'ingest-info';
+    el.publisherStatus.textContent = ingest.reconnects
+      ? `Encodeur reconnecté (${ingest.reconnects} coupure${ingest.reconnects > 1 ? 's' : ''})`
+      : 'Encodeur connecté';
+  } else {
+    el.publisherStatus.className = 'ingest-info lost';
+    el.publisherStatus.textContent = 'Encodeur déconnecté, en attente de reconnexion...';
   }
 }
 
@@ -120,8 +246,10 @@ function updateSubtitlers(msg) {
     return;
   }
   
+  // Player latency measured by the server (ingest → subtitler screen)
+  const latency = (s) => (Number.isFinite(s.latencyMs) ? ` · ${(s.latencyMs / 1000).toFixed(1)} s` : '');
   el.subtitlerList.innerHTML = state.subtitlers.map(s => 
-    `<span class="subtitler-chip ${s.id === msg.currentSubtitlerId ? 'active' : ''}">${STC.escapeHtml(s.name)}</span>`
+    `<span class="subtitler-chip ${s.id === msg.currentSubtitlerId ? 'active' : ''} ${s.connected === false ? 'away' : ''}" title="Retard de lecture du sous-titreur">${STC.escapeHtml(s.name)}${s.connected === false ? ' (reconnexion…)' : latency(s)}</span>`
   ).join('');
   
   // Show turn info if fragment active
@@ -137,6 +265,23 @@ function updateSubtitlers(msg) {
   }
 }
 
+// Live drafts (cleared once sent or kept as slot text)
+function updateDraft(msg) {
+  if (msg.text) state.drafts.set(msg.slotIndex, msg);
+  else state.drafts.delete(msg.slotIndex);
+  renderDrafts();
+}
+
+function renderDrafts() {
+  el.draftList.innerHTML = Array.from(state.drafts.values())
+    .sort((a, b) => a.slotIndex - b.slotIndex)
+    .map(d => `
+      <div class="draft">
+        <div class="meta">${STC.escapeHtml(d.subtitlerName || '?')} · slot ${d.slotIndex} · en cours de frappe</div>
+        ${STC.escapeHtml(d.text)}
+      </div>`).join('');
+}
+
 function formatTime(sec) {
   const m = Math.floor(sec / 60);
   const s = sec % 60;
@@ -197,7 +342,10 @@ function startStatusPolling() {
     try {
       const data = await STC.apiRequest(STC.API.LIVE_STATUS);
       el.segmentCount.textContent = data.segmentCount || 0;
-      el.delay.textContent = `${data.delaySec || 20}s`;
+      // Delay applied by the delayed playlist (sub-segment), once the stream is long enough
+      const effective = Number.isFinite(data.effectiveDelaySec);
+      el.delay.textContent = effective ? `${data.effectiveDelaySec.toFixed(1)}s` : `${data.delaySec || 20}s`;
+      el.delay.title = effective ? `Fin de la playlist spectateur : ${data.edgeDelaySec.toFixed(1)}s derrière le direct (minimum ${data.minDelaySec}s)` : '';
       
       if (data.liveStartedAt) {
         const duration = Math.floor((Date.now() - data.liveStartedAt) / 1000);
@@ -209,6 +357,362 @@ function startStatusPolling() {
   }, 2000);
 }
 
+// Sessions
+function updateSessionLinks() {
+  document.getElementById('exportSrtLink').href = `${STC.API.CAPTIONS_EXPORT}?format=srt`;
+  document.getElementById('exportVttLink').href = `${STC.API.CAPTIONS_EXPORT}?format=vtt`;
+  document.getElementById('subtitlerLink').href = STC.sessionUrl(STC.SESSION_ID, '/subtitler.html');
+  document.getElementById('spectatorLink').href = STC.sessionUrl(STC.SESSION_ID, '/spectator.html');
+  document.getElementById('correctorLink').href = STC.sessionUrl(STC.SESSION_ID, '/corrector.html');
+  document.getElementById('replayLink').href = STC.sessionUrl(STC.SESSION_ID, '/replay.html');
+}
+
+async function loadSessions() {
+  try {
+    const { sessions } = await STC.apiRequest(STC.API.SESSIONS);
+    el.sessionSelect.innerHTML = '';
+    sessions.forEach(s => {
+      const opt = document.createElement('option');
+      opt.value = s.id;
+      opt.textContent = `${s.name}${s.running ? ' (en direct)' : ''}`;
+      opt.selected = s.id === STC.SESSION_ID;
+      el.sessionSelect.appendChild(opt);
+    });
+  } catch (e) {
+    console.error('Failed to load sessions:', e);
+  }
+}
+
+async function createSession() {
+  const id = el.newSessionId.value.trim().toLowerCase();
+  if (!id) {
+    showMessage(el.sessionMessage, 'Identifiant requis', 'error');
+    return;
+  }
+  
+  try {
+    await STC.apiRequest(STC.API.SESSIONS, {
+      method: 'POST',
+      body: JSON.stringify({ id, name: el.newSessionName.value.trim() }),
+    });
+    window.location.href = STC.sessionUrl(id);
+  } catch (e) {
+    showMessage(el.sessionMessage, e.message || 'Erreur', 'error');
+  }
+}
+
+// Accounts
+async function loadUsers() {
+  try {
+    const { users } = await STC.apiRequest(STC.API.AUTH_USERS);
+    el.userList.innerHTML = users.map(u => `
+      <div class="user-row">
+        <span>${STC.escapeHtml(u.username)}</span>
+        <select data-username="${STC.escapeHtml(u.username)}">
+          <option value="subtitler" ${u.role === 'subtitler' ? 'selected' : ''}>Sous-titreur</option>
+          <option value="admin" ${u.role === 'admin' ? 'selected' : ''}>Admin</option>
+        </select>
+      </div>`).join('');
+    
+    el.userList.querySelectorAll('select').forEach(select => {
+      select.addEventListener('change', () => setUserRole(select.dataset.username, select.value));
+    });
+  } catch (e) {
+    console.error('Failed to load users:', e);
+  }
+}
+
+async function setUserRole(username, role) {
+  try {
+    await STC.apiRequest(`${STC.API.AUTH_USERS}/${encodeURIComponent(username)}/role`, {
+      method: 'POST',
+      body: JSON.stringify({ role }),
+    });
+    showMessage(el.userMessage, 'Rôle mis à jour', 'success');
+  } catch (e) {
+    showMessage(el.userMessage, e.message || 'Erreur', 'error');
+  }
+  loadUsers();
+}
+
+// Metrics
+function startMetricsPolling() {
+  loadMetrics();
+  setInterval(loadMetrics, 5000);
+}
+
+async function loadMetrics() {
+  try {
+    const data = await STC.apiRequest(STC.API.METRICS_SUBTITLERS);
+    renderMetrics(data);
+  } catch (e) { /* ignore */ }
+}
+
+function renderMetrics({ subtitlers, totals }) {
+  const tbody = document.getElementById('metricsBody');
+  if (!subtitlers.length) {
+    tbody.innerHTML = '<tr><td colspan="8" class="metrics-empty">Aucune donnée</td></tr>';
+    return;
+  }
+  
+  const percent = (value) => (value === null ? '-' : `${Math.round(value * 100)}%`);
+  const row = (m, name, cls = '') => `
+    <tr class="${cls}">
+      <td>${STC.escapeHtml(name)}</td>
+      <td>${m.wpm ?? '-'}</td>
+      <td>${m.avgFirstCaptionLatencyMs === null ? '-' : `${(m.avgFirstCaptionLatencyMs / 1000).toFixed(1)}s`}</td>
+      <td>${percent(m.autoShare)}</td>
+      <td>${m.emptySlots}/${m.slots}</td>
+      <td>${m.overlapTrimmedWords}</td>
+      <td>${m.autocorrectedWords}</td>
+      <td>${m.expansions} (${percent(m.expansionShare)})</td>
+    </tr>`;
+  
+  tbody.innerHTML = subtitlers.map(m => row(m, m.subtitlerName || '?')).join('') + row(totals, 'Total', 'totals');
+}
+
+// Moderation
+async function loadModeration() {
+  try {
+    const data = await STC.apiRequest(STC.API.MODERATION);
+    el.moderationEnabled.value = String(data.enabled);
+    el.moderationCorrectors.value = data.correctors.join(', ');
+    state.moderation.update(data);
+  } catch (e) {
+    console.error('Failed to load moderation:', e);
+  }
+}
+
+async function saveModeration() {
+  try {
+    const { correctors } = await STC.apiRequest(STC.API.MODERATION_CONFIG, {
+      method: 'POST',
+      body: JSON.stringify({
+        enabled: el.moderationEnabled.value === 'true',
+        correctors: el.moderationCorrectors.value.split(','),
+      }),
+    });
+    el.moderationCorrectors.value = correctors.join(', ');
+    showMessage(el.moderationMessage, 'Correction mise à jour', 'success');
+  } catch (e) {
+    showMessage(el.moderationMessage, e.message || 'Erreur', 'error');
+  }
+}
+
+// Spell checking
+async function loadSpellcheck() {
+  try {
+    const data = await STC.apiRequest(STC.API.SPELLCHECK);
+    el.autocorrectEnabled.value = String(data.autocorrect);
+    el.glossaryInput.value = data.glossary.join('\n');
+    el.dictionaryInfo.textContent = data.dictionary
+      ? `${data.dictionary.language} (${data.dictionary.stems.toLocaleString('fr-FR')} mots)`
+      : 'Aucun (glossaire seul)';
+  } catch (e) {
+    console.error('Failed to load spell checking:', e);
+  }
+}
+
+async function saveSpellcheck() {
+  try {
+    await STC.apiRequest(STC.API.SPELLCHECK_CONFIG, {
+      method: 'POST',
+      body: JSON.stringify({ autocorrect: el.autocorrectEnabled.value === 'true' }),
+    });
+    const { glossary } = await STC.apiRequest(STC.API.SPELLCHECK_GLOSSARY, {
+      method: 'POST',
+      body: JSON.stringify({ text: el.glossaryInput.value }),
+    });
+    el.glossaryInput.value = glossary.join('\n');
+    showMessage(el.spellcheckMessage, `Glossaire : ${glossary.length} terme(s)`, 'success');
+  } catch (e) {
+    showMessage(el.spellcheckMessage, e.message || 'Erreur', 'error');
+  }
+}
+
+/** Load a text file into the glossary field (saved with "Enregistrer") */
+async function importGlossaryFile() {
+  const file = el.glossaryFile.files[0];
+  if (!file) return;
+  el.glossaryInput.value = await file.text();
+  el.glossaryFile.value = '';
+  showMessage(el.spellcheckMessage, `${STC.escapeHtml(file.name)} chargé, pensez à enregistrer`, 'success');
+}
+
+// Session abbreviations / macros
+async function loadExpansions() {
+  try {
+    const { session } = await STC.apiRequest(STC.API.EXPANSIONS);
+    el.expansionsInput.value = STC.CaptionExpander.toLines(session);
+  } catch (e) {
+    console.error('Failed to load abbreviations:', e);
+  }
+}
+
+async function saveExpansions() {
+  try {
+    const saved = await STC.apiRequest(STC.API.EXPANSIONS, {
+      method: 'POST',
+      body: JSON.stringify(STC.CaptionExpander.fromLines(el.expansionsInput.value)),
+    });
+    el.expansionsInput.value = STC.CaptionExpander.toLines(saved);
+    const count = Object.keys(saved.abbreviations).length + Object.keys(saved.macros).length;
+    showMessage(el.expansionsMessage, `${count} entrée(s), envoyées aux sous-titreurs`, 'success');
+  } catch (e) {
+    showMessage(el.expansionsMessage, e.message || 'Erreur', 'error');
+  }
+}
+
+// Overlap fusion
+async function loadFusion() {
+  try {
+    const { config, alignments } = await STC.apiRequest(STC.API.FUSION);
+    showFusionConfig(config);
+    state.alignments = alignments;
+    renderAlignments();
+  } catch (e) {
+    console.error('Failed to load fusion settings:', e);
+  }
+}
+
+function showFusionConfig(config) {
+  el.fusionSimilarity.value = config.similarityThreshold;
+  el.fusionMinScore.value = config.minScore;
+  el.fusionMaxLeadSkip.value = config.maxLeadSkip;
+  el.fusionMaxTailSkip.value = config.maxTailSkip;
+}
+
+async function saveFusion() {
+  try {
+    const { config } = await STC.apiRequest(STC.API.FUSION_CONFIG, {
+      method: 'POST',
+      body: JSON.stringify({
+        similarityThreshold: readNumber(el.fusionSimilarity),
+        minScore: readNumber(el.fusionMinScore),
+        maxLeadSkip: readNumber(el.fusionMaxLeadSkip),
+        maxTailSkip: readNumber(el.fusionMaxTailSkip),
+      }),
+    });
+    showFusionConfig(config);
+    showMessage(el.fusionMessage, 'Réglages appliqués à partir du prochain slot', 'success');
+  } catch (e) {
+    showMessage(el.fusionMessage, e.message || 'Erreur', 'error');
+  }
+}
+
+// Caption appearance (defaults of the spectator page, each viewer can override them)
+const CAPTION_STYLE_INPUTS = {
+  fontSize: 'styleFontSize',
+  fontFamily: 'styleFontFamily',
+  textColor: 'styleTextColor',
+  textOpacity: 'styleTextOpacity',
+  backgroundColor: 'styleBackgroundColor',
+  backgroundOpacity: 'styleBackgroundOpacity',
+  edgeStyle: 'styleEdgeStyle',
+  position: 'stylePosition',
+  maxLines: 'styleMaxLines',
+  displayMode: 'styleDisplayMode',
+};
+
+async function loadCaptionStyle() {
+  try {
+    const { captionStyle } = await STC.apiRequest(STC.API.CONFIG);
+    showCaptionStyle(captionStyle);
+  } catch (e) {
+    console.error('Failed to load caption style:', e);
+  }
+}
+
+function showCaptionStyle(style) {
+  for (const [key, id] of Object.entries(CAPTION_STYLE_INPUTS)) {
+    document.getElementById(id).value = style[key];
+  }
+}
+
+async function saveCaptionStyle() {
+  const captionStyle = {};
+  for (const [key, id] of Object.entries(CAPTION_STYLE_INPUTS)) {
+    const input = document.getElementById(id);
+    captionStyle[key] = input.type === 'number' ? readNumber(input) : input.value;
+  }
+  try {
+    const { captionStyle: saved } = await STC.apiRequest(STC.API.CONFIG, {
+      method: 'POST',
+      body: JSON.stringify({ captionStyle }),
+    });
+    showCaptionStyle(saved);
+    showMessage(el.captionStyleMessage, 'Appliqué aux spectateurs (sauf leurs propres réglages)', 'success');
+  } catch (e) {
+    showMessage(el.captionStyleMessage, e.message || 'Erreur', 'error');
+  }
+}
+
+/** Trace of each alignment: re-typed words (match/sub), skipped words, words left in place */
+function renderAlignments() {
+  const opText = (s) => {
+    switch (s.op) {
+      case 'match': return s.prev === s.cur ? s.cur : `${s.prev} = ${s.cur}`;
+      case 'sub': return `${s.prev} ≠ ${s.cur}`;
+      case 'del': case 'tail': return s.prev;
+      default: return s.cur;
+    }
+  };
+  const opTitle = { match: 'repris', sub: 'différent', del: 'sauté', ins: 'ajouté', lead: 'avant la reprise', tail: 'non repris' };
+
+  el.alignmentList.innerHTML = state.alignments.map(a => `
+    <div class="alignment">
+      <div class="meta">
+        slot ${a.prevSlotIndex} (${STC.escapeHtml(a.prevSubtitlerName || '?')}) → slot ${a.slotIndex} (${STC.escapeHtml(a.subtitlerName || '?')})
+        · ${a.overlapLength ? `${a.overlapLength} token(s) retiré(s)` : 'aucun chevauchement'} · score ${a.score}
+        ${a.window ? `· fenêtre ${a.window.prev}/${a.window.cur} tokens${a.window.timed ? ' (horodatée)' : ''}` : ''}
+      </div>
+      ${a.ops.map(s => `<span class="op op-${s.op}" title="${opTitle[s.op] || s.op}${s.sim != null && s.sim < 1 ? ` (${s.sim})` : ''}">${STC.escapeHtml(opText(s))}</span>`).join('') || '<span style="color:#555;">—</span>'}
+    </div>`).join('');
+}
+
+// Subtitled video render
+async function loadRenderStatus() {
+  try {
+    const { job } = await STC.apiRequest(STC.API.RENDER);
+    renderJobStatus(job);
+  } catch (e) { /* ignore */ }
+}
+
+async function startRender() {
+  el.renderBtn.disabled = true;
+  try {
+    const { job } = await STC.apiRequest(STC.API.RENDER, {
+      method: 'POST',
+      body: JSON.stringify({ mode: el.renderMode.value }),
+    });
+    renderJobStatus(job);
+  } catch (e) {
+    el.renderBtn.disabled = false;
+    showMessage(el.renderStatus, e.message || 'Erreur', 'error');
+  }
+}
+
+function renderJobStatus(job) {
+  el.renderBtn.disabled = job?.status === 'running';
+  if (!job) {
+    el.renderStatus.innerHTML = '';
+    return;
+  }
+  
+  switch (job.status) {
+    case 'running':
+      el.renderStatus.textContent = `Génération en cours... ${Math.round(job.progress * 100)}%`;
+      break;
+    case 'done':
+      el.renderStatus.innerHTML = `Vidéo prête (${job.cueCount} sous-titres)
+        <div class="links"><a href="${STC.API.RENDER_DOWNLOAD}" download>Télécharger ${STC.escapeHtml(job.output)}</a></div>`;
+      loadVideos();
+      break;
+    default:
+      el.renderStatus.innerHTML = `<div class="message error">Échec : ${STC.escapeHtml(job.error || job.status)}</div>`;
+  }
+}
+
 // Load videos
 async function loadVideos() {
   try {
@@ -227,8 +731,20 @@ async function loadVideos() {
 
 // Events
 function setupEvents() {
+  el.sessionSelect.addEventListener('change', () => {
+    window.location.href = STC.sessionUrl(el.sessionSelect.value);
+  });
+  el.createSessionBtn.addEventListener('click', createSession);
   el.startBtn.addEventListener('click', startLive);
   el.stopBtn.addEventListener('click', stopLive);
+  el.renderBtn.addEventListener('click', startRender);
+  el.ingestSelect.addEventListener('change', updateIngestForm);
+  document.getElementById('moderationSaveBtn').addEventListener('click', saveModeration);
+  document.getElementById('spellcheckSaveBtn').addEventListener('click', saveSpellcheck);
+  el.glossaryFile.addEventListener('change', importGlossaryFile);
+  document.getElementById('expansionsSaveBtn').addEventListener('click', saveExpansions);
+  document.getElementById('fusionSaveBtn').addEventListener('click', saveFusion);
+  document.getElementById('captionStyleSaveBtn').addEventListener('click', saveCaptionStyle);
 
   // Update config info live
   [el.requiredSubtitlers, el.slotDuration, el.overlapDuration, el.gracePeriod].forEach(input => {
@@ -258,11 +774,17 @@ function setupEvents() {
 }
 
 async function startLive() {
+  const ingest = el.ingestSelect.value;
   const video = el.videoSelect.value;
-  if (!video) {
+  const url = el.ingestUrl.value.trim();
+  if (ingest === 'file' && !video) {
     showMessage(el.controlMessage, 'Sélectionnez une vidéo', 'error');
     return;
   }
+  if (ingest === 'url' && !url) {
+    showMessage(el.controlMessage, 'Indiquez l\'URL du flux', 'error');
+    return;
+  }
   
   const requiredSubtitlers = parseInt(el.requiredSubtitlers.value) || 2;
   if (state.subtitlers.length < requiredSubtitlers) {
@@ -271,14 +793,16 @@ async function startLive() {
   }
   
   el.startBtn.disabled = true;
-  showMessage(el.controlMessage, 'Démarrage...', '');
+  showMessage(el.controlMessage, ingest === 'rtmp' || ingest === 'srt' ? 'En attente de l\'encodeur...' : 'Démarrage...', '');
   
   try {
     // Start live with all config
     await STC.apiRequest(STC.API.LIVE_START, {
       method: 'POST',
       body: JSON.stringify({
-        source: video,
+        ingest,
+        source: ingest === 'file' ? video : undefined,
+        url: ingest === 'url' ? url : undefined,
         delaySec: parseInt(el.delayInput.value) || 20,
         slotDuration: parseInt(el.slotDuration.value) || 30,
         overlapDuration: parseInt(el.overlapDuration.value) || 5,
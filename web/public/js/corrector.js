@@ -0,0 +1,51 @@
+/**
+ * ROLE — Corrector UI controller (browser)
+ *
+ * Runs inside `corrector.html`.
+ * - Requires an account (admin, or a subtitler designated as corrector of the session)
+ * - Identifies as `corrector` on the WebSocket to receive the moderation queue
+ * - The queue itself is rendered by `ModerationPanel` (moderation.js)
+ */
+
+const state = {
+  ws: null,
+  panel: null,
+};
+
+const el = {};
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const user = await STC.requireUser(['subtitler']);
+  if (!user) return;
+  
+  el.title = document.getElementById('pageTitle');
+  el.error = document.getElementById('correctorError');
+  
+  document.getElementById('accountName').textContent = user.username;
+  document.getElementById('logoutBtn').addEventListener('click', STC.logout);
+  
+  state.panel = new STC.ModerationPanel(document.getElementById('moderationQueue'));
+  state.ws = new STC.WebSocketManager(handleMessage, onConnected);
+  state.ws.connect();
+});
+
+function onConnected() {
+  state.ws.identify(STC.CLIENT_TYPES.CORRECTOR);
+}
+
+function handleMessage(msg) {
+  switch (msg.type) {
+    case 'init':
+      el.error.textContent = '';
+      el.title.textContent = `Correction des sous-titres - ${msg.sessionName}`;
+      break;
+    case 'moderation:queue':
+      state.panel.update(msg);
+      break;
+    case 'error':
+      if (msg.code === 'forbidden') {
+        el.error.textContent = 'Ce compte n\'est pas correcteur de cette session (à désigner depuis l\'administration).';
+      }
+      break;
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * ROLE — Abbreviation and macro expansion in the caption input (browser)
+ *
+ * Used by `subtitler.html` (and `admin.html` for the dictionary format helpers).
+ * - The dictionary is pushed by the server (`expansions` WS message): session entries
+ *   merged with the subtitler's personal ones
+ * - An abbreviation is replaced when a word boundary is typed after it (`gvt ` → `gouvernement `),
+ *   keeping its case (`Gvt` → `Gouvernement`, `GVT` → `GOUVERNEMENT`)
+ * - Backspace right after an expansion gives the abbreviation back
+ * - F1..F12 insert the macro bound to the key
+ * - The applied expansions are sent with the caption so the server can count them
+ */
+
+/** Characters that end a word (and trigger the expansion of the word before them) */
+const WORD_BOUNDARY = /[\s.,;:!?…)\]»"']/;
+
+/** Last word of a text: [full match, separator, word] */
+const TRAILING_WORD = /(^|[^\p{L}\p{N}])([\p{L}\p{N}]+)$/u;
+
+const MACRO_KEY = /^F([1-9]|1[0-2])$/;
+
+class CaptionExpander {
+  /**
+   * @param {HTMLTextAreaElement} textarea - Caption input
+   * @param {HTMLElement} [macroBar] - Element listing the macros
+   */
+  constructor(textarea, macroBar = null) {
+    this.textarea = textarea;
+    this.macroBar = macroBar;
+    this.abbreviations = {};
+    this.macros = {};
+    this.applied = [];   // [{ key }] expanded in the current caption
+    this.last = null;    // Last expansion, undone by an immediate Backspace
+
+    textarea.addEventListener('input', (e) => this.onInput(e));
+    textarea.addEventListener('keydown', (e) => this.onKeyDown(e));
+  }
+
+  /** Apply a dictionary pushed by the server */
+  setDictionary({ abbreviations = {}, macros = {} }) {
+    this.abbreviations = abbreviations;
+    this.macros = macros;
+    this.renderMacros();
+  }
+
+  /**
+   * Expand the word left at the end of the text, then hand over the expansions
+   * of the caption about to be sent (and start a new caption)
+   * @returns {{ key: string }[]}
+   */
+  flush() {
+    const { value } = this.textarea;
+    const match = value.match(TRAILING_WORD);
+    if (match) this.expand(value.length - match[2].length, value.length, '');
+
+    const applied = this.applied;
+    this.applied = [];
+    this.last = null;
+    return applied;
+  }
+
+  onInput(e) {
+    // Programmatic changes (expansion, spell fix...) carry no inputType
+    if (!e.inputType) return;
+    this.last = null;
+    if (e.inputType !== 'insertText' || !e.data || !WORD_BOUNDARY.test(e.data.slice(-1))) return;
+
+    const caret = this.textarea.selectionStart;
+    const before = this.textarea.value.slice(0, caret - 1);
+    const match = before.match(TRAILING_WORD);
+    if (match) this.expand(before.length - match[2].length, before.length, e.data.slice(-1));
+  }
+
+  onKeyDown(e) {
+    if (MACRO_KEY.test(e.key) && this.macros[e.key]) {
+      e.preventDefault();
+      this.insert(this.macros[e.key]);
+      this.applied.push({ key: e.key });
+      return;
+    }
+
+    if (e.key === 'Backspace' && this.last && this.undoLast()) {
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * Replace the word at [start, end) by its expansion (if it is an abbreviation)
+   * @param {string} boundary - Character typed after the word ('' when flushing)
+   */
+  expand(start, end, boundary) {
+    const { value } = this.textarea;
+    const word = value.slice(start, end);
+    const text = this.abbreviations[word.toLowerCase()];
+    if (!text) return false;
+
+    const replacement = CaptionExpander.matchCase(word, text);
+    this.textarea.value = value.slice(0, start) + replacement + value.slice(end);
+    const caret = start + replacement.length + boundary.length;
+    this.textarea.setSelectionRange(caret, caret);
+
+    this.applied.push({ key: word.toLowerCase() });
+    this.last = { start, word, replacement, boundary, caret };
+    this.textarea.dispatchEvent(new Event('input'));
+    return true;
+  }
+
+  /** Give back the abbreviation of the last expansion (caret still right after it) */
+  undoLast() {
+    const { start, word, replacement, boundary, caret } = this.last;
+    const { value } = this.textarea;
+    this.last = null;
+    if (this.textarea.selectionStart !== caret || value.slice(start, caret) !== replacement + boundary) return false;
+
+    this.textarea.value = value.slice(0, start) + word + boundary + value.slice(caret);
+    const newCaret = start + word.length + boundary.length;
+    this.textarea.setSelectionRange(newCaret, newCaret);
+
+    const index = this.applied.map(a => a.key).lastIndexOf(word.toLowerCase());
+    if (index !== -1) this.applied.splice(index, 1);
+    this.textarea.dispatchEvent(new Event('input'));
+    return true;
+  }
+
+  /** Insert a text at the caret (with a space before it when glued to a word) */
+  insert(text) {
+    const { value, selectionStart, selectionEnd } = this.textarea;
+    const needsSpace = selectionStart > 0 && !/\s$/.test(value.slice(0, selectionStart));
+    const inserted = `${needsSpace ? ' ' : ''}${text} `;
+    this.textarea.value = value.slice(0, selectionStart) + inserted + value.slice(selectionEnd);
+    const caret = selectionStart + inserted.length;
+    this.textarea.setSelectionRange(caret, caret);
+    this.last = null;
+    this.textarea.dispatchEvent(new Event('input'));
+  }
+
+  renderMacros() {
+    if (!this.macroBar) return;
+    const keys = Object.keys(this.macros).sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)));
+    this.macroBar.innerHTML = keys.map(key => `
+      <span class="macro"><kbd>${key}</kbd> ${STC.escapeHtml(this.macros[key])}</span>`).join('');
+  }
+
+  /** Give an expansion the case of the abbreviation typed */
+  static matchCase(word, text) {
+    if (word.length > 1 && word === word.toUpperCase() && word !== word.toLowerCase()) return text.toUpperCase();
+    if (word[0] !== word[0].toLowerCase()) return text.charAt(0).toUpperCase() + text.slice(1);
+    return text;
+  }
+
+  /** Dictionary → editable lines (`gvt = gouvernement`, `F2 = Emmanuel Macron :`) */
+  static toLines({ abbreviations = {}, macros = {} }) {
+    return [...Object.entries(macros), ...Object.entries(abbreviations)]
+      .map(([key, text]) => `${key} = ${text}`)
+      .join('\n');
+  }
+
+  /** Editable lines → dictionary (lines without `=` are ignored) */
+  static fromLines(content) {
+    const dictionary = { abbreviations: {}, macros: {} };
+    for (const line of content.split('\n')) {
+      const sep = line.indexOf('=');
+      if (sep === -1) continue;
+      const key = line.slice(0, sep).trim();
+      const text = line.slice(sep + 1).trim();
+      if (!key || !text) continue;
+      if (MACRO_KEY.test(key.toUpperCase())) dictionary.macros[key.toUpperCase()] = text;
+      else dictionary.abbreviations[key] = text;
+    }
+    return dictionary;
+  }
+}
+
+window.STC.CaptionExpander = CaptionExpander;
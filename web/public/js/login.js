@@ -0,0 +1,62 @@
+/**
+ * ROLE — Login page controller (browser)
+ *
+ * Runs inside `login.html`.
+ * - Switches between login and registration
+ * - Calls `/api/auth/login` or `/api/auth/register` (the server sets the auth cookie)
+ * - Redirects to `?next=` or to the page matching the account role
+ */
+
+const state = {
+  mode: 'login',  // 'login' | 'register'
+};
+
+const el = {};
+
+document.addEventListener('DOMContentLoaded', () => {
+  el.loginTab = document.getElementById('loginTab');
+  el.registerTab = document.getElementById('registerTab');
+  el.form = document.getElementById('authForm');
+  el.username = document.getElementById('username');
+  el.password = document.getElementById('password');
+  el.submitBtn = document.getElementById('submitBtn');
+  el.registerHint = document.getElementById('registerHint');
+  el.error = document.getElementById('authError');
+  
+  el.loginTab.addEventListener('click', () => setMode('login'));
+  el.registerTab.addEventListener('click', () => setMode('register'));
+  el.form.addEventListener('submit', handleSubmit);
+  el.username.focus();
+});
+
+function setMode(mode) {
+  state.mode = mode;
+  el.loginTab.classList.toggle('active', mode === 'login');
+  el.registerTab.classList.toggle('active', mode === 'register');
+  el.submitBtn.textContent = mode === 'login' ? 'Se connecter' : 'Créer le compte';
+  el.password.autocomplete = mode === 'login' ? 'current-password' : 'new-password';
+  el.registerHint.style.display = mode === 'register' ? 'block' : 'none';
+  el.error.textContent = '';
+}
+
+async function handleSubmit(e) {
+  e.preventDefault();
+  el.error.textContent = '';
+  
+  try {
+    const { user } = await STC.apiRequest(state.mode === 'login' ? STC.API.AUTH_LOGIN : STC.API.AUTH_REGISTER, {
+      method: 'POST',
+      body: JSON.stringify({ username: el.username.value.trim(), password: el.password.value }),
+    });
+    window.location.href = nextPage(user);
+  } catch (err) {
+    el.error.textContent = err.message || 'Erreur';
+  }
+}
+
+/** Only same-site paths are accepted as redirect target */
+function nextPage(user) {
+  const next = new URLSearchParams(window.location.search).get('next');
+  if (next && next.startsWith('/') && !next.startsWith('//')) return next;
+  return user.role === 'admin' ? '/admin.html' : '/subtitler.html';
+}
@@ -0,0 +1,156 @@
+/**
+ * ROLE — Caption correction queue panel (browser)
+ *
+ * Shared by `admin.html` and `corrector.html` (load after `shared.js`).
+ * - Renders the pending fused captions pushed by the server (`moderation:queue`)
+ * - Counts down to the automatic release of each caption
+ * - Saves corrections as drafts so every reviewer sees the same text
+ * - Approves a caption with its corrected text (emptied text = caption removed); an
+ *   approved caption stays listed, read-only, until the earlier ones are released
+ */
+
+/** Wait after the last keystroke before saving a draft (ms) */
+const DRAFT_SAVE_DELAY = 600;
+
+class ModerationPanel {
+  /**
+   * @param {HTMLElement} container - Element receiving the queue
+   */
+  constructor(container) {
+    this.container = container;
+    this.enabled = false;
+    this.rows = new Map();       // Map<itemId, { item, el, textarea, countdown }>
+    this.draftTimers = new Map(); // Map<itemId, Timeout>
+
+    setInterval(() => this.updateCountdowns(), 250);
+  }
+
+  /**
+   * Apply a `moderation:queue` message (or the `/moderation` response)
+   * @param {{ enabled: boolean, items: Object[] }} queue
+   */
+  update({ enabled, items }) {
+    this.enabled = enabled;
+    const ids = new Set(items.map(item => item.id));
+
+    for (const [id, row] of this.rows) {
+      if (!ids.has(id)) {
+        row.el.remove();
+        this.rows.delete(id);
+        clearTimeout(this.draftTimers.get(id));
+        this.draftTimers.delete(id);
+      }
+    }
+
+    for (const item of items) {
+      const row = this.rows.get(item.id) || this.createRow(item);
+      row.item = item;
+      row.el.classList.toggle('approved', item.approved);
+      row.textarea.disabled = item.approved;
+      // Never overwrite what the reviewer is typing
+      if (document.activeElement !== row.textarea && !this.draftTimers.has(item.id)) {
+        row.textarea.value = item.text;
+      }
+      row.original.style.display = item.text !== item.originalText ? '' : 'none';
+      row.editedBy.textContent = item.editedBy && item.text !== item.originalText ? `corrigé par ${item.editedBy}` : '';
+    }
+
+    this.renderEmptyState();
+    this.updateCountdowns();
+  }
+
+  createRow(item) {
+    const el = document.createElement('div');
+    el.className = 'moderation-item';
+    el.innerHTML = `
+      <div class="moderation-head">
+        <span>Slot ${item.slotIndex} · ${STC.escapeHtml(item.subtitlerName || '?')}</span>
+        <span class="moderation-editor"></span>
+        <span class="moderation-countdown"></span>
+      </div>
+      <textarea rows="2"></textarea>
+      <div class="moderation-original">Original : ${STC.escapeHtml(item.originalText)}</div>
+      <div class="moderation-actions">
+        <button class="btn btn-start" data-action="approve">Valider</button>
+        <button class="btn" data-action="restore">Rétablir</button>
+      </div>`;
+
+    const row = {
+      item,
+      el,
+      textarea: el.querySelector('textarea'),
+      countdown: el.querySelector('.moderation-countdown'),
+      original: el.querySelector('.moderation-original'),
+      editedBy: el.querySelector('.moderation-editor'),
+    };
+
+    row.textarea.addEventListener('input', () => this.scheduleDraft(row));
+    el.querySelector('[data-action="approve"]').addEventListener('click', () => this.approve(row));
+    el.querySelector('[data-action="restore"]').addEventListener('click', () => {
+      row.textarea.value = row.item.originalText;
+      this.scheduleDraft(row);
+    });
+
+    this.rows.set(item.id, row);
+    this.container.appendChild(el);
+    return row;
+  }
+
+  scheduleDraft(row) {
+    const { id } = row.item;
+    clearTimeout(this.draftTimers.get(id));
+    this.draftTimers.set(id, setTimeout(async () => {
+      this.draftTimers.delete(id);
+      try {
+        await STC.apiRequest(`${STC.API.MODERATION}/${encodeURIComponent(id)}/draft`, {
+          method: 'POST',
+          body: JSON.stringify({ text: row.textarea.value }),
+        });
+      } catch (e) { /* already released */ }
+    }, DRAFT_SAVE_DELAY));
+  }
+
+  async approve(row) {
+    const { id } = row.item;
+    clearTimeout(this.draftTimers.get(id));
+    this.draftTimers.delete(id);
+    try {
+      await STC.apiRequest(`${STC.API.MODERATION}/${encodeURIComponent(id)}/approve`, {
+        method: 'POST',
+        body: JSON.stringify({ text: row.textarea.value }),
+      });
+    } catch (e) {
+      console.error('Approve failed:', e);
+    }
+  }
+
+  updateCountdowns() {
+    const now = Date.now();
+    for (const row of this.rows.values()) {
+      if (row.item.approved) {
+        row.countdown.textContent = 'validé, après les précédents';
+        row.countdown.classList.remove('urgent');
+        continue;
+      }
+      const remaining = Math.max(0, Math.ceil((row.item.deadline - now) / 1000));
+      row.countdown.textContent = `${remaining}s`;
+      row.countdown.classList.toggle('urgent', remaining <= 5);
+    }
+  }
+
+  renderEmptyState() {
+    let empty = this.container.querySelector('.moderation-empty');
+    if (this.rows.size) {
+      empty?.remove();
+      return;
+    }
+    if (!empty) {
+      empty = document.createElement('div');
+      empty.className = 'moderation-empty';
+      this.container.appendChild(empty);
+    }
+    empty.textContent = this.enabled ? 'Aucun sous-titre en attente' : 'Mode correction désactivé';
+  }
+}
+
+window.STC.ModerationPanel = ModerationPanel;
@@ -0,0 +1,102 @@
+/**
+ * ROLE — Replay UI controller (browser)
+ *
+ * Runs inside `replay.html`.
+ * - Lists the archived runs of the session (`GET …/archives`) and plays the one in `?log=`
+ *   (most recent by default)
+ * - Plays the VOD master playlist of the run (`/vod/<sessionId>/<logId>/master.m3u8`:
+ *   every rendition + the fused captions as a WebVTT subtitle track) using hls.js
+ */
+
+const state = {
+  hls: null,
+  archives: [],
+  logId: new URLSearchParams(window.location.search).get('log'),
+  subtitles: localStorage.getItem('stc.replaySubtitles') !== 'off',
+};
+
+const el = {};
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+  el.video = document.getElementById('video');
+  el.waitingScreen = document.getElementById('waitingScreen');
+  el.waitingText = document.getElementById('waitingText');
+  el.runSelect = document.getElementById('runSelect');
+  el.subtitlesBtn = document.getElementById('subtitlesBtn');
+
+  setupControls();
+  loadArchives();
+});
+
+function setupControls() {
+  el.runSelect.addEventListener('change', () => playRun(el.runSelect.value));
+
+  updateSubtitlesButton();
+  el.subtitlesBtn.addEventListener('click', () => {
+    state.subtitles = !state.subtitles;
+    localStorage.setItem('stc.replaySubtitles', state.subtitles ? 'on' : 'off');
+    state.hls?.setSubtitlesEnabled(state.subtitles);
+    updateSubtitlesButton();
+  });
+}
+
+function updateSubtitlesButton() {
+  el.subtitlesBtn.textContent = state.subtitles ? 'ST : oui' : 'ST : non';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ARCHIVED RUNS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function loadArchives() {
+  try {
+    const { archives } = await STC.apiRequest(STC.API.ARCHIVES);
+    state.archives = archives;
+  } catch (e) {
+    el.waitingText.textContent = `Erreur : ${e.message}`;
+    return;
+  }
+
+  if (!state.archives.length) {
+    el.waitingText.textContent = 'Aucun live terminé dans cette session';
+    el.runSelect.disabled = true;
+    return;
+  }
+
+  el.runSelect.innerHTML = state.archives
+    .map(a => `<option value="${STC.escapeHtml(a.logId)}">${STC.escapeHtml(describeRun(a))}</option>`)
+    .join('');
+
+  const requested = state.archives.find(a => a.logId === state.logId);
+  playRun((requested || state.archives[0]).logId);
+}
+
+/** Label of a run: start date, duration and source */
+function describeRun(archive) {
+  const date = new Date(archive.startedAt || archive.endedAt).toLocaleString('fr-FR');
+  const duration = STC.formatTimestamp(Math.round(archive.durationSec) * 1000);
+  return [date, duration, archive.source].filter(Boolean).join(' · ');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VIDEO PLAYER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function playRun(logId) {
+  state.logId = logId;
+  el.runSelect.value = logId;
+  history.replaceState(null, '', `${STC.sessionUrl(STC.SESSION_ID)}&log=${encodeURIComponent(logId)}`);
+
+  el.waitingText.textContent = 'Chargement...';
+  el.waitingScreen.classList.remove('hidden');
+  if (state.hls) state.hls.destroy();
+
+  state.hls = new STC.HlsPlayerManager(el.video);
+  state.hls.setSubtitlesEnabled(state.subtitles);
+  state.hls.load(`/vod/${encodeURIComponent(STC.SESSION_ID)}/${encodeURIComponent(logId)}/master.m3u8`, () => {
+    el.waitingScreen.classList.add('hidden');
+  }, () => {
+    el.waitingText.textContent = 'Lecture impossible';
+  });
+}
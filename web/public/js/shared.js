@@ -1,36 +1,86 @@
 /**
  * ROLE — Frontend shared utilities (browser)
  *
- * Loaded by `admin.html`, `subtitler.html`, and `spectator.html`.
+ * Loaded by `admin.html`, `subtitler.html`, `spectator.html` and `replay.html`.
  * Centralizes:
- * - Endpoint constants (API + HLS)
+ * - Current session id (`?session=<id>`, default session otherwise)
+ * - Endpoint constants (API + HLS), scoped to the current session
+ * - Login check (`requireUser`) for the admin and subtitler pages
  * - WebSocketManager (connect/reconnect + identify)
  * - HlsPlayerManager (wrapper around hls.js)
  * - Small UI helpers (formatting, escaping, messages)
  */
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// SESSION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Id of the default session (used when the page has no `?session=`) */
+const DEFAULT_SESSION_ID = 'default';
+
+/**
+ * Session (room) this page works on, from the `?session=` query parameter
+ * @constant {string}
+ */
+const SESSION_ID = new URLSearchParams(window.location.search).get('session') || DEFAULT_SESSION_ID;
+
+/**
+ * Build a page URL for another session (keeps the current path)
+ * @param {string} sessionId - Session id
+ * @param {string} [page] - Page path (defaults to current page)
+ * @returns {string}
+ */
+function sessionUrl(sessionId, page = window.location.pathname) {
+  return `${page}?session=${encodeURIComponent(sessionId)}`;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // API ENDPOINTS
 // ═══════════════════════════════════════════════════════════════════════════════
 
+const SESSION_API = `/api/sessions/${encodeURIComponent(SESSION_ID)}`;
+
 /**
  * API endpoints configuration
  * @constant {Object}
  */
 const API = {
-  CONFIG: '/api/config',
-  DELAY: '/api/delay',
+  AUTH_REGISTER: '/api/auth/register',
+  AUTH_LOGIN: '/api/auth/login',
+  AUTH_LOGOUT: '/api/auth/logout',
+  AUTH_ME: '/api/auth/me',
+  AUTH_USERS: '/api/auth/users',
+  MY_EXPANSIONS: '/api/auth/me/expansions',
+  SESSIONS: '/api/sessions',
+  SESSION: SESSION_API,
+  CONFIG: `${SESSION_API}/config`,
+  DELAY: `${SESSION_API}/delay`,
   VIDEOS: '/api/videos',
   UPLOAD: '/api/upload',
-  CAPTIONS: '/api/captions',
-  LIVE_STATUS: '/api/live/status',
-  LIVE_START: '/api/live/start',
-  LIVE_STOP: '/api/live/stop',
-  FRAGMENT_CONFIG: '/api/fragment/config',
-  FRAGMENT_STATUS: '/api/fragment/status',
-  FRAGMENT_START: '/api/fragment/start',
-  FRAGMENT_STOP: '/api/fragment/stop',
-  FRAGMENT_RAW: '/api/fragment/raw-captions',
+  CAPTIONS: `${SESSION_API}/captions`,
+  CAPTIONS_EXPORT: `${SESSION_API}/captions/export`,
+  TRANSCRIPT: `${SESSION_API}/transcript`,
+  LIVE_STATUS: `${SESSION_API}/live/status`,
+  LIVE_START: `${SESSION_API}/live/start`,
+  LIVE_STOP: `${SESSION_API}/live/stop`,
+  LIVE_INGEST: `${SESSION_API}/live/ingest`,
+  FRAGMENT_CONFIG: `${SESSION_API}/fragment/config`,
+  FRAGMENT_STATUS: `${SESSION_API}/fragment/status`,
+  FRAGMENT_START: `${SESSION_API}/fragment/start`,
+  FRAGMENT_STOP: `${SESSION_API}/fragment/stop`,
+  FRAGMENT_RAW: `${SESSION_API}/fragment/raw-captions`,
+  METRICS_SUBTITLERS: `${SESSION_API}/metrics/subtitlers`,
+  MODERATION: `${SESSION_API}/moderation`,
+  MODERATION_CONFIG: `${SESSION_API}/moderation/config`,
+  SPELLCHECK: `${SESSION_API}/spellcheck`,
+  SPELLCHECK_CONFIG: `${SESSION_API}/spellcheck/config`,
+  SPELLCHECK_GLOSSARY: `${SESSION_API}/spellcheck/glossary`,
+  EXPANSIONS: `${SESSION_API}/expansions`,
+  FUSION: `${SESSION_API}/fusion`,
+  FUSION_CONFIG: `${SESSION_API}/fusion/config`,
+  RENDER: `${SESSION_API}/render`,
+  RENDER_DOWNLOAD: `${SESSION_API}/render/download`,
+  ARCHIVES: `${SESSION_API}/archives`,
 };
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -42,8 +92,10 @@ const API = {
  * @constant {Object}
  */
 const HLS = {
-  LIVE: '/hls/live.m3u8',
-  DELAYED: '/hls/delayed.m3u8',
+  LIVE: `/hls/${encodeURIComponent(SESSION_ID)}/live.m3u8`,
+  LIVE_LL: `/hls/${encodeURIComponent(SESSION_ID)}/live-ll.m3u8`,  // LL-HLS (partial segments)
+  DELAYED: `/hls/${encodeURIComponent(SESSION_ID)}/delayed.m3u8`,
+  MASTER: `/hls/${encodeURIComponent(SESSION_ID)}/master.m3u8`,  // Delayed video + WebVTT subtitle rendition
 };
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -60,6 +112,7 @@ const WS_TYPES = {
   LIVE: 'live',
   CONFIG: 'config',
   CAPTION: 'caption',
+  CAPTION_DRAFT: 'caption:draft',  // Both ways: text being typed in an open slot
   SYNC: 'sync',  // Time synchronization
   FRAGMENT_STARTED: 'fragment:started',
   FRAGMENT_STOPPED: 'fragment:stopped',
@@ -70,11 +123,14 @@ const WS_TYPES = {
   FRAGMENT_ENDING: 'fragment:ending',
   FRAGMENT_RAW_CAPTION: 'fragment:raw-caption',
   FRAGMENT_FUSED_CAPTION: 'fragment:fused-caption',
+  FRAGMENT_ALIGNMENT: 'fragment:alignment',  // Admins: overlap alignment trace of an ended slot
+  PLAYER_LATENCY: 'player:latency',  // Subtitlers: measured latency of their player
   
   // Client -> Server
   IDENTIFY: 'identify',
   FRAGMENT_JOIN: 'fragment:join',
   FRAGMENT_LEAVE: 'fragment:leave',
+  PLAYER_POSITION: 'player:position',  // Program date shown by the subtitler's player
 };
 
 /**
@@ -85,6 +141,15 @@ const CLIENT_TYPES = {
   ADMIN: 'admin',
   SUBTITLER: 'subtitler',
   SPECTATOR: 'spectator',
+  CORRECTOR: 'corrector',
+};
+
+/**
+ * WebSocket close codes sent by the server (application range 4000-4999)
+ * @constant {Object}
+ */
+const WS_CLOSE_CODES = {
+  SEAT_TAKEN: 4000,  // Subtitler seat resumed by another page: this one must not reconnect
 };
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -221,6 +286,33 @@ async function apiRequest(url, options = {}) {
   return data;
 }
 
+/**
+ * Ensures a user with one of the given roles is logged in, otherwise
+ * redirects to the login page (and back here after login)
+ * @param {string[]} roles - Allowed roles (admins are always allowed)
+ * @returns {Promise<Object|null>} The user, or null while redirecting
+ */
+async function requireUser(roles) {
+  try {
+    const { user } = await apiRequest(API.AUTH_ME);
+    if (user.role === 'admin' || roles.includes(user.role)) return user;
+  } catch (e) { /* not logged in */ }
+  
+  const next = window.location.pathname + window.location.search;
+  window.location.href = `/login.html?next=${encodeURIComponent(next)}`;
+  return null;
+}
+
+/**
+ * Logs out and goes back to the login page
+ */
+async function logout() {
+  try {
+    await apiRequest(API.AUTH_LOGOUT, { method: 'POST' });
+  } catch (e) { /* ignore */ }
+  window.location.href = '/login.html';
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // WEBSOCKET MANAGER CLASS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -232,7 +324,7 @@ class WebSocketManager {
   /**
    * @param {Function} onMessage - Message handler callback
    * @param {Function} [onOpen] - Connection opened callback
-   * @param {Function} [onClose] - Connection closed callback
+   * @param {Function} [onClose] - Connection closed callback (receives the close event)
    */
   constructor(onMessage, onOpen = null, onClose = null) {
     this.onMessage = onMessage;
@@ -266,9 +358,11 @@ class WebSocketManager {
       }
     };
     
-    this.ws.onclose = () => {
-      console.log('[WS] Disconnected');
-      if (this.onClose) this.onClose();
+    this.ws.onclose = (event) => {
+      console.log('[WS] Disconnected', event.code);
+      if (this.onClose) this.onClose(event);
+      // Reconnecting would take the seat back from the page that now has it
+      if (event.code === WS_CLOSE_CODES.SEAT_TAKEN) return;
       this.scheduleReconnect();
     };
     
@@ -305,14 +399,17 @@ class WebSocketManager {
   }
   
   /**
-   * Sends identification message
+   * Sends identification message (binds the connection to the current session)
    * @param {string} clientType - Client type
    * @param {string} [name] - Optional name
+   * @param {Object} [extra] - Extra fields (e.g. `reconnectToken`)
    */
-  identify(clientType, name = null) {
+  identify(clientType, name = null, extra = {}) {
     const message = {
       type: WS_TYPES.IDENTIFY,
       clientType,
+      sessionId: SESSION_ID,
+      ...extra,
     };
     
     if (name) {
@@ -354,8 +451,12 @@ class HlsPlayerManager {
     this.hls = null;
     // Configuration simple pour live streaming
     this.options = {
-      liveSyncDurationCount: 3,        // Reste 3 segments derrière le live edge
-      liveMaxLatencyDurationCount: 6,  // Max 6 segments de retard avant rattrapage
+      // LL-HLS: hls.js follows the PART-HOLD-BACK of the playlist, which segment counts would override
+      ...(options.lowLatencyMode ? {} : {
+        liveSyncDurationCount: 3,        // Reste 3 segments derrière le live edge
+        liveMaxLatencyDurationCount: 6,  // Max 6 segments de retard avant rattrapage
+      }),
+      lowLatencyMode: false,
       maxBufferLength: 30,             // Buffer max 30s
       maxMaxBufferLength: 60,
       manifestLoadingMaxRetry: 10,
@@ -365,6 +466,8 @@ class HlsPlayerManager {
     };
     this.onReady = null;
     this.onError = null;
+    this.subtitlesEnabled = null;  // null = leave the player default
+    this.subtitlesNative = true;
   }
   
   /**
@@ -388,6 +491,9 @@ class HlsPlayerManager {
       this.video.src = cacheBustedUrl;
       this.video.addEventListener('loadedmetadata', () => this.startPlayback(), { once: true });
       this.video.addEventListener('error', (e) => this.handleError(e));
+      this.video.textTracks?.addEventListener('addtrack', () => {
+        if (this.subtitlesEnabled !== null) this.setSubtitlesEnabled(this.subtitlesEnabled, this.subtitlesNative);
+      });
       return;
     }
     
@@ -410,9 +516,13 @@ class HlsPlayerManager {
       }
     });
     
+    this.hls.on(window.Hls.Events.SUBTITLE_TRACKS_UPDATED, () => {
+      if (this.subtitlesEnabled !== null) this.setSubtitlesEnabled(this.subtitlesEnabled, this.subtitlesNative);
+    });
+    
     this.hls.on(window.Hls.Events.FRAG_LOADED, () => {
-      // Ensure playback has started
-      if (this.video.paused) {
+      // Ensure playback has started (live only: a VOD stays paused when the viewer paused it)
+      if (this.video.paused && this.hls.latestLevelDetails?.live !== false) {
         this.startPlayback();
       }
     });
@@ -447,6 +557,45 @@ class HlsPlayerManager {
     }
   }
   
+  /**
+   * Shows or hides the HLS subtitle rendition (WebVTT track)
+   * @param {boolean} enabled - Whether subtitles should be displayed
+   * @param {boolean} [native=true] - Let the browser draw them; otherwise the track stays
+   *   loaded but hidden, and the page renders its `activeCues` itself
+   */
+  setSubtitlesEnabled(enabled, native = true) {
+    this.subtitlesEnabled = enabled;
+    this.subtitlesNative = native;
+    
+    if (this.hls) {
+      this.hls.subtitleDisplay = enabled && native;
+      if (enabled && this.hls.subtitleTrack === -1 && this.hls.subtitleTracks.length) {
+        this.hls.subtitleTrack = 0;
+      }
+      return;
+    }
+    
+    // Native HLS (Safari): toggle the text tracks directly
+    for (const track of Array.from(this.video.textTracks || [])) {
+      if (track.kind === 'subtitles' || track.kind === 'captions') {
+        track.mode = enabled && native ? 'showing' : 'hidden';
+      }
+    }
+  }
+  
+  /**
+   * Program date of the frame on screen (ms since epoch), from the playlist's
+   * EXT-X-PROGRAM-DATE-TIME; null until the player knows it
+   * @returns {number|null}
+   */
+  getPlayingDate() {
+    if (this.hls) return this.hls.playingDate ? this.hls.playingDate.getTime() : null;
+    
+    // Native HLS (Safari): start date of the stream + position
+    const start = this.video.getStartDate?.().getTime();
+    return Number.isFinite(start) ? start + this.video.currentTime * 1000 : null;
+  }
+  
   /**
    * Handles fatal HLS errors with recovery attempts
    * @param {Object} data - Error data
@@ -494,10 +643,14 @@ class HlsPlayerManager {
 // These would be exports if using ES modules
 // For now, they're available as globals via script tag
 window.STC = {
+  SESSION_ID,
+  DEFAULT_SESSION_ID,
+  sessionUrl,
   API,
   HLS,
   WS_TYPES,
   CLIENT_TYPES,
+  WS_CLOSE_CODES,
   TIMING,
   DEFAULTS,
   formatDuration,
@@ -506,6 +659,8 @@ window.STC = {
   getWebSocketUrl,
   showMessage,
   apiRequest,
+  requireUser,
+  logout,
   WebSocketManager,
   HlsPlayerManager,
 };
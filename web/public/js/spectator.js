@@ -3,9 +3,18 @@
  *
  * Runs inside `spectator.html`.
  * - Connects to the WebSocket and identifies as `spectator`
- * - Plays the DELAYED HLS stream (`/hls/delayed.m3u8`) using hls.js
+ * - Plays the DELAYED HLS stream (`/hls/master.m3u8`: video + WebVTT subtitles) using hls.js
  * - Waits until enough segments exist for the configured delay
- * - Displays subtitles received over WebSocket (word-by-word preferred)
+ * - Displays subtitles either from the HLS track (default, in sync with the video) or from
+ *   the WebSocket word-by-word channel (optional), both in the page's own caption overlay
+ * - Display modes: paint-on (words as they are typed), roll-up (lines scroll up), pop-on
+ *   (whole cues, as segmented by the server at sentence and clause boundaries)
+ * - Caption appearance: session defaults from the server (`captionStyle`), overridden by the
+ *   viewer's own settings kept in localStorage
+ * - Holds each WebSocket word until the video reaches its program date (`hls.playingDate`),
+ *   so the overlay follows this player's own position rather than the nominal delay
+ * - Shows the full transcript next to the video (`GET …/transcript`): search, line being played,
+ *   click a line to seek back within the DVR window of the delayed playlist
  */
 
 const state = {
@@ -13,14 +22,61 @@ const state = {
   hls: null,
   isLive: false,
   delaySec: 20,
+  dvrWindowSec: 120, // How far back the delayed playlist lets the player seek (from live/status)
   
-  // Currently displayed captions (word-by-word format)
-  // Map<captionId, { words: string[], totalWords: number, displayedAt: number, complete: boolean }>
+  // Currently displayed captions (word-by-word format, one per cue of the server)
+  // Map<captionId, { words: string[], totalWords: number, lines: string[]|null, holdMs: number, displayedAt: number, complete: boolean }>
   activeCaptions: new Map(),
   maxDisplayed: 3,
-  captionDuration: 10000, // 10 secondes après le dernier mot
+  captionDuration: 10000, // 10 secondes après le dernier mot (sans durée de cue)
+  
+  // Words received ahead of time, shown when due: { caption, programDateTime, fallbackAt }
+  pendingWords: [],
+  
+  // Display mode of the overlay (captionStyle.displayMode): 'paint-on' | 'roll-up' | 'pop-on'
+  displayMode: 'paint-on',
+  rollUp: {
+    seenCues: new WeakSet(), // HLS cues already appended
+    clearTimer: null,
+  },
+  popOn: {
+    words: [],               // Words received without their cue, not shown yet
+    lines: [],               // Cue on screen
+    cueId: null,             // Id of the cue on screen (caption:word)
+    stallTimer: null,
+    clearTimer: null,
+  },
+  
+  // Caption source: 'hls' (WebVTT track in the playlist) or 'socket' (caption:word)
+  captionSource: localStorage.getItem('stc.captionSource') || 'hls',
+  
+  // Caption appearance: session defaults (init/config messages) + settings of this viewer
+  captionStyle: {
+    defaults: null,
+    overrides: loadStyleOverrides(),
+    open: false,
+  },
+  
+  // Full transcript (fused captions, media times in ms)
+  transcript: {
+    open: false,
+    live: false,
+    epochMs: null,    // Program date of media time 0 (null once the live is over)
+    cues: [],         // { start, end, text }
+    query: '',
+    matchIndex: -1,   // Match reached with Enter
+    currentIndex: -1, // Line being played
+    userScrollAt: 0,  // Auto-scroll pauses while the viewer scrolls
+    loading: false,
+  },
 };
 
+const TRANSCRIPT_POLL_INTERVAL = 3000;
+const TRANSCRIPT_SCROLL_PAUSE = 8000;
+
+// Pop-on: a cue is shown with its last word, or after a pause in its words
+const POP_ON_STALL_MS = 2000;
+
 const el = {};
 
 // Initialize
@@ -32,6 +88,18 @@ document.addEventListener('DOMContentLoaded', () => {
   el.statusText = document.getElementById('statusText');
   el.muteBtn = document.getElementById('muteBtn');
   el.fullscreenBtn = document.getElementById('fullscreenBtn');
+  el.captionSourceBtn = document.getElementById('captionSourceBtn');
+  el.styleBtn = document.getElementById('styleBtn');
+  el.stylePanel = document.getElementById('stylePanel');
+  el.styleCloseBtn = document.getElementById('styleCloseBtn');
+  el.styleResetBtn = document.getElementById('styleResetBtn');
+  el.transcriptBtn = document.getElementById('transcriptBtn');
+  el.transcriptPanel = document.getElementById('transcriptPanel');
+  el.transcriptSearch = document.getElementById('transcriptSearch');
+  el.transcriptCount = document.getElementById('transcriptCount');
+  el.transcriptCloseBtn = document.getElementById('transcriptCloseBtn');
+  el.transcriptList = document.getElementById('transcriptList');
+  el.backToLiveBtn = document.getElementById('backToLiveBtn');
   
   initApp();
 });
@@ -39,6 +107,9 @@ document.addEventListener('DOMContentLoaded', () => {
 function initApp() {
   initWebSocket();
   setupControls();
+  setupCaptionStyle();
+  setupTranscript();
+  setInterval(releaseDueWords, 100);
 }
 
 function setupControls() {
@@ -47,6 +118,19 @@ function setupControls() {
     el.muteBtn.textContent = el.video.muted ? 'Muet' : 'Son';
   });
   
+  updateCaptionSourceButton();
+  el.captionSourceBtn.addEventListener('click', () => {
+    setCaptionSource(state.captionSource === 'hls' ? 'socket' : 'hls');
+  });
+  
+  // HLS cues are drawn by the overlay too (the track itself stays hidden)
+  el.video.textTracks?.addEventListener('addtrack', (e) => {
+    e.track.addEventListener('cuechange', onTrackCueChange);
+  });
+  el.video.addEventListener('seeking', () => {
+    if (state.displayMode === 'roll-up') resetCaptionDisplay();
+  });
+  
   el.fullscreenBtn.addEventListener('click', () => {
     const container = el.video.parentElement;
     if (document.fullscreenElement) {
@@ -79,6 +163,7 @@ function handleMessage(msg) {
     case 'init':
       state.isLive = msg.running;
       state.delaySec = msg.delaySec || 20;
+      if (msg.captionStyle) setCaptionStyleDefaults(msg.captionStyle);
       if (state.isLive) {
         el.waitingText.textContent = 'Chargement...';
         el.statusText.textContent = 'En direct';
@@ -98,26 +183,34 @@ function handleMessage(msg) {
         el.statusText.textContent = 'En direct';
         el.statusText.classList.add('live');
         setTimeout(checkAndStartVideo, 2000);
+        state.pendingWords = [];
+        resetCaptionDisplay();
+        resetTranscript();
       } else if (msg.status === 'stopped') {
         state.isLive = false;
         el.waitingText.textContent = 'Live terminé';
         el.waitingScreen.classList.remove('hidden');
         el.statusText.textContent = 'Terminé';
         el.statusText.classList.remove('live');
-        state.displayedCaptions = [];
-        renderCaptions();
+        state.pendingWords = [];
+        resetCaptionDisplay();
         if (state.hls) { state.hls.destroy(); state.hls = null; }
+        resetTranscript();
       }
       break;
       
+    case 'config':
+      if (msg.captionStyle) setCaptionStyleDefaults(msg.captionStyle);
+      break;
+      
     case 'caption':
       // Ancien format (texte complet) - pour compatibilité
       displayFullCaption(msg.caption.text);
       break;
       
     case 'caption:word':
-      // Nouveau format (mot par mot)
-      displayWord(msg.caption);
+      // Nouveau format (mot par mot), affiché quand la vidéo y arrive
+      queueWord(msg.caption);
       break;
   }
 }
@@ -130,17 +223,14 @@ async function checkAndStartVideo() {
   try {
     const data = await STC.apiRequest(STC.API.LIVE_STATUS);
     state.delaySec = data.delaySec || 20;
+    state.dvrWindowSec = data.dvrWindowSec ?? state.dvrWindowSec;
     
-    // For the delayed stream, ensure enough segments for getDelayedPlaylist
-    // The configured delay INCLUDES HLS buffering (~6s)
-    // So minSegments = delaySec/2 + 1 extra segment
-    const minSegments = Math.ceil(state.delaySec / 2) + 1;
-    
-    if (data.manifest && data.segmentCount >= minSegments) {
+    // The delayed playlist exists once the stream is longer than the delay
+    // (the server then reports the delay it applies)
+    if (data.manifest && data.effectiveDelaySec !== null) {
       createPlayer();
     } else if (data.running) {
-      const currentSegments = data.segmentCount || 0;
-      const remaining = Math.max(0, (minSegments - currentSegments) * 2);
+      const remaining = Math.max(0, Math.ceil(state.delaySec - (data.segmentCount || 0) * 2));
       el.waitingText.textContent = `Buffering... (~${remaining}s)`;
       setTimeout(checkAndStartVideo, 1000);
     }
@@ -154,12 +244,14 @@ function createPlayer() {
   
   state.hls = new STC.HlsPlayerManager(el.video, {
     liveSyncDurationCount: 3,
-    liveMaxLatencyDurationCount: 6,
+    // Let viewers stay anywhere in the DVR window (2 s segments) before hls.js jumps back to the edge
+    liveMaxLatencyDurationCount: Math.ceil(state.dvrWindowSec / 2) + 6,
     maxBufferLength: 30,
     maxMaxBufferLength: 60,
   });
   
-  state.hls.load(STC.HLS.DELAYED, () => {
+  state.hls.setSubtitlesEnabled(state.captionSource === 'hls', false);
+  state.hls.load(STC.HLS.MASTER, () => {
     el.waitingScreen.classList.add('hidden');
   }, () => {
     el.waitingText.textContent = 'Chargement du flux...';
@@ -171,12 +263,38 @@ function createPlayer() {
 // CAPTION DISPLAY
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Switch between the HLS subtitle track and the WebSocket word-by-word channel
+ */
+function setCaptionSource(source) {
+  state.captionSource = source;
+  localStorage.setItem('stc.captionSource', source);
+  state.hls?.setSubtitlesEnabled(source === 'hls', false);
+  updateCaptionSourceButton();
+  resetCaptionDisplay();
+}
+
+function updateCaptionSourceButton() {
+  el.captionSourceBtn.textContent = state.captionSource === 'hls' ? 'ST : vidéo' : 'ST : direct';
+}
+
 /**
  * Display a full caption (legacy format, for compatibility)
  */
 function displayFullCaption(text) {
   console.log(`[Caption] Full text: "${text.slice(0, 50)}..."`);
   
+  if (state.displayMode !== 'paint-on') {
+    if (state.captionSource !== 'socket') return;
+    if (state.displayMode === 'roll-up') {
+      rollUpAppend(text);
+    } else {
+      state.popOn.words.push(...text.split(/\s+/));
+      flushPopOn(null, state.captionDuration);
+    }
+    return;
+  }
+  
   const id = 'legacy_' + Date.now();
   state.activeCaptions.set(id, {
     words: text.split(/\s+/),
@@ -189,6 +307,50 @@ function displayFullCaption(text) {
   renderCaptions();
 }
 
+/**
+ * Keep a word until it is due
+ *
+ * Words arrive ahead of time. A word is due when the video reaches its program date
+ * (same clock as the playlist's EXT-X-PROGRAM-DATE-TIME); without one (no player yet,
+ * no date in the caption), after the delay planned by the server.
+ */
+function queueWord(caption) {
+  state.pendingWords.push({
+    caption,
+    programDateTime: caption.programDateTime ?? null,
+    fallbackAt: Date.now() + (caption.displayInMs || 0),
+  });
+  releaseDueWords();
+}
+
+function releaseDueWords() {
+  if (!state.pendingWords.length) return;
+  
+  const playingDate = state.hls?.getPlayingDate() ?? null;
+  const now = Date.now();
+  const isDue = (w) => (playingDate !== null && w.programDateTime !== null
+    ? playingDate >= w.programDateTime
+    : now >= w.fallbackAt);
+  
+  const due = state.pendingWords.filter(isDue);
+  if (!due.length) return;
+  state.pendingWords = state.pendingWords.filter(w => !due.includes(w));
+  due.forEach(w => showWord(w.caption));
+}
+
+/**
+ * Display a due word in the current mode (roll-up and pop-on only keep what the
+ * overlay shows; paint-on keeps the captions for a switch of source)
+ */
+function showWord(caption) {
+  if (state.displayMode === 'paint-on') {
+    displayWord(caption);
+  } else if (state.captionSource === 'socket') {
+    if (state.displayMode === 'roll-up') rollUpAppend(caption.word);
+    else popOnWord(caption);
+  }
+}
+
 /**
  * Display a single word of a caption (new word-by-word format)
  *
@@ -196,7 +358,7 @@ function displayFullCaption(text) {
  * The display builds progressively.
  */
 function displayWord(caption) {
-  const { id, word, wordIndex, totalWords, isLast, slotDurationMs } = caption;
+  const { id, word, wordIndex, totalWords, isLast, slotDurationMs, lines, holdMs } = caption;
   
   // Retrieve or create the entry for this caption
   let entry = state.activeCaptions.get(id);
@@ -209,6 +371,8 @@ function displayWord(caption) {
       displayedAt: Date.now(),
       complete: false,
       slotDurationMs,
+      lines: lines || null,
+      holdMs: holdMs ?? state.captionDuration,
     };
     state.activeCaptions.set(id, entry);
     console.log(`[Caption] New caption started (${totalWords} words)`);
@@ -223,11 +387,11 @@ function displayWord(caption) {
     entry.completedAt = Date.now();
     console.log(`[Caption] Caption complete: "${entry.words.join(' ')}"`);
     
-    // Schedule removal after captionDuration
+    // Schedule removal once the cue has been on screen long enough
     setTimeout(() => {
       state.activeCaptions.delete(id);
       renderCaptions();
-    }, state.captionDuration);
+    }, entry.holdMs);
   }
   
   // Cleanup old captions if too many
@@ -245,7 +409,7 @@ function cleanupOldCaptions() {
   
   // Remove expired captions
   for (const [id, entry] of state.activeCaptions) {
-    if (entry.complete && entry.completedAt && (now - entry.completedAt > state.captionDuration)) {
+    if (entry.complete && entry.completedAt && (now - entry.completedAt > entry.holdMs)) {
       state.activeCaptions.delete(id);
     }
   }
@@ -258,29 +422,57 @@ function cleanupOldCaptions() {
 }
 
 /**
- * Render captions on screen
+ * Text lines of the HLS subtitle cues being played (hidden track, see createPlayer())
+ */
+function getTrackCaptionLines() {
+  const track = Array.from(el.video.textTracks || [])
+    .find(t => (t.kind === 'subtitles' || t.kind === 'captions') && t.mode !== 'disabled');
+  if (!track?.activeCues) return [];
+  return Array.from(track.activeCues)
+    .flatMap(cue => cue.text.replace(/<[^>]+>/g, '').split('\n'))
+    .filter(line => line.trim());
+}
+
+/**
+ * Text of each word-by-word caption: the words received so far, on the lines
+ * of the server's cue layout (missing words are omitted to keep fluid display)
+ */
+function getSocketCaptionLines() {
+  const lines = [];
+  for (const entry of state.activeCaptions.values()) {
+    const layout = entry.lines || [entry.words.join(' ')];
+    let index = 0;
+    for (const line of layout) {
+      const count = line.split(/\s+/).filter(Boolean).length;
+      const displayWords = entry.words.slice(index, index + count).filter(w => w !== '');
+      if (displayWords.length > 0) lines.push(displayWords.join(' '));
+      index += count;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Render captions on screen, from the selected source
  *
- * Display the words received so far for each active caption.
- * Missing words are omitted to keep fluid display.
+ * Roll-up text is appended in place (see rollUpAppend()); otherwise the block is
+ * rebuilt: HLS cues as they are, the sentence on screen (pop-on) or the words
+ * received so far (paint-on). While the appearance panel is open, a sample
+ * stands in for missing captions.
  */
 function renderCaptions() {
-  if (state.activeCaptions.size === 0) {
-    el.captionDisplay.classList.remove('visible');
-    el.captionDisplay.innerHTML = '';
+  if (state.displayMode === 'roll-up' && el.captionDisplay.querySelector('.rollup-text')?.childElementCount) {
+    el.captionDisplay.classList.add('visible');
     return;
   }
   
-  const lines = [];
-  
-  for (const [id, entry] of state.activeCaptions) {
-    // Construire le texte avec les mots reçus
-    const displayWords = entry.words.filter(w => w !== '');
-    
-    if (displayWords.length > 0) {
-      const text = displayWords.join(' ');
-      lines.push(`<div class="caption-line">${STC.escapeHtml(text)}</div>`);
-    }
+  let lines = [];
+  if (state.displayMode !== 'roll-up') {
+    if (state.captionSource === 'hls') lines = getTrackCaptionLines();
+    else if (state.displayMode === 'pop-on') lines = state.popOn.lines;
+    else lines = getSocketCaptionLines();
   }
+  if (!lines.length && state.captionStyle.open) lines = STYLE_SAMPLE_LINES;
   
   if (lines.length === 0) {
     el.captionDisplay.classList.remove('visible');
@@ -288,6 +480,482 @@ function renderCaptions() {
     return;
   }
   
-  el.captionDisplay.innerHTML = lines.join('');
+  const html = lines.map(line => `<div class="caption-line">${STC.escapeHtml(line)}</div>`).join('');
+  el.captionDisplay.innerHTML = `<div class="caption-lines">${html}</div>`;
+  el.captionDisplay.classList.add('visible');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DISPLAY MODES (roll-up, pop-on)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Start the overlay over (new mode or source, seek in roll-up, live start/stop): empties every mode's buffer */
+function resetCaptionDisplay() {
+  state.activeCaptions.clear();
+  clearTimeout(state.rollUp.clearTimer);
+  clearTimeout(state.popOn.stallTimer);
+  clearTimeout(state.popOn.clearTimer);
+  state.rollUp.seenCues = new WeakSet();
+  state.popOn = { words: [], lines: [], cueId: null, stallTimer: null, clearTimer: null };
+  el.captionDisplay.dataset.mode = state.displayMode;
+  el.captionDisplay.innerHTML = '';
+  renderCaptions();
+}
+
+/**
+ * HLS cues: shown as blocks, or appended to the roll-up text when they start
+ * (each cue once; a seek starts the roll-up over)
+ */
+function onTrackCueChange() {
+  if (state.captionSource !== 'hls') return;
+  if (state.displayMode !== 'roll-up') {
+    renderCaptions();
+    return;
+  }
+  
+  const track = Array.from(el.video.textTracks || [])
+    .find(t => (t.kind === 'subtitles' || t.kind === 'captions') && t.mode !== 'disabled');
+  for (const cue of Array.from(track?.activeCues || [])) {
+    if (state.rollUp.seenCues.has(cue)) continue;
+    state.rollUp.seenCues.add(cue);
+    rollUpAppend(cue.text.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim());
+  }
+}
+
+/**
+ * Roll-up: append words at the end of the text, without rebuilding it
+ *
+ * One span per word. When the text wraps to a new line, it is shifted back down
+ * by that height, then slides up (CSS transition). Lines above the visible ones
+ * are removed whole, so the lines below keep their wrapping.
+ */
+function rollUpAppend(text) {
+  if (!text) return;
+  let textEl = el.captionDisplay.querySelector('.rollup-text');
+  if (!textEl) {
+    el.captionDisplay.innerHTML = '<div class="caption-lines"><div class="rollup-text"></div></div>';
+    textEl = el.captionDisplay.querySelector('.rollup-text');
+  }
+  
+  const before = textEl.offsetHeight;
+  for (const word of text.split(/\s+/)) {
+    if (textEl.childElementCount) textEl.append(' ');
+    const span = document.createElement('span');
+    span.textContent = word;
+    textEl.append(span);
+  }
   el.captionDisplay.classList.add('visible');
+  
+  const grown = textEl.offsetHeight - before;
+  if (before > 0 && grown > 0) {
+    textEl.style.transition = 'none';
+    textEl.style.transform = `translateY(${grown}px)`;
+    void textEl.offsetHeight; // Apply the shift before the transition
+    textEl.style.transition = '';
+    textEl.style.transform = '';
+  }
+  pruneRollUp(textEl);
+  
+  clearTimeout(state.rollUp.clearTimer);
+  state.rollUp.clearTimer = setTimeout(() => {
+    el.captionDisplay.innerHTML = '';
+    renderCaptions();
+  }, state.captionDuration);
+}
+
+/** Remove the first line while more lines than the visible ones (+1, still sliding out) exist */
+function pruneRollUp(textEl) {
+  const maxLines = getCaptionStyle().maxLines || 3;
+  const spans = Array.from(textEl.children);
+  const tops = [...new Set(spans.map(span => span.offsetTop))];
+  if (tops.length <= maxLines + 1) return;
+  
+  const keepFrom = tops[tops.length - maxLines - 1];
+  for (const span of spans) {
+    if (span.offsetTop >= keepFrom) break;
+    if (span.nextSibling?.nodeType === Node.TEXT_NODE) span.nextSibling.remove();
+    span.remove();
+  }
+}
+
+/**
+ * Pop-on: show each cue (cut by the server at sentence and clause boundaries) at
+ * once, on its lines, from its first word to its end, like the exported cues.
+ * Words without their cue (full-text messages) are gathered then shown together.
+ */
+function popOnWord(caption) {
+  const popOn = state.popOn;
+  if (caption.lines && Number.isFinite(caption.durationMs)) {
+    // The next words of a cue already on screen add nothing (a page opened mid-cue shows it from there)
+    if (caption.id === popOn.cueId) return;
+    clearTimeout(popOn.stallTimer);
+    popOn.words = [];
+    popOn.cueId = caption.id;
+    showPopOn(caption.lines, caption.durationMs);
+    return;
+  }
+  
+  popOn.words.push(caption.word);
+  
+  clearTimeout(popOn.stallTimer);
+  const holdMs = caption.holdMs ?? state.captionDuration;
+  if (caption.isLast) {
+    flushPopOn(caption.lines, holdMs);
+  } else {
+    popOn.stallTimer = setTimeout(() => flushPopOn(null, holdMs), POP_ON_STALL_MS);
+  }
+}
+
+/** Show the gathered words (on `lines` when the whole cue arrived) */
+function flushPopOn(lines, holdMs) {
+  const popOn = state.popOn;
+  if (!popOn.words.length) return;
+  const gathered = popOn.words.join(' ');
+  popOn.words = [];
+  popOn.cueId = null;
+  showPopOn(lines || [gathered], holdMs);
+}
+
+/** Replace the pop-on block with `lines`, cleared after `durationMs` */
+function showPopOn(lines, durationMs) {
+  const popOn = state.popOn;
+  popOn.lines = lines;
+  renderCaptions();
+  
+  clearTimeout(popOn.clearTimer);
+  popOn.clearTimer = setTimeout(() => {
+    popOn.lines = [];
+    renderCaptions();
+  }, durationMs);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CAPTION APPEARANCE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const STYLE_FONTS = {
+  sans: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+  serif: "Georgia, 'Times New Roman', serif",
+  mono: "Menlo, Consolas, 'DejaVu Sans Mono', monospace",
+  casual: "'Comic Sans MS', 'Comic Neue', cursive",
+};
+
+const STYLE_EDGES = {
+  none: 'none',
+  outline: '-1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000',
+  shadow: '2px 2px 4px rgba(0, 0, 0, 0.9)',
+  raised: '1px 1px 0 #222, 2px 2px 0 #222, 3px 3px 0 #222',
+  depressed: '1px 1px 0 #ccc, 0 1px 0 #ccc, -1px -1px 0 #222, 0 -1px 0 #222',
+};
+
+const STYLE_SAMPLE_LINES = ['Aperçu des sous-titres', 'avec les réglages choisis'];
+
+/**
+ * Appearance panel: each input carries the name of its setting (`data-style`)
+ *
+ * A change is kept as an override of this viewer; the session defaults set by the
+ * admin apply to everything else, and again after "Réglages de la session".
+ */
+function setupCaptionStyle() {
+  el.styleBtn.addEventListener('click', () => setStylePanelOpen(!state.captionStyle.open));
+  el.styleCloseBtn.addEventListener('click', () => setStylePanelOpen(false));
+  
+  el.stylePanel.querySelectorAll('[data-style]').forEach(input => {
+    input.addEventListener('input', () => {
+      const value = input.type === 'range' ? Number(input.value) : input.value;
+      state.captionStyle.overrides[input.dataset.style] = value;
+      saveStyleOverrides();
+      applyCaptionStyle();
+    });
+  });
+  
+  el.styleResetBtn.addEventListener('click', () => {
+    state.captionStyle.overrides = {};
+    saveStyleOverrides();
+    applyCaptionStyle();
+  });
+}
+
+function setStylePanelOpen(open) {
+  state.captionStyle.open = open;
+  document.body.classList.toggle('style-open', open);
+  renderCaptions();
+}
+
+function loadStyleOverrides() {
+  try {
+    return JSON.parse(localStorage.getItem('stc.captionStyle')) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveStyleOverrides() {
+  localStorage.setItem('stc.captionStyle', JSON.stringify(state.captionStyle.overrides));
+}
+
+/** New session defaults (init, or changed by the admin during the live) */
+function setCaptionStyleDefaults(defaults) {
+  state.captionStyle.defaults = defaults;
+  applyCaptionStyle();
+}
+
+/**
+ * Effective appearance: session defaults + this viewer's overrides
+ * (values the panel cannot produce, e.g. from an older version, are ignored)
+ */
+function getCaptionStyle() {
+  const style = { ...state.captionStyle.defaults };
+  for (const [key, value] of Object.entries(state.captionStyle.overrides)) {
+    if (key in style && typeof value === typeof style[key]) style[key] = value;
+  }
+  return style;
+}
+
+/** "#rrggbb" + opacity -> rgba() */
+function toRgba(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+/**
+ * Apply the effective appearance to the overlay (CSS variables of `.caption-display`)
+ * and show it in the panel
+ */
+function applyCaptionStyle() {
+  if (!state.captionStyle.defaults) return;
+  const style = getCaptionStyle();
+  const vars = el.captionDisplay.style;
+  
+  vars.setProperty('--caption-scale', style.fontSize / 100);
+  vars.setProperty('--caption-font', STYLE_FONTS[style.fontFamily] || STYLE_FONTS.sans);
+  vars.setProperty('--caption-color', toRgba(style.textColor, style.textOpacity));
+  vars.setProperty('--caption-background', toRgba(style.backgroundColor, style.backgroundOpacity));
+  vars.setProperty('--caption-edge', STYLE_EDGES[style.edgeStyle] || 'none');
+  vars.setProperty('--caption-position', `${style.position}%`);
+  vars.setProperty('--caption-lines', style.maxLines);
+  state.maxDisplayed = style.maxLines;
+  
+  if (style.displayMode !== state.displayMode) {
+    state.displayMode = style.displayMode;
+    resetCaptionDisplay();
+  }
+  
+  el.stylePanel.querySelectorAll('[data-style]').forEach(input => {
+    input.value = style[input.dataset.style];
+  });
+  el.stylePanel.querySelector('[data-value="fontSize"]').textContent = `${style.fontSize}%`;
+  el.stylePanel.querySelector('[data-value="position"]').textContent = `${style.position}%`;
+  el.stylePanel.querySelector('[data-value="maxLines"]').textContent = style.maxLines;
+  
+  cleanupOldCaptions();
+  renderCaptions();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRANSCRIPT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Full transcript next to the video
+ *
+ * Built from the fused captions (`GET …/transcript`), polled while the panel is open.
+ * The server holds back what the delayed playlist does not reach yet, and lines the
+ * video has not played yet are hidden. Cue times are stream media times: with the
+ * program date of the frame on screen, they map to this player's own timeline.
+ */
+function setupTranscript() {
+  el.transcriptBtn.addEventListener('click', () => setTranscriptOpen(!state.transcript.open));
+  el.transcriptCloseBtn.addEventListener('click', () => setTranscriptOpen(false));
+  el.backToLiveBtn.addEventListener('click', backToLive);
+  
+  el.transcriptSearch.addEventListener('input', () => {
+    state.transcript.query = el.transcriptSearch.value.trim();
+    state.transcript.matchIndex = -1;
+    renderTranscript();
+  });
+  el.transcriptSearch.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    jumpToMatch(e.shiftKey ? -1 : 1);
+  });
+  
+  el.transcriptList.addEventListener('click', (e) => {
+    const line = e.target.closest('.transcript-line');
+    if (line) seekToCue(state.transcript.cues[Number(line.dataset.index)]);
+  });
+  for (const type of ['wheel', 'touchmove', 'keydown']) {
+    el.transcriptList.addEventListener(type, () => { state.transcript.userScrollAt = Date.now(); }, { passive: true });
+  }
+  
+  el.video.addEventListener('timeupdate', updateTranscriptPosition);
+  setInterval(() => { if (state.transcript.open) loadTranscript(); }, TRANSCRIPT_POLL_INTERVAL);
+  
+  if (localStorage.getItem('stc.transcriptOpen') === 'on') setTranscriptOpen(true);
+}
+
+function setTranscriptOpen(open) {
+  state.transcript.open = open;
+  localStorage.setItem('stc.transcriptOpen', open ? 'on' : 'off');
+  document.body.classList.toggle('transcript-open', open);
+  if (open) loadTranscript();
+}
+
+/** Forget the transcript (a live starts or stops), then reload it */
+function resetTranscript() {
+  Object.assign(state.transcript, { cues: [], epochMs: null, currentIndex: -1, matchIndex: -1 });
+  renderTranscript();
+  if (state.transcript.open) loadTranscript();
+}
+
+async function loadTranscript() {
+  const t = state.transcript;
+  if (t.loading) return;
+  t.loading = true;
+  
+  try {
+    // The last cue may still grow (it ends where the next one starts): fetch again from it
+    const since = t.cues.length ? t.cues[t.cues.length - 1].start : 0;
+    const data = await STC.apiRequest(`${STC.API.TRANSCRIPT}?since=${since}`);
+    const kept = data.epochMs === t.epochMs && data.live === t.live ? t.cues.filter(c => c.start < since) : [];
+    const cues = kept.concat(data.cues);
+    const changed = data.epochMs !== t.epochMs || JSON.stringify(cues) !== JSON.stringify(t.cues);
+    t.live = data.live;
+    t.epochMs = data.epochMs;
+    t.cues = cues;
+    if (changed) renderTranscript();
+  } catch (e) {
+    console.warn('[Transcript] Load failed:', e.message);
+  } finally {
+    t.loading = false;
+  }
+}
+
+/** Lowercase without accents, one character per character (match indices stay valid in the text) */
+function foldText(text) {
+  return text.split('').map(c => c.normalize('NFD')[0].toLowerCase()[0]).join('');
+}
+
+/** Escaped text with the occurrences of the query marked */
+function highlightText(text, query) {
+  if (!query) return STC.escapeHtml(text);
+  
+  const folded = foldText(text);
+  const needle = foldText(query);
+  let html = '';
+  let cursor = 0;
+  let index = folded.indexOf(needle);
+  while (index !== -1) {
+    html += STC.escapeHtml(text.slice(cursor, index)) + `<mark>${STC.escapeHtml(text.slice(index, index + needle.length))}</mark>`;
+    cursor = index + needle.length;
+    index = folded.indexOf(needle, cursor);
+  }
+  return html + STC.escapeHtml(text.slice(cursor));
+}
+
+/** Time label of a cue: time of day during a live, position in the run afterwards */
+function formatCueLabel(cue) {
+  const { epochMs } = state.transcript;
+  if (epochMs === null) return STC.formatTimestamp(cue.start);
+  return new Date(epochMs + cue.start).toLocaleTimeString('fr-FR');
+}
+
+function renderTranscript() {
+  const { cues, query } = state.transcript;
+  
+  if (!cues.length) {
+    el.transcriptList.innerHTML = '<div class="transcript-empty">Pas encore de sous-titres</div>';
+    el.transcriptCount.textContent = '';
+    return;
+  }
+  
+  const needle = foldText(query);
+  let matches = 0;
+  el.transcriptList.innerHTML = cues.map((cue, i) => {
+    const match = query && foldText(cue.text).includes(needle);
+    if (match) matches++;
+    return `<div class="transcript-line${match ? ' match' : ''}" data-index="${i}">`
+      + `<span class="transcript-time">${formatCueLabel(cue)}</span>`
+      + `<span>${highlightText(cue.text, query)}</span></div>`;
+  }).join('');
+  el.transcriptCount.textContent = query ? `${matches} résultat${matches > 1 ? 's' : ''}` : '';
+  
+  state.transcript.currentIndex = -1;
+  updateTranscriptPosition();
+}
+
+/** Media time on screen (ms), null without a dated player */
+function getPlayingMediaTime() {
+  const playingDate = state.hls?.getPlayingDate() ?? null;
+  const { epochMs } = state.transcript;
+  return playingDate === null || epochMs === null ? null : playingDate - epochMs;
+}
+
+/** Player time of a cue (s), null outside the part of the stream the player can seek to */
+function getCueVideoTime(cue) {
+  const mediaTime = getPlayingMediaTime();
+  if (mediaTime === null) return null;
+  
+  const time = el.video.currentTime + (cue.start - mediaTime) / 1000;
+  const { seekable } = el.video;
+  for (let i = 0; i < seekable.length; i++) {
+    if (time >= seekable.start(i) && time <= seekable.end(i)) return time;
+  }
+  return null;
+}
+
+/** Hide lines not played yet, highlight the line being played and keep it in view */
+function updateTranscriptPosition() {
+  const t = state.transcript;
+  if (!t.open || !t.cues.length) return;
+  
+  const mediaTime = getPlayingMediaTime();
+  let current = -1;
+  el.transcriptList.querySelectorAll('.transcript-line').forEach((line, i) => {
+    const cue = t.cues[i];
+    const upcoming = mediaTime !== null && cue.start > mediaTime;
+    line.classList.toggle('upcoming', upcoming);
+    line.classList.toggle('out-of-range', !upcoming && getCueVideoTime(cue) === null);
+    if (mediaTime !== null && cue.start <= mediaTime && mediaTime < cue.end) current = i;
+  });
+  
+  if (current === t.currentIndex) return;
+  el.transcriptList.querySelector('.transcript-line.current')?.classList.remove('current');
+  t.currentIndex = current;
+  if (current === -1) return;
+  
+  const line = el.transcriptList.querySelector(`[data-index="${current}"]`);
+  line.classList.add('current');
+  if (!t.query && Date.now() - t.userScrollAt > TRANSCRIPT_SCROLL_PAUSE) {
+    line.scrollIntoView({ block: 'center' });
+  }
+}
+
+/** Scroll to the next (1) or previous (-1) line matching the search */
+function jumpToMatch(direction) {
+  const lines = Array.from(el.transcriptList.querySelectorAll('.transcript-line.match:not(.upcoming)'));
+  if (!lines.length) {
+    el.transcriptCount.textContent = state.transcript.query ? 'Aucun résultat' : '';
+    return;
+  }
+  
+  const t = state.transcript;
+  t.matchIndex = (t.matchIndex + direction + lines.length) % lines.length;
+  t.userScrollAt = Date.now();
+  lines[t.matchIndex].scrollIntoView({ block: 'center' });
+  el.transcriptCount.textContent = `${t.matchIndex + 1}/${lines.length}`;
+}
+
+function seekToCue(cue) {
+  const time = getCueVideoTime(cue);
+  if (time === null) return;
+  el.video.currentTime = time;
+  if (el.video.paused) el.video.play().catch(() => {});
+}
+
+/** Back to the configured delay after seeking (the playlist's EXT-X-START position) */
+function backToLive() {
+  if (!state.isLive) return;
+  state.transcript.userScrollAt = 0;
+  createPlayer();
 }
@@ -0,0 +1,164 @@
+/**
+ * ROLE — Spell checking of the caption input (browser)
+ *
+ * Used by `subtitler.html` (load after `shared.js`).
+ * - Sends the text being typed to the server (`POST /spellcheck`, debounced)
+ * - Underlines the misspelled words through a mirror layer behind the textarea
+ * - Shows the suggestions of the word closest before the caret, applied in one key:
+ *   Tab = first suggestion, Alt+1..5 = nth suggestion, Alt+0 = ignore the word
+ */
+
+/** Wait after the last keystroke before checking (ms) */
+const SPELL_CHECK_DELAY = 350;
+
+class CaptionSpellChecker {
+  /**
+   * @param {HTMLTextAreaElement} textarea - Caption input
+   * @param {HTMLElement} highlights - Mirror layer placed behind the textarea
+   * @param {HTMLElement} bar - Suggestion bar
+   */
+  constructor(textarea, highlights, bar) {
+    this.textarea = textarea;
+    this.highlights = highlights;
+    this.bar = bar;
+    this.issues = [];
+    this.ignored = new Set(); // Words ignored until the page is reloaded
+    this.timer = null;
+    this.requestId = 0;
+
+    textarea.addEventListener('input', () => {
+      this.render();
+      this.schedule();
+    });
+    textarea.addEventListener('scroll', () => { this.highlights.scrollTop = textarea.scrollTop; });
+    textarea.addEventListener('keyup', () => this.renderBar());
+    textarea.addEventListener('click', () => this.renderBar());
+    textarea.addEventListener('keydown', (e) => this.onKeyDown(e));
+    bar.addEventListener('mousedown', (e) => {
+      const button = e.target.closest('[data-suggestion]');
+      if (!button) return;
+      e.preventDefault(); // Keep the focus in the textarea
+      this.apply(Number(button.dataset.suggestion));
+    });
+  }
+
+  /** Forget the current issues (after a caption is sent) */
+  clear() {
+    clearTimeout(this.timer);
+    this.requestId++;
+    this.issues = [];
+    this.render();
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.check(), SPELL_CHECK_DELAY);
+  }
+
+  async check() {
+    const text = this.textarea.value;
+    const requestId = ++this.requestId;
+    if (!text.trim()) return this.clear();
+
+    try {
+      const { issues } = await STC.apiRequest(STC.API.SPELLCHECK, {
+        method: 'POST',
+        body: JSON.stringify({ text }),
+      });
+      // The text changed meanwhile: a newer check is already scheduled
+      if (requestId !== this.requestId || text !== this.textarea.value) return;
+      this.issues = issues.filter(i => !this.ignored.has(i.word.toLowerCase()));
+      this.render();
+    } catch (e) {
+      console.error('Spell check failed:', e);
+    }
+  }
+
+  /** Issue being edited: the last one ending before the caret (or the last one) */
+  activeIssue() {
+    const caret = this.textarea.selectionStart;
+    const before = this.issues.filter(i => i.start < caret);
+    return before[before.length - 1] || this.issues[this.issues.length - 1] || null;
+  }
+
+  onKeyDown(e) {
+    const issue = this.activeIssue();
+    if (!issue) return;
+
+    if (e.key === 'Tab' && !e.shiftKey && issue.suggestions.length) {
+      e.preventDefault();
+      this.apply(0);
+    } else if (e.altKey && /^Digit[0-5]$/.test(e.code)) {
+      e.preventDefault();
+      const n = Number(e.code.slice(5));
+      if (n === 0) this.ignore(issue);
+      else this.apply(n - 1);
+    }
+  }
+
+  /** Replace the active word with one of its suggestions */
+  apply(index) {
+    const issue = this.activeIssue();
+    const suggestion = issue?.suggestions[index];
+    if (!suggestion) return;
+
+    const { value } = this.textarea;
+    const caret = this.textarea.selectionStart;
+    this.textarea.value = value.slice(0, issue.start) + suggestion + value.slice(issue.end);
+
+    // Shift the caret and the following issues by the length difference
+    const shift = suggestion.length - (issue.end - issue.start);
+    const newCaret = caret >= issue.end ? caret + shift : issue.start + suggestion.length;
+    this.textarea.setSelectionRange(newCaret, newCaret);
+    this.issues = this.issues
+      .filter(i => i !== issue)
+      .map(i => (i.start > issue.start ? { ...i, start: i.start + shift, end: i.end + shift } : i));
+
+    this.textarea.dispatchEvent(new Event('input'));
+  }
+
+  ignore(issue) {
+    this.ignored.add(issue.word.toLowerCase());
+    this.issues = this.issues.filter(i => i.word.toLowerCase() !== issue.word.toLowerCase());
+    this.render();
+  }
+
+  /** Mirror the text with the misspelled words wrapped in <mark> */
+  render() {
+    const { value } = this.textarea;
+    // Offsets are only valid for the text they were computed on
+    this.issues = this.issues.filter(i => value.slice(i.start, i.end) === i.word);
+
+    let html = '';
+    let pos = 0;
+    for (const issue of this.issues) {
+      html += STC.escapeHtml(value.slice(pos, issue.start));
+      html += `<mark>${STC.escapeHtml(value.slice(issue.start, issue.end))}</mark>`;
+      pos = issue.end;
+    }
+    // Trailing space keeps the last line height when the text ends with a newline
+    this.highlights.innerHTML = html + STC.escapeHtml(value.slice(pos)) + ' ';
+    this.highlights.scrollTop = this.textarea.scrollTop;
+    this.renderBar();
+  }
+
+  renderBar() {
+    const issue = this.activeIssue();
+    if (!issue) {
+      this.bar.innerHTML = '';
+      return;
+    }
+
+    const suggestions = issue.suggestions.map((s, i) => `
+      <button type="button" data-suggestion="${i}" title="${i === 0 ? 'Tab ou ' : ''}Alt+${i + 1}">
+        <kbd>${i === 0 ? 'Tab' : `Alt+${i + 1}`}</kbd> ${STC.escapeHtml(s)}
+      </button>`).join('');
+
+    this.bar.innerHTML = `
+      <span class="spell-word">${STC.escapeHtml(issue.word)}</span>
+      ${suggestions || '<span class="spell-none">aucune suggestion</span>'}
+      <span class="spell-ignore"><kbd>Alt+0</kbd> ignorer</span>`;
+  }
+}
+
+window.STC.CaptionSpellChecker = CaptionSpellChecker;
@@ -2,11 +2,23 @@
  * ROLE — Subtitler UI controller (browser)
  *
  * Runs inside `subtitler.html`.
+ * - Requires a subtitler account (redirects to `login.html` otherwise);
+ *   the subtitler name is the account username
  * - Connects to the WebSocket and identifies as `subtitler`
- * - Joins the fragment session (`fragment:join`)
- * - Plays the LIVE HLS stream (`/hls/live.m3u8`) using hls.js
+ * - Joins the fragment session (`fragment:join`); the reconnect token is kept in
+ *   sessionStorage so a refresh or a brief drop resumes the same seat
+ * - Plays the LIVE HLS stream using hls.js: `live-ll.m3u8` (LL-HLS, partial segments)
+ *   when the server writes it, `live.m3u8` otherwise
+ * - Reports the program date on screen every few seconds (`player:position`) and shows
+ *   the latency measured by the server (`player:latency`)
  * - Reacts to fragment status messages (turn/prepare/grace/auto-send)
  * - Sends captions to the server via WebSocket (`type: 'caption'`)
+ * - Streams the text being typed during its turn (`caption:draft`, debounced)
+ * - Before taking over, shows where the previous slot stands (`fragment:handoff`: its last
+ *   submitted words + draft) until the overlap ends
+ * - Spell checks the caption input (see spellcheck.js)
+ * - Expands abbreviations and F-key macros (see expansion.js); the subtitler edits
+ *   their personal dictionary in the "Mes abréviations" panel
  */
 
 const state = {
@@ -24,12 +36,31 @@ const state = {
   inGracePeriod: false,
   history: [],
   notifySound: null,
+  spell: null,
+  expander: null,
+  draftTimer: null,
+  handoff: null,  // Latest active `fragment:handoff` (+ local end time)
+  playing: false,
+  positionTimer: null,
+  latencyMs: null,  // Player latency measured by the server (null = not known yet)
 };
 
+/** sessionStorage key of the reconnect token (per session, survives a page refresh) */
+const RECONNECT_KEY = `stc.reconnect.${STC.SESSION_ID}`;
+
+/** Wait after the last keystroke before streaming the draft (ms) */
+const DRAFT_DELAY = 300;
+
+/** Interval between two `player:position` reports (ms) */
+const POSITION_INTERVAL = 2000;
+
 const el = {};
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  const user = await STC.requireUser(['subtitler']);
+  if (!user) return;
+  
   // Cache elements
   el.loginOverlay = document.getElementById('loginOverlay');
   el.nameInput = document.getElementById('nameInput');
@@ -43,20 +74,27 @@ document.addEventListener('DOMContentLoaded', () => {
   el.turnTimer = document.getElementById('turnTimer');
   el.turnCurrent = document.getElementById('turnCurrent');
   el.turnProgress = document.getElementById('turnProgress');
+  el.handoff = document.getElementById('handoff');
   el.captionInput = document.getElementById('captionInput');
+  el.captionHighlights = document.getElementById('captionHighlights');
+  el.spellBar = document.getElementById('spellBar');
+  el.macroBar = document.getElementById('macroBar');
+  el.myExpansions = document.getElementById('myExpansions');
+  el.myExpansionsInput = document.getElementById('myExpansionsInput');
+  el.myExpansionsSaveBtn = document.getElementById('myExpansionsSaveBtn');
+  el.myExpansionsMessage = document.getElementById('myExpansionsMessage');
   el.charCount = document.getElementById('charCount');
   el.sendBtn = document.getElementById('sendBtn');
   el.historyList = document.getElementById('historyList');
   
-  setupLoginEvents();
+  setupLoginEvents(user);
 });
 
-function setupLoginEvents() {
+function setupLoginEvents(user) {
+  el.nameInput.value = user.username;
+  el.nameInput.readOnly = true;
   el.joinBtn.addEventListener('click', handleJoin);
-  el.nameInput.addEventListener('keypress', e => {
-    if (e.key === 'Enter') handleJoin();
-  });
-  el.nameInput.focus();
+  el.joinBtn.focus();
 }
 
 function handleJoin() {
@@ -114,11 +152,23 @@ function initWebSocket() {
 
 function onConnected() {
   updateStatus('connected');
-  state.ws.identify(STC.CLIENT_TYPES.SUBTITLER, state.name);
+  const reconnectToken = sessionStorage.getItem(RECONNECT_KEY);
+  state.ws.identify(STC.CLIENT_TYPES.SUBTITLER, state.name, reconnectToken ? { reconnectToken } : {});
   state.ws.send({ type: STC.WS_TYPES.FRAGMENT_JOIN, name: state.name });
 }
 
-function onDisconnected() {
+function onDisconnected(event) {
+  if (event.code === STC.WS_CLOSE_CODES.SEAT_TAKEN) {
+    // The seat was resumed by another page: no reconnection, and a reload joins as a new seat
+    sessionStorage.removeItem(RECONNECT_KEY);
+    state.fragmentMode = false;
+    state.isMyTurn = false;
+    updateStatus('seat-taken');
+    updateTurnUI();
+    stopPlayer();
+    el.videoStatus.textContent = 'Place reprise dans une autre page';
+    return;
+  }
   updateStatus('disconnected');
 }
 
@@ -146,13 +196,16 @@ function handleMessage(msg) {
         updateStatus('connected');
         el.videoStatus.textContent = 'Live arrêté';
         updateTurnUI();
-        if (state.hls) { state.hls.destroy(); state.hls = null; }
+        renderHandoff(null);
+        stopPlayer();
       }
       break;
       
     case 'fragment:joined':
       state.odId = msg.odId;
       state.fragmentMode = msg.active;
+      if (msg.reconnectToken) sessionStorage.setItem(RECONNECT_KEY, msg.reconnectToken);
+      if (msg.resumed) restoreOpenSlot(msg.openSlot);
       updateTurnUI();
       break;
       
@@ -165,6 +218,7 @@ function handleMessage(msg) {
       state.fragmentMode = false;
       state.isMyTurn = false;
       updateTurnUI();
+      renderHandoff(null);
       break;
       
     case 'fragment:status':
@@ -198,6 +252,19 @@ function handleMessage(msg) {
       autoSendCaption();
       break;
       
+    case 'fragment:handoff':
+      renderHandoff(msg.active ? msg : null);
+      break;
+      
+    case 'expansions':
+      state.expander.setDictionary(msg);
+      break;
+      
+    case 'player:latency':
+      state.latencyMs = msg.latencyMs;
+      renderVideoStatus();
+      break;
+      
     case 'caption':
       if (state.fragmentMode && msg.caption?.odId !== state.odId) {
         addToHistory(msg.caption.text, msg.caption.subtitlerName, true);
@@ -215,6 +282,8 @@ function updateStatus(status) {
     el.statusDisplay.querySelector('.text').textContent = 'En direct';
   } else if (status === 'connected') {
     el.statusDisplay.querySelector('.text').textContent = 'Connecté';
+  } else if (status === 'seat-taken') {
+    el.statusDisplay.querySelector('.text').textContent = 'Ouvert ailleurs';
   } else {
     el.statusDisplay.querySelector('.text').textContent = 'Déconnecté';
   }
@@ -259,6 +328,8 @@ function updateTurnUI() {
   
   const totalTime = state.slotDuration + Math.floor(state.slotDuration * state.gracePeriodPercent / 100);
   el.turnProgress.style.width = `${(state.secondsRemaining / totalTime) * 100}%`;
+  
+  if (state.handoff) renderHandoffHead();
 }
 
 // Video
@@ -267,7 +338,7 @@ async function checkAndStartVideo() {
     const data = await STC.apiRequest(STC.API.LIVE_STATUS);
     
     if (data.manifest && data.segmentCount >= 3) {
-      createPlayer();
+      createPlayer(data.lowLatency);
     } else if (data.running) {
       el.videoStatus.textContent = `Buffering... (${data.segmentCount}/3)`;
       setTimeout(checkAndStartVideo, 1000);
@@ -277,27 +348,64 @@ async function checkAndStartVideo() {
   }
 }
 
-function createPlayer() {
-  if (state.hls) state.hls.destroy();
+/**
+ * Start the live player
+ * @param {boolean} lowLatency - Play the LL-HLS playlist (about PART-HOLD-BACK behind the encoder)
+ */
+function createPlayer(lowLatency) {
+  stopPlayer();
   
   // Configuration simple - HLS.js gère le live edge automatiquement
-  state.hls = new STC.HlsPlayerManager(el.video, {
+  state.hls = new STC.HlsPlayerManager(el.video, lowLatency ? {
+    lowLatencyMode: true,          // Parts + blocking reload, cible = PART-HOLD-BACK
+    maxLiveSyncPlaybackRate: 1.5,  // Rattrape le retard en accélérant légèrement
+    maxBufferLength: 30,
+    maxMaxBufferLength: 60,
+  } : {
     liveSyncDurationCount: 3,      // Reste 3 segments derrière le live
     liveMaxLatencyDurationCount: 6, // Max 6 segments de retard
     maxBufferLength: 30,
     maxMaxBufferLength: 60,
   });
   
-  state.hls.load(STC.HLS.LIVE, () => {
-    el.videoStatus.textContent = 'En lecture';
+  state.hls.load(lowLatency ? STC.HLS.LIVE_LL : STC.HLS.LIVE, () => {
+    state.playing = true;
+    renderVideoStatus();
   }, () => {
     el.videoStatus.textContent = 'Erreur vidéo';
   });
+  
+  state.positionTimer = setInterval(reportPosition, POSITION_INTERVAL);
+}
+
+function stopPlayer() {
+  clearInterval(state.positionTimer);
+  state.positionTimer = null;
+  state.playing = false;
+  state.latencyMs = null;
+  if (state.hls) { state.hls.destroy(); state.hls = null; }
+}
+
+/** Send the program date on screen: the server measures the latency from it */
+function reportPosition() {
+  const programDateTime = state.hls?.getPlayingDate() ?? null;
+  if (programDateTime === null || el.video.paused) return;
+  state.ws.send({ type: STC.WS_TYPES.PLAYER_POSITION, programDateTime });
+}
+
+function renderVideoStatus() {
+  if (!state.playing) return;
+  el.videoStatus.textContent = state.latencyMs === null
+    ? 'En lecture'
+    : `En lecture · retard ${(state.latencyMs / 1000).toFixed(1)} s`;
 }
 
 // Events
 function setupEvents() {
+  state.spell = new STC.CaptionSpellChecker(el.captionInput, el.captionHighlights, el.spellBar);
+  state.expander = new STC.CaptionExpander(el.captionInput, el.macroBar);
   el.captionInput.addEventListener('input', updateCharCount);
+  el.captionInput.addEventListener('input', scheduleDraft);
   el.captionInput.addEventListener('keypress', e => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -306,6 +414,10 @@ function setupEvents() {
   });
   
   el.sendBtn.addEventListener('click', sendCaption);
+  el.myExpansions.addEventListener('toggle', () => {
+    if (el.myExpansions.open) loadMyExpansions();
+  });
+  el.myExpansionsSaveBtn.addEventListener('click', saveMyExpansions);
   
   el.muteBtn.addEventListener('click', () => {
     el.video.muted = !el.video.muted;
@@ -318,40 +430,136 @@ function updateCharCount() {
 }
 
 function sendCaption() {
+  if (!el.captionInput.value.trim() || !state.ws) return;
+  clearTimeout(state.draftTimer);
+  const expansions = state.expander.flush();
   const text = el.captionInput.value.trim();
-  if (!text || !state.ws) return;
   
   // Timestamp is computed on the server based on the slot
   state.ws.send({
     type: STC.WS_TYPES.CAPTION,
     text,
     subtitlerName: state.name,
+    expansions,
   });
   
   addToHistory(text, state.name, false);
   el.captionInput.value = '';
+  state.spell.clear();
   updateCharCount();
   el.captionInput.focus();
 }
 
 // Auto-send when time expires
 function autoSendCaption() {
-  const text = el.captionInput.value.trim();
-  if (text && state.ws) {
+  if (el.captionInput.value.trim() && state.ws) {
+    clearTimeout(state.draftTimer);
+    const expansions = state.expander.flush();
+    const text = el.captionInput.value.trim();
     // Timestamp is computed on the server (capped at slot end)
     state.ws.send({
       type: STC.WS_TYPES.CAPTION,
       text,
       subtitlerName: state.name,
       autoSent: true,
+      expansions,
     });
     
     addToHistory(text + ' (auto)', state.name, false);
     el.captionInput.value = '';
+    state.spell.clear();
     updateCharCount();
   }
 }
 
+// Live draft
+/** Stream the input to the server while it is our turn (the server drops it otherwise) */
+function scheduleDraft() {
+  if (!state.isMyTurn || !state.ws) return;
+  clearTimeout(state.draftTimer);
+  state.draftTimer = setTimeout(() => {
+    state.ws.send({ type: STC.WS_TYPES.CAPTION_DRAFT, text: el.captionInput.value });
+  }, DRAFT_DELAY);
+}
+
+// Handoff
+/**
+ * Where the previous slot stands: its last submitted words, then its draft
+ * (what to re-type at the start of our slot). null hides the panel.
+ */
+function renderHandoff(msg) {
+  state.handoff = msg ? { ...msg, endsAt: Date.now() + msg.secondsLeft * 1000 } : null;
+  if (!msg) {
+    el.handoff.innerHTML = '';
+    return;
+  }
+  
+  const submitted = msg.lastWords ? `${msg.truncated ? '… ' : ''}${STC.escapeHtml(msg.lastWords)}` : '';
+  const draft = msg.draft ? ` <span class="draft">${STC.escapeHtml(msg.draft)}</span>` : '';
+  el.handoff.innerHTML = `
+    <div class="handoff-head"></div>
+    <div class="handoff-text">${submitted + draft || '<span class="empty">rien d’écrit pour l’instant</span>'}</div>`;
+  renderHandoffHead();
+}
+
+function renderHandoffHead() {
+  const head = el.handoff.querySelector('.handoff-head');
+  if (!head) return;
+  const secondsLeft = Math.max(0, Math.ceil((state.handoff.endsAt - Date.now()) / 1000));
+  head.textContent = `Relais de ${state.handoff.subtitlerName || '?'} · fin du chevauchement dans ${secondsLeft} s`;
+}
+
+// Personal abbreviations
+async function loadMyExpansions() {
+  try {
+    const dictionary = await STC.apiRequest(STC.API.MY_EXPANSIONS);
+    el.myExpansionsInput.value = STC.CaptionExpander.toLines(dictionary);
+    el.myExpansionsMessage.textContent = '';
+  } catch (e) {
+    el.myExpansionsMessage.textContent = e.message;
+  }
+}
+
+async function saveMyExpansions() {
+  try {
+    const dictionary = STC.CaptionExpander.fromLines(el.myExpansionsInput.value);
+    const saved = await STC.apiRequest(STC.API.MY_EXPANSIONS, {
+      method: 'POST',
+      body: JSON.stringify(dictionary),
+    });
+    // The server pushes the merged dictionary back over the WebSocket
+    el.myExpansionsInput.value = STC.CaptionExpander.toLines(saved);
+    el.myExpansionsMessage.textContent = 'Enregistré';
+  } catch (e) {
+    el.myExpansionsMessage.textContent = e.message;
+  }
+}
+
+/** After a resume: show the captions already sent into the still-open slot */
+function restoreOpenSlot(openSlot) {
+  if (!openSlot) return;
+  
+  for (const c of openSlot.captions) {
+    // A plain reconnect (no refresh) still has them in the history
+    const alreadyShown = state.history.some(h => !h.isOther && (h.text === c.text || h.text === `${c.text} (auto)`));
+    if (alreadyShown) continue;
+    state.history.unshift({
+      text: c.text + (c.autoSent ? ' (auto)' : ''),
+      author: state.name,
+      isOther: false,
+      time: new Date(c.createdAt),
+      slotIndex: openSlot.slotIndex,
+    });
+  }
+  renderHistory();
+  
+  // Text typed before the drop and not sent yet
+  if (openSlot.draft && !el.captionInput.value.trim()) {
+    el.captionInput.value = openSlot.draft;
+    el.captionInput.dispatchEvent(new Event('input'));
+  }
+}
+
 function addToHistory(text, author, isOther, slotIndex = null) {
   // Éviter les doublons (même texte du même auteur dans les 2 dernières secondes)
   const isDuplicate = state.history.length > 0 && 
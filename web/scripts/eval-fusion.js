@@ -0,0 +1,91 @@
+/**
+ * ROLE — Evaluate the overlap alignment on a corpus of slot pairs
+ *
+ * Runs `alignOverlap` (src/fusion.js) on every case of `fusion-corpus.json` and
+ * compares the text kept for slot N with the expected one (see fusion-cases.js).
+ * The corpus is hand-written; `--from-log` drafts cases from a recorded live.
+ * A case gives either plain texts (`prev`, `cur`) or the captions of each slot with
+ * the second of the slot they were sent at (`prevCaptions`, `curCaptions`: [{ text, at }]),
+ * which enables the time window.
+ *
+ * Usage:
+ *   npm run eval:fusion                 # pass/fail per case
+ *   node scripts/eval-fusion.js -v      # + alignment trace of every case
+ *   node scripts/eval-fusion.js --set minScore=3 --set maxLeadSkip=1
+ *   node scripts/eval-fusion.js --from-log <sessionId> [logId]   # print cases to review
+ *
+ * Exits with code 1 when a case fails (usable in CI when tuning settings).
+ */
+
+import { validateFusionOptions } from '../src/fusion.js';
+import { config } from '../src/core.js';
+import { listSessionLogs, readSession } from '../src/store.js';
+import { loadCorpus, runCase, casesFromLog } from './fusion-cases.js';
+
+const corpus = loadCorpus();
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ARGUMENTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const args = process.argv.slice(2);
+const verbose = args.includes('-v') || args.includes('--verbose');
+const overrides = {};
+for (let k = 0; k < args.length; k++) {
+  if (args[k] !== '--set') continue;
+  const [key, value] = String(args[++k] || '').split('=');
+  overrides[key] = Number(value);
+}
+const { options, error } = validateFusionOptions(overrides, config.fusion);
+if (error) {
+  console.error(error);
+  process.exit(2);
+}
+
+// Draft cases from a session log (DATA_DIR), most recent log by default
+const fromLog = args.indexOf('--from-log');
+if (fromLog >= 0) {
+  const sessionId = args[fromLog + 1];
+  const logId = args[fromLog + 2]?.startsWith('-') ? null : (args[fromLog + 2] || listSessionLogs(sessionId)[0]);
+  if (!sessionId || !logId) {
+    console.error(`No session log found for "${sessionId || ''}" in ${config.dataDir}`);
+    process.exit(2);
+  }
+  console.log(JSON.stringify(casesFromLog(readSession(sessionId, logId), logId), null, 2));
+  process.exit(0);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RUN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const formatOp = (s) => {
+  switch (s.op) {
+    case 'match': return `  match  ${s.prev} = ${s.cur}${s.sim < 1 ? ` (${s.sim})` : ''}`;
+    case 'sub': return `  sub    ${s.prev} ≠ ${s.cur} (${s.sim})`;
+    case 'del': return `  del    ${s.prev}`;
+    case 'ins': return `  ins    ${s.cur}`;
+    case 'lead': return `  lead   ${s.cur}`;
+    case 'tail': return `  tail   ${s.prev}`;
+    default: return `  ${s.op}`;
+  }
+};
+
+let failed = 0;
+for (const c of corpus.cases) {
+  const { ok, kept, result } = runCase(corpus, c, options);
+  if (!ok) failed++;
+
+  const { window } = result;
+  console.log(`${ok ? 'PASS' : 'FAIL'}  ${c.id}  (overlap ${result.overlapLength}, score ${result.score}, window ${window.prev}/${window.cur}${window.timed ? ' timed' : ''})`);
+  if (!ok) {
+    console.log(`      expected: "${c.expected}"`);
+    console.log(`      got:      "${kept}"`);
+  }
+  if (verbose || !ok) {
+    for (const s of result.ops) console.log(`    ${formatOp(s)}`);
+  }
+}
+
+console.log(`\n${corpus.cases.length - failed}/${corpus.cases.length} cases passed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,78 @@
+/**
+ * ROLE — Fusion corpus cases: run one, or draft new ones from a session log
+ *
+ * Shared by `eval-fusion.js` (CLI) and `test/fusion-corpus.test.js`.
+ * The cases of `fusion-corpus.json` are written by hand; `casesFromLog()` turns the
+ * slot pairs of a recorded live into cases whose `expected` is the text the server
+ * kept at the time, to be checked (and fixed) by hand before adding them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tokenize, detokenize, alignOverlap, timeTokens } from '../src/fusion.js';
+import { replaySession } from '../src/store.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/** Read `fusion-corpus.json` */
+export function loadCorpus(file = path.join(__dirname, 'fusion-corpus.json')) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/** Tokens of a slot starting at `startMs` (+ times when the case gives captions) */
+function slotTokens(text, captions, startMs) {
+  if (!captions) return { tokens: tokenize(text), times: null };
+  return timeTokens(captions.map(cap => ({ text: cap.text, videoTimestamp: startMs + cap.at * 1000 })), startMs);
+}
+
+/**
+ * Align the two slots of a case and compare the text kept for slot N
+ * @param {Object} corpus - Corpus (for its `defaults`)
+ * @param {Object} c - Case
+ * @param {Object} options - Fusion settings (see validateFusionOptions())
+ * @returns {{ ok: boolean, kept: string, result: Object }} result: alignOverlap() output
+ */
+export function runCase(corpus, c, options) {
+  const slotDuration = c.slotDuration ?? corpus.defaults.slotDuration;
+  const overlapDuration = c.overlapDuration ?? corpus.defaults.overlapDuration;
+  const overlapStart = (slotDuration - overlapDuration) * 1000;
+  const prev = slotTokens(c.prev, c.prevCaptions, 0);
+  const { tokens: cur, times: curTimes } = slotTokens(c.cur, c.curCaptions, overlapStart);
+  const result = alignOverlap(prev.tokens, cur, {
+    ...options,
+    slotDuration,
+    overlapDuration,
+    ...(prev.times && curTimes ? { prevTimes: prev.times, curTimes, overlapStart } : {}),
+  });
+  const kept = detokenize(cur.slice(result.overlapLength));
+  return { ok: kept === c.expected, kept, result };
+}
+
+/**
+ * Draft cases from the consecutive slots of a session log
+ * @param {Object[]} events - Log events (store.readSession())
+ * @param {string} [prefix] - Case id prefix
+ * @returns {Object[]} Cases with timed captions; `expected` is the live final text, unchecked
+ */
+export function casesFromLog(events, prefix = 'log') {
+  const history = replaySession(events);
+  const settings = history.session?.fragment || {};
+  const slots = history.captionsBySlot;
+  const at = (caption, slot) => Math.round((caption.videoTimestamp - slot.startTimestamp) / 100) / 10;
+  const cases = [];
+
+  for (let k = 1; k < slots.length; k++) {
+    const [prev, cur] = [slots[k - 1], slots[k]];
+    if (cur.slotIndex !== prev.slotIndex + 1 || !prev.captions.length || !cur.captions.length || cur.finalText === null) continue;
+    cases.push({
+      id: `${prefix}-slot-${cur.slotIndex}`,
+      ...(Number.isFinite(settings.slotDuration) ? { slotDuration: settings.slotDuration } : {}),
+      ...(Number.isFinite(settings.overlapDuration) ? { overlapDuration: settings.overlapDuration } : {}),
+      prevCaptions: prev.captions.map(caption => ({ text: caption.text, at: at(caption, prev) })),
+      curCaptions: cur.captions.map(caption => ({ text: caption.text, at: at(caption, cur) })),
+      expected: cur.finalText,
+    });
+  }
+  return cases;
+}
@@ -0,0 +1,258 @@
+/**
+ * ROLE — Local accounts, login tokens and role checks
+ *
+ * - Accounts are stored in `users.json` under `config.dataDir`
+ *   (passwords hashed with scrypt + per-user salt, never stored in clear)
+ * - Roles: `admin` (live control, uploads, sessions, accounts) and `subtitler`;
+ *   spectators stay anonymous
+ * - The admin account comes from `ADMIN_USERNAME` / `ADMIN_PASSWORD` (created or promoted
+ *   at startup); registered accounts are `subtitler`, and registration stays closed
+ *   while no admin exists
+ * - Login returns an opaque token, also set as an HttpOnly cookie; tokens live in
+ *   memory (a server restart logs everybody out)
+ * - `requireRole()` guards HTTP routes, `authenticateRequest()` is reused by the
+ *   WebSocket handshake
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config, log } from './core.js';
+
+export const ROLES = {
+  ADMIN: 'admin',
+  SUBTITLER: 'subtitler',
+};
+
+const USERS_FILE = 'users.json';
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const SCRYPT_KEYLEN = 64;
+
+/** Accounts by lowercase username */
+const users = new Map();
+
+/** Active tokens: token → { username, expiresAt } */
+const tokens = new Map();
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ACCOUNT STORAGE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const usersPath = () => path.join(config.dataDir, USERS_FILE);
+
+/** Load accounts from disk (called once at startup) */
+export function loadUsers() {
+  try {
+    const list = JSON.parse(fs.readFileSync(usersPath(), 'utf8'));
+    for (const user of list) users.set(user.username.toLowerCase(), user);
+    log.info('AUTH', `${users.size} account(s) loaded`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') log.error('AUTH', 'Cannot read accounts:', e.message);
+  }
+  bootstrapAdmin();
+}
+
+const hasAdmin = () => Array.from(users.values()).some(u => u.role === ROLES.ADMIN);
+
+/**
+ * Make sure the configured admin exists: promote the account if it is there,
+ * otherwise create it with the configured password
+ */
+function bootstrapAdmin() {
+  const { adminUsername, adminPassword, minPasswordLength } = config.auth;
+  if (adminUsername) {
+    const existing = users.get(adminUsername.toLowerCase());
+    if (existing && existing.role !== ROLES.ADMIN) {
+      existing.role = ROLES.ADMIN;
+      saveUsers();
+      log.info('AUTH', `${existing.username} promoted to admin (ADMIN_USERNAME)`);
+    } else if (!existing && !USERNAME_PATTERN.test(adminUsername)) {
+      log.error('AUTH', `Invalid ADMIN_USERNAME: ${adminUsername}`);
+    } else if (!existing && (adminPassword?.length ?? 0) < minPasswordLength) {
+      log.error('AUTH', `ADMIN_PASSWORD missing or too short (min ${minPasswordLength} chars), admin not created`);
+    } else if (!existing) {
+      users.set(adminUsername.toLowerCase(), {
+        username: adminUsername,
+        role: ROLES.ADMIN,
+        passwordHash: hashPassword(adminPassword),
+        createdAt: Date.now(),
+      });
+      saveUsers();
+      log.info('AUTH', `Admin account created: ${adminUsername}`);
+    }
+  }
+  if (!hasAdmin()) log.warn('AUTH', 'No admin account: set ADMIN_USERNAME and ADMIN_PASSWORD (registration is closed)');
+}
+
+function saveUsers() {
+  fs.mkdirSync(config.dataDir, { recursive: true });
+  fs.writeFileSync(usersPath(), JSON.stringify(Array.from(users.values()), null, 2));
+}
+
+/** Public view of an account (no password hash) */
+export const describeUser = (user) => ({ username: user.username, role: user.role, createdAt: user.createdAt });
+
+export const listUsers = () => Array.from(users.values()).map(describeUser);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PASSWORDS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Hash a password as `scrypt$<salt>$<hash>` (hex) */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REGISTER / LOGIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a subtitler account (closed until an admin exists)
+ * @returns {{ user?: Object, error?: string, status?: number }}
+ */
+export function register(username, password) {
+  if (!hasAdmin()) {
+    return { error: 'Registration is closed until an admin account exists', status: 403 };
+  }
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return { error: 'Invalid username (3-32 chars: letters, digits, _ . -)' };
+  }
+  if (typeof password !== 'string' || password.length < config.auth.minPasswordLength) {
+    return { error: `Password too short (min ${config.auth.minPasswordLength} chars)` };
+  }
+  if (users.has(username.toLowerCase())) {
+    return { error: 'Username already taken' };
+  }
+
+  const user = {
+    username,
+    role: ROLES.SUBTITLER,
+    passwordHash: hashPassword(password),
+    createdAt: Date.now(),
+  };
+  users.set(username.toLowerCase(), user);
+  saveUsers();
+
+  log.info('AUTH', `Account created: ${username} (${user.role})`);
+  return { user: describeUser(user) };
+}
+
+/**
+ * Check credentials and issue a token
+ * @returns {{ token?: string, user?: Object, error?: string }}
+ */
+export function login(username, password) {
+  const user = typeof username === 'string' ? users.get(username.toLowerCase()) : null;
+  if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+    return { error: 'Invalid username or password' };
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  tokens.set(token, {
+    username: user.username.toLowerCase(),
+    expiresAt: Date.now() + config.auth.tokenTtlHours * 3600 * 1000,
+  });
+
+  log.info('AUTH', `Login: ${user.username}`);
+  return { token, user: describeUser(user) };
+}
+
+export const logout = (token) => tokens.delete(token);
+
+/**
+ * Change the role of an account
+ * @returns {{ user?: Object, error?: string }}
+ */
+export function setRole(username, role) {
+  const user = users.get(String(username).toLowerCase());
+  if (!user) return { error: 'Unknown user' };
+  if (!Object.values(ROLES).includes(role)) return { error: 'Invalid role' };
+
+  const admins = Array.from(users.values()).filter(u => u.role === ROLES.ADMIN);
+  if (user.role === ROLES.ADMIN && role !== ROLES.ADMIN && admins.length === 1) {
+    return { error: 'At least one admin is required' };
+  }
+
+  user.role = role;
+  saveUsers();
+  log.info('AUTH', `Role of ${user.username} set to ${role}`);
+  return { user: describeUser(user) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REQUEST AUTHENTICATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Read one cookie from a raw `Cookie` header (a malformed escape keeps the raw value) */
+export function readCookie(header, name) {
+  for (const part of String(header || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key !== name) continue;
+    const value = rest.join('=');
+    try {
+      return decodeURIComponent(value);
+    } catch (e) {
+      return value;
+    }
+  }
+  return null;
+}
+
+/** Extract the token from `Authorization: Bearer` or the auth cookie */
+export function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return readCookie(req.headers.cookie, config.auth.cookieName);
+}
+
+/**
+ * Resolve the account behind an HTTP or WebSocket upgrade request
+ * @returns {Object|null} Public user, or null if anonymous / expired
+ */
+export function authenticateRequest(req) {
+  const token = getRequestToken(req);
+  const entry = token ? tokens.get(token) : null;
+  if (!entry) return null;
+
+  if (entry.expiresAt < Date.now()) {
+    tokens.delete(token);
+    return null;
+  }
+  const user = users.get(entry.username);
+  return user ? describeUser(user) : null;
+}
+
+/** Cookie header value for a token (empty token clears the cookie) */
+export function authCookie(token) {
+  const maxAge = token ? config.auth.tokenTtlHours * 3600 : 0;
+  return `${config.auth.cookieName}=${encodeURIComponent(token || '')}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+}
+
+/** Does a user have one of the allowed roles? (admins can do everything) */
+export const hasRole = (user, roles) => !!user && (user.role === ROLES.ADMIN || roles.includes(user.role));
+
+/**
+ * Express middleware: require a logged-in user with one of the given roles
+ * @param {...string} roles - Allowed roles (admin is always allowed)
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    const user = authenticateRequest(req);
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    if (!hasRole(user, roles)) return res.status(403).json({ error: 'Forbidden' });
+    req.user = user;
+    next();
+  };
+}
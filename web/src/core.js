@@ -3,9 +3,11 @@
  *
  * Single source of truth for:
  * - Immutable configuration (ports, directories, FFmpeg/HLS params)
- * - Mutable runtime state (FFmpeg process, live start time, delay, fragment session)
+ * - Mutable runtime state, one object per subtitling session (FFmpeg process,
+ *   live start time, delay, fragment session), kept in the `sessions` registry
+ *   (the caption history is also persisted on disk by `store.js`)
  *
- * Other backend modules import `config` and `state` from here to avoid circular deps.
+ * Other backend modules import `config` and the session helpers from here to avoid circular deps.
  */
 
 import path from 'path';
@@ -30,6 +32,8 @@ export const config = {
   mediaDir: path.join(ROOT, 'media'),       // Uploaded videos
   hlsDir: path.join(ROOT, 'public', 'hls'), // Generated HLS segments
   publicDir: path.join(ROOT, 'public'),     // Static files
+  dataDir: process.env.DATA_DIR || path.join(ROOT, 'data'), // Persisted session logs
+  archiveDir: process.env.ARCHIVE_DIR || path.join(ROOT, 'archive'), // Segments of finished runs (replay)
   
   // Alias courts (utilisés par services.js)
   root: ROOT,
@@ -40,21 +44,134 @@ export const config = {
   hlsSegmentDuration: 2,      // Segment duration in seconds
   segmentDuration: 2,         // (alias)
   hlsListSize: 10,            // Number of segments in the playlist
-  sourcePlaylist: 'stream.m3u8',      // Playlist filename
+  sourcePlaylist: 'stream.m3u8',      // Playlist filename (one per rendition, see `ffmpeg.ladder`)
   segmentPattern: 'seg%05d.ts',       // Segment filename pattern
+  masterPlaylist: 'master.m3u8',      // Spectator master playlist (video + subtitles)
+  subtitlePlaylist: 'delayed-subs.m3u8', // WebVTT subtitle rendition playlist
+  vodPlaylist: 'vod.m3u8',            // Archived rendition playlist (EXT-X-ENDLIST)
+  archiveManifest: 'archive.json',    // Description of an archived run (see services.js)
+  replayCacheSize: 8,                 // Archived runs kept in memory for their replay captions
+  subtitleLanguage: 'fr',             // Subtitle rendition language (BCP 47)
+  subtitleName: 'Français',           // Subtitle rendition display name
+  mpegtsTimeOffset: 1.4,              // PTS of media time 0 in the segments (s): FFmpeg `-output_ts_offset`, with `-muxdelay 0`
   
   // ─── Timing ──────────────────────────────────────────────────────────────────
   defaultDelay: 20,           // Default spectator delay (seconds)
   maxDelay: 300,              // Maximum allowed delay (5 minutes)
   ffmpegTimeout: 30000,       // FFmpeg startup timeout (ms)
+  ffmpegStopTimeout: 3000,    // Wait for FFmpeg to flush its playlists on stop before SIGKILL (ms)
   ffmpegCheckInterval: 500,   // Segment check interval (ms)
   minSegmentsForStart: 3,     // Minimum segments before signaling "ready"
+  subtitlerPlaybackLag: 6,    // Subtitler lag behind the live edge (s) until their player reports its position
+  spectatorHoldBack: 6,       // Media the delayed playlist exposes past the spectator position (s): the player's buffer
+  spectatorDvrWindow: 120,    // Media the delayed playlist keeps before the spectator position (s): how far back viewers can seek
+  spectatorCaptionLead: 10,   // `caption:word` is sent this long (s) before it is due; the page holds it until its video gets there
+  
+  // ─── Low-latency HLS (subtitler playlist, see services.js) ──────────────────
+  lowLatency: {
+    enabled: process.env.LL_HLS !== '0', // CMAF partial segments next to the classic output
+    dir: 'll',                // Subdirectory of the session HLS output
+    partsPlaylist: 'parts.m3u8',  // FFmpeg's playlist of parts (read by the server, not served)
+    partPattern: 'part%05d.m4s',  // Partial segment filename pattern
+    partDuration: 0.5,        // Part duration (s); segmentDuration must be a multiple of it
+    partHoldBack: 1.5,        // PART-HOLD-BACK (s): players stay this far behind the last part (>= 3 parts)
+    partSegments: 3,          // Last segments listed part by part (older ones as whole segments)
+    blockTimeoutMs: 6000,     // Blocking playlist reload: longest hold (3 × target duration)
+    pollIntervalMs: 50,       // New part check interval while a reload is held
+  },
+  
+  // ─── Live ingest (OBS / RTMP / SRT / remote URL) ─────────────────────────────
+  ingest: {
+    rtmpPort: parseInt(process.env.RTMP_PORT, 10) || 1935, // RTMP listener port
+    srtPort: parseInt(process.env.SRT_PORT, 10) || 9000,   // SRT listener port (UDP)
+    publishTimeoutSec: 60,    // Max wait for the encoder to connect when the live starts
+    readTimeoutSec: 5,        // No data for this long = publisher gone
+    reconnectTimeoutSec: 60,  // A lost publisher may come back this long before the live stops
+    retryIntervalMs: 2000,    // Pause between FFmpeg restarts while waiting for the publisher
+  },
   
   // ─── Fragment mode (collaborative subtitling) ────────────────────────────────
   defaultSlotDuration: 30,    // Default slot duration (seconds)
   defaultOverlapDuration: 5,  // Default overlap duration (seconds)
   defaultNotifyBefore: 5,     // Notify before slot end (seconds)
   minSubtitlers: 2,           // Minimum number of subtitlers
+  reconnectGraceSec: 30,      // A disconnected subtitler keeps their seat this long (page refresh, network drop)
+  handoffWords: 12,           // Last submitted words of a slot shown to the subtitler taking over
+  
+  // ─── Authentication ──────────────────────────────────────────────────────────
+  auth: {
+    cookieName: 'stc_token',  // Cookie carrying the login token
+    tokenTtlHours: 12,        // Token lifetime
+    minPasswordLength: 8,     // Minimum password length at registration
+    // Admin account created (or promoted) at startup; registration stays closed until an admin exists
+    adminUsername: process.env.ADMIN_USERNAME || null,
+    adminPassword: process.env.ADMIN_PASSWORD || null,
+  },
+  
+  // ─── Moderation (correction queue) ───────────────────────────────────────────
+  moderation: {
+    releaseMarginMs: 1000,    // Pending captions are released this long before spectators reach them
+  },
+  
+  // ─── Spell checking (Hunspell dictionaries, see spellcheck.js) ──────────────
+  spellcheck: {
+    language: process.env.DICT_LANG || 'fr_FR', // Dictionary name (<language>.aff + <language>.dic)
+    dictDirs: [                                  // Searched in order
+      ...(process.env.DICT_DIR ? [process.env.DICT_DIR] : []),
+      path.join(ROOT, 'dictionaries'),
+      '/usr/share/hunspell',
+      '/usr/share/myspell/dicts',
+    ],
+    maxSuggestions: 5,        // Suggestions per misspelled word
+    maxGlossaryTerms: 5000,   // Max terms in a session glossary
+  },
+  
+  // ─── Fusion (overlap alignment between slots, see fusion.js) ─────────────────
+  fusion: {                   // Defaults, overridable per session (`POST /fusion/config`)
+    similarityThreshold: 0.8, // Word similarity (0..1, Levenshtein) counted as the same word
+    matchScore: 2,            // Score of a matching word (× similarity)
+    shortWordFactor: 0.5,     // Weight of matching short words (<= 3 letters: le, de, la, un...)
+    mismatchScore: -2,        // Score of two different words aligned together
+    gapScore: -1,             // Score of a word present in one slot only (skipped word, filler)
+    minScore: 2,              // Minimum alignment score to remove an overlap (2 = one exact long word)
+    maxLeadSkip: 2,           // Tokens allowed at the start of slot N before the re-typed words
+    maxTailSkip: 2,           // Words of slot N-1 allowed after the aligned part (not re-typed)
+    timeMarginSec: 3,         // Compared window = tokens typed during the overlap ± this margin
+    windowFactor: 2,          // Without caption times: share of the slot in the overlap × this factor
+    minWindowTokens: 25,      // Window bounds (tokens; the minimum only applies without caption times)
+    maxWindowTokens: 40,
+  },
+  
+  // ─── Cue segmentation (live delivery + SRT/WebVTT, see subtitles.js) ────────
+  cues: {
+    maxLineLength: 42,        // Max characters per subtitle line
+    maxLinesPerCue: 2,        // Max lines per cue
+    maxCueLength: 84,         // Max characters per cue (lines joined by a space)
+    maxCps: 17,               // Reading rate cap: a cue stays at least length / maxCps seconds
+    minDurationMs: 1000,      // Shortest cue on screen
+    maxDurationMs: 7000,      // Longest cue on screen
+  },
+  
+  // ─── Caption appearance on the spectator page ──────────────────────────────
+  captionStyle: {             // Session defaults (`POST /config`), each viewer can override them locally
+    fontSize: 100,            // % of the base size (50..300)
+    fontFamily: 'sans',       // sans | serif | mono | casual
+    textColor: '#ffffff',
+    textOpacity: 1,           // 0..1
+    backgroundColor: '#000000',
+    backgroundOpacity: 0.85,  // 0..1 (0 = no box)
+    edgeStyle: 'none',        // none | outline | shadow | raised | depressed
+    position: 10,             // Distance from the bottom of the video (% of its height, 0..80)
+    maxLines: 3,              // Max visible lines (1..5), older lines scroll out
+    displayMode: 'paint-on',  // paint-on (word by word) | roll-up (lines scroll up) | pop-on (whole sentences)
+  },
+  
+  // ─── Post-live render (subtitled MP4) ────────────────────────────────────────
+  render: {
+    subtitleLanguage: 'fra',  // ISO 639-2 language of the mov_text track
+    burnStyle: 'FontSize=22,Outline=2,MarginV=30', // libass style of burned-in captions
+    progressIntervalMs: 1000, // Min interval between progress broadcasts
+  },
   
   // ─── FFmpeg (video transcoding) ─────────────────────────────────────────────
   ffmpeg: {
@@ -63,12 +180,20 @@ export const config = {
     videoProfile: 'main',       // H.264 profile
     videoLevel: '3.1',          // H.264 level (compatibility)
     pixelFormat: 'yuv420p',     // Pixel format (maximum compatibility)
-    videoBitrate: '2500k',      // Target video bitrate
+    videoBitrate: '2500k',      // Target video bitrate (post-live render; the live uses `ladder`)
     videoMaxrate: '3000k',      // Max bitrate
     videoBufferSize: '6000k',   // VBV buffer size
     audioCodec: 'aac',          // AAC audio codec
     audioBitrate: '128k',       // Audio bitrate
     audioSampleRate: 44100,     // Sampling rate
+    codecs: 'avc1.4d401f,mp4a.40.2', // RFC 6381 codecs (H.264 main@3.1 + AAC-LC) for master playlists
+    // Live ABR ladder: one rendition per rung (`<hlsDir>/<name>/`), one variant each in the master
+    // playlists. The first rung is the reference timeline and feeds the low-latency output.
+    ladder: [
+      { name: '720p', height: 720, videoBitrate: '2500k', videoMaxrate: '3000k', videoBufferSize: '6000k', audioBitrate: '128k' },
+      { name: '480p', height: 480, videoBitrate: '1200k', videoMaxrate: '1500k', videoBufferSize: '3000k', audioBitrate: '96k' },
+      { name: '360p', height: 360, videoBitrate: '600k', videoMaxrate: '800k', videoBufferSize: '1600k', audioBitrate: '64k' },
+    ],
   },
 };
 
@@ -76,29 +201,20 @@ export const config = {
 // MUTABLE STATE (changes during runtime)
 // ═══════════════════════════════════════════════════════════════════════════════
 
-export const state = {
-  // ─── Live streaming ──────────────────────────────────────────────────────────
-  ffmpegProc: null,       // Active FFmpeg process (null if stopped)
-  liveStartedAt: null,    // Live start timestamp (ms)
-  
-  // ─── Captions ────────────────────────────────────────────────────────────────
-  captions: [],           // Global captions history
-  
-  // ─── Current mode ────────────────────────────────────────────────────────────
-  currentMode: null,              // 'fragmentation' or null
-  delaySec: config.defaultDelay,  // Current spectator delay
-  minSubtitlersRequired: config.minSubtitlers,  // Required subtitlers
-  
-  // ─── Fragment session ────────────────────────────────────────────────────────
-  // Contains all state for collaborative subtitling mode
-  fragment: {
+/**
+ * Create a fresh fragment (collaborative subtitling) state
+ * @param {Object} [prev] - Previous fragment state (keeps admin settings + fused history)
+ * @returns {Object} Fragment state
+ */
+function createFragmentState(prev = null) {
+  return {
     active: false,                          // Is fragment mode active?
     slotDuration: config.defaultSlotDuration,       // Slot duration (s)
     overlapDuration: config.defaultOverlapDuration, // Overlap duration (s)
     notifyBefore: config.defaultNotifyBefore,       // Notify before end (s)
-    gracePeriodPercent: 20,                 // % extra time
-    requiredSubtitlers: 2,                  // Required subtitlers
-    subtitlers: new Map(),                  // Map<odId, { id, name, ws, joinedAt }>
+    gracePeriodPercent: prev?.gracePeriodPercent || 20, // % extra time
+    requiredSubtitlers: prev?.requiredSubtitlers || 2,  // Required subtitlers
+    subtitlers: new Map(),                  // Map<odId, { id, name, username, ws, joinedAt, reconnectToken, disconnectedAt, dropTimer }>
     currentSlotIndex: 0,                    // Current slot index
     slotStartTime: null,                    // Current slot start timestamp
     // Legacy single-slot timers (kept for compatibility; unused in overlapping scheduler)
@@ -111,9 +227,111 @@ export const state = {
     slotTimers: new Set(),                  // Set<Timeout> for per-slot timers (ending/grace/auto-send)
     openSlotBySubtitlerId: new Map(),      // Map<subtitlerId, slotIndex> currently open for submissions
     captionsBySlot: [],                     // Array of slots with raw captions
-    fusedCaptions: [],                      // Captions after fusion
-  },
-};
+    // Fused captions are kept until the next live starts (needed for exports)
+    fusedCaptions: prev?.fusedCaptions || [], // Captions after fusion
+    lastCue: null,                          // { startMs, endMs } of the latest caption sent to spectators
+  };
+}
+
+/**
+ * Create the runtime state of one subtitling session (room)
+ *
+ * Each session owns its FFmpeg process, HLS output directory,
+ * fragment scheduler, subtitler roster and caption history.
+ *
+ * @param {string} id - Session id (URL-safe slug)
+ * @param {string} [name] - Display name
+ * @returns {Object} Session state
+ */
+export function createSessionState(id, name = id) {
+  return {
+    id,
+    name,
+    createdAt: Date.now(),
+    hlsDir: path.join(config.hls, id),  // HLS output for this session
+
+    // ─── Live streaming ────────────────────────────────────────────────────────
+    ffmpegProc: null,       // Active FFmpeg process (null if stopped)
+    liveStopping: null,     // Pending stopLive() while FFmpeg flushes its playlists
+    liveStartedAt: null,    // Live start timestamp (ms)
+    liveMediaOffsetMs: null, // Media time of the live edge at liveStartedAt (ms)
+    mediaEpochMs: null,     // Wall-clock time of media time 0 (EXT-X-PROGRAM-DATE-TIME anchor, ms)
+    lowLatency: null,       // Partial segment run of the current FFmpeg process (see services.js)
+    ingest: null,           // Encoder/URL source state (see services.js), null for file lives
+    lastSource: null,       // Media file of the last live (used by the post-live render)
+    renderJob: null,        // Current/last post-live render job (see render.js)
+
+    // ─── Captions ──────────────────────────────────────────────────────────────
+    logId: null,            // Id of the persisted session log (see store.js)
+    logFile: null,          // Path of the persisted session log
+    captions: [],           // Captions history
+
+    // ─── Current mode ──────────────────────────────────────────────────────────
+    currentMode: null,              // 'fragmentation' or null
+    delaySec: config.defaultDelay,  // Current spectator delay
+    minSubtitlersRequired: config.minSubtitlers,  // Required subtitlers
+
+    // ─── Moderation ────────────────────────────────────────────────────────────
+    // Optional correction queue between fusion and spectators (see services.js)
+    moderation: {
+      enabled: false,
+      correctors: [],       // Usernames (lowercase) allowed to review besides admins
+      queue: new Map(),     // Map<itemId, { slot, originalText, text, editedBy, deadline, timer, approval... }>, in slot order
+    },
+
+    // ─── Spell checking ────────────────────────────────────────────────────────
+    spellcheck: {
+      autocorrect: false,   // Fix unambiguous typos of each slot before fusion
+      glossary: null,       // Session terms (null = not read from disk yet, see spellcheck.js)
+      glossaryIndex: null,  // Map<lowercase, term> built on demand
+    },
+
+    // ─── Abbreviations / macros ────────────────────────────────────────────────
+    expansions: null,       // Shared dictionary (null = not read from disk yet, see expansions.js)
+
+    // ─── Fusion ────────────────────────────────────────────────────────────────
+    fusion: { ...config.fusion },  // Overlap alignment settings (see fusion.js)
+
+    // ─── Caption appearance ────────────────────────────────────────────────────
+    captionStyle: { ...config.captionStyle },  // Spectator defaults (see subtitles.js)
+
+    // ─── Fragment session ──────────────────────────────────────────────────────
+    // Contains all state for collaborative subtitling mode
+    fragment: createFragmentState(),
+  };
+}
+
+/** Id of the session used by the legacy (unscoped) routes */
+export const DEFAULT_SESSION_ID = 'default';
+
+/** Valid session ids: lowercase letters, digits and dashes */
+export const SESSION_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+/** All sessions by id (Map<id, session>) */
+export const sessions = new Map();
+
+/**
+ * Register a new session
+ * @param {string} id - Session id
+ * @param {string} [name] - Display name
+ * @returns {Object} The created session
+ */
+export function createSession(id, name = id) {
+  const session = createSessionState(id, name);
+  sessions.set(id, session);
+  return session;
+}
+
+/**
+ * Get a session by id
+ * @param {string} id - Session id
+ * @returns {Object|null} Session, or null if unknown
+ */
+export const getSession = (id) => sessions.get(id) || null;
+
+/** The default session always exists */
+export const getDefaultSession = () =>
+  sessions.get(DEFAULT_SESSION_ID) || createSession(DEFAULT_SESSION_ID, 'Principale');
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // STATE UTILITIES
@@ -121,84 +339,58 @@ export const state = {
 
 /**
  * Check if live streaming is running
+ * @param {Object} session - Session state
  * @returns {boolean} true if FFmpeg is active
  */
-export const isLiveRunning = () => state.ffmpegProc !== null;
+export const isLiveRunning = (session) => session.ffmpegProc !== null;
 
 /**
  * Get current video timestamp (milliseconds since live start)
+ * @param {Object} session - Session state
  * @returns {number|null} Timestamp in ms, or null if no live
  */
-export const getLiveTimestamp = () => 
-  state.liveStartedAt ? Date.now() - state.liveStartedAt : null;
+export const getLiveTimestamp = (session) =>
+  session.liveStartedAt ? Date.now() - session.liveStartedAt : null;
 
 /**
  * Fully reset fragment mode state
  * Called when stopping live or fragment mode
- *//** Reset fragment session */
-export function resetFragment() {
-  if (state.fragment.slotTimer) clearTimeout(state.fragment.slotTimer);
-  if (state.fragment.notifyTimer) clearTimeout(state.fragment.notifyTimer);
-  if (state.fragment.graceTimer) clearTimeout(state.fragment.graceTimer);
-  if (state.fragment.schedulerTimer) {
-    clearInterval(state.fragment.schedulerTimer);
-  }
-
-  if (state.fragment.slotTimers && state.fragment.slotTimers.size) {
-    for (const t of state.fragment.slotTimers) clearTimeout(t);
-  }
-  
-  const prevGrace = state.fragment.gracePeriodPercent;
-  const prevRequired = state.fragment.requiredSubtitlers;
-  
-  state.fragment = {
-    active: false,
-    slotDuration: config.defaultSlotDuration,
-    overlapDuration: config.defaultOverlapDuration,
-    notifyBefore: config.defaultNotifyBefore,
-    gracePeriodPercent: prevGrace || 20,
-    requiredSubtitlers: prevRequired || 2,
-    subtitlers: new Map(),
-    currentSlotIndex: 0,
-    slotStartTime: null,
-    slotTimer: null,
-    notifyTimer: null,
-    graceTimer: null,
-
-    schedulerTimer: null,
-    slotTimers: new Set(),
-    openSlotBySubtitlerId: new Map(),
-    captionsBySlot: [],
-    fusedCaptions: [],
-  };
+ * @param {Object} session - Session state
+ */
+export function resetFragment(session) {
+  clearTimers(session);
+  session.fragment = createFragmentState(session.fragment);
 }
 
 /**
  * Clear all active timers for fragment mode
  * Used before restarting a slot or stopping the mode
+ * @param {Object} session - Session state
  */
-export function clearTimers() {
-  if (state.fragment.slotTimer) {
-    clearTimeout(state.fragment.slotTimer);
-    state.fragment.slotTimer = null;
+export function clearTimers(session) {
+  const { fragment: f } = session;
+
+  if (f.slotTimer) {
+    clearTimeout(f.slotTimer);
+    f.slotTimer = null;
   }
-  if (state.fragment.notifyTimer) {
-    clearTimeout(state.fragment.notifyTimer);
-    state.fragment.notifyTimer = null;
+  if (f.notifyTimer) {
+    clearTimeout(f.notifyTimer);
+    f.notifyTimer = null;
   }
-  if (state.fragment.graceTimer) {
-    clearTimeout(state.fragment.graceTimer);
-    state.fragment.graceTimer = null;
+  if (f.graceTimer) {
+    clearTimeout(f.graceTimer);
+    f.graceTimer = null;
   }
 
-  if (state.fragment.schedulerTimer) {
-    clearInterval(state.fragment.schedulerTimer);
-    state.fragment.schedulerTimer = null;
+  if (f.schedulerTimer) {
+    clearInterval(f.schedulerTimer);
+    f.schedulerTimer = null;
   }
 
-  if (state.fragment.slotTimers && state.fragment.slotTimers.size) {
-    for (const t of state.fragment.slotTimers) clearTimeout(t);
-    state.fragment.slotTimers.clear();
+  if (f.slotTimers && f.slotTimers.size) {
+    for (const t of f.slotTimers) clearTimeout(t);
+    f.slotTimers.clear();
   }
 }
 
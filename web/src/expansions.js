@@ -0,0 +1,198 @@
+/**
+ * ROLE — Abbreviation and macro dictionaries of the subtitlers
+ *
+ * Shorthand expanded in the subtitler input as they type (see public/js/expansion.js):
+ * - abbreviations: `gvt` + space → `gouvernement`
+ * - macros: a function key inserts a text (`F2` → `Emmanuel Macron :`)
+ *
+ * Two dictionaries are merged, the personal one winning:
+ * - per session (admin): `data/<sessionId>/expansions.json`
+ * - per user (the subtitler themself): `data/expansions.json`, keyed by username
+ *
+ * The server owns the dictionaries and pushes the merged one to each subtitler
+ * (`expansions` WS message) whenever one of them changes. Captions only carry the
+ * expansions the client applied; they are checked against that same dictionary
+ * before being counted in the metrics.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config, log, sessions } from './core.js';
+import { send, getSessionClients } from './services.js';
+
+const USER_FILE = 'expansions.json';
+
+/** Abbreviations: letters/digits only (matched case-insensitively) */
+const ABBREVIATION_PATTERN = /^[\p{L}\p{N}]{1,15}$/u;
+
+/** Macro keys: function keys F1..F12 */
+const MACRO_PATTERN = /^F([1-9]|1[0-2])$/;
+
+const MAX_ENTRIES = 1000;
+const MAX_TEXT_LENGTH = 200;
+
+const emptyDictionary = () => ({ abbreviations: {}, macros: {} });
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate a dictionary sent to the API
+ * @param {Object} body - { abbreviations?: Object<string,string>, macros?: Object<string,string> }
+ * @returns {{ dictionary: Object|null, error: string|null }}
+ */
+export function validateDictionary(body) {
+  const dictionary = emptyDictionary();
+  const { abbreviations = {}, macros = {} } = body || {};
+
+  for (const [field, entries, pattern, normalize] of [
+    ['abbreviations', abbreviations, ABBREVIATION_PATTERN, (k) => k.toLowerCase()],
+    ['macros', macros, MACRO_PATTERN, (k) => k.toUpperCase()],
+  ]) {
+    if (typeof entries !== 'object' || Array.isArray(entries)) return { dictionary: null, error: `${field} must be an object` };
+    const list = Object.entries(entries);
+    if (list.length > MAX_ENTRIES) return { dictionary: null, error: `Too many ${field} (max ${MAX_ENTRIES})` };
+
+    for (const [rawKey, text] of list) {
+      const key = normalize(String(rawKey).trim());
+      if (!pattern.test(key)) return { dictionary: null, error: `Invalid ${field === 'macros' ? 'macro key (F1-F12)' : 'abbreviation'}: ${rawKey}` };
+      if (typeof text !== 'string' || !text.trim() || text.length > MAX_TEXT_LENGTH) {
+        return { dictionary: null, error: `Invalid text for ${rawKey} (1-${MAX_TEXT_LENGTH} chars)` };
+      }
+      dictionary[field][key] = text.trim();
+    }
+  }
+  return { dictionary, error: null };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STORAGE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Personal dictionaries by lowercase username (read on first use) */
+let userDictionaries = null;
+
+const userFile = () => path.join(config.dataDir, USER_FILE);
+const sessionFile = (session) => path.join(config.dataDir, session.id, USER_FILE);
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+/** Personal dictionary of an account */
+export function getUserDictionary(username) {
+  if (!userDictionaries) userDictionaries = new Map(Object.entries(readJson(userFile()) || {}));
+  return userDictionaries.get(username.toLowerCase()) || emptyDictionary();
+}
+
+/**
+ * Replace the personal dictionary of an account and push it to their open pages
+ * @param {string} username - Account
+ * @param {Object} dictionary - Validated dictionary
+ */
+export function setUserDictionary(username, dictionary) {
+  getUserDictionary(username);
+  userDictionaries.set(username.toLowerCase(), dictionary);
+  writeJson(userFile(), Object.fromEntries(userDictionaries));
+  log.info('EXPAND', `Personal dictionary of ${username}: ${countEntries(dictionary)} entries`);
+
+  for (const session of sessions.values()) pushExpansions(session, username);
+}
+
+/** Shared dictionary of a session */
+export function getSessionDictionary(session) {
+  if (!session.expansions) session.expansions = readJson(sessionFile(session)) || emptyDictionary();
+  return session.expansions;
+}
+
+/**
+ * Replace the shared dictionary of a session and push it to its subtitlers
+ * @param {Object} session - Session state
+ * @param {Object} dictionary - Validated dictionary
+ */
+export function setSessionDictionary(session, dictionary) {
+  session.expansions = dictionary;
+  writeJson(sessionFile(session), dictionary);
+  log.info('EXPAND', `[${session.id}] Session dictionary: ${countEntries(dictionary)} entries`);
+
+  pushExpansions(session);
+}
+
+const countEntries = (d) => Object.keys(d.abbreviations).length + Object.keys(d.macros).length;
+
+/**
+ * Dictionary used by a subtitler in a session (personal entries override the session ones)
+ * @param {Object} session - Session state
+ * @param {string} username - Subtitler account
+ */
+export function getEffectiveDictionary(session, username) {
+  const shared = getSessionDictionary(session);
+  const personal = getUserDictionary(username);
+  return {
+    abbreviations: { ...shared.abbreviations, ...personal.abbreviations },
+    macros: { ...shared.macros, ...personal.macros },
+  };
+}
+
+/**
+ * Send the merged dictionary to the subtitlers of a session (all, or one account)
+ * @param {Object} session - Session state
+ * @param {string} [username] - Only this account
+ */
+export function pushExpansions(session, username = null) {
+  const name = username?.toLowerCase();
+  const targets = getSessionClients(session, ws => ws.clientType === 'subtitler' && ws.user
+    && (!name || ws.user.username.toLowerCase() === name));
+  for (const ws of targets) {
+    send(ws, { type: 'expansions', ...getEffectiveDictionary(session, ws.user.username) });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STATS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Count the expansions a client reports for a caption
+ *
+ * Only entries of the subtitler's dictionary whose text is really in the caption
+ * are kept, so the metrics cannot be inflated by a crafted message.
+ *
+ * @param {Object} session - Session state
+ * @param {string} username - Subtitler account
+ * @param {string} text - Caption text as stored
+ * @param {{ key: string }[]} applied - Expansions reported by the client (abbreviation or F-key)
+ * @returns {{ count: number, savedChars: number }|null} null if none
+ */
+export function summarizeExpansions(session, username, text, applied) {
+  if (!Array.isArray(applied) || !applied.length || !username) return null;
+  const { abbreviations, macros } = getEffectiveDictionary(session, username);
+  const lowerText = text.toLowerCase();
+
+  let count = 0;
+  let savedChars = 0;
+  const remaining = new Map(); // Map<expected text, occurrences not yet counted>
+  for (const entry of applied.slice(0, 100)) {
+    const key = String(entry?.key || '');
+    const expected = MACRO_PATTERN.test(key) ? macros[key] : abbreviations[key.toLowerCase()];
+    if (!expected) continue;
+    const needle = expected.toLowerCase();
+    if (!remaining.has(needle)) remaining.set(needle, lowerText.split(needle).length - 1);
+    if (remaining.get(needle) <= 0) continue;
+    remaining.set(needle, remaining.get(needle) - 1);
+    count++;
+    // A macro costs one key press, an abbreviation its letters
+    savedChars += Math.max(0, expected.length - (MACRO_PATTERN.test(key) ? 1 : key.length));
+  }
+  return count ? { count, savedChars } : null;
+}
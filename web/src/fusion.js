@@ -0,0 +1,384 @@
+/**
+ * ROLE — Overlap detection between consecutive slots (fusion engine core)
+ *
+ * Pure text functions used by the fusion in services.js (and by `scripts/eval-fusion.js`):
+ * - tokenize / detokenize slot texts (punctuation as separate tokens)
+ * - estimate when each token was typed from the timestamps of the slot captions
+ * - align the END of slot N-1 with the START of slot N to find the words the
+ *   incoming subtitler re-typed, so they can be removed from slot N
+ *
+ * The alignment is a local alignment with gap penalties (Smith-Waterman style),
+ * restricted to the tokens typed around the overlapping time window (token times,
+ * or an estimate from the slot/overlap durations when there are none):
+ * - a skipped word in slot N (deletion) or a filler (insertion) only costs a gap
+ * - slot N may start a few tokens before the re-typed part (false start, "euh")
+ * - the last tokens of slot N-1 may not be re-typed at all
+ * Every decision is kept as a trace (`ops`) the admin can inspect.
+ */
+
+import { config } from './core.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TOKENS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const FRENCH_PUNCTUATION = /([.,!?;:…»«"'])/g;
+const PUNCTUATION_TOKEN = /^[.,!?;:…»«"']$/;
+
+const isPunctuation = (token) => PUNCTUATION_TOKEN.test(token);
+
+/**
+ * Tokenize - Split text into words and punctuation
+ *
+ * Punctuation is separated from words for better overlap detection.
+ *
+ * @example
+ * tokenize("Bonjour, monde!") → ["Bonjour", ",", "monde", "!"]
+ * tokenize("Il fait beau.")   → ["Il", "fait", "beau", "."]
+ *
+ * @param {string} text - Text to split
+ * @returns {string[]} Array of tokens (words + punctuation)
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return text
+    .replace(FRENCH_PUNCTUATION, ' $1 ')  // Add spaces around punctuation
+    .split(/\s+/)                         // Split on spaces
+    .filter(w => w.length > 0);            // Remove empty entries
+}
+
+/**
+ * Detokenize - Rebuild readable text from tokens
+ *
+ * Glue punctuation properly (no extra space before periods, etc.)
+ *
+ * @example
+ * detokenize(["Bonjour", ",", "monde", "!"]) → "Bonjour, monde!"
+ *
+ * @param {string[]} words - Array of tokens
+ * @returns {string} Reconstructed text
+ */
+export function detokenize(words) {
+  if (!words || !words.length) return '';
+  return words.join(' ')
+    .replace(/ ([.,!?;:…»"'])/g, '$1')  // Remove space before closing punctuation
+    .replace(/([«"']) /g, '$1')         // Remove space after opening punctuation
+    .trim();
+}
+
+/**
+ * wordSimilarity - Compute similarity between two words (0..1)
+ *
+ * Uses Levenshtein distance to tolerate small typos.
+ *
+ * @example
+ * wordSimilarity("Paris", "Paris")     → 1.0   (identique)
+ * wordSimilarity("Marsielle", "Marseille") → 0.89 (1 caractère de différence)
+ * wordSimilarity("Paris", "Lyon")      → 0.2   (très différent)
+ *
+ * @param {string} w1 - First word
+ * @param {string} w2 - Second word
+ * @returns {number} Similarity score between 0 (different) and 1 (identical)
+ */
+export function wordSimilarity(w1, w2) {
+  const a = w1.toLowerCase();
+  const b = w2.toLowerCase();
+  if (a === b) return 1;
+
+  const m = a.length, n = b.length;
+  if (m === 0 || n === 0) return 0;
+
+  // Levenshtein distance via dynamic programming
+  const dp = Array.from({ length: m + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= n; j++) dp[0][j] = j;
+
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      dp[i][j] = a[i - 1] === b[j - 1]
+        ? dp[i - 1][j - 1]
+        : 1 + Math.min(dp[i - 1][j], dp[i][j - 1], dp[i - 1][j - 1]);
+    }
+  }
+
+  // Convert distance to similarity score (0-1)
+  return 1 - dp[m][n] / Math.max(m, n);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TOKEN TIMES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * timeTokens - Tokens of a slot with the estimated time each one was typed
+ *
+ * A caption is timestamped when it is sent (`videoTimestamp`, ms since live start):
+ * its tokens were typed since the previous caption (or the slot start), so they are
+ * spread over that span.
+ *
+ * @example
+ * timeTokens([{ text: 'Bonjour à tous', videoTimestamp: 3000 }], 0)
+ *   → { tokens: ['Bonjour', 'à', 'tous'], times: [1000, 2000, 3000] }
+ *
+ * @param {Object[]} captions - Captions of the slot, in order ({ text, videoTimestamp })
+ * @param {number} startMs - Slot start (ms since live start)
+ * @returns {{ tokens: string[], times: number[] }}
+ */
+export function timeTokens(captions, startMs) {
+  const tokens = [];
+  const times = [];
+  let from = startMs;
+  for (const caption of captions || []) {
+    const words = tokenize(caption.text);
+    const to = Number.isFinite(caption.videoTimestamp) ? Math.max(from, caption.videoTimestamp) : from;
+    words.forEach((word, k) => {
+      tokens.push(word);
+      times.push(Math.round(from + (to - from) * (k + 1) / words.length));
+    });
+    from = to;
+  }
+  return { tokens, times };
+}
+
+/**
+ * Resample times onto `count` items (text changed after timing: autocorrect, moderation)
+ * @param {number[]} times - Original times, in order
+ * @param {number} count - Number of items
+ * @returns {number[]}
+ */
+export function stretchTimes(times, count) {
+  if (!times?.length || times.length === count) return times ? times.slice(0, count) : [];
+  return Array.from({ length: count }, (_, i) => times[Math.floor(i * times.length / count)]);
+}
+
+/**
+ * Time of each word of `detokenize(tokens)` (split on spaces): the time of its first token
+ *
+ * @example
+ * getWordTimes(['Oui', ',', 'merci', '.'], [100, 100, 200, 200]) → [100, 200]  // "Oui, merci."
+ *
+ * @param {string[]} tokens - Tokens
+ * @param {number[]} times - Time of each token
+ * @returns {number[]}
+ */
+export function getWordTimes(tokens, times) {
+  const result = [];
+  let k = 0;
+  for (const word of detokenize(tokens).split(/\s+/).filter(Boolean)) {
+    result.push(times[Math.min(k, times.length - 1)]);
+    k += tokenize(word).length;
+  }
+  return result;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SETTINGS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Allowed range of each setting: [min, max, integer?] */
+const OPTION_RANGES = {
+  similarityThreshold: [0, 1],
+  matchScore: [0.1, 10],
+  shortWordFactor: [0, 1],
+  mismatchScore: [-10, 0],
+  gapScore: [-10, 0],
+  minScore: [0, 100],
+  maxLeadSkip: [0, 10, true],
+  maxTailSkip: [0, 10, true],
+  windowFactor: [0.1, 10],
+  timeMarginSec: [0, 60],
+  minWindowTokens: [1, 200, true],
+  maxWindowTokens: [1, 200, true],
+};
+
+/**
+ * Validate fusion settings sent to the API (missing keys keep their current value)
+ * @param {Object} body - Partial settings
+ * @param {Object} current - Current settings of the session
+ * @returns {{ options: Object|null, error: string|null }}
+ */
+export function validateFusionOptions(body, current) {
+  const options = { ...current };
+  for (const [key, value] of Object.entries(body || {})) {
+    const range = OPTION_RANGES[key];
+    if (!range) return { options: null, error: `Unknown setting: ${key}` };
+    const [min, max, integer] = range;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      return { options: null, error: `${key} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}` };
+    }
+    options[key] = value;
+  }
+  if (options.minWindowTokens > options.maxWindowTokens) {
+    return { options: null, error: 'minWindowTokens must be <= maxWindowTokens' };
+  }
+  return { options, error: null };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ALIGNMENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Number of tokens typed around the overlap: the share of the slot spent in the
+ * overlap, widened by `windowFactor` (typing lags behind speech), within bounds
+ */
+function getWindowSize(tokenCount, o) {
+  const share = o.slotDuration > 0 ? o.overlapDuration / o.slotDuration : 1;
+  const size = Math.ceil(tokenCount * share * o.windowFactor);
+  return Math.min(tokenCount, o.maxWindowTokens, Math.max(o.minWindowTokens, size));
+}
+
+/**
+ * Tokens of each slot compared by the alignment
+ *
+ * With token times, only the tokens typed during the overlap (from the start of
+ * slot N for `overlapDuration` seconds), give or take `timeMarginSec`: the end of
+ * slot N-1 typed from then on, the start of slot N typed until then.
+ * Without (no timestamps), the size estimated by `getWindowSize()`.
+ */
+function getWindows(prev, cur, o) {
+  const timed = o.prevTimes?.length === prev.length && o.curTimes?.length === cur.length
+    && Number.isFinite(o.overlapStart);
+  if (!timed) return { prev: getWindowSize(prev.length, o), cur: getWindowSize(cur.length, o), timed };
+
+  const margin = o.timeMarginSec * 1000;
+  const from = o.overlapStart - margin;
+  const to = o.overlapStart + o.overlapDuration * 1000 + margin;
+  return {
+    prev: Math.min(o.maxWindowTokens, o.prevTimes.filter(t => t >= from).length),
+    cur: Math.min(o.maxWindowTokens, o.curTimes.filter(t => t <= to).length),
+    timed,
+  };
+}
+
+/** Words this short (articles, prepositions) are shared by chance, they weigh `shortWordFactor` */
+const SHORT_WORD_LENGTH = 3;
+
+/** Count the words (not punctuation) of a token list */
+const countWords = (tokens) => tokens.filter(t => !isPunctuation(t)).length;
+
+/**
+ * alignOverlap - Find the tokens at the start of slot N that re-type the end of slot N-1
+ *
+ * EXAMPLE:
+ *   prev: "… capitale de la France. La France"
+ *   cur:  "euh la France est un grand pays"
+ *
+ *   lead  euh          (filler, dropped with the overlap)
+ *   match La = la
+ *   match France = France
+ *   → overlapLength = 3: slot N is sent as "est un grand pays"
+ *
+ * SCORING (settings from `config.fusion`, overridable per session):
+ *   - match: `matchScore` × similarity (similarity >= `similarityThreshold`),
+ *     × `shortWordFactor` for words of 3 letters or less
+ *   - mismatch: `mismatchScore`
+ *   - word only in one slot (skipped word / filler): `gapScore`
+ *   - punctuation: free to skip, small bonus when identical
+ *   The alignment starts within the first `maxLeadSkip` tokens of slot N, ends
+ *   with at most `maxTailSkip` words of slot N-1 left over (skipped words cost a gap too),
+ *   and must reach `minScore` with more re-typed words than skipped leading ones.
+ *
+ * @param {string[]} prev - Tokens of slot N-1
+ * @param {string[]} cur - Tokens of slot N
+ * @param {Object} [options] - Fusion settings + { slotDuration, overlapDuration } (s)
+ *   + optional token times { prevTimes, curTimes, overlapStart } (ms, see `timeTokens()`)
+ * @returns {{ overlapLength: number, score: number, matches: number, ops: Object[], window: Object }}
+ *   overlapLength: tokens to remove from the start of `cur`;
+ *   ops: trace [{ op: 'lead'|'match'|'sub'|'del'|'ins'|'tail', prev?, cur?, sim? }];
+ *   window: tokens compared { prev, cur, timed }
+ */
+export function alignOverlap(prev, cur, options = {}) {
+  const o = { ...config.fusion, ...options };
+  const window = prev?.length && cur?.length ? getWindows(prev, cur, o) : { prev: 0, cur: 0, timed: false };
+  const none = { overlapLength: 0, score: 0, matches: 0, ops: [], window };
+  if (!window.prev || !window.cur) return none;
+
+  const P = prev.slice(prev.length - window.prev);
+  const C = cur.slice(0, window.cur);
+  const m = P.length, n = C.length;
+
+  const gap = (token) => (isPunctuation(token) ? 0 : o.gapScore);
+  const pair = (p, c) => {
+    const pp = isPunctuation(p), cp = isPunctuation(c);
+    if (pp || cp) return pp && cp && p === c ? { op: 'match', score: o.matchScore / 4, sim: 1 } : null;
+    const sim = wordSimilarity(p, c);
+    const weight = Math.max(p.length, c.length) <= SHORT_WORD_LENGTH ? o.shortWordFactor : 1;
+    return sim >= o.similarityThreshold
+      ? { op: 'match', score: o.matchScore * sim * weight, sim }
+      : { op: 'sub', score: o.mismatchScore, sim };
+  };
+
+  // Skipping tokens before/after the alignment costs like a gap
+  const lead = [0];
+  for (const c of C) lead.push(lead[lead.length - 1] + gap(c));
+  const tail = new Array(m + 1).fill(0);
+  for (let i = m - 1; i >= 0; i--) tail[i] = tail[i + 1] + gap(P[i]);
+
+  // H[i][j]: best alignment of P[..i) / C[..j) ending there; T[i][j]: its last step
+  const H = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(-Infinity));
+  const T = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(null));
+  for (let i = 0; i <= m; i++) {
+    for (let j = 0; j <= n; j++) {
+      // Start: anywhere in the window of slot N-1, near the start of slot N
+      if (j <= o.maxLeadSkip) { H[i][j] = lead[j]; T[i][j] = { op: 'start' }; }
+      if (i > 0 && j > 0) {
+        const step = pair(P[i - 1], C[j - 1]);
+        if (step && H[i - 1][j - 1] + step.score > H[i][j]) {
+          H[i][j] = H[i - 1][j - 1] + step.score;
+          T[i][j] = step;
+        }
+      }
+      if (i > 0 && H[i - 1][j] + gap(P[i - 1]) > H[i][j]) {
+        H[i][j] = H[i - 1][j] + gap(P[i - 1]);
+        T[i][j] = { op: 'del' };
+      }
+      if (j > 0 && H[i][j - 1] + gap(C[j - 1]) > H[i][j]) {
+        H[i][j] = H[i][j - 1] + gap(C[j - 1]);
+        T[i][j] = { op: 'ins' };
+      }
+    }
+  }
+
+  // End: close to the end of slot N-1 (best score, then the latest end in slot N-1)
+  let best = null;
+  for (let i = m; i >= 0; i--) {
+    if (countWords(P.slice(i)) > o.maxTailSkip) break;
+    for (let j = 1; j <= n; j++) {
+      const step = T[i][j];
+      if (step?.op !== 'match') continue;
+      const score = H[i][j] + tail[i];
+      if (!best || score > best.score) best = { i, j, score };
+    }
+  }
+  if (!best || best.score < o.minScore) return { ...none, score: best?.score || 0 };
+
+  // Trace back to the start
+  const ops = P.slice(best.i).map(p => ({ op: 'tail', prev: p }));
+  let i = best.i, j = best.j;
+  while (T[i][j] && T[i][j].op !== 'start') {
+    const step = T[i][j];
+    if (step.op === 'del') ops.unshift({ op: 'del', prev: P[--i] });
+    else if (step.op === 'ins') ops.unshift({ op: 'ins', cur: C[--j] });
+    else ops.unshift({ op: step.op, prev: P[--i], cur: C[--j], sim: Math.round(step.sim * 100) / 100 });
+  }
+  for (let k = j - 1; k >= 0; k--) ops.unshift({ op: 'lead', cur: C[k] });
+
+  // The re-typed words must outnumber the words skipped before them
+  const matches = ops.filter(s => s.op === 'match' && !isPunctuation(s.cur)).length;
+  const leadWords = countWords(C.slice(0, j));
+  if (matches <= leadWords) return { ...none, score: best.score };
+
+  // Punctuation right after the re-typed words goes with them
+  let overlapLength = best.j;
+  while (overlapLength < cur.length && isPunctuation(cur[overlapLength]) && !/^[«"']$/.test(cur[overlapLength])) {
+    ops.splice(ops.length - (m - best.i), 0, { op: 'ins', cur: cur[overlapLength++] });
+  }
+
+  return {
+    overlapLength,
+    score: Math.round(best.score * 100) / 100,
+    matches,
+    ops,
+    window,
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * ROLE — Live sources (uploaded file, RTMP/SRT listener, remote URL)
+ *
+ * Describes what FFmpeg reads for a live and builds the matching input arguments:
+ * - `file`: an uploaded video from `media/`, played at native speed (`-re`) to simulate a live
+ * - `rtmp`: FFmpeg listens on `config.ingest.rtmpPort`; OBS (or any encoder) publishes to it
+ * - `srt`: FFmpeg listens on `config.ingest.srtPort` in SRT listener mode
+ * - `url`: FFmpeg pulls a remote stream (RTMP, SRT, RTSP, UDP, HTTP/HLS...)
+ *
+ * Listener ports are shared by all sessions, so only one session at a time can use each.
+ * Publisher disconnects/reconnects are handled by the live lifecycle in services.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config, sessions, isLiveRunning } from './core.js';
+
+export const SOURCE_KINDS = ['file', 'rtmp', 'srt', 'url'];
+
+/** Kinds where FFmpeg waits for an encoder to connect */
+const LISTENER_KINDS = ['rtmp', 'srt'];
+
+/** Protocols accepted for `url` sources (no local files) */
+const URL_PROTOCOLS = ['rtmp:', 'rtmps:', 'srt:', 'rtsp:', 'udp:', 'http:', 'https:'];
+
+/** Resolve media path */
+export function resolveMediaPath(source) {
+  const clean = source.startsWith('/media/') ? source.slice(7) : source;
+  return path.join(config.media, clean);
+}
+
+/** RTMP stream path of a session (`/live/<sessionId>`) */
+const rtmpPath = (sessionId) => `/live/${sessionId}`;
+
+/**
+ * URLs an encoder should publish to for a session
+ * @param {Object} session - Session state
+ * @param {string} host - Host name as seen by the encoder
+ */
+export function getPublishUrls(session, host) {
+  const { rtmpPort, srtPort } = config.ingest;
+  return {
+    rtmp: `rtmp://${host}:${rtmpPort}${rtmpPath(session.id)}`,
+    srt: `srt://${host}:${srtPort}?streamid=${session.id}`,
+  };
+}
+
+/**
+ * Validate the source requested in a `live/start` body
+ *
+ * Legacy bodies only carry `source` (a media path); ingest bodies carry
+ * `ingest: 'rtmp' | 'srt' | 'url'` (+ `url` for the latter).
+ *
+ * @param {Object} session - Session the live starts in
+ * @param {Object} body - Request body
+ * @returns {{ source: Object|null, error: string|null, status?: number }}
+ */
+export function resolveLiveSource(session, body) {
+  const kind = body.ingest || 'file';
+  if (!SOURCE_KINDS.includes(kind)) {
+    return { source: null, error: `Invalid ingest (${SOURCE_KINDS.join(', ')})` };
+  }
+
+  if (kind === 'file') {
+    if (!body.source) return { source: null, error: 'Source required' };
+    const mediaPath = resolveMediaPath(body.source);
+    if (!fs.existsSync(mediaPath)) return { source: null, error: 'File not found' };
+    return { source: { kind, path: mediaPath }, error: null };
+  }
+
+  if (kind === 'url') {
+    let url;
+    try {
+      url = new URL(String(body.url || ''));
+    } catch (e) {
+      return { source: null, error: 'Valid URL required' };
+    }
+    if (!URL_PROTOCOLS.includes(url.protocol)) {
+      return { source: null, error: `Unsupported protocol (${URL_PROTOCOLS.join(' ')})` };
+    }
+    return { source: { kind, url: url.href }, error: null };
+  }
+
+  const busy = Array.from(sessions.values())
+    .find(s => s !== session && isLiveRunning(s) && s.ingest?.kind === kind);
+  if (busy) {
+    return { source: null, status: 409, error: `The ${kind.toUpperCase()} port is already used by session "${busy.id}"` };
+  }
+  return { source: { kind }, error: null };
+}
+
+/**
+ * FFmpeg input arguments for a source
+ * @param {Object} session - Session state
+ * @param {Object} source - Source from `resolveLiveSource()`
+ * @returns {string[]}
+ */
+export function buildInputArgs(session, source) {
+  const { rtmpPort, srtPort, readTimeoutSec } = config.ingest;
+  const rwTimeout = ['-rw_timeout', String(readTimeoutSec * 1000000)];
+
+  switch (source.kind) {
+    case 'rtmp':
+      return [...rwTimeout, '-listen', '1', '-i', `rtmp://0.0.0.0:${rtmpPort}${rtmpPath(session.id)}`];
+    case 'srt':
+      // peer_idle_timeout (µs) makes a vanished publisher end the input like a clean disconnect
+      return ['-i', `srt://0.0.0.0:${srtPort}?mode=listener&peer_idle_timeout=${readTimeoutSec * 1000000}`];
+    case 'url':
+      return [...rwTimeout, '-i', source.url];
+    default:
+      return ['-re', '-i', source.path];
+  }
+}
+
+/** Does FFmpeg wait for an encoder to connect for this source? */
+export const isListenerSource = (source) => LISTENER_KINDS.includes(source?.kind);
+
+/** Short label of a source for logs and the session log meta */
+export const describeSource = (source) => {
+  switch (source.kind) {
+    case 'file': return path.basename(source.path);
+    case 'url': return source.url;
+    default: return `${source.kind}-ingest`;
+  }
+};
@@ -0,0 +1,139 @@
+/**
+ * ROLE — Per-subtitler metrics (fragment mode)
+ *
+ * Computed on demand from the slots of a run (`captionsBySlot`), live or replayed
+ * from a persisted log. For each subtitler:
+ * - words per minute (words typed / minutes of video they were assigned)
+ * - latency from slot start to their first caption
+ * - share of auto-sent vs manually sent words
+ * - empty slots (no text at all)
+ * - words trimmed by the fusion engine as overlap with the previous slot
+ * - words fixed by the spell checker (sessions with autocorrect on)
+ * - abbreviations/macros expanded and the share of the text they produced
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Count words (tokens containing a letter or a digit, punctuation excluded) */
+const countWords = (text) => String(text || '').split(/\s+/).filter(w => /[\p{L}\p{N}]/u.test(w)).length;
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const ratio = (part, total) => (total > 0 ? round(part / total, 3) : null);
+
+function emptyEntry(id, name) {
+  return {
+    subtitlerId: id,
+    subtitlerName: name,
+    slots: 0,
+    emptySlots: 0,
+    words: 0,
+    autoWords: 0,
+    manualWords: 0,
+    coveredMs: 0,
+    firstCaptionLatencies: [],
+    overlapTrimmedWords: 0,
+    autocorrectedWords: 0,
+    chars: 0,
+    expansions: 0,
+    expansionSavedChars: 0,
+  };
+}
+
+/** Turn accumulated counters into the public metrics object */
+function finalizeEntry(entry) {
+  const { firstCaptionLatencies: latencies } = entry;
+  const minutes = entry.coveredMs / 60000;
+  return {
+    subtitlerId: entry.subtitlerId,
+    subtitlerName: entry.subtitlerName,
+    slots: entry.slots,
+    emptySlots: entry.emptySlots,
+    emptySlotRate: ratio(entry.emptySlots, entry.slots),
+    words: entry.words,
+    wpm: minutes > 0 ? round(entry.words / minutes) : null,
+    avgFirstCaptionLatencyMs: latencies.length
+      ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length)
+      : null,
+    autoWords: entry.autoWords,
+    manualWords: entry.manualWords,
+    autoShare: ratio(entry.autoWords, entry.words),
+    overlapTrimmedWords: entry.overlapTrimmedWords,
+    overlapTrimmedRate: ratio(entry.overlapTrimmedWords, entry.words),
+    autocorrectedWords: entry.autocorrectedWords,
+    autocorrectedRate: ratio(entry.autocorrectedWords, entry.words),
+    expansions: entry.expansions,
+    expansionSavedChars: entry.expansionSavedChars,
+    expansionShare: ratio(entry.expansionSavedChars, entry.chars),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPUTATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compute per-subtitler metrics for one run
+ *
+ * @param {Object[]} slots - Slots with their raw captions (`captionsBySlot`)
+ * @param {number} slotDurationSec - Slot duration of the run (s)
+ * @param {number} [now] - Reference time for slots still open (ms)
+ * @returns {{ subtitlers: Object[], totals: Object }}
+ */
+export function computeSubtitlerMetrics(slots, slotDurationSec, now = Date.now()) {
+  const slotDurationMs = slotDurationSec * 1000;
+  const bySubtitler = new Map();
+  const totals = emptyEntry(null, null);
+
+  for (const slot of slots) {
+    if (!slot.subtitlerId) continue;
+
+    let entry = bySubtitler.get(slot.subtitlerId);
+    if (!entry) {
+      entry = emptyEntry(slot.subtitlerId, slot.subtitlerName);
+      bySubtitler.set(slot.subtitlerId, entry);
+    }
+
+    // Video time the subtitler was responsible for (open slots count up to now)
+    const covered = slot.endTime ? slotDurationMs : Math.min(Math.max(0, now - slot.startTime), slotDurationMs);
+    const captions = slot.captions || [];
+    const autoWords = captions.filter(c => c.autoSent).reduce((n, c) => n + countWords(c.text), 0);
+    const manualWords = captions.filter(c => !c.autoSent).reduce((n, c) => n + countWords(c.text), 0);
+    const isEmpty = autoWords + manualWords === 0;
+    const chars = captions.reduce((n, c) => n + String(c.text || '').length, 0);
+    const expansions = captions.reduce((n, c) => n + (c.expansions?.count || 0), 0);
+    const expansionSavedChars = captions.reduce((n, c) => n + (c.expansions?.savedChars || 0), 0);
+
+    for (const target of [entry, totals]) {
+      target.slots++;
+      target.coveredMs += covered;
+      target.autoWords += autoWords;
+      target.manualWords += manualWords;
+      target.words += autoWords + manualWords;
+      target.overlapTrimmedWords += slot.overlapFromPrev || 0;
+      target.autocorrectedWords += slot.autocorrect?.corrections?.length || 0;
+      target.chars += chars;
+      target.expansions += expansions;
+      target.expansionSavedChars += expansionSavedChars;
+      // Open slots are not "empty" yet
+      if (isEmpty && slot.endTime) target.emptySlots++;
+    }
+
+    const receivedTimes = captions.map(c => c.receivedAt || c.createdAt).filter(Number.isFinite);
+    if (receivedTimes.length) {
+      const latency = Math.max(0, Math.min(...receivedTimes) - slot.startTime);
+      entry.firstCaptionLatencies.push(latency);
+      totals.firstCaptionLatencies.push(latency);
+    }
+  }
+
+  return {
+    subtitlers: Array.from(bySubtitler.values()).map(finalizeEntry),
+    totals: finalizeEntry(totals),
+  };
+}
@@ -0,0 +1,236 @@
+/**
+ * ROLE — Post-live render of the subtitled video (FFmpeg job)
+ *
+ * Once a live is stopped, takes the source media of the run and its fused captions
+ * and produces an MP4 in `media/`:
+ * - `soft`: the captions as a `mov_text` subtitle track (video copied when possible)
+ * - `burn`: the captions drawn into the picture (re-encoded, needs FFmpeg with libass)
+ *
+ * One job per session at a time (`session.renderJob`). Progress is parsed from
+ * FFmpeg's `-progress` output and pushed to the session admins (`render:status`).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { config, log, isLiveRunning } from './core.js';
+import { buildCues, toSrt } from './subtitles.js';
+import { broadcastToAdmins } from './services.js';
+import { resolveMediaPath } from './ingest.js';
+
+export const RENDER_MODES = ['soft', 'burn'];
+
+/** Sources whose video stream can be copied as-is into an MP4 (soft mode) */
+const COPYABLE_VIDEO_EXTENSIONS = ['.mp4', '.mov'];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Parse FFmpeg's "Duration: HH:MM:SS.cc" banner line (ms) */
+function parseDuration(text) {
+  const match = text.match(/Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  if (!match) return null;
+  const [, h, m, s] = match;
+  return Math.round(((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000);
+}
+
+/**
+ * Cue times of the render are positions in the source file: the HLS stream starts at
+ * the beginning of the source, so `mediaTimestamp` is used (runs recorded before it
+ * existed fall back to `videoTimestamp`).
+ */
+function buildRenderCues(fusedCaptions) {
+  const hasMediaTime = fusedCaptions.some(c => Number.isFinite(c.mediaTimestamp));
+  return buildCues(fusedCaptions, hasMediaTime ? 'mediaTimestamp' : 'videoTimestamp');
+}
+
+/** Public view of a job (no process handle, no absolute paths) */
+export function describeRenderJob(job) {
+  if (!job) return null;
+  return {
+    id: job.id,
+    mode: job.mode,
+    status: job.status,
+    source: job.source,
+    logId: job.logId,
+    cueCount: job.cueCount,
+    progress: job.progress,
+    output: job.status === 'done' ? path.basename(job.outputPath) : null,
+    error: job.error,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+function broadcastRenderStatus(session) {
+  broadcastToAdmins(session, { type: 'render:status', job: describeRenderJob(session.renderJob) });
+}
+
+/** Build FFmpeg arguments for one render */
+function buildRenderArgs(job) {
+  const { ffmpeg: ff } = config;
+  const srtName = path.basename(job.subtitlePath);
+  const encodeVideo = [
+    '-c:v', ff.videoCodec, '-preset', ff.videoPreset,
+    '-pix_fmt', ff.pixelFormat, '-b:v', ff.videoBitrate,
+  ];
+  const encodeAudio = ['-c:a', ff.audioCodec, '-b:a', ff.audioBitrate];
+
+  const common = ['-hide_banner', '-nostats', '-progress', 'pipe:1', '-y', '-i', job.sourcePath];
+
+  if (job.mode === 'burn') {
+    // Run from the subtitle directory so the filter argument needs no path escaping
+    return [
+      ...common,
+      '-vf', `subtitles=${srtName}:force_style='${config.render.burnStyle}'`,
+      ...encodeVideo, ...encodeAudio,
+      '-movflags', '+faststart',
+      job.outputPath,
+    ];
+  }
+
+  const copyVideo = COPYABLE_VIDEO_EXTENSIONS.includes(path.extname(job.sourcePath).toLowerCase());
+  return [
+    ...common,
+    '-i', srtName,
+    '-map', '0:v:0', '-map', '0:a?', '-map', '1:0',
+    ...(copyVideo ? ['-c:v', 'copy'] : encodeVideo),
+    ...encodeAudio,
+    '-c:s', 'mov_text',
+    '-metadata:s:s:0', `language=${config.render.subtitleLanguage}`,
+    '-movflags', '+faststart',
+    job.outputPath,
+  ];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// JOBS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Is a render currently running for this session? */
+export const isRenderRunning = (session) => session.renderJob?.status === 'running';
+
+/**
+ * Start rendering the last run of a session
+ *
+ * @param {Object} session - Session state
+ * @param {string} [mode='soft'] - 'soft' (mov_text track) or 'burn' (burned-in)
+ * @returns {Object} Public job description
+ * @throws {Error} With a `status` (HTTP code) when the render cannot start
+ */
+export function startRender(session, mode = 'soft') {
+  const fail = (status, message) => Object.assign(new Error(message), { status });
+
+  if (!RENDER_MODES.includes(mode)) throw fail(400, `Invalid mode (${RENDER_MODES.join(', ')})`);
+  if (isLiveRunning(session)) throw fail(409, 'Stop the live before rendering');
+  if (isRenderRunning(session)) throw fail(409, 'A render is already running');
+  if (!session.lastSource) throw fail(400, 'No source file to render (no previous live, or an ingest live)');
+
+  const sourcePath = resolveMediaPath(session.lastSource);
+  if (!fs.existsSync(sourcePath)) throw fail(400, `Source video not found: ${session.lastSource}`);
+
+  const cues = buildRenderCues(session.fragment.fusedCaptions);
+  if (!cues.length) throw fail(400, 'No captions to render');
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const baseName = `${session.id}_${stamp}_${mode === 'burn' ? 'burned' : 'subtitled'}`;
+  const subtitlePath = path.join(config.media, `${baseName}.srt`);
+  fs.writeFileSync(subtitlePath, toSrt(cues));
+
+  const job = {
+    id: baseName,
+    mode,
+    status: 'running',
+    source: session.lastSource,
+    logId: session.logId,
+    cueCount: cues.length,
+    progress: 0,
+    durationMs: null,
+    error: null,
+    startedAt: Date.now(),
+    finishedAt: null,
+    sourcePath,
+    subtitlePath,
+    outputPath: path.join(config.media, `${baseName}.mp4`),
+    proc: null,
+  };
+  session.renderJob = job;
+
+  const args = buildRenderArgs(job);
+  log.info('RENDER', `[${session.id}] ${mode} render of ${job.source} (${cues.length} cues)`);
+  log.debug('FFMPEG', `Args: ${args.join(' ')}`);
+
+  const proc = spawn('ffmpeg', args, { cwd: path.dirname(subtitlePath) });
+  job.proc = proc;
+
+  let stderrBuffer = '';
+  let lastBroadcast = 0;
+
+  const finish = (status, error = null) => {
+    if (job.status !== 'running') return;
+    job.status = status;
+    job.error = error;
+    job.proc = null;
+    job.finishedAt = Date.now();
+    if (status === 'done') job.progress = 1;
+    fs.rmSync(job.subtitlePath, { force: true });
+    if (status !== 'done') fs.rmSync(job.outputPath, { force: true });
+
+    if (status === 'done') log.info('RENDER', `[${session.id}] Done: ${path.basename(job.outputPath)}`);
+    else log.error('RENDER', `[${session.id}] ${status}: ${error}`);
+    broadcastRenderStatus(session);
+  };
+
+  proc.on('error', (err) => finish('failed', `FFmpeg spawn error: ${err.message}`));
+
+  proc.on('exit', (code, signal) => {
+    if (code === 0) return finish('done');
+    if (signal) return finish('cancelled', `Stopped (${signal})`);
+    const lastLine = stderrBuffer.trim().split('\n').pop() || `exit code ${code}`;
+    log.error('FFMPEG', stderrBuffer.slice(-500));
+    finish('failed', lastLine);
+  });
+
+  proc.stderr.on('data', (d) => {
+    stderrBuffer = (stderrBuffer + d.toString()).slice(-8192);
+    if (job.durationMs === null) job.durationMs = parseDuration(stderrBuffer);
+  });
+
+  // `-progress pipe:1` prints key=value blocks; out_time_us (out_time_ms on older
+  // builds, also in µs) is the position reached
+  proc.stdout.on('data', (d) => {
+    const matches = [...d.toString().matchAll(/out_time_(?:us|ms)=(\d+)/g)];
+    if (!matches.length || !job.durationMs) return;
+    const positionMs = Number(matches[matches.length - 1][1]) / 1000;
+    job.progress = Math.min(0.99, Math.round(positionMs / job.durationMs * 1000) / 1000);
+
+    if (Date.now() - lastBroadcast >= config.render.progressIntervalMs) {
+      lastBroadcast = Date.now();
+      broadcastRenderStatus(session);
+    }
+  });
+
+  broadcastRenderStatus(session);
+  return describeRenderJob(job);
+}
+
+/**
+ * Stop the running render of a session (if any)
+ * @param {Object} session - Session state
+ */
+export function cancelRender(session) {
+  if (!isRenderRunning(session) || !session.renderJob.proc) return;
+  try { session.renderJob.proc.kill('SIGTERM'); } catch (e) { /* ignore */ }
+}
+
+/**
+ * Absolute path of the finished render of a session
+ * @param {Object} session - Session state
+ * @returns {string|null} Path, or null if there is nothing to download
+ */
+export function getRenderOutput(session) {
+  const job = session.renderJob;
+  if (job?.status !== 'done' || !fs.existsSync(job.outputPath)) return null;
+  return job.outputPath;
+}
@@ -2,22 +2,69 @@
  * ROLE — HTTP routes (REST API + HLS playlists)
  *
  * Defines everything served over HTTP:
- * - REST API under `/api/*` (start/stop live, delay, uploads, status...)
- * - HLS playlist endpoints:
- *   - `/hls/live.m3u8` (for subtitlers)
- *   - `/hls/delayed.m3u8` (for spectators)
- * - Static serving of HLS segments under `/hls/*.ts`
+ * - Accounts under `/api/auth/*` (register, login, logout, roles)
+ * - Session registry under `/api/sessions` (list/create/delete subtitling rooms)
+ * - Per-session REST API under `/api/sessions/:sessionId/*` (start/stop live, delay, status...)
+ *   a live reads an uploaded file or an encoder feed (RTMP/SRT listener, URL; see ingest.js)
+ *   also mounted under `/api/*` for the default session
+ * - Shared media library: `/api/videos`, `/api/upload`
+ * - Per-subtitler metrics: `/api/sessions/:sessionId/metrics/subtitlers` (or `/api/metrics/subtitlers`)
+ * - Caption correction queue: `/api/sessions/:sessionId/moderation` (admins + designated correctors)
+ * - Caption appearance defaults of the spectator page: `GET/POST /api/sessions/:sessionId/config` (`captionStyle`)
+ * - Fusion settings + alignment traces of the last slots: `/api/sessions/:sessionId/fusion`
+ * - Spell checking: `/api/sessions/:sessionId/spellcheck` (subtitler input check, autocorrect + glossary settings)
+ * - Abbreviations/macros: personal dictionary `/api/auth/me/expansions`, shared one `/api/sessions/:sessionId/expansions`
+ * - Post-live subtitled MP4: `/api/sessions/:sessionId/render` (start/status) + `/render/download`
+ * - HLS playlist endpoints, per session:
+ *   - `/hls/:sessionId/live.m3u8` (for subtitlers): master of the ABR ladder, `<rendition>/live.m3u8` per rung
+ *   - `/hls/:sessionId/live-ll.m3u8` + `ll/segNNNNN.m4s` (for subtitlers, LL-HLS: parts + blocking reload)
+ *   - `/hls/:sessionId/delayed.m3u8` (for spectators): same, `<rendition>/delayed.m3u8` share one window
+ *   - `/hls/:sessionId/master.m3u8` + `delayed-subs.m3u8` (delayed video + WebVTT subtitles)
+ *   (`/hls/*.m3u8` redirects to the default session)
+ * - Static serving of HLS segments under `/hls/:sessionId/<rendition>/*.ts` (and parts under `ll/*.m4s`)
+ * - Replay of archived runs: `/api/sessions/:sessionId/archives`, then `/vod/:sessionId/:logId/master.m3u8`
+ *   (VOD renditions served from the archive, WebVTT built from the run's log)
+ *
+ * Control routes are guarded by `requireRole()` (see auth.js); playlists, captions
+ * and the live status stay public for spectators.
  */
 
 import express from 'express';
 import path from 'path';
 import fs from 'fs';
 import multer from 'multer';
-import { config, state, log, isLiveRunning, getLiveTimestamp } from './core.js';
+import {
+  config, log, sessions, isLiveRunning, clearTimers,
+  createSession, getSession, getDefaultSession, DEFAULT_SESSION_ID, SESSION_ID_PATTERN,
+} from './core.js';
 import * as services from './services.js';
+import * as store from './store.js';
+import * as auth from './auth.js';
+import { computeSubtitlerMetrics } from './metrics.js';
+import * as render from './render.js';
+import * as ingest from './ingest.js';
+import * as spellcheck from './spellcheck.js';
+import * as expansions from './expansions.js';
+import { validateFusionOptions } from './fusion.js';
+import { buildCues, EXPORT_FORMATS, validateCaptionStyle } from './subtitles.js';
 
 const router = express.Router();
 
+/** Routes scoped to one session (`req.liveSession`) */
+const sessionRouter = express.Router();
+
+const adminOnly = auth.requireRole(auth.ROLES.ADMIN);
+const subtitlerOnly = auth.requireRole(auth.ROLES.SUBTITLER);
+
+/** Admins, or the correctors designated for the session */
+function moderatorOnly(req, res, next) {
+  const user = auth.authenticateRequest(req);
+  if (!user) return res.status(401).json({ error: 'Authentication required' });
+  if (!services.canModerate(req.liveSession, user)) return res.status(403).json({ error: 'Forbidden' });
+  req.user = user;
+  next();
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // FILE UPLOAD
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -43,37 +90,188 @@ const upload = multer({
 // API ROUTES
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Resolve `:sessionId` into `req.liveSession` (404 if unknown)
+ */
+function resolveSession(req, res, next) {
+  const session = getSession(req.params.sessionId);
+  if (!session) return res.status(404).json({ error: 'Unknown session' });
+  req.liveSession = session;
+  next();
+}
+
+/** Public description of a session */
+function describeSession(session) {
+  return {
+    id: session.id,
+    name: session.name,
+    createdAt: session.createdAt,
+    running: isLiveRunning(session),
+    mode: session.currentMode,
+    delaySec: session.delaySec,
+    subtitlerCount: services.getActiveSubtitlers(session).length,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AUTHENTICATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Create an account and log it in */
+router.post('/api/auth/register', (req, res) => {
+  const { username, password } = req.body;
+  const { error, status } = auth.register(username, password);
+  if (error) return res.status(status || 400).json({ error });
+
+  const { token, user } = auth.login(username, password);
+  res.status(201).set('Set-Cookie', auth.authCookie(token)).json({ token, user });
+});
+
+/** Log in (token in the body + HttpOnly cookie) */
+router.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  const { token, user, error } = auth.login(username, password);
+  if (error) return res.status(401).json({ error });
+  res.set('Set-Cookie', auth.authCookie(token)).json({ token, user });
+});
+
+router.post('/api/auth/logout', (req, res) => {
+  const token = auth.getRequestToken(req);
+  if (token) auth.logout(token);
+  res.set('Set-Cookie', auth.authCookie(null)).json({ ok: true });
+});
+
+/** Current account */
+router.get('/api/auth/me', (req, res) => {
+  const user = auth.authenticateRequest(req);
+  if (!user) return res.status(401).json({ error: 'Authentication required' });
+  res.json({ user });
+});
+
+/** Personal abbreviations/macros of the current account */
+router.get('/api/auth/me/expansions', subtitlerOnly, (req, res) => {
+  res.json(expansions.getUserDictionary(req.user.username));
+});
+
+/** Replace the personal abbreviations/macros ({ abbreviations, macros }) */
+router.post('/api/auth/me/expansions', subtitlerOnly, (req, res) => {
+  const { dictionary, error } = expansions.validateDictionary(req.body);
+  if (error) return res.status(400).json({ error });
+  expansions.setUserDictionary(req.user.username, dictionary);
+  res.json({ ok: true, ...dictionary });
+});
+
+/** List accounts */
+router.get('/api/auth/users', adminOnly, (req, res) => {
+  res.json({ users: auth.listUsers() });
+});
+
+/** Change the role of an account */
+router.post('/api/auth/users/:username/role', adminOnly, (req, res) => {
+  const { user, error } = auth.setRole(req.params.username, req.body.role);
+  if (error) return res.status(400).json({ error });
+  res.json({ ok: true, user });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SESSIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** List sessions */
+router.get('/api/sessions', (req, res) => {
+  res.json({ sessions: Array.from(sessions.values()).map(describeSession) });
+});
+
+/** Create a session */
+router.post('/api/sessions', adminOnly, (req, res) => {
+  const { id, name } = req.body;
+  if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid session id (a-z, 0-9, -; max 32 chars)' });
+  }
+  if (getSession(id)) {
+    return res.status(409).json({ error: 'Session already exists' });
+  }
+
+  const session = createSession(id, typeof name === 'string' && name.trim() ? name.trim().slice(0, 80) : id);
+  store.saveSessionRegistry();
+  log.info('API', `Session created: ${id}`);
+  res.status(201).json(describeSession(session));
+});
+
+/** Get one session */
+router.get('/api/sessions/:sessionId', resolveSession, (req, res) => {
+  res.json(describeSession(req.liveSession));
+});
+
+/** Delete a session (stops its live; persisted logs are kept) */
+router.delete('/api/sessions/:sessionId', adminOnly, resolveSession, async (req, res) => {
+  const session = req.liveSession;
+  if (session.id === DEFAULT_SESSION_ID) {
+    return res.status(400).json({ error: 'The default session cannot be deleted' });
+  }
+
+  if (isLiveRunning(session)) await services.stopLive(session);
+  render.cancelRender(session);
+  clearTimers(session);
+  sessions.delete(session.id);
+  fs.rmSync(session.hlsDir, { recursive: true, force: true });
+  store.saveSessionRegistry();
+
+  log.info('API', `Session deleted: ${session.id}`);
+  res.json({ ok: true });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SESSION API ROUTES
+// ═══════════════════════════════════════════════════════════════════════════════
+
 /** Get current config */
-router.get('/api/config', (req, res) => {
+sessionRouter.get('/config', (req, res) => {
+  const session = req.liveSession;
   res.json({
-    delaySec: state.delaySec,
-    mode: state.currentMode,
-    fragmentMode: state.fragment.active,
+    sessionId: session.id,
+    delaySec: session.delaySec,
+    mode: session.currentMode,
+    fragmentMode: session.fragment.active,
+    captionStyle: session.captionStyle,
   });
 });
 
+/** Session defaults of the caption appearance on the spectator page ({ captionStyle }) */
+sessionRouter.post('/config', adminOnly, (req, res) => {
+  const session = req.liveSession;
+  const { style, error } = validateCaptionStyle(req.body?.captionStyle, session.captionStyle);
+  if (error) return res.status(400).json({ error });
+
+  session.captionStyle = style;
+  services.broadcastToSession(session, { type: 'config', captionStyle: style });
+  log.info('API', `[${session.id}] Caption style: ${JSON.stringify(style)}`);
+  res.json({ ok: true, captionStyle: style });
+});
+
 /** Get/Set delay */
-router.get('/api/delay', (req, res) => res.json({ delaySec: state.delaySec }));
+sessionRouter.get('/delay', (req, res) => res.json({ delaySec: req.liveSession.delaySec }));
 
-router.post('/api/delay', (req, res) => {
+sessionRouter.post('/delay', adminOnly, (req, res) => {
+  const session = req.liveSession;
   const { delaySec } = req.body;
   if (typeof delaySec !== 'number' || delaySec < 0 || delaySec > config.maxDelay) {
     return res.status(400).json({ error: `Invalid delay (0-${config.maxDelay})` });
   }
 
-  const minDelay = services.getMinSpectatorDelaySec();
+  const minDelay = services.getMinSpectatorDelaySec(session);
   if (delaySec < minDelay) {
     return res.status(400).json({ error: `Delay too small for current fragment config. Minimum is ${minDelay}s.` });
   }
   
-  state.delaySec = delaySec;
-  services.broadcast({ type: 'config', delaySec });
-  log.info('API', `Delay set to ${delaySec}s`);
+  session.delaySec = delaySec;
+  services.broadcastToSession(session, { type: 'config', delaySec });
+  log.info('API', `[${session.id}] Delay set to ${delaySec}s`);
   res.json({ ok: true, delaySec });
 });
 
 /** List videos */
-router.get('/api/videos', (req, res) => {
+router.get('/api/videos', adminOnly, (req, res) => {
   try {
     const files = fs.readdirSync(config.media)
       .filter(f => /\.(mp4|mkv|mov|webm|avi)$/i.test(f))
@@ -85,55 +283,93 @@ router.get('/api/videos', (req, res) => {
 });
 
 /** Upload video */
-router.post('/api/upload', upload.single('video'), (req, res) => {
+router.post('/api/upload', adminOnly, upload.single('video'), (req, res) => {
   if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
   log.info('API', `Uploaded: ${req.file.filename}`);
   res.json({ ok: true, file: req.file.filename });
 });
 
 /** Get captions */
-router.get('/api/captions', (req, res) => {
+sessionRouter.get('/captions', (req, res) => {
   const since = parseInt(req.query.since, 10) || 0;
-  const captions = state.captions.filter(c => c.createdAt > since);
+  const captions = req.liveSession.captions.filter(c => c.createdAt > since);
   res.json({ captions });
 });
 
+/** Export fused captions as a subtitle file (?format=srt|vtt) */
+sessionRouter.get('/captions/export', (req, res) => {
+  const format = String(req.query.format || 'srt').toLowerCase();
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    return res.status(400).json({ error: `Unsupported format (${Object.keys(EXPORT_FORMATS).join(', ')})` });
+  }
+
+  const session = req.liveSession;
+  const cues = buildCues(session.fragment.fusedCaptions);
+  const filename = `captions-${session.id}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  log.info('API', `Export ${format.toUpperCase()}: ${cues.length} cues`);
+  res.set({
+    'Content-Type': exporter.contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  }).send(exporter.serialize(cues));
+});
+
+/** Transcript for spectators: fused captions they have reached (?since=<media ms>) */
+sessionRouter.get('/transcript', (req, res) => {
+  const since = parseInt(req.query.since, 10) || 0;
+  res.json(services.getTranscript(req.liveSession, since));
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // LIVE CONTROL
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /** Get live status */
-router.get('/api/live/status', (req, res) => {
-  const hls = services.getHlsStatus();
+sessionRouter.get('/live/status', (req, res) => {
+  const session = req.liveSession;
+  const hls = services.getHlsStatus(session);
   res.json({
-    running: isLiveRunning(),
-    liveStartedAt: state.liveStartedAt,
+    sessionId: session.id,
+    running: isLiveRunning(session),
+    liveStartedAt: session.liveStartedAt,
     manifest: hls.hasManifest,
     segmentCount: hls.segmentCount,
-    mode: state.currentMode,
-    delaySec: state.delaySec,
-    fragmentMode: state.fragment.active,
-    minSubtitlers: state.minSubtitlersRequired,
+    mode: session.currentMode,
+    delaySec: session.delaySec,
+    ...services.getEffectiveDelay(session), // effectiveDelaySec, edgeDelaySec: null until the delayed playlist is ready
+    minDelaySec: services.getMinSpectatorDelaySec(session),
+    dvrWindowSec: config.spectatorDvrWindow, // How far back spectators can seek
+    lowLatency: config.lowLatency.enabled, // Subtitlers play live-ll.m3u8
+    fragmentMode: session.fragment.active,
+    minSubtitlers: session.minSubtitlersRequired,
+    ingest: services.describeIngest(session),
+  });
+});
+
+/** Encoder settings: where OBS (or any RTMP/SRT encoder) publishes for this session */
+sessionRouter.get('/live/ingest', adminOnly, (req, res) => {
+  const session = req.liveSession;
+  res.json({
+    kinds: ingest.SOURCE_KINDS,
+    publishUrls: ingest.getPublishUrls(session, req.hostname),
+    ingest: services.describeIngest(session),
   });
 });
 
 /** Start live */
-router.post('/api/live/start', async (req, res) => {
+sessionRouter.post('/live/start', adminOnly, async (req, res) => {
+  const session = req.liveSession;
   try {
-    const { source, mode = 'fragmentation', delaySec, slotDuration, overlapDuration, notifyBefore, gracePeriodPercent, requiredSubtitlers } = req.body;
-    
-    if (!source) return res.status(400).json({ error: 'Source required' });
+    const { mode = 'fragmentation', delaySec, slotDuration, overlapDuration, notifyBefore, gracePeriodPercent, requiredSubtitlers } = req.body;
     
-    const mediaPath = services.resolveMediaPath(source);
-    if (!fs.existsSync(mediaPath)) {
-      return res.status(400).json({ error: 'File not found' });
-    }
+    const { source, error, status } = ingest.resolveLiveSource(session, req.body);
+    if (error) return res.status(status || 400).json({ error });
     
     // Apply settings
-    if (typeof delaySec === 'number') state.delaySec = delaySec;
+    if (typeof delaySec === 'number') session.delaySec = delaySec;
     
       // Fragment config
-    const { fragment: f } = state;
+    const { fragment: f } = session;
     if (typeof slotDuration === 'number') f.slotDuration = slotDuration;
     if (typeof overlapDuration === 'number') f.overlapDuration = overlapDuration;
     if (typeof notifyBefore === 'number') f.notifyBefore = notifyBefore;
@@ -141,34 +377,34 @@ router.post('/api/live/start', async (req, res) => {
     if (typeof requiredSubtitlers === 'number') f.requiredSubtitlers = requiredSubtitlers;
 
       // Validate that the chosen parameters can actually support overlapping slots
-      const validation = services.validateFragmentConfig(f.requiredSubtitlers);
+      const validation = services.validateFragmentConfig(session, f.requiredSubtitlers);
       if (!validation.ok) {
         return res.status(400).json({ error: validation.error });
       }
 
-      const minDelay = services.getMinSpectatorDelaySec();
-      if (typeof state.delaySec === 'number' && state.delaySec < minDelay) {
+      const minDelay = services.getMinSpectatorDelaySec(session);
+      if (typeof session.delaySec === 'number' && session.delaySec < minDelay) {
         return res.status(400).json({ error: `Delay too small for fragment config. Minimum is ${minDelay}s.` });
       }
     
-    state.currentMode = mode;
+    session.currentMode = mode;
     
     // Check subtitler count for fragment mode
-    const subtitlerCount = services.getActiveSubtitlers().length;
+    const subtitlerCount = services.getActiveSubtitlers(session).length;
     if (mode === 'fragmentation' && subtitlerCount < f.requiredSubtitlers) {
       return res.status(400).json({ 
         error: `Need ${f.requiredSubtitlers} subtitlers (have ${subtitlerCount})` 
       });
     }
     
-    await services.startLive(mediaPath);
+    await services.startLive(session, source);
     
     // Auto-start fragment mode
     if (mode === 'fragmentation') {
-      services.startFragmentMode();
+      services.startFragmentMode(session);
     }
     
-    log.info('API', `Live started: ${source}`);
+    log.info('API', `[${session.id}] Live started: ${ingest.describeSource(source)}`);
     res.json({ ok: true, mode });
   } catch (e) {
     log.error('API', 'Start failed:', e.message);
@@ -177,8 +413,8 @@ router.post('/api/live/start', async (req, res) => {
 });
 
 /** Stop live */
-router.post('/api/live/stop', (req, res) => {
-  services.stopLive();
+sessionRouter.post('/live/stop', adminOnly, async (req, res) => {
+  await services.stopLive(req.liveSession);
   res.json({ ok: true });
 });
 
@@ -187,21 +423,21 @@ router.post('/api/live/stop', (req, res) => {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /** Get fragment config */
-router.get('/api/fragment/config', (req, res) => {
-  const { fragment: f } = state;
+sessionRouter.get('/fragment/config', subtitlerOnly, (req, res) => {
+  const { fragment: f } = req.liveSession;
   res.json({
     slotDuration: f.slotDuration,
     overlapDuration: f.overlapDuration,
     notifyBefore: f.notifyBefore,
     active: f.active,
-    subtitlerCount: services.getActiveSubtitlers().length,
+    subtitlerCount: services.getActiveSubtitlers(req.liveSession).length,
   });
 });
 
 /** Set fragment config */
-router.post('/api/fragment/config', (req, res) => {
+sessionRouter.post('/fragment/config', adminOnly, (req, res) => {
   const { slotDuration, overlapDuration, notifyBefore, gracePeriodPercent, requiredSubtitlers } = req.body;
-  const { fragment: f } = state;
+  const { fragment: f } = req.liveSession;
   
   // Allow short slots for testing (e.g. 6s)
   if (typeof slotDuration === 'number' && slotDuration >= 1) f.slotDuration = slotDuration;
@@ -210,7 +446,7 @@ router.post('/api/fragment/config', (req, res) => {
   if (typeof gracePeriodPercent === 'number' && gracePeriodPercent >= 0 && gracePeriodPercent <= 100) f.gracePeriodPercent = gracePeriodPercent;
   if (typeof requiredSubtitlers === 'number' && requiredSubtitlers >= 1 && requiredSubtitlers <= 10) f.requiredSubtitlers = requiredSubtitlers;
 
-  const validation = services.validateFragmentConfig(f.requiredSubtitlers);
+  const validation = services.validateFragmentConfig(req.liveSession, f.requiredSubtitlers);
   if (!validation.ok) {
     return res.status(400).json({ error: validation.error });
   }
@@ -219,10 +455,10 @@ router.post('/api/fragment/config', (req, res) => {
 });
 
 /** Get fragment status */
-router.get('/api/fragment/status', (req, res) => {
-  const { fragment: f } = state;
-  const active = services.getActiveSubtitlers();
-  const current = services.getCurrentSubtitler();
+sessionRouter.get('/fragment/status', subtitlerOnly, (req, res) => {
+  const { fragment: f } = req.liveSession;
+  const active = services.getActiveSubtitlers(req.liveSession);
+  const current = services.getCurrentSubtitler(req.liveSession);
 
   const latestSlot = f.captionsBySlot.length ? f.captionsBySlot[f.captionsBySlot.length - 1] : null;
   const baseStart = latestSlot?.startTime || f.slotStartTime;
@@ -236,37 +472,273 @@ router.get('/api/fragment/status', (req, res) => {
     currentSubtitlerName: current?.name,
     secondsRemaining: Math.max(0, f.slotDuration - elapsed),
     subtitlerCount: active.length,
-    subtitlers: active.map(s => ({ id: s.id, name: s.name })),
+    subtitlers: active.map(s => ({ id: s.id, name: s.name, connected: !s.disconnectedAt })),
     rawCaptionsCount: f.captionsBySlot.reduce((n, s) => n + s.captions.length, 0),
     fusedCaptionsCount: f.fusedCaptions.length,
   });
 });
 
 /** Start fragment mode */
-router.post('/api/fragment/start', (req, res) => {
-  if (!isLiveRunning()) {
+sessionRouter.post('/fragment/start', adminOnly, (req, res) => {
+  const session = req.liveSession;
+  if (!isLiveRunning(session)) {
     return res.status(400).json({ error: 'Live not running' });
   }
 
-  const validation = services.validateFragmentConfig(state.fragment.requiredSubtitlers);
+  const validation = services.validateFragmentConfig(session);
   if (!validation.ok) {
     return res.status(400).json({ error: validation.error });
   }
-  services.startFragmentMode();
+  services.startFragmentMode(session);
   res.json({ ok: true });
 });
 
 /** Stop fragment mode */
-router.post('/api/fragment/stop', (req, res) => {
-  services.stopFragmentMode();
+sessionRouter.post('/fragment/stop', adminOnly, (req, res) => {
+  services.stopFragmentMode(req.liveSession);
   res.json({ ok: true });
 });
 
 /** Get raw captions by slot */
-router.get('/api/fragment/raw-captions', (req, res) => {
-  res.json({ slots: state.fragment.captionsBySlot });
+sessionRouter.get('/fragment/raw-captions', adminOnly, (req, res) => {
+  res.json({ slots: req.liveSession.fragment.captionsBySlot });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUSION (overlap alignment)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Alignment settings + traces of the last slots (most recent first) */
+sessionRouter.get('/fusion', adminOnly, (req, res) => {
+  const session = req.liveSession;
+  res.json({
+    config: session.fusion,
+    alignments: services.getRecentAlignments(session, Math.min(parseInt(req.query.limit, 10) || 20, 200)),
+  });
+});
+
+/** Change alignment settings (partial, see config.fusion); applies from the next slot end */
+sessionRouter.post('/fusion/config', adminOnly, (req, res) => {
+  const session = req.liveSession;
+  const { options, error } = validateFusionOptions(req.body, session.fusion);
+  if (error) return res.status(400).json({ error });
+
+  session.fusion = options;
+  log.info('API', `[${session.id}] Fusion settings: ${JSON.stringify(options)}`);
+  res.json({ ok: true, config: options });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SPELL CHECKING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Misspelled words of a text, with suggestions ({ text }) */
+sessionRouter.post('/spellcheck', subtitlerOnly, (req, res) => {
+  const { text } = req.body;
+  if (typeof text !== 'string' || text.length > 1000) return res.status(400).json({ error: 'Text required (max 1000 chars)' });
+  res.json({ issues: spellcheck.checkText(req.liveSession, text) });
+});
+
+/** Dictionary, autocorrect setting and glossary of the session */
+sessionRouter.get('/spellcheck', adminOnly, (req, res) => {
+  const session = req.liveSession;
+  res.json({
+    dictionary: spellcheck.getDictionaryInfo(),
+    autocorrect: session.spellcheck.autocorrect,
+    glossary: spellcheck.getGlossary(session),
+  });
 });
 
+/** Turn server-side autocorrect on/off ({ autocorrect }) */
+sessionRouter.post('/spellcheck/config', adminOnly, (req, res) => {
+  const session = req.liveSession;
+  const { autocorrect } = req.body;
+  if (typeof autocorrect !== 'boolean') return res.status(400).json({ error: 'autocorrect must be a boolean' });
+
+  session.spellcheck.autocorrect = autocorrect;
+  log.info('API', `[${session.id}] Autocorrect ${autocorrect ? 'on' : 'off'}`);
+  res.json({ ok: true, autocorrect });
+});
+
+/** Replace the session glossary ({ terms: string[] } or { text } with one term per line) */
+sessionRouter.post('/spellcheck/glossary', adminOnly, (req, res) => {
+  const { terms, text } = req.body;
+  if (terms !== undefined && (!Array.isArray(terms) || terms.some(t => typeof t !== 'string'))) {
+    return res.status(400).json({ error: 'terms must be a list of strings' });
+  }
+  if (terms === undefined && typeof text !== 'string') return res.status(400).json({ error: 'terms or text required' });
+
+  const glossary = spellcheck.parseGlossary(terms ? terms.join('\n') : text);
+  spellcheck.setGlossary(req.liveSession, glossary);
+  res.json({ ok: true, glossary });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ABBREVIATIONS / MACROS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Shared dictionary of the session + the one merged for the caller */
+sessionRouter.get('/expansions', subtitlerOnly, (req, res) => {
+  res.json({
+    session: expansions.getSessionDictionary(req.liveSession),
+    effective: expansions.getEffectiveDictionary(req.liveSession, req.user.username),
+  });
+});
+
+/** Replace the shared dictionary of the session ({ abbreviations, macros }) */
+sessionRouter.post('/expansions', adminOnly, (req, res) => {
+  const { dictionary, error } = expansions.validateDictionary(req.body);
+  if (error) return res.status(400).json({ error });
+  expansions.setSessionDictionary(req.liveSession, dictionary);
+  res.json({ ok: true, ...dictionary });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODERATION (correction queue)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Moderation settings + pending captions */
+sessionRouter.get('/moderation', moderatorOnly, (req, res) => {
+  const { moderation } = req.liveSession;
+  res.json({
+    enabled: moderation.enabled,
+    correctors: moderation.correctors,
+    items: services.getModerationQueue(req.liveSession),
+  });
+});
+
+/** Turn moderation on/off and designate correctors ({ enabled?, correctors?: string[] }) */
+sessionRouter.post('/moderation/config', adminOnly, (req, res) => {
+  const session = req.liveSession;
+  const { moderation } = session;
+  const { enabled, correctors } = req.body;
+
+  if (correctors !== undefined) {
+    if (!Array.isArray(correctors) || correctors.some(c => typeof c !== 'string')) {
+      return res.status(400).json({ error: 'correctors must be a list of usernames' });
+    }
+    moderation.correctors = [...new Set(correctors.map(c => c.trim().toLowerCase()).filter(Boolean))];
+  }
+  if (typeof enabled === 'boolean' && enabled !== moderation.enabled) {
+    moderation.enabled = enabled;
+    // Nothing may stay stuck in the queue once nobody reviews it
+    if (!enabled) services.flushModerationQueue(session);
+  }
+
+  services.broadcastModerationQueue(session);
+  log.info('API', `[${session.id}] Moderation ${moderation.enabled ? 'on' : 'off'} (correctors: ${moderation.correctors.join(', ') || '-'})`);
+  res.json({ ok: true, enabled: moderation.enabled, correctors: moderation.correctors });
+});
+
+/** Save a correction of a pending caption ({ text }) */
+sessionRouter.post('/moderation/:itemId/draft', moderatorOnly, (req, res) => {
+  if (typeof req.body.text !== 'string') return res.status(400).json({ error: 'Text required' });
+  const ok = services.editModeratedCaption(req.liveSession, req.params.itemId, req.body.text, req.user.username);
+  if (!ok) return res.status(404).json({ error: 'Caption already released' });
+  res.json({ ok: true });
+});
+
+/** Approve a pending caption, optionally with its corrected text ({ text? }) */
+sessionRouter.post('/moderation/:itemId/approve', moderatorOnly, (req, res) => {
+  const { text } = req.body;
+  if (text !== undefined && typeof text !== 'string') return res.status(400).json({ error: 'Invalid text' });
+  const { itemId } = req.params;
+  const ok = services.releaseModeratedCaption(req.liveSession, itemId, { text, username: req.user.username });
+  if (!ok) return res.status(404).json({ error: 'Caption already released' });
+  // Still queued when an earlier caption is pending
+  res.json({ ok: true, waiting: req.liveSession.moderation.queue.has(itemId) });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// METRICS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Per-subtitler metrics of the current run, or of a past run (?log=<logId>).
+ * Once a live is stopped its slots are cleared, so the last log is used instead.
+ */
+sessionRouter.get('/metrics/subtitlers', adminOnly, (req, res) => {
+  const session = req.liveSession;
+  const { fragment: f } = session;
+  const logs = store.listSessionLogs(session.id);
+  const logId = req.query.log || (f.captionsBySlot.length ? null : session.logId);
+
+  if (!logId) {
+    return res.json({
+      sessionId: session.id,
+      logId: session.logId,
+      live: isLiveRunning(session),
+      logs,
+      ...computeSubtitlerMetrics(f.captionsBySlot, f.slotDuration),
+    });
+  }
+
+  if (!logs.includes(logId)) return res.status(404).json({ error: 'Unknown log' });
+  const history = store.replaySession(store.readSession(session.id, logId));
+  const slotDuration = history.session?.fragment?.slotDuration || config.defaultSlotDuration;
+  res.json({
+    sessionId: session.id,
+    logId,
+    live: false,
+    logs,
+    ...computeSubtitlerMetrics(history.captionsBySlot, slotDuration),
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPLAY (archived runs)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Archived runs of the session, most recent first (played from `/vod/<sessionId>/<logId>/`) */
+sessionRouter.get('/archives', (req, res) => {
+  res.json({ sessionId: req.liveSession.id, archives: services.listArchives(req.liveSession) });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// POST-LIVE RENDER (subtitled MP4)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Current/last render job of the session */
+sessionRouter.get('/render', adminOnly, (req, res) => {
+  const session = req.liveSession;
+  res.json({
+    sessionId: session.id,
+    source: session.lastSource,
+    modes: render.RENDER_MODES,
+    job: render.describeRenderJob(session.renderJob),
+  });
+});
+
+/** Start rendering the last live ({ mode: 'soft' | 'burn' }) */
+sessionRouter.post('/render', adminOnly, (req, res) => {
+  try {
+    const job = render.startRender(req.liveSession, req.body?.mode || 'soft');
+    res.status(202).json({ ok: true, job });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+/** Cancel the running render */
+sessionRouter.post('/render/cancel', adminOnly, (req, res) => {
+  render.cancelRender(req.liveSession);
+  res.json({ ok: true });
+});
+
+/** Download the finished render */
+sessionRouter.get('/render/download', adminOnly, (req, res) => {
+  const output = render.getRenderOutput(req.liveSession);
+  if (!output) return res.status(404).json({ error: 'No finished render' });
+  res.download(output, path.basename(output));
+});
+
+// Mounted per session, and unscoped for the default session
+router.use('/api/sessions/:sessionId', resolveSession, sessionRouter);
+router.use('/api', (req, res, next) => {
+  req.liveSession = getDefaultSession();
+  next();
+}, sessionRouter);
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // HLS ROUTES
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -276,26 +748,139 @@ const HLS_HEADERS = {
   'Cache-Control': 'no-cache, no-store, must-revalidate',
 };
 
-/** Live playlist */
-router.get('/hls/live.m3u8', (req, res) => {
-  const { content, error } = services.getLivePlaylist();
+/** Resolve `:sessionId` for HLS requests (plain-text 404 if unknown) */
+function resolveHlsSession(req, res, next) {
+  const session = getSession(req.params.sessionId);
+  if (!session) return res.status(404).send('Unknown session');
+  req.liveSession = session;
+  next();
+}
+
+/** Legacy unscoped playlists → default session */
+router.get(['/hls/live.m3u8', '/hls/live-ll.m3u8', '/hls/delayed.m3u8', `/hls/${config.masterPlaylist}`, `/hls/${config.subtitlePlaylist}`], (req, res) => {
+  res.redirect(307, `/hls/${DEFAULT_SESSION_ID}${req.path.slice('/hls'.length)}`);
+});
+
+/** Live master playlist (one variant per rendition of the ladder) */
+router.get('/hls/:sessionId/live.m3u8', resolveHlsSession, (req, res) => {
+  const { content, error } = services.getMasterPlaylist(req.liveSession, 'live.m3u8');
+  if (error) return res.status(404).send(error);
+  res.set(HLS_HEADERS).send(content);
+});
+
+/** Live playlist of one rendition */
+router.get('/hls/:sessionId/:rendition/live.m3u8', resolveHlsSession, (req, res) => {
+  const { content, error } = services.getLivePlaylist(req.liveSession, req.params.rendition);
+  if (error) return res.status(404).send(error);
+  res.set(HLS_HEADERS).send(content);
+});
+
+/** Parse a blocking reload parameter (`_HLS_msn` / `_HLS_part`): null if absent, NaN if invalid */
+const parseHlsDirective = (value) => (value === undefined ? null : (/^\d+$/.test(value) ? Number(value) : NaN));
+
+/** Low-latency live playlist (held until the requested part exists) */
+router.get('/hls/:sessionId/live-ll.m3u8', resolveHlsSession, async (req, res) => {
+  const msn = parseHlsDirective(req.query._HLS_msn);
+  const part = parseHlsDirective(req.query._HLS_part);
+  if (Number.isNaN(msn) || Number.isNaN(part) || (part !== null && msn === null)) {
+    return res.status(400).send('Invalid blocking reload request');
+  }
+  
+  // A held reload ends with the connection (player gone, or it moved on to another request)
+  const closed = new AbortController();
+  res.on('close', () => closed.abort());
+  
+  const { content, error, status } = await services.getLowLatencyPlaylist(req.liveSession, msn, part, closed.signal);
+  if (closed.signal.aborted) return;
+  if (error) return res.status(status).send(error);
+  res.set(HLS_HEADERS).send(content);
+});
+
+/** Whole segments of the low-latency playlist (parts concatenated) */
+router.get(`/hls/:sessionId/${config.lowLatency.dir}/seg:msn(\\d+).m4s`, resolveHlsSession, (req, res) => {
+  const { content, error } = services.getLowLatencySegment(req.liveSession, Number(req.params.msn));
+  if (error) return res.status(404).send(error);
+  res.set({ 'Content-Type': 'video/mp4', 'Cache-Control': 'public, max-age=31536000' }).send(content);
+});
+
+/** Delayed master playlist (one variant per rendition, no subtitles) */
+router.get('/hls/:sessionId/delayed.m3u8', resolveHlsSession, (req, res) => {
+  const { content, error } = services.getMasterPlaylist(req.liveSession, 'delayed.m3u8');
+  if (error) return res.status(404).send(error);
+  res.set(HLS_HEADERS).send(content);
+});
+
+/** Delayed playlist of one rendition (same window in every rendition) */
+router.get('/hls/:sessionId/:rendition/delayed.m3u8', resolveHlsSession, (req, res) => {
+  const { content, error } = services.getDelayedPlaylist(req.liveSession, req.liveSession.delaySec, req.params.rendition);
   if (error) return res.status(404).send(error);
   res.set(HLS_HEADERS).send(content);
 });
 
-/** Delayed playlist */
-router.get('/hls/delayed.m3u8', (req, res) => {
-  const { content, error } = services.getDelayedPlaylist(state.delaySec);
+/** Spectator master playlist (delayed renditions + WebVTT subtitle group) */
+router.get(`/hls/:sessionId/${config.masterPlaylist}`, resolveHlsSession, (req, res) => {
+  const { content, error } = services.getMasterPlaylist(req.liveSession, 'delayed.m3u8', true);
   if (error) return res.status(404).send(error);
   res.set(HLS_HEADERS).send(content);
 });
 
-/** Serve HLS segments */
+/** Subtitle rendition playlist (aligned with the delayed window) */
+router.get(`/hls/:sessionId/${config.subtitlePlaylist}`, resolveHlsSession, (req, res) => {
+  const { content, error } = services.getSubtitlePlaylist(req.liveSession, req.liveSession.delaySec);
+  if (error) return res.status(404).send(error);
+  res.set(HLS_HEADERS).send(content);
+});
+
+/** WebVTT segments, generated on demand from fused captions */
+router.get('/hls/:sessionId/subs/:name.vtt', resolveHlsSession, (req, res) => {
+  const { content, error } = services.getSubtitleSegment(req.liveSession, req.params.name);
+  if (error) return res.status(404).send(error);
+  res.set({
+    'Content-Type': 'text/vtt; charset=utf-8',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+  }).send(content);
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPLAY ROUTES (VOD of archived runs)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Subtitle playlist of an archived run */
+router.get(`/vod/:sessionId/:logId([\\w-]+)/${config.subtitlePlaylist}`, resolveHlsSession, (req, res) => {
+  const { content, error } = services.getReplaySubtitlePlaylist(req.liveSession, req.params.logId);
+  if (error) return res.status(404).send(error);
+  res.set(HLS_HEADERS).send(content);
+});
+
+/** WebVTT segments of an archived run, from the fused captions of its log */
+router.get('/vod/:sessionId/:logId([\\w-]+)/subs/:name.vtt', resolveHlsSession, (req, res) => {
+  const { content, error } = services.getReplaySubtitleSegment(req.liveSession, req.params.logId, req.params.name);
+  if (error) return res.status(404).send(error);
+  res.set('Content-Type', 'text/vtt; charset=utf-8').send(content);
+});
+
+/** Serve archived runs: master + VOD playlists and segments of each rendition */
+router.use('/vod', express.static(config.archiveDir, {
+  setHeaders: (res, filePath) => {
+    if (filePath.endsWith('.m3u8')) {
+      res.set('Content-Type', 'application/vnd.apple.mpegurl');
+    } else if (filePath.endsWith('.ts')) {
+      res.set('Content-Type', 'video/MP2T');
+      res.set('Cache-Control', 'public, max-age=31536000');
+    }
+  },
+}));
+
+/** Serve HLS segments (one subdirectory per session) */
 router.use('/hls', express.static(config.hls, {
   setHeaders: (res, filePath) => {
     if (filePath.endsWith('.ts')) {
       res.set('Content-Type', 'video/MP2T');
       res.set('Cache-Control', 'public, max-age=31536000');
+    } else if (filePath.endsWith('.m4s') || filePath.endsWith('.mp4')) {
+      // CMAF parts and init segments of the low-latency playlist (never rewritten)
+      res.set('Content-Type', 'video/mp4');
+      res.set('Cache-Control', 'public, max-age=31536000');
     }
   },
 }));
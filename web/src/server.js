@@ -2,7 +2,9 @@
  * ROLE — Backend entrypoint (Express + WebSocket)
  *
  * Starts the Node server.
- * - Initializes required directories (uploads + HLS output)
+ * - Initializes required directories (uploads + HLS output + session logs)
+ * - Restores the persisted sessions (registry + caption history) and accounts
+ * - Loads the spell-checking dictionary (if installed)
  * - Serves the frontend from `public/`
  * - Mounts HTTP API + HLS routes from `routes.js`
  * - Attaches the WebSocket server on `/ws` from `websocket.js`
@@ -12,10 +14,14 @@ import express from 'express';
 import { createServer } from 'http';
 import path from 'path';
 import fs from 'fs';
-import { config, log, state } from './core.js';
+import { config, log, sessions, getDefaultSession, isLiveRunning } from './core.js';
 import routes from './routes.js';
 import { createWebSocketServer } from './websocket.js';
 import * as services from './services.js';
+import * as store from './store.js';
+import * as auth from './auth.js';
+import * as render from './render.js';
+import * as spellcheck from './spellcheck.js';
 
 // ════════════════════════════════════════════════════════════════════════════════
 // DIRECTORY INITIALIZATION
@@ -25,9 +31,11 @@ import * as services from './services.js';
  * Create required directories if they don't exist
  * - media/ : User-uploaded videos
  * - public/hls/ : HLS segments generated by FFmpeg
+ * - data/ : Persisted session logs
+ * - archive/ : Segments of finished runs (replay)
  */
 function initDirectories() {
-  const dirs = [config.mediaDir, config.hlsDir];
+  const dirs = [config.mediaDir, config.hlsDir, config.dataDir, config.archiveDir];
   
   for (const dir of dirs) {
     if (!fs.existsSync(dir)) {
@@ -42,6 +50,9 @@ function initDirectories() {
 // ════════════════════════════════════════════════════════════════════════════════
 
 initDirectories();
+store.restoreSessions();  // Recreate sessions and reload their caption history
+auth.loadUsers();         // Local accounts
+spellcheck.loadDictionary(); // Offline spell checking (optional)
 
 const app = express();
 const server = createServer(app);
@@ -82,12 +93,14 @@ server.listen(config.port, () => {
   log.info('SERVER', `   Server started on port ${config.port}`);
   log.info('SERVER', `   Media directory: ${config.mediaDir}`);
   log.info('SERVER', `   HLS segment duration: ${config.hlsSegmentDuration}s`);
-  log.info('SERVER', `   Default delay: ${state.delaySec}s`);
+  log.info('SERVER', `   Default delay: ${getDefaultSession().delaySec}s`);
+  log.info('SERVER', `   Sessions: ${Array.from(sessions.keys()).join(', ')}`);
   log.info('SERVER', '═══════════════════════════════════════════════════');
   log.info('SERVER', '  Interfaces:');
   log.info('SERVER', `    Admin:     http://localhost:${config.port}/admin.html`);
   log.info('SERVER', `    Subtitler: http://localhost:${config.port}/subtitler.html`);
   log.info('SERVER', `    Spectator: http://localhost:${config.port}/spectator.html`);
+  log.info('SERVER', `    Replay:    http://localhost:${config.port}/replay.html`);
   log.info('SERVER', '═══════════════════════════════════════════════════');
 });
 
@@ -97,26 +110,31 @@ server.listen(config.port, () => {
 
 /**
  * Handle clean server shutdown (SIGTERM, SIGINT)
- * - Stop FFmpeg streaming if active
+ * - Stop FFmpeg streaming and post-live renders in every session
  * - Close all connections
  * - Release resources
  */
 const shutdown = async () => {
   log.info('SERVER', 'Shutting down...');
   
-  // Stop streaming if active
-  if (state.ffmpegProc) {
-    await services.stopLive();
+  // Force exit after 5s if server does not respond
+  setTimeout(() => process.exit(1), 5000);
+  
+  // Stop streaming in every active session (runs are archived once FFmpeg exits)
+  const stops = [];
+  for (const session of sessions.values()) {
+    if (isLiveRunning(session)) {
+      stops.push(services.stopLive(session));
+    }
+    render.cancelRender(session);
   }
+  await Promise.all(stops);
   
   // Close HTTP server
   server.close(() => {
     log.info('SERVER', 'Server closed. Bye!');
     process.exit(0);
   });
-  
-  // Force exit after 5s if server does not respond
-  setTimeout(() => process.exit(1), 5000);
 };
 
 // Listen for termination signals
@@ -2,18 +2,32 @@
  * ROLE — Backend service layer (FFmpeg/HLS + fragmentation/fusion + broadcasting)
  *
  * This is the main “business logic” module.
- * - Starts/stops FFmpeg and manages HLS output in `public/hls/`
- * - Parses the HLS manifest and builds the live vs delayed playlists
+ * - Starts/stops FFmpeg and manages HLS output in `public/hls/<sessionId>/`
+ * - Encodes an ABR ladder (one rendition per rung) and builds the live vs delayed playlists of
+ *   every rendition on one shared segment window, plus the low-latency
+ *   (LL-HLS, partial segments + blocking reload) playlist of subtitlers and their measured latency
+ * - Archives the segments of each finished run and serves it as VOD (replay, captions from the log)
  * - Runs the fragment scheduler (slots + overlap + grace)
- * - Fuses consecutive slot texts (de-duplication) and schedules spectator captions
+ * - Keeps the live draft of each open slot (`caption:draft`), used as slot text if the subtitler drops
+ * - Pushes the handoff context (tail of a slot + its draft) to the next subtitler around the overlap
+ * - Fuses consecutive slot texts (overlap alignment, see fusion.js; optional autocorrect) and schedules spectator
+ *   captions, each word at the time it was typed
  * - Provides helper functions used by HTTP routes and WebSocket handlers
+ *
+ * Every function operating on a live takes the session state (see `createSessionState()`
+ * in core.js) as first argument, so several sessions can run side by side.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { spawn } from 'child_process';
 import crypto from 'crypto';
-import { config, state, log, isLiveRunning, getLiveTimestamp, resetFragment, clearTimers } from './core.js';
+import { config, log, isLiveRunning, getLiveTimestamp, resetFragment, clearTimers } from './core.js';
+import { buildCues, captionEndMs, segmentCaption, toVttSegment } from './subtitles.js';
+import { buildInputArgs, describeSource, isListenerSource } from './ingest.js';
+import * as store from './store.js';
+import * as spellcheck from './spellcheck.js';
+import { tokenize, detokenize, alignOverlap, timeTokens, stretchTimes, getWordTimes } from './fusion.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // HELPERS
@@ -59,14 +73,24 @@ export function broadcast(payload, filter = null) {
   }
 }
 
-/** Broadcast to specific client types */
-export const broadcastToAdmins = (payload) => broadcast(payload, ws => ws.clientType === 'admin');
-export const broadcastToSubtitlers = (payload) => broadcast(payload, ws => ws.clientType === 'subtitler');
-export const broadcastToSpectators = (payload) => broadcast(payload, ws => ws.clientType === 'spectator');
+/** Broadcast to the clients of one session (optionally filtered) */
+export function broadcastToSession(session, payload, filter = null) {
+  broadcast(payload, ws => ws.sessionId === session.id && (!filter || filter(ws)));
+}
+
+/** Open clients of one session (optionally filtered), for per-client payloads */
+export function getSessionClients(session, filter = null) {
+  return Array.from(clients).filter(ws => ws.readyState === 1 && ws.sessionId === session.id && (!filter || filter(ws)));
+}
+
+/** Broadcast to specific client types of a session */
+export const broadcastToAdmins = (session, payload) => broadcastToSession(session, payload, ws => ws.clientType === 'admin');
+export const broadcastToSubtitlers = (session, payload) => broadcastToSession(session, payload, ws => ws.clientType === 'subtitler');
+export const broadcastToSpectators = (session, payload) => broadcastToSession(session, payload, ws => ws.clientType === 'spectator');
 
 /** Broadcast live status change */
-export function broadcastLiveStatus(status, extra = {}) {
-  broadcast({ type: 'live', status, delaySec: state.delaySec, ...extra });
+export function broadcastLiveStatus(session, status, extra = {}) {
+  broadcastToSession(session, { type: 'live', status, delaySec: session.delaySec, ...extra });
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -74,24 +98,26 @@ export function broadcastLiveStatus(status, extra = {}) {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /** Ensure HLS directory exists */
-export function ensureHlsDir() {
-  fs.mkdirSync(config.hls, { recursive: true });
+export function ensureHlsDir(session) {
+  fs.mkdirSync(session.hlsDir, { recursive: true });
+  for (const { name } of config.ffmpeg.ladder) fs.mkdirSync(path.join(session.hlsDir, name), { recursive: true });
+  if (config.lowLatency.enabled) fs.mkdirSync(getLowLatencyDir(session), { recursive: true });
 }
 
 /** Clean HLS files */
-export function cleanHlsDir() {
+export function cleanHlsDir(session) {
   try {
-    const files = fs.readdirSync(config.hls);
+    const files = fs.readdirSync(session.hlsDir);
     for (const file of files) {
-      fs.rmSync(path.join(config.hls, file), { force: true });
+      fs.rmSync(path.join(session.hlsDir, file), { recursive: true, force: true });
     }
   } catch (e) { /* directory may not exist */ }
 }
 
-/** Read raw playlist file */
-function readPlaylist() {
+/** Read the raw playlist of one rendition */
+function readPlaylist(session, rendition) {
   try {
-    return fs.readFileSync(path.join(config.hls, config.sourcePlaylist), 'utf8');
+    return fs.readFileSync(path.join(session.hlsDir, rendition, config.sourcePlaylist), 'utf8');
   } catch (e) {
     return null;
   }
@@ -106,6 +132,7 @@ function parsePlaylist(content) {
   let mediaSequence = 0;
   const segments = [];
   let currentInf = null;
+  let discontinuity = false;
   
   for (const line of lines) {
     const t = line.trim();
@@ -113,204 +140,1007 @@ function parsePlaylist(content) {
       targetDuration = parseInt(t.split(':')[1], 10) || targetDuration;
     } else if (t.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
       mediaSequence = parseInt(t.split(':')[1], 10) || 0;
+    } else if (t === '#EXT-X-DISCONTINUITY') {
+      discontinuity = true; // Written before the first segment of a resumed ingest
     } else if (t.startsWith('#EXTINF:')) {
       currentInf = t;
     } else if (t.endsWith('.ts') && currentInf) {
-      segments.push({ inf: currentInf, uri: t });
+      segments.push({ inf: currentInf, uri: t, duration: parseFloat(currentInf.slice(8)) || targetDuration, discontinuity });
       currentInf = null;
+      discontinuity = false;
+    }
+  }
+  
+  // Media start time of each segment (ms since stream start; hls_list_size=0 keeps every segment).
+  // Timestamps restart after a discontinuity: `periodStartMs` is where the current run began.
+  let elapsedMs = 0;
+  let discontinuitySeq = 0;
+  let periodStartMs = 0;
+  for (const seg of segments) {
+    if (seg.discontinuity && seg !== segments[0]) {
+      discontinuitySeq++;
+      periodStartMs = elapsedMs;
     }
+    seg.startMs = elapsedMs;
+    seg.discontinuitySeq = discontinuitySeq;
+    seg.periodStartMs = periodStartMs;
+    elapsedMs += Math.round(seg.duration * 1000);
   }
   
   return { targetDuration, mediaSequence, segments };
 }
 
-/** Build M3U8 playlist string */
-function buildPlaylist(parsed, startSeq, segments) {
+/**
+ * Read the playlists of every rendition of the ladder
+ *
+ * Renditions are cut on the same keyframes, so segment N covers the same media in each
+ * of them, but FFmpeg may have written the newest one in some renditions only. The
+ * lists are trimmed to the segments all renditions have, and every rendition takes
+ * the media times of the first one (the reference): a window computed once then gives
+ * every variant the same segments, delay and program dates.
+ *
+ * @returns {Object|null} Reference playlist (`targetDuration`, `mediaSequence`, `segments`)
+ *   + `renditions`: segments of each rendition by name, same indices as `segments`
+ */
+function readStream(session) {
+  const [reference, ...others] = config.ffmpeg.ladder.map(({ name }) => parsePlaylist(readPlaylist(session, name)));
+  if (!reference || others.includes(null)) return null;
+  
+  const count = Math.min(reference.segments.length, ...others.map(p => p.segments.length));
+  const segments = reference.segments.slice(0, count);
+  const renditions = {};
+  [reference, ...others].forEach((parsed, i) => {
+    renditions[config.ffmpeg.ladder[i].name] = parsed.segments.slice(0, count)
+      .map((seg, j) => ({ ...segments[j], inf: seg.inf, uri: seg.uri }));
+  });
+  
+  return { ...reference, segments, renditions };
+}
+
+/**
+ * Build M3U8 playlist string
+ *
+ * Each segment is dated (`EXT-X-PROGRAM-DATE-TIME` = epochMs + segment media start) so
+ * players can tell which media time they show (`hls.playingDate`), whatever their buffer.
+ *
+ * @param {number|null} [epochMs] - Wall-clock time of media time 0 (session.mediaEpochMs)
+ * @param {number|null} [startOffsetSec] - EXT-X-START offset (negative: from the playlist end)
+ * @param {boolean} [vod] - Finished stream: `PLAYLIST-TYPE:VOD` + `EXT-X-ENDLIST`
+ */
+function buildPlaylist(parsed, startSeq, segments, epochMs = null, startOffsetSec = null, vod = false) {
+  const discontinuitySeq = segments[0]?.discontinuitySeq || 0;
+  const dated = (s) => (epochMs === null ? [] : [`#EXT-X-PROGRAM-DATE-TIME:${new Date(epochMs + s.startMs).toISOString()}`]);
   return [
     '#EXTM3U',
     '#EXT-X-VERSION:3',
     `#EXT-X-TARGETDURATION:${parsed.targetDuration}`,
     `#EXT-X-MEDIA-SEQUENCE:${startSeq}`,
-    ...segments.flatMap(s => [s.inf, s.uri]),
+    ...(vod ? ['#EXT-X-PLAYLIST-TYPE:VOD'] : []),
+    ...(discontinuitySeq ? [`#EXT-X-DISCONTINUITY-SEQUENCE:${discontinuitySeq}`] : []),
+    ...(startOffsetSec !== null ? [`#EXT-X-START:TIME-OFFSET=${startOffsetSec.toFixed(3)},PRECISE=YES`] : []),
+    ...segments.flatMap((s, i) => [
+      ...(s.discontinuity && i > 0 ? ['#EXT-X-DISCONTINUITY'] : []),
+      ...dated(s),
+      s.inf,
+      s.uri,
+    ]),
+    ...(vod ? ['#EXT-X-ENDLIST'] : []),
   ].join('\n') + '\n';
 }
 
-/** Get HLS status */
-export function getHlsStatus() {
-  const content = readPlaylist();
-  const parsed = content ? parsePlaylist(content) : null;
+/** Get HLS status (segments written in every rendition) */
+export function getHlsStatus(session) {
+  const stream = readStream(session);
+  return {
+    hasManifest: stream !== null,
+    segmentCount: stream?.segments.length || 0,
+  };
+}
+
+/**
+ * Generate the live playlist of one rendition
+ * @param {string} rendition - Rung name (see `config.ffmpeg.ladder`)
+ */
+export function getLivePlaylist(session, rendition) {
+  const stream = readStream(session);
+  if (!stream) return { content: null, error: 'No manifest' };
+  if (!stream.renditions[rendition]) return { content: null, error: 'Unknown rendition' };
+  if (!stream.segments.length) return { content: null, error: 'No segments' };
+  
+  const windowSize = Math.min(config.hlsListSize, stream.segments.length);
+  const startIdx = stream.segments.length - windowSize;
+  const segments = stream.renditions[rendition].slice(startIdx);
+  
+  return { content: buildPlaylist(stream, stream.mediaSequence + startIdx, segments, session.mediaEpochMs), error: null };
+}
+
+/** End of a segment in the stream (ms) */
+const segmentEndMs = (seg) => seg.startMs + Math.round(seg.duration * 1000);
+
+/**
+ * Compute the delayed segment window (shared by every video rendition and the subtitles)
+ *
+ * Works on media time (cumulative EXTINF durations of the reference rendition), not on a segment count:
+ * - position: the media time spectators should see, `delaySec` behind the end of the stream
+ * - the window ends `spectatorHoldBack` seconds past it (the player's buffer), on a segment
+ *   boundary, but never closer to the live edge than the minimum delay
+ * - it starts `spectatorDvrWindow` seconds before it: how far back viewers can seek
+ * - `startOffsetSec` (EXT-X-START, from the window end) puts the player exactly on the position
+ *
+ * @returns {{ parsed, startIdx, endIdx, segments, positionMs, startOffsetSec, effectiveDelaySec, edgeDelaySec, error }}
+ *   (`parsed`: see readStream(), `segments`: window of the reference rendition)
+ */
+function getDelayedWindow(session, delaySec) {
+  const parsed = readStream(session);
+  if (!parsed) return { error: 'No manifest' };
+  if (!parsed.segments.length) return { error: 'No segments' };
+  
+  const streamEndMs = segmentEndMs(parsed.segments[parsed.segments.length - 1]);
+  const positionMs = streamEndMs - Math.round(delaySec * 1000);
+  if (positionMs < 0) return { error: 'Not enough segments' };
+  
+  // Last segment: within the hold-back and the minimum delay, but past the position
+  const edgeMs = Math.min(positionMs + config.spectatorHoldBack * 1000, streamEndMs - getMinSpectatorDelaySec(session) * 1000);
+  let endIdx = parsed.segments.findIndex(s => segmentEndMs(s) > edgeMs);
+  if (endIdx === -1) endIdx = parsed.segments.length;
+  const positionIdx = parsed.segments.findIndex(s => segmentEndMs(s) > positionMs);
+  endIdx = Math.max(endIdx, positionIdx + 1);
+  
+  const dvrStartMs = positionMs - config.spectatorDvrWindow * 1000;
+  const startIdx = Math.min(parsed.segments.findIndex(s => segmentEndMs(s) > dvrStartMs), endIdx - 1);
+  const windowEndMs = segmentEndMs(parsed.segments[endIdx - 1]);
+  
+  return {
+    parsed,
+    startIdx,
+    endIdx,
+    segments: parsed.segments.slice(startIdx, endIdx),
+    positionMs,
+    startOffsetSec: -(windowEndMs - positionMs) / 1000,
+    effectiveDelaySec: (streamEndMs - positionMs) / 1000,
+    edgeDelaySec: (streamEndMs - windowEndMs) / 1000,
+    error: null,
+  };
+}
+
+/**
+ * Generate the delayed playlist of one rendition
+ * @param {string} rendition - Rung name (see `config.ffmpeg.ladder`)
+ */
+export function getDelayedPlaylist(session, delaySec, rendition) {
+  const { parsed, startIdx, endIdx, startOffsetSec, error } = getDelayedWindow(session, delaySec);
+  if (error) return { content: null, error };
+  if (!parsed.renditions[rendition]) return { content: null, error: 'Unknown rendition' };
+  
+  const segments = parsed.renditions[rendition].slice(startIdx, endIdx);
+  return { content: buildPlaylist(parsed, parsed.mediaSequence + startIdx, segments, session.mediaEpochMs, startOffsetSec), error: null };
+}
+
+/**
+ * Delay actually applied to spectators (s), null while the stream is shorter than the delay:
+ * - effectiveDelaySec: from the end of the stream to the start position of the delayed playlist
+ * - edgeDelaySec: to the end of the delayed playlist, the least delay a player can get
+ *   (kept >= getMinSpectatorDelaySec())
+ */
+export function getEffectiveDelay(session) {
+  const { effectiveDelaySec, edgeDelaySec, error } = getDelayedWindow(session, session.delaySec);
+  return error ? { effectiveDelaySec: null, edgeDelaySec: null } : { effectiveDelaySec, edgeDelaySec };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LOW-LATENCY HLS (subtitler playlist)
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Next to the classic MPEG-TS output, FFmpeg writes CMAF parts of `partDuration`
+// (fMP4 fragments, `ll/part%05d.m4s`) with its own playlist of parts. The server groups
+// them into segments (part index / parts per segment = media sequence number) and serves:
+// - `live-ll.m3u8`: EXT-X-PART for the last segments, blocking reload (`_HLS_msn`/`_HLS_part`)
+// - `ll/segNNNNN.m4s`: a whole segment, its parts concatenated
+//
+// Each FFmpeg process is a run: a restart after a publisher drop starts a new run on
+// the next segment boundary, with its own init segment and discontinuity sequence.
+
+/** Directory of the partial segments of a session */
+const getLowLatencyDir = (session) => path.join(session.hlsDir, config.lowLatency.dir);
+
+/** Parts making one segment */
+const getPartsPerSegment = () => Math.round(config.segmentDuration / config.lowLatency.partDuration);
+
+/**
+ * Start a partial segment run (new live, or FFmpeg restarted on the same playlists)
+ * @param {boolean} resume - Continue the numbering of the previous run
+ */
+function startLowLatencyRun(session, resume) {
+  const previous = session.lowLatency;
+  const partsPerSegment = getPartsPerSegment();
+  let lastPart = -1;
+  
+  if (resume && previous) {
+    lastPart = readLowLatencyParts(session)?.lastIndex ?? previous.firstPart - 1;
+    // Parts of the previous run must not be dated with the new one
+    fs.rmSync(path.join(getLowLatencyDir(session), config.lowLatency.partsPlaylist), { force: true });
+  }
+  
+  session.lowLatency = {
+    firstPart: Math.ceil((lastPart + 1) / partsPerSegment) * partsPerSegment,
+    mediaStartMs: resume ? getStreamDurationMs(session) : 0, // The classic output resumes there too
+    discontinuitySeq: resume && previous ? previous.discontinuitySeq + 1 : 0,
+  };
+}
+
+/** FFmpeg output options of the partial segments (tee muxer slave, first rung of the ladder) */
+function getPartOutputOptions(session) {
+  const { lowLatency: o } = config;
+  const run = session.lowLatency;
   return {
-    hasManifest: content !== null,
-    segmentCount: parsed?.segments?.length || 0,
+    select: 'v:0,a:0',
+    f: 'hls',
+    hls_time: o.partDuration,
+    hls_list_size: (config.hlsListSize + 2) * getPartsPerSegment(),
+    hls_flags: 'split_by_time+temp_file+delete_segments',
+    hls_segment_type: 'fmp4',
+    hls_fmp4_init_filename: `init${run.discontinuitySeq}.mp4`,
+    start_number: run.firstPart,
+    hls_segment_filename: path.join(getLowLatencyDir(session), o.partPattern),
   };
 }
 
-/** Generate live playlist */
-export function getLivePlaylist() {
-  const content = readPlaylist();
-  if (!content) return { content: null, error: 'No manifest' };
+/**
+ * Read FFmpeg's playlist of parts
+ *
+ * Every held reload polls it, so the parsed list is kept on the run and only read
+ * again when FFmpeg has rewritten the file (mtime or size changed).
+ *
+ * @returns {{ mapUri, parts: Array<{ uri, duration, index }>, lastIndex }|null}
+ */
+function readLowLatencyParts(session) {
+  const file = path.join(getLowLatencyDir(session), config.lowLatency.partsPlaylist);
+  const run = session.lowLatency;
+  let content;
+  let stat;
+  try {
+    stat = fs.statSync(file);
+    if (run?.partsCache && run.partsCache.mtimeMs === stat.mtimeMs && run.partsCache.size === stat.size) {
+      return run.partsCache.ll;
+    }
+    content = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    return null;
+  }
+  
+  const ll = parseLowLatencyParts(content);
+  if (run) run.partsCache = { mtimeMs: stat.mtimeMs, size: stat.size, ll };
+  return ll;
+}
+
+/** Parse FFmpeg's playlist of parts (null without a part or init segment) */
+function parseLowLatencyParts(content) {
+  let mediaSequence = 0;
+  let mapUri = null;
+  let duration = null;
+  const parts = [];
+  
+  for (const line of content.split(/\r?\n/)) {
+    const t = line.trim();
+    if (t.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      mediaSequence = parseInt(t.split(':')[1], 10) || 0;
+    } else if (t.startsWith('#EXT-X-MAP:')) {
+      mapUri = t.match(/URI="([^"]+)"/)?.[1] || null;
+    } else if (t.startsWith('#EXTINF:')) {
+      duration = parseFloat(t.slice(8)) || config.lowLatency.partDuration;
+    } else if (t.endsWith('.m4s') && duration !== null) {
+      parts.push({ uri: t, duration, index: mediaSequence + parts.length });
+      duration = null;
+    }
+  }
+  
+  if (!parts.length || !mapUri) return null;
+  return { mapUri, parts, lastIndex: parts[parts.length - 1].index };
+}
+
+/** Group parts into segments ({ msn, parts }); the last one may still be growing */
+function groupParts(parts) {
+  const partsPerSegment = getPartsPerSegment();
+  const segments = [];
+  
+  for (const part of parts) {
+    const msn = Math.floor(part.index / partsPerSegment);
+    let seg = segments[segments.length - 1];
+    if (seg?.msn !== msn) {
+      if (part.index % partsPerSegment !== 0) continue; // Head of the list: first parts already rotated out
+      seg = { msn, parts: [] };
+      segments.push(seg);
+    }
+    seg.parts.push(part);
+  }
+  
+  return segments;
+}
+
+/** Build the LL-HLS playlist from the parts on disk (null without a complete part) */
+function buildLowLatencyPlaylist(session, ll) {
+  const { lowLatency: o } = config;
+  const run = session.lowLatency;
+  const partsPerSegment = getPartsPerSegment();
+  const segments = groupParts(ll.parts).slice(-(config.hlsListSize + 1));
+  if (!segments.length) return null;
+  
+  const dir = o.dir;
+  const partsFrom = segments.length - o.partSegments - 1;
+  const isComplete = (seg) => seg.parts.length === partsPerSegment;
+  // Same clock as the classic playlists: the run started at `mediaStartMs` of the stream
+  const dated = (seg) => (session.mediaEpochMs === null ? [] : [
+    `#EXT-X-PROGRAM-DATE-TIME:${new Date(session.mediaEpochMs + run.mediaStartMs + (seg.msn * partsPerSegment - run.firstPart) * o.partDuration * 1000).toISOString()}`,
+  ]);
+  
+  return [
+    '#EXTM3U',
+    '#EXT-X-VERSION:6',
+    `#EXT-X-TARGETDURATION:${config.segmentDuration}`,
+    `#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=${o.partHoldBack.toFixed(3)}`,
+    `#EXT-X-PART-INF:PART-TARGET=${o.partDuration.toFixed(3)}`,
+    `#EXT-X-MEDIA-SEQUENCE:${segments[0].msn}`,
+    ...(run.discontinuitySeq ? [`#EXT-X-DISCONTINUITY-SEQUENCE:${run.discontinuitySeq}`] : []),
+    `#EXT-X-MAP:URI="${dir}/${ll.mapUri}"`,
+    ...segments.flatMap((seg, i) => [
+      ...dated(seg),
+      ...(i >= partsFrom ? seg.parts.map(p =>
+        `#EXT-X-PART:DURATION=${p.duration.toFixed(3)},URI="${dir}/${p.uri}"${p.index % partsPerSegment === 0 ? ',INDEPENDENT=YES' : ''}`) : []),
+      ...(isComplete(seg) ? [
+        `#EXTINF:${seg.parts.reduce((sum, p) => sum + p.duration, 0).toFixed(3)},`,
+        `${dir}/seg${String(seg.msn).padStart(5, '0')}.m4s`,
+      ] : []),
+    ]),
+  ].join('\n') + '\n';
+}
+
+/**
+ * Generate the low-latency playlist (blocking playlist reload)
+ *
+ * With `msn` (and `part`), the response is held until that segment (or part of it)
+ * is listed, for at most `config.lowLatency.blockTimeoutMs` (then 503), or until
+ * `signal` aborts (the player closed the request: 499, nothing left to send).
+ *
+ * @param {number|null} [msn] - `_HLS_msn`: media sequence number awaited
+ * @param {number|null} [part] - `_HLS_part`: part index inside that segment
+ * @param {AbortSignal} [signal] - Stops the wait
+ * @returns {Promise<{ content, error, status }>}
+ */
+export async function getLowLatencyPlaylist(session, msn = null, part = null, signal = null) {
+  if (!config.lowLatency.enabled) return { content: null, error: 'Low latency disabled', status: 404 };
+  
+  const partsPerSegment = getPartsPerSegment();
+  const target = msn === null ? -1 : msn * partsPerSegment + (part === null ? partsPerSegment - 1 : part);
+  const deadline = Date.now() + config.lowLatency.blockTimeoutMs;
+  
+  for (;;) {
+    const ll = session.lowLatency ? readLowLatencyParts(session) : null;
+    if (!ll && msn === null) return { content: null, error: 'No manifest', status: 404 };
+    
+    if (ll) {
+      if (msn !== null && msn > Math.floor(ll.lastIndex / partsPerSegment) + 2) {
+        return { content: null, error: 'Media sequence too far ahead', status: 400 };
+      }
+      if (ll.lastIndex >= target) {
+        const content = buildLowLatencyPlaylist(session, ll);
+        return content ? { content, error: null } : { content: null, error: 'No segments', status: 404 };
+      }
+    }
+    
+    if (Date.now() >= deadline) return { content: null, error: 'Part not available yet', status: 503 };
+    await new Promise(resolve => setTimeout(resolve, config.lowLatency.pollIntervalMs));
+    if (signal?.aborted) return { content: null, error: 'Request closed', status: 499 };
+  }
+}
+
+/** Whole segment of the low-latency playlist: its parts concatenated */
+export function getLowLatencySegment(session, msn) {
+  const ll = readLowLatencyParts(session);
+  const seg = ll ? groupParts(ll.parts).find(s => s.msn === msn) : null;
+  if (!seg || seg.parts.length !== getPartsPerSegment()) return { content: null, error: 'Unknown segment' };
+  
+  try {
+    const dir = getLowLatencyDir(session);
+    return { content: Buffer.concat(seg.parts.map(p => fs.readFileSync(path.join(dir, p.uri)))), error: null };
+  } catch (e) {
+    return { content: null, error: 'Unknown segment' }; // Rotated out meanwhile
+  }
+}
+
+/**
+ * Record the position of a subtitler's player (`player:position`) and send back its latency
+ *
+ * The latency is "glass-to-glass" as seen from the server: media time reaching the ingest
+ * now, minus the media time on the subtitler's screen (its program date). The publisher's
+ * own encoding delay (OBS...) happens before the ingest and is not included.
+ *
+ * @param {WebSocket} ws - Subtitler connection (keeps `playerLatencyMs`)
+ * @param {number} programDateTime - Program date of the frame being played (ms)
+ */
+export function recordPlayerPosition(session, ws, programDateTime) {
+  if (!Number.isFinite(programDateTime) || session.mediaEpochMs === null || session.liveMediaOffsetMs === null) return;
+  
+  const ingestMediaMs = session.liveMediaOffsetMs + getLiveTimestamp(session);
+  ws.playerLatencyMs = Math.max(0, Math.round(ingestMediaMs - (programDateTime - session.mediaEpochMs)));
+  send(ws, { type: 'player:latency', latencyMs: ws.playerLatencyMs });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HLS SUBTITLES (WebVTT rendition)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Map a video segment URI (seg00012.ts) to its WebVTT counterpart (subs/seg00012.vtt) */
+const toSubtitleUri = (uri) => `subs/${uri.replace(/\.ts$/, '.vtt')}`;
+
+/** Sum of all segment durations written in every rendition (ms) */
+function getStreamDurationMs(session) {
+  const parsed = readStream(session);
+  const last = parsed?.segments[parsed.segments.length - 1];
+  return last ? segmentEndMs(last) : 0;
+}
+
+/**
+ * Convert a caption video timestamp (ms since liveStartedAt) to stream media time (ms).
+ * Subtitlers watch the live edge minus their player latency, so what they caption at
+ * `videoTimestamp` was ingested that long before (measured, else `subtitlerPlaybackLag`).
+ *
+ * @param {number|null} [lagMs] - Measured latency of the subtitler's player
+ */
+export function getCaptionMediaTimestamp(session, videoTimestamp, lagMs = null) {
+  if (!Number.isFinite(videoTimestamp) || session.liveMediaOffsetMs === null) return null;
+  return Math.max(0, session.liveMediaOffsetMs + videoTimestamp - (lagMs ?? config.subtitlerPlaybackLag * 1000));
+}
+
+/**
+ * Generate a master playlist: one variant per rung of the ladder (`<rung>/<playlist>`)
+ * @param {string} playlist - Media playlist of each rendition (`live.m3u8`, `delayed.m3u8`)
+ * @param {boolean} [withSubtitles] - Add the WebVTT subtitle group (spectator master)
+ */
+export function getMasterPlaylist(session, playlist, withSubtitles = false) {
+  if (!readStream(session)) return { content: null, error: 'No manifest' };
+  return { content: buildMasterPlaylist(config.ffmpeg.ladder, playlist, withSubtitles ? config.subtitlePlaylist : null), error: null };
+}
+
+/**
+ * Build a master playlist
+ * @param {Object[]} ladder - Rungs (`name`, `videoMaxrate`, `audioBitrate`)
+ * @param {string|null} subtitlePlaylist - WebVTT playlist of the subtitle group (none if null)
+ */
+function buildMasterPlaylist(ladder, playlist, subtitlePlaylist) {
+  return [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    ...(subtitlePlaylist ? [
+      `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="${config.subtitleName}",LANGUAGE="${config.subtitleLanguage}",DEFAULT=YES,AUTOSELECT=YES,FORCED=NO,URI="${subtitlePlaylist}"`,
+    ] : []),
+    ...ladder.flatMap(rung => [
+      `#EXT-X-STREAM-INF:BANDWIDTH=${(parseInt(rung.videoMaxrate, 10) + parseInt(rung.audioBitrate, 10)) * 1000},CODECS="${config.ffmpeg.codecs}"${subtitlePlaylist ? ',SUBTITLES="subs"' : ''}`,
+      `${rung.name}/${playlist}`,
+    ]),
+  ].join('\n') + '\n';
+}
+
+/** Generate the WebVTT subtitle playlist, segment-aligned with the delayed video playlist */
+export function getSubtitlePlaylist(session, delaySec) {
+  const { parsed, startIdx, segments, startOffsetSec, error } = getDelayedWindow(session, delaySec);
+  if (error) return { content: null, error };
+  
+  const subSegments = segments.map(seg => ({ ...seg, uri: toSubtitleUri(seg.uri) }));
+  return { content: buildPlaylist(parsed, parsed.mediaSequence + startIdx, subSegments, session.mediaEpochMs, startOffsetSec), error: null };
+}
+
+/**
+ * Built cues, per fused captions array (a session's, or a replayed run's)
+ * Captions are only ever appended to an array (a new run starts a new one), so the
+ * cues are rebuilt when its length changes instead of on every segment request.
+ */
+const cueCache = new WeakMap(); // WeakMap<fusedCaptions, { count, timeKey, cues }>
+
+/** Cues of fused captions (see buildCues()), from the cache while no caption was added */
+function getCachedCues(fusedCaptions, timeKey) {
+  const cached = cueCache.get(fusedCaptions);
+  if (cached && cached.count === fusedCaptions.length && cached.timeKey === timeKey) return cached.cues;
+  
+  const cues = buildCues(fusedCaptions, timeKey);
+  cueCache.set(fusedCaptions, { count: fusedCaptions.length, timeKey, cues });
+  return cues;
+}
+
+/**
+ * Generate one WebVTT segment covering the same media interval as its video segment
+ * @param {string} name - Segment base name (e.g. "seg00012")
+ */
+export function getSubtitleSegment(session, name) {
+  return buildSubtitleSegment(readStream(session), session.fragment.fusedCaptions, name);
+}
+
+/**
+ * WebVTT segment `name` of a parsed playlist, from fused captions
+ * @param {Object|null} parsed - Parsed video playlist (media times of the segments)
+ * @param {Object[]} fusedCaptions - Fused captions (with `mediaTimestamp`)
+ */
+function buildSubtitleSegment(parsed, fusedCaptions, name) {
+  const seg = parsed?.segments.find(s => s.uri === `${name}.ts`);
+  if (!seg) return { content: null, error: 'Unknown segment' };
   
-  const parsed = parsePlaylist(content);
-  if (!parsed?.segments?.length) return { content: null, error: 'No segments' };
+  const startMs = seg.startMs;
+  const endMs = seg.startMs + Math.round(seg.duration * 1000);
+  // After an ingest reconnection the PTS restart: cue times are made relative to the current run
+  const cues = getCachedCues(fusedCaptions, 'mediaTimestamp')
+    .filter(cue => cue.start < endMs && cue.end > startMs)
+    .map(cue => ({ ...cue, start: cue.start - seg.periodStartMs, end: cue.end - seg.periodStartMs }));
   
-  const windowSize = Math.min(config.hlsListSize, parsed.segments.length);
-  const startIdx = parsed.segments.length - windowSize;
-  const segments = parsed.segments.slice(startIdx);
+  // Same offset as the FFmpeg output (see buildFfmpegArgs), on the 90kHz MPEG-TS clock
+  return { content: toVttSegment(cues, Math.round(config.mpegtsTimeOffset * 90000)), error: null };
+}
+
+/**
+ * Transcript of the fused captions (spectator transcript panel)
+ *
+ * Same cues as the WebVTT rendition, on stream media time (`epochMs` + start = program date).
+ * During a live, cues past the end of the delayed window are held back, so the transcript
+ * never gets ahead of what spectators can play; once stopped, the whole run is returned.
+ *
+ * @param {number} [sinceMs] - Only cues starting at or after this media time
+ * @returns {{ live: boolean, epochMs: number|null, cues: { start: number, end: number, text: string }[] }}
+ */
+export function getTranscript(session, sinceMs = 0) {
+  const live = isLiveRunning(session);
+  let untilMs = Infinity;
+  if (live) {
+    const { segments, error } = getDelayedWindow(session, session.delaySec);
+    untilMs = error ? 0 : segmentEndMs(segments[segments.length - 1]);
+  }
   
-  return { content: buildPlaylist(parsed, parsed.mediaSequence + startIdx, segments), error: null };
+  const cues = getCachedCues(session.fragment.fusedCaptions, 'mediaTimestamp')
+    .filter(cue => cue.start >= sinceMs && cue.start < untilMs)
+    .map(cue => ({ start: cue.start, end: cue.end, text: cue.lines.join(' ') }));
+  return { live, epochMs: live ? session.mediaEpochMs : null, cues };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPLAY (archived runs, VOD)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Archive folder of a run (`<archiveDir>/<sessionId>/<logId>/`, named after its log) */
+const getArchiveDir = (session, logId) => path.join(config.archiveDir, session.id, logId);
+
+/** Move a directory (copied then removed when the archive is on another volume) */
+function moveDir(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    fs.cpSync(from, to, { recursive: true });
+    fs.rmSync(from, { recursive: true, force: true });
+  }
 }
 
-/** Generate delayed playlist */
-export function getDelayedPlaylist(delaySec) {
-  const content = readPlaylist();
-  if (!content) return { content: null, error: 'No manifest' };
+/**
+ * Archive the renditions of the run that just ended (stop, or end of the source)
+ *
+ * The segments leave the HLS directory (emptied by the next start) for the run folder.
+ * Each rendition gets a VOD playlist of the segments every rendition has (readStream()),
+ * dated like the live ones, next to a master playlist with the subtitle group. Captions
+ * are not copied: replay VTT segments are built from the fused captions of the log.
+ */
+function archiveRun(session) {
+  const stream = readStream(session);
+  if (!session.logId || !stream?.segments.length) return;
   
-  const parsed = parsePlaylist(content);
-  if (!parsed?.segments?.length) return { content: null, error: 'No segments' };
+  const dir = getArchiveDir(session, session.logId);
+  const { ladder } = config.ffmpeg;
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    for (const { name } of ladder) {
+      moveDir(path.join(session.hlsDir, name), path.join(dir, name));
+      fs.writeFileSync(path.join(dir, name, config.vodPlaylist),
+        buildPlaylist(stream, stream.mediaSequence, stream.renditions[name], session.mediaEpochMs, null, true));
+    }
+    fs.writeFileSync(path.join(dir, config.masterPlaylist), buildMasterPlaylist(ladder, config.vodPlaylist, config.subtitlePlaylist));
+    
+    const last = stream.segments[stream.segments.length - 1];
+    const manifest = {
+      logId: session.logId,
+      sessionId: session.id,
+      source: session.lastSource,
+      startedAt: session.liveStartedAt,
+      endedAt: Date.now(),
+      durationSec: segmentEndMs(last) / 1000,
+      segmentCount: stream.segments.length,
+      renditions: ladder.map(({ name }) => name),
+    };
+    fs.writeFileSync(path.join(dir, config.archiveManifest), JSON.stringify(manifest, null, 2));
+    log.info('LIVE', `[${session.id}] Run archived: ${manifest.segmentCount} segments (${manifest.durationSec.toFixed(0)}s) in ${dir}`);
+  } catch (e) {
+    log.error('LIVE', `[${session.id}] Archive failed:`, e.message);
+  }
+}
+
+/** Archived runs of a session, most recent first */
+export function listArchives(session) {
+  return store.listSessionLogs(session.id)
+    .map(logId => readArchiveManifest(session, logId))
+    .filter(Boolean);
+}
+
+/** Description of an archived run (null if the run was not archived) */
+function readArchiveManifest(session, logId) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(getArchiveDir(session, logId), config.archiveManifest), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Archives recently read for their captions, least recently used first
+ * (a player fetches the VTT segments of one run one after the other, several replays may play at once)
+ */
+const replayCache = new Map(); // Map<`${sessionId}/${logId}`, { parsed, fusedCaptions }>
+
+/** Reference playlist and fused captions of an archived run */
+function readReplay(session, logId) {
+  const key = `${session.id}/${logId}`;
+  const cached = replayCache.get(key);
+  if (cached) {
+    replayCache.delete(key);
+    replayCache.set(key, cached);
+    return cached;
+  }
   
-  const delaySegs = Math.floor(delaySec / parsed.targetDuration);
-  const endIdx = Math.max(0, parsed.segments.length - delaySegs);
-  if (endIdx === 0) return { content: null, error: 'Not enough segments' };
+  const manifest = readArchiveManifest(session, logId);
+  if (!manifest) return null;
   
-  const windowSize = Math.min(config.hlsListSize, endIdx);
-  const startIdx = Math.max(0, endIdx - windowSize);
-  const segments = parsed.segments.slice(startIdx, endIdx);
+  let content;
+  try {
+    content = fs.readFileSync(path.join(getArchiveDir(session, logId), manifest.renditions[0], config.vodPlaylist), 'utf8');
+  } catch (e) {
+    return null;
+  }
+  const { fusedCaptions } = store.replaySession(store.readSession(session.id, logId));
+  const replay = { parsed: parsePlaylist(content), fusedCaptions };
+  replayCache.set(key, replay);
+  if (replayCache.size > config.replayCacheSize) replayCache.delete(replayCache.keys().next().value);
+  return replay;
+}
+
+/** WebVTT playlist of an archived run (same segments as its renditions) */
+export function getReplaySubtitlePlaylist(session, logId) {
+  const replay = readReplay(session, logId);
+  if (!replay) return { content: null, error: 'Unknown archive' };
   
-  return { content: buildPlaylist(parsed, parsed.mediaSequence + startIdx, segments), error: null };
+  const { parsed } = replay;
+  const subSegments = parsed.segments.map(seg => ({ ...seg, uri: toSubtitleUri(seg.uri) }));
+  return { content: buildPlaylist(parsed, parsed.mediaSequence, subSegments, null, null, true), error: null };
+}
+
+/** One WebVTT segment of an archived run */
+export function getReplaySubtitleSegment(session, logId, name) {
+  const replay = readReplay(session, logId);
+  if (!replay) return { content: null, error: 'Unknown archive' };
+  return buildSubtitleSegment(replay.parsed, replay.fusedCaptions, name);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // LIVE STREAMING (FFMPEG)
 // ═══════════════════════════════════════════════════════════════════════════════
 
-/** Build FFmpeg arguments */
-function buildFfmpegArgs(inputPath) {
+/**
+ * Tee muxer output: `[option=value:...]file`
+ * Values with separators are quoted for the second parsing level (`\'...\'`).
+ */
+const toTeeOutput = (options, file) => `[${Object.entries(options)
+  .map(([k, v]) => `${k}=${/[:\s]/.test(String(v)) ? `\\'${v}\\'` : v}`).join(':')}]${file}`;
+
+/**
+ * Build FFmpeg arguments (`resume`: append to the playlist of an interrupted ingest)
+ *
+ * The video is scaled once per rung of `config.ffmpeg.ladder` and each rendition
+ * (video + its own audio) is written by the HLS muxer in `<hlsDir>/<rung>/`
+ * (`var_stream_map`). With low latency enabled, the same encode also feeds the CMAF
+ * parts of the first rung through the tee muxer (see getPartOutputOptions()).
+ */
+function buildFfmpegArgs(session, source, resume = false) {
   const gopSize = config.segmentDuration * 30;
   const { ffmpeg: ff } = config;
+  const hlsFlags = resume
+    ? 'independent_segments+temp_file+append_list+discont_start'
+    : 'independent_segments+temp_file';
+  const { ladder } = ff;
+  const hls = {
+    hls_time: config.segmentDuration,
+    hls_list_size: 0,
+    hls_flags: hlsFlags,
+    hls_segment_filename: path.join(session.hlsDir, '%v', config.segmentPattern),
+    hls_segment_type: 'mpegts',
+    var_stream_map: ladder.map((rung, i) => `v:${i},a:${i},name:${rung.name}`).join(' '),
+  };
+  const playlistPath = path.join(session.hlsDir, '%v', config.sourcePlaylist);
+  const scale = `[0:v]split=${ladder.length}${ladder.map((_, i) => `[s${i}]`).join('')};`
+    + ladder.map((rung, i) => `[s${i}]scale=-2:${rung.height}[v${i}]`).join(';');
+  const partsPath = path.join(getLowLatencyDir(session), config.lowLatency.partsPlaylist);
   
   return [
     '-hide_banner', '-loglevel', 'warning',
-    '-re', '-fflags', '+genpts+igndts',
-    '-i', inputPath,
+    '-fflags', '+genpts+igndts',
+    ...buildInputArgs(session, source),
+    '-filter_complex', scale,
+    ...ladder.flatMap((_, i) => ['-map', `[v${i}]`]),
+    ...ladder.flatMap(() => ['-map', '0:a:0']),
     '-c:v', ff.videoCodec, '-preset', ff.videoPreset,
     '-profile:v', ff.videoProfile, '-level', ff.videoLevel,
     '-pix_fmt', ff.pixelFormat,
     '-g', String(gopSize), '-keyint_min', String(gopSize), '-sc_threshold', '0',
-    '-b:v', ff.videoBitrate, '-maxrate', ff.videoMaxrate, '-bufsize', ff.videoBufferSize,
-    '-c:a', ff.audioCodec, '-b:a', ff.audioBitrate, '-ar', String(ff.audioSampleRate),
-    '-f', 'hls',
-    '-hls_time', String(config.segmentDuration),
-    '-hls_list_size', '0',
-    '-hls_flags', 'independent_segments+temp_file',
-    '-hls_segment_filename', path.join(config.hls, config.segmentPattern),
-    '-hls_segment_type', 'mpegts',
-    '-y', path.join(config.hls, config.sourcePlaylist),
+    // Keyframes on segment boundaries whatever the frame rate (segments and parts stay aligned)
+    '-force_key_frames', `expr:gte(t,n_forced*${config.segmentDuration})`,
+    '-c:a', ff.audioCodec, '-ar', String(ff.audioSampleRate),
+    ...ladder.flatMap((rung, i) => [
+      `-b:v:${i}`, rung.videoBitrate, `-maxrate:v:${i}`, rung.videoMaxrate, `-bufsize:v:${i}`, rung.videoBufferSize,
+      `-b:a:${i}`, rung.audioBitrate,
+    ]),
+    // Pin the first PTS (X-TIMESTAMP-MAP of the WebVTT segments) instead of the muxer's default delay
+    '-muxdelay', '0', '-output_ts_offset', String(config.mpegtsTimeOffset),
+    ...(config.lowLatency.enabled
+      ? ['-flags', '+global_header', '-f', 'tee', '-y',
+        `${toTeeOutput({ f: 'hls', ...hls }, playlistPath)}|${toTeeOutput(getPartOutputOptions(session), partsPath)}`]
+      : ['-f', 'hls', ...Object.entries(hls).flatMap(([k, v]) => [`-${k}`, String(v)]), '-y', playlistPath]),
   ];
 }
 
-/** Start live streaming */
-export async function startLive(mediaPath) {
-  if (!fs.existsSync(mediaPath)) throw new Error('Video file not found');
-  if (isLiveRunning()) throw new Error('Already running');
+/** Spawn the FFmpeg process of a live and watch its exit */
+function spawnFfmpeg(session, source, resume = false) {
+  if (config.lowLatency.enabled) startLowLatencyRun(session, resume);
+  const args = buildFfmpegArgs(session, source, resume);
+  log.info('LIVE', `[${session.id}] Starting FFmpeg with: ${describeSource(source)}`);
+  log.debug('FFMPEG', `Args: ${args.join(' ')}`);
   
-  cleanHlsDir();
-  ensureHlsDir();
-  state.captions = [];
+  const proc = spawn('ffmpeg', args);
+  session.ffmpegProc = proc;
   
-  return new Promise((resolve, reject) => {
-    const args = buildFfmpegArgs(mediaPath);
-    log.info('LIVE', `Starting FFmpeg with: ${mediaPath}`);
-    log.debug('FFMPEG', `Args: ${args.join(' ')}`);
-    
-    const proc = spawn('ffmpeg', args);
-    state.ffmpegProc = proc;
-    
-    let stderrBuffer = '';
-    
-    proc.on('error', (err) => {
-      log.error('LIVE', 'FFmpeg spawn error:', err.message);
-      handleLiveExit();
-      reject(err);
-    });
-    
-    proc.on('exit', (code) => {
-      log.info('LIVE', `FFmpeg exited (code ${code})`);
-      if (code !== 0 && stderrBuffer) {
-        log.error('FFMPEG', stderrBuffer.slice(-500));
-      }
-      handleLiveExit();
-    });
+  let stderrBuffer = '';
+  
+  proc.on('error', (err) => {
+    log.error('LIVE', 'FFmpeg spawn error:', err.message);
+    if (session.ffmpegProc === proc && !session.liveStopping) handleLiveExit(session);
+  });
+  
+  proc.on('exit', (code) => {
+    log.info('LIVE', `FFmpeg exited (code ${code})`);
+    if (code !== 0 && stderrBuffer) {
+      log.error('FFMPEG', stderrBuffer.slice(-500));
+    }
+    // Stopped on purpose (stopLive / start timeout): cleaned up by stopLive
+    if (session.ffmpegProc !== proc || session.liveStopping) return;
     
-    proc.stderr.on('data', (d) => {
-      const msg = d.toString();
-      stderrBuffer += msg;
-      log.debug('FFMPEG', msg.trim());
-    });
+    if (session.ingest && session.liveStartedAt) handlePublisherLost(session, source);
+    else handleLiveExit(session);
+  });
+  
+  proc.stderr.on('data', (d) => {
+    const msg = d.toString();
+    stderrBuffer = (stderrBuffer + msg).slice(-8192);
+    log.debug('FFMPEG', msg.trim());
+  });
+  
+  return proc;
+}
+
+/**
+ * Start live streaming
+ * @param {Object} session - Session state
+ * @param {Object} source - Live source (see `resolveLiveSource()` in ingest.js)
+ */
+export async function startLive(session, source) {
+  if (source.kind === 'file' && !fs.existsSync(source.path)) throw new Error('Video file not found');
+  if (isLiveRunning(session)) throw new Error('Already running');
+  
+  cleanHlsDir(session);
+  ensureHlsDir(session);
+  session.captions = [];
+  session.lastSource = source.kind === 'file' ? path.basename(source.path) : null;
+  session.ingest = source.kind === 'file' ? null : {
+    kind: source.kind,
+    url: source.url || null,
+    publisherConnected: false,
+    disconnectedAt: null,
+    reconnects: 0,
+    reconnectTimer: null, // Stops the live if the publisher does not come back
+    watchTimer: null,     // Polls for new segments after a reconnection
+    respawnTimer: null,   // Delayed FFmpeg restart between attempts
+  };
+  store.openSession(session, {
+    source: describeSource(source),
+    ingest: source.kind,
+    delaySec: session.delaySec,
+    mode: session.currentMode,
+    fragment: {
+      slotDuration: session.fragment.slotDuration,
+      overlapDuration: session.fragment.overlapDuration,
+      gracePeriodPercent: session.fragment.gracePeriodPercent,
+      requiredSubtitlers: session.fragment.requiredSubtitlers,
+    },
+  });
+  
+  return new Promise((resolve, reject) => {
+    const proc = spawnFfmpeg(session, source);
+    proc.once('error', reject);
     
-    broadcastLiveStatus('starting');
+    broadcastLiveStatus(session, 'starting', { ingest: describeIngest(session) });
     
+    // A listener waits for the encoder to connect, a file or URL only for FFmpeg
+    const timeoutMs = isListenerSource(source) ? config.ingest.publishTimeoutSec * 1000 : config.ffmpegTimeout;
     const startTime = Date.now();
     const check = setInterval(() => {
-      if (!isLiveRunning()) {
+      if (!isLiveRunning(session)) {
         clearInterval(check);
         reject(new Error('FFmpeg terminated'));
         return;
       }
       
-      const status = getHlsStatus();
+      const status = getHlsStatus(session);
       if (status.segmentCount >= config.minSegmentsForStart) {
         clearInterval(check);
-        state.liveStartedAt = Date.now();
+        session.liveStartedAt = Date.now();
+        session.liveMediaOffsetMs = getStreamDurationMs(session);
+        session.mediaEpochMs = session.liveStartedAt - session.liveMediaOffsetMs;
+        if (session.ingest) session.ingest.publisherConnected = true;
         log.info('LIVE', 'Stream ready');
-        broadcastLiveStatus('started', { liveStartedAt: state.liveStartedAt });
+        broadcastLiveStatus(session, 'started', { liveStartedAt: session.liveStartedAt });
         resolve();
         return;
       }
       
-      if (Date.now() - startTime > config.ffmpegTimeout) {
+      if (Date.now() - startTime > timeoutMs) {
         clearInterval(check);
-        proc.kill('SIGTERM');
-        handleLiveExit();
-        reject(new Error('Timeout waiting for stream'));
+        stopLive(session);
+        reject(new Error(isListenerSource(source) ? 'No encoder connected' : 'Timeout waiting for stream'));
       }
     }, config.ffmpegCheckInterval);
   });
 }
 
-/** Handle live exit cleanup */
-function handleLiveExit() {
-  state.ffmpegProc = null;
-  state.liveStartedAt = null;
-  state.currentMode = null;
-  
-  if (state.fragment.active) {
-    resetFragment();
-    broadcast({ type: 'fragment:stopped' });
+// ═══════════════════════════════════════════════════════════════════════════════
+// INGEST (publisher disconnect / reconnect)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Public view of the ingest state of a session (null for file lives) */
+export function describeIngest(session) {
+  const { ingest } = session;
+  if (!ingest) return null;
+  return {
+    kind: ingest.kind,
+    url: ingest.url,
+    publisherConnected: ingest.publisherConnected,
+    disconnectedAt: ingest.disconnectedAt,
+    reconnects: ingest.reconnects,
+  };
+}
+
+function broadcastPublisherStatus(session) {
+  broadcastToSession(session, { type: 'live:publisher', ...describeIngest(session) });
+}
+
+function clearIngestTimers(ingest) {
+  clearTimeout(ingest.reconnectTimer);
+  clearInterval(ingest.watchTimer);
+  clearTimeout(ingest.respawnTimer);
+  ingest.reconnectTimer = ingest.watchTimer = ingest.respawnTimer = null;
+}
+
+/**
+ * The encoder stopped publishing (FFmpeg reached the end of its input) while the live runs.
+ *
+ * The live stays up: FFmpeg is restarted on the same input and appends to the same
+ * playlist after an EXT-X-DISCONTINUITY. The live stops if nothing comes back within
+ * `config.ingest.reconnectTimeoutSec`.
+ */
+function handlePublisherLost(session, source) {
+  const { ingest } = session;
+  const firstAttempt = !ingest.disconnectedAt;
+  
+  if (firstAttempt) {
+    ingest.publisherConnected = false;
+    ingest.disconnectedAt = Date.now();
+    log.warn('LIVE', `[${session.id}] Publisher disconnected, waiting up to ${config.ingest.reconnectTimeoutSec}s`);
+    store.record(session, store.EVENTS.PUBLISHER, { connected: false });
+    broadcastPublisherStatus(session);
+    
+    ingest.reconnectTimer = setTimeout(() => {
+      log.warn('LIVE', `[${session.id}] Publisher did not come back, stopping the live`);
+      stopLive(session);
+    }, config.ingest.reconnectTimeoutSec * 1000);
+    
+    const segmentsBefore = getHlsStatus(session).segmentCount;
+    ingest.watchTimer = setInterval(() => {
+      if (getHlsStatus(session).segmentCount <= segmentsBefore) return;
+      clearIngestTimers(ingest);
+      // The stream did not advance during the gap: map media time onto wall-clock time again
+      session.liveMediaOffsetMs = getStreamDurationMs(session) - getLiveTimestamp(session);
+      ingest.publisherConnected = true;
+      ingest.disconnectedAt = null;
+      ingest.reconnects++;
+      log.info('LIVE', `[${session.id}] Publisher reconnected (#${ingest.reconnects})`);
+      store.record(session, store.EVENTS.PUBLISHER, { connected: true });
+      broadcastPublisherStatus(session);
+    }, config.ffmpegCheckInterval);
   }
   
-  broadcastLiveStatus('stopped');
+  // Listen again right away; pause between attempts so an unreachable URL is not hammered
+  ingest.respawnTimer = setTimeout(() => {
+    if (session.ingest === ingest) spawnFfmpeg(session, source, true);
+  }, firstAttempt ? 0 : config.ingest.retryIntervalMs);
+}
+
+/** Drop the ingest state of a session (live ended) */
+function clearIngest(session) {
+  if (session.ingest) clearIngestTimers(session.ingest);
+  session.ingest = null;
 }
 
-/** Stop live streaming */
-export function stopLive() {
-  if (state.ffmpegProc) {
-    try { state.ffmpegProc.kill('SIGTERM'); } catch (e) { /* ignore */ }
+/** Handle live exit cleanup */
+function handleLiveExit(session) {
+  if (session.fragment.active) {
+    // Flush pending slots so the fused history is complete for exports
+    sendRemainingSlots(session);
+    resetFragment(session);
+    broadcastToSession(session, { type: 'fragment:stopped' });
   }
   
-  state.ffmpegProc = null;
-  state.liveStartedAt = null;
-  state.currentMode = null;
+  clearIngest(session);
+  flushModerationQueue(session);
+  archiveRun(session);
+  store.closeSession(session);
+  session.ffmpegProc = null;
+  session.liveStartedAt = null;
+  session.liveMediaOffsetMs = null;
+  session.mediaEpochMs = null;
+  session.currentMode = null;
   
-  if (state.fragment.active) resetFragment();
-  cleanHlsDir();
-  broadcastLiveStatus('stopped');
-  log.info('LIVE', 'Stopped');
+  broadcastLiveStatus(session, 'stopped');
 }
 
-/** Resolve media path */
-export function resolveMediaPath(source) {
-  const clean = source.startsWith('/media/') ? source.slice(7) : source;
-  return path.join(config.media, clean);
+/** Stop an FFmpeg process and wait for its exit (SIGKILL past `config.ffmpegStopTimeout`) */
+function terminateFfmpeg(proc) {
+  return new Promise((resolve) => {
+    if (!proc.pid || proc.exitCode !== null || proc.signalCode !== null) return resolve();
+    const timer = setTimeout(() => {
+      log.warn('LIVE', 'FFmpeg did not stop in time, killing it');
+      try { proc.kill('SIGKILL'); } catch (e) { /* ignore */ }
+    }, config.ffmpegStopTimeout);
+    proc.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    try { proc.kill('SIGTERM'); } catch (e) { /* ignore */ }
+  });
+}
+
+/**
+ * Stop live streaming
+ *
+ * FFmpeg writes the last segments and playlist entries when it exits: the run is archived
+ * once it is gone. The live counts as running until then, so no new start can empty the
+ * HLS directory in between. Resolves when the session is stopped.
+ */
+export function stopLive(session) {
+  if (session.liveStopping) return session.liveStopping;
+  const proc = session.ffmpegProc;
+  
+  if (session.fragment.active) {
+    // Flush pending slots so the fused history is complete for exports
+    sendRemainingSlots(session);
+    resetFragment(session);
+  }
+  clearIngest(session);
+  
+  session.liveStopping = (proc ? terminateFfmpeg(proc) : Promise.resolve()).then(() => {
+    session.liveStopping = null;
+    handleLiveExit(session);
+    cleanHlsDir(session);
+    log.info('LIVE', 'Stopped');
+  });
+  return session.liveStopping;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -362,48 +1192,51 @@ export function resolveMediaPath(source) {
  *   This guarantees at most one text per slot.
  */
 
-/** Get active subtitlers sorted by join time */
-export function getActiveSubtitlers() {
-  return Array.from(state.fragment.subtitlers.values())
-    .filter(s => s.ws?.readyState === 1)
+/**
+ * Get active subtitlers sorted by join time
+ * Subtitlers inside their reconnect grace window keep their place in the rotation.
+ */
+export function getActiveSubtitlers(session) {
+  return Array.from(session.fragment.subtitlers.values())
+    .filter(s => s.ws?.readyState === 1 || s.disconnectedAt)
     .sort((a, b) => a.joinedAt - b.joinedAt);
 }
 
 /** Get subtitler for a specific slot index */
-export function getSubtitlerForSlot(slotIndex) {
-  const active = getActiveSubtitlers();
+export function getSubtitlerForSlot(session, slotIndex) {
+  const active = getActiveSubtitlers(session);
   if (!active.length) return null;
   return active[slotIndex % active.length];
 }
 
 /** Get current subtitler (for current slot) */
-export function getCurrentSubtitler() {
+export function getCurrentSubtitler(session) {
   // With the overlapping scheduler, currentSlotIndex points to the NEXT slot to start
   // (it is incremented immediately after starting a slot).
-  return getSubtitlerForSlot(Math.max(0, state.fragment.currentSlotIndex - 1));
+  return getSubtitlerForSlot(session, Math.max(0, session.fragment.currentSlotIndex - 1));
 }
 
 /** Get next subtitler */
-export function getNextSubtitler() {
-  return getSubtitlerForSlot(state.fragment.currentSlotIndex);
+export function getNextSubtitler(session) {
+  return getSubtitlerForSlot(session, session.fragment.currentSlotIndex);
 }
 
-function getNextAssignedSlotInfo(subtitlerId) {
-  const { fragment: f } = state;
-  const active = getActiveSubtitlers();
+function getNextAssignedSlotInfo(session, subtitlerId) {
+  const { fragment: f } = session;
+  const active = getActiveSubtitlers(session);
   if (!active.length) return null;
 
   const latestSlot = f.captionsBySlot.length ? f.captionsBySlot[f.captionsBySlot.length - 1] : null;
   if (!latestSlot) return null;
 
-  const stride = getFragmentStrideSeconds();
+  const stride = getFragmentStrideSeconds(session);
   const nextSlotStartMs = latestSlot.startTime + stride * 1000; // start time of slotIndex=f.currentSlotIndex
 
   // Find the next slot index assigned to this subtitler.
   // Search up to 2 full rotations to be safe if active list changes slightly.
   let targetIndex = null;
   for (let k = f.currentSlotIndex; k < f.currentSlotIndex + active.length * 2; k++) {
-    const s = getSubtitlerForSlot(k);
+    const s = getSubtitlerForSlot(session, k);
     if (s?.id === subtitlerId) {
       targetIndex = k;
       break;
@@ -417,10 +1250,10 @@ function getNextAssignedSlotInfo(subtitlerId) {
 }
 
 /** Broadcast fragment status to all relevant clients */
-export function broadcastFragmentStatus() {
-  const { fragment: f } = state;
-  const active = getActiveSubtitlers();
-  const current = getCurrentSubtitler();
+export function broadcastFragmentStatus(session) {
+  const { fragment: f } = session;
+  const active = getActiveSubtitlers(session);
+  const current = getCurrentSubtitler(session);
 
   // Global status (admin-friendly): reflect the most recently started slot
   const latestSlot = f.captionsBySlot.length ? f.captionsBySlot[f.captionsBySlot.length - 1] : null;
@@ -442,7 +1275,7 @@ export function broadcastFragmentStatus() {
     secondsRemaining: remaining,
     inGracePeriod,
     subtitlerCount: active.length,
-    subtitlers: active.map(s => ({ id: s.id, name: s.name })),
+    subtitlers: active.map(s => ({ id: s.id, name: s.name, connected: !s.disconnectedAt, latencyMs: s.ws?.playerLatencyMs ?? null })),
   };
 
   // Subtitler status is individualized:
@@ -455,7 +1288,7 @@ export function broadcastFragmentStatus() {
       : null;
 
     if (!slot) {
-      const nextInfo = getNextAssignedSlotInfo(s.id);
+      const nextInfo = getNextAssignedSlotInfo(session, s.id);
       const waitSec = nextInfo ? Math.max(0, Math.floor((nextInfo.startMs - Date.now()) / 1000)) : 0;
       send(s.ws, {
         type: 'fragment:status',
@@ -484,7 +1317,7 @@ export function broadcastFragmentStatus() {
     });
   }
 
-  broadcastToAdmins({ 
+  broadcastToAdmins(session, { 
     type: 'fragment:admin-status', 
     ...status, 
     rawCaptionsCount: f.captionsBySlot.reduce((n, s) => n + s.captions.length, 0), 
@@ -493,43 +1326,43 @@ export function broadcastFragmentStatus() {
   });
 }
 
-export function getFragmentStrideSeconds() {
-  const { fragment: f } = state;
+export function getFragmentStrideSeconds(session) {
+  const { fragment: f } = session;
   return f.slotDuration - f.overlapDuration;
 }
 
-export function getFragmentGraceSeconds() {
-  const { fragment: f } = state;
+export function getFragmentGraceSeconds(session) {
+  const { fragment: f } = session;
   return Math.floor(f.slotDuration * f.gracePeriodPercent / 100);
 }
 
-export function getFragmentProcessingLatencySeconds() {
+export function getFragmentProcessingLatencySeconds(session) {
   // Captions become "final" only after the slot ends + grace period.
-  return state.fragment.slotDuration + getFragmentGraceSeconds();
+  return session.fragment.slotDuration + getFragmentGraceSeconds(session);
 }
 
-export function getMinSpectatorDelaySec() {
+export function getMinSpectatorDelaySec(session) {
   // Minimum delay required so spectators are still behind the moment being captioned
   // when the fused captions become available.
   // Also ensure the delayed playlist has at least a 1-segment lag.
   const minForHls = config.segmentDuration;
-  const minForFragment = getFragmentProcessingLatencySeconds();
+  const minForFragment = getFragmentProcessingLatencySeconds(session);
   return Math.max(minForHls, minForFragment);
 }
 
-export function getFragmentMinRequiredSubtitlers() {
-  const { fragment: f } = state;
-  const stride = getFragmentStrideSeconds();
-  const grace = getFragmentGraceSeconds();
+export function getFragmentMinRequiredSubtitlers(session) {
+  const { fragment: f } = session;
+  const stride = getFragmentStrideSeconds(session);
+  const grace = getFragmentGraceSeconds(session);
   if (stride <= 0) return Infinity;
   // Ensure a subtitler is not reassigned before their submit deadline
   return Math.ceil((f.slotDuration + grace) / stride);
 }
 
-export function validateFragmentConfig(requiredSubtitlers = state.fragment.requiredSubtitlers) {
-  const { fragment: f } = state;
-  const stride = getFragmentStrideSeconds();
-  const grace = getFragmentGraceSeconds();
+export function validateFragmentConfig(session, requiredSubtitlers = session.fragment.requiredSubtitlers) {
+  const { fragment: f } = session;
+  const stride = getFragmentStrideSeconds(session);
+  const grace = getFragmentGraceSeconds(session);
 
   if (!Number.isFinite(f.slotDuration) || f.slotDuration <= 0) {
     return { ok: false, error: 'slotDuration must be > 0' };
@@ -544,7 +1377,7 @@ export function validateFragmentConfig(requiredSubtitlers = state.fragment.requi
     return { ok: false, error: 'gracePeriodPercent must be between 0 and 100' };
   }
 
-  const minRequired = getFragmentMinRequiredSubtitlers();
+  const minRequired = getFragmentMinRequiredSubtitlers(session);
   if (requiredSubtitlers < minRequired) {
     return {
       ok: false,
@@ -556,22 +1389,22 @@ export function validateFragmentConfig(requiredSubtitlers = state.fragment.requi
 }
 
 /** Start the timer for the current slot */
-function startNextSlot() {
-  const { fragment: f } = state;
-  const active = getActiveSubtitlers();
+function startNextSlot(session) {
+  const { fragment: f } = session;
+  const active = getActiveSubtitlers(session);
   if (active.length < f.requiredSubtitlers) {
     log.info('FRAGMENT', `En attente de sous-titreurs (${active.length}/${f.requiredSubtitlers})`);
-    broadcastFragmentStatus();
+    broadcastFragmentStatus(session);
     return;
   }
 
-  const stride = getFragmentStrideSeconds();
-  const graceSec = getFragmentGraceSeconds();
+  const stride = getFragmentStrideSeconds(session);
+  const graceSec = getFragmentGraceSeconds(session);
   const slotIndex = f.currentSlotIndex;
-  const current = getSubtitlerForSlot(slotIndex);
-  const next = getSubtitlerForSlot(slotIndex + 1);
+  const current = getSubtitlerForSlot(session, slotIndex);
+  const next = getSubtitlerForSlot(session, slotIndex + 1);
   const startTime = Date.now();
-  const slotStartTimestamp = state.liveStartedAt ? (Date.now() - state.liveStartedAt) : 0;
+  const slotStartTimestamp = session.liveStartedAt ? (Date.now() - session.liveStartedAt) : 0;
 
   f.slotStartTime = startTime;
 
@@ -588,6 +1421,7 @@ function startNextSlot() {
     sent: false,
   };
   f.captionsBySlot.push(newSlot);
+  store.record(session, store.EVENTS.SLOT_START, { slot: store.serializeSlot(newSlot) });
   const slotArrayIndex = f.captionsBySlot.length - 1;
   if (current?.id) f.openSlotBySubtitlerId.set(current.id, slotIndex);
 
@@ -604,7 +1438,7 @@ function startNextSlot() {
   if (endingNotifyMs > 0) {
     const t = setTimeout(() => {
       if (current) send(current.ws, { type: 'fragment:ending', secondsLeft: f.notifyBefore });
-      broadcastFragmentStatus();
+      broadcastFragmentStatus(session);
     }, endingNotifyMs);
     f.slotTimers.add(t);
   }
@@ -614,15 +1448,22 @@ function startNextSlot() {
   if (prepareNotifyMs > 0) {
     const t = setTimeout(() => {
       if (next) send(next.ws, { type: 'fragment:prepare', secondsLeft: f.notifyBefore });
-      broadcastFragmentStatus();
+      broadcastFragmentStatus(session);
     }, prepareNotifyMs);
     f.slotTimers.add(t);
   }
 
-  // Grace starts after main slot duration
+  // Handoff: the next subtitler follows this slot from "prepare" until the overlap ends
+  if (next && next.id !== current?.id) {
+    const t = setTimeout(() => startHandoff(session, newSlot, next), Math.max(0, prepareNotifyMs));
+    f.slotTimers.add(t);
+  }
+
+  // Grace starts after main slot duration (the overlap with the next slot ends too)
   const graceStartT = setTimeout(() => {
+    endHandoff(session, newSlot);
     if (current) send(current.ws, { type: 'fragment:grace-start', gracePeriodPercent: f.gracePeriodPercent });
-    broadcastFragmentStatus();
+    broadcastFragmentStatus(session);
   }, f.slotDuration * 1000);
   f.slotTimers.add(graceStartT);
 
@@ -631,7 +1472,14 @@ function startNextSlot() {
     if (current) send(current.ws, { type: 'fragment:auto-send' });
 
     newSlot.endTime = Date.now();
-    newSlot.endTimestamp = state.liveStartedAt ? (Date.now() - state.liveStartedAt) : 0;
+    newSlot.endTimestamp = session.liveStartedAt ? (Date.now() - session.liveStartedAt) : 0;
+    // What the subtitler typed was ingested this long before (see getCaptionMediaTimestamp())
+    newSlot.playbackLagMs = current?.ws?.playerLatencyMs ?? null;
+    store.record(session, store.EVENTS.SLOT_END, {
+      slotIndex,
+      endTime: newSlot.endTime,
+      endTimestamp: newSlot.endTimestamp,
+    });
 
     // Close submission window immediately.
     // Auto captions are now fully tolerant and can still be attached via fallback.
@@ -640,9 +1488,11 @@ function startNextSlot() {
     }
 
     // Give the client a moment to send the auto-caption before fusing/sending.
+    // A draft still pending by then (subtitler dropped) becomes the slot text.
     const finalizeT = setTimeout(() => {
-      processSlotEnd(slotArrayIndex);
-      broadcastFragmentStatus();
+      promoteDraft(session, newSlot);
+      processSlotEnd(session, slotArrayIndex);
+      broadcastFragmentStatus(session);
     }, 800);
     f.slotTimers.add(finalizeT);
   }, (f.slotDuration + graceSec) * 1000);
@@ -650,74 +1500,75 @@ function startNextSlot() {
 
   // Advance global slot index (next slot starts after stride)
   f.currentSlotIndex++;
-  broadcastFragmentStatus();
+  broadcastFragmentStatus(session);
 }
 
-export function startSlotTimer() {
+export function startSlotTimer(session) {
   // Backward-compatible alias (older code calls startSlotTimer)
-  return startFragmentScheduler();
+  return startFragmentScheduler(session);
 }
 
-export function startFragmentScheduler() {
-  const { fragment: f } = state;
-  clearTimers();
+export function startFragmentScheduler(session) {
+  const { fragment: f } = session;
+  clearTimers(session);
 
-  const validation = validateFragmentConfig(f.requiredSubtitlers);
+  const validation = validateFragmentConfig(session, f.requiredSubtitlers);
   if (!validation.ok) {
     log.warn('FRAGMENT', validation.error);
-    broadcastToAdmins({ type: 'fragment:error', error: validation.error });
-    broadcastFragmentStatus();
+    broadcastToAdmins(session, { type: 'fragment:error', error: validation.error });
+    broadcastFragmentStatus(session);
     return;
   }
 
-  const active = getActiveSubtitlers();
+  const active = getActiveSubtitlers(session);
   if (active.length < f.requiredSubtitlers) {
     log.info('FRAGMENT', `En attente de sous-titreurs (${active.length}/${f.requiredSubtitlers})`);
-    broadcastFragmentStatus();
+    broadcastFragmentStatus(session);
     return;
   }
 
-  const stride = getFragmentStrideSeconds();
-  startNextSlot();
+  const stride = getFragmentStrideSeconds(session);
+  startNextSlot(session);
   f.schedulerTimer = setInterval(() => {
-    startNextSlot();
+    startNextSlot(session);
   }, stride * 1000);
 }
 
 /** Start fragment mode */
-export function startFragmentMode() {
-  if (state.fragment.active) return;
+export function startFragmentMode(session) {
+  if (session.fragment.active) return;
   
-  state.fragment.active = true;
-  state.fragment.currentSlotIndex = 0;
-  state.fragment.captionsBySlot = [];
-  state.fragment.fusedCaptions = [];
-  state.fragment.openSlotBySubtitlerId = new Map();
+  session.fragment.active = true;
+  session.fragment.currentSlotIndex = 0;
+  session.fragment.captionsBySlot = [];
+  session.fragment.fusedCaptions = [];
+  session.fragment.lastCue = null;
+  session.fragment.openSlotBySubtitlerId = new Map();
   
-  broadcast({ type: 'fragment:started' });
-  startFragmentScheduler();
+  broadcastToSession(session, { type: 'fragment:started' });
+  startFragmentScheduler(session);
   log.info('FRAGMENT', 'Fragment mode started');
 }
 
 /** Stop fragment mode */
-export function stopFragmentMode() {
-  if (!state.fragment.active) return;
+export function stopFragmentMode(session) {
+  if (!session.fragment.active) return;
   
   // Send any remaining unsent slots
-  sendRemainingSlots();
+  sendRemainingSlots(session);
   
-  resetFragment();
-  broadcast({ type: 'fragment:stopped' });
+  resetFragment(session);
+  broadcastToSession(session, { type: 'fragment:stopped' });
   log.info('FRAGMENT', 'Fragment mode stopped');
 }
 
 /** Add caption to the current slot (only from assigned subtitler) */
-export function addCaptionToSlot(caption) {
-  const { fragment: f } = state;
+export function addCaptionToSlot(session, caption) {
+  const { fragment: f } = session;
   if (!f.active) return false;
 
   const slotIndex = f.openSlotBySubtitlerId?.get(caption.subtitlerId);
-  const graceSec = getFragmentGraceSeconds();
+  const graceSec = getFragmentGraceSeconds(session);
   let currentSlot = Number.isFinite(slotIndex)
     ? f.captionsBySlot.find(s => s.slotIndex === slotIndex)
     : null;
@@ -756,32 +1607,151 @@ export function addCaptionToSlot(caption) {
     return false;
   }
 
+  // The sent text replaces the draft it was typed in
+  const hadDraft = Boolean(currentSlot.draft);
+  currentSlot.draft = null;
+  pushSlotCaption(session, currentSlot, caption, Date.now());
+  if (hadDraft) broadcastDraft(session, currentSlot);
+  
+  return true;
+}
+
+/**
+ * Store a caption in a slot, timestamped on the video
+ * @param {number} at - When the text was typed (ms)
+ */
+function pushSlotCaption(session, slot, caption, at) {
+  const { fragment: f } = session;
+
   // Timestamp is based on slot start, capped at slot end (excluding grace)
-  const elapsedMs = Date.now() - currentSlot.startTime;
+  const elapsedMs = at - slot.startTime;
   const cappedMs = Math.min(elapsedMs, f.slotDuration * 1000);
-  const videoTimestamp = currentSlot.startTimestamp + cappedMs;
+  const videoTimestamp = slot.startTimestamp + cappedMs;
   const captionWithTimestamp = {
     ...caption,
     videoTimestamp,
-    slotIndex: currentSlot.slotIndex,
+    slotIndex: slot.slotIndex,
     receivedAt: Date.now(),
   };
   
-  currentSlot.captions.push(captionWithTimestamp);
+  slot.captions.push(captionWithTimestamp);
+  store.record(session, store.EVENTS.CAPTION, { caption: captionWithTimestamp });
   
   // Log
-  log.info('CAPTION', `[Slot ${currentSlot.slotIndex}] [${formatTimestamp(videoTimestamp)}] "${caption.text}" (par ${caption.subtitlerName})`);
+  log.info('CAPTION', `[Slot ${slot.slotIndex}] [${formatTimestamp(videoTimestamp)}] "${caption.text}" (par ${caption.subtitlerName})`);
   
   // Notify admins immediately
-  broadcastToAdmins({
+  broadcastToAdmins(session, {
     type: 'fragment:raw-caption',
     caption: captionWithTimestamp,
-    slotIndex: currentSlot.slotIndex,
+    slotIndex: slot.slotIndex,
   });
-  
+  pushHandoff(session, slot);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LIVE DRAFTS & HANDOFF - Text being typed, before it is sent
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Keep the text being typed for an open slot (`caption:draft` from its subtitler)
+ * and relay it to the admins and, during the handoff, to the next subtitler
+ * @param {string} subtitlerId - Sender
+ * @param {string} text - Whole content of the input ('' once cleared)
+ * @returns {boolean} false if the sender has no open slot
+ */
+export function updateSlotDraft(session, subtitlerId, text) {
+  const { fragment: f } = session;
+  const slotIndex = f.openSlotBySubtitlerId?.get(subtitlerId);
+  const slot = Number.isFinite(slotIndex) ? f.captionsBySlot.find(s => s.slotIndex === slotIndex) : null;
+  if (!slot || slot.sent) return false;
+
+  const trimmed = text.trim();
+  if (trimmed === (slot.draft?.text || '')) return true;
+  slot.draft = trimmed ? { text: trimmed, updatedAt: Date.now(), liveTimestamp: getLiveTimestamp(session) } : null;
+  broadcastDraft(session, slot);
+  pushHandoff(session, slot);
   return true;
 }
 
+/** Send the draft of a slot ('' when cleared) to the admins */
+function broadcastDraft(session, slot) {
+  const payload = {
+    type: 'caption:draft',
+    slotIndex: slot.slotIndex,
+    subtitlerId: slot.subtitlerId,
+    subtitlerName: slot.subtitlerName,
+    text: slot.draft?.text || '',
+    updatedAt: slot.draft?.updatedAt || Date.now(),
+  };
+  broadcastToAdmins(session, payload);
+}
+
+/**
+ * Start the handoff of a slot: until its overlap with the next slot ends, the
+ * subtitler taking over sees where the text stands (`fragment:handoff`)
+ * @param {Object} next - Subtitler of the following slot
+ */
+function startHandoff(session, slot, next) {
+  slot.handoff = {
+    subtitlerId: next.id,
+    endsAt: slot.startTime + session.fragment.slotDuration * 1000,
+  };
+  pushHandoff(session, slot);
+}
+
+/** Send the current handoff context of a slot (last submitted words + draft) */
+function pushHandoff(session, slot) {
+  if (!slot.handoff) return;
+  const target = session.fragment.subtitlers.get(slot.handoff.subtitlerId);
+  const words = getSlotRawText(slot).split(/\s+/).filter(Boolean);
+  send(target?.ws, {
+    type: 'fragment:handoff',
+    active: true,
+    slotIndex: slot.slotIndex,
+    subtitlerName: slot.subtitlerName,
+    lastWords: words.slice(-config.handoffWords).join(' '),
+    truncated: words.length > config.handoffWords,
+    draft: slot.draft?.text || '',
+    secondsLeft: Math.max(0, Math.ceil((slot.handoff.endsAt - Date.now()) / 1000)),
+  });
+}
+
+/** The overlap is over: the next subtitler is on their own */
+function endHandoff(session, slot) {
+  if (!slot.handoff) return;
+  const target = session.fragment.subtitlers.get(slot.handoff.subtitlerId);
+  slot.handoff = null;
+  send(target?.ws, { type: 'fragment:handoff', active: false, slotIndex: slot.slotIndex });
+}
+
+/**
+ * Turn the pending draft of a slot into a caption (its subtitler never sent it:
+ * dropped connection, live stopped). Timestamped when it was last typed.
+ */
+function promoteDraft(session, slot) {
+  const { draft } = slot;
+  if (!draft) return;
+  slot.draft = null;
+
+  const caption = {
+    id: generateUUID(),
+    text: draft.text,
+    subtitlerName: slot.subtitlerName,
+    subtitlerId: slot.subtitlerId,
+    createdAt: draft.updatedAt,
+    liveTimestamp: draft.liveTimestamp,
+    autoSent: true,
+    fromDraft: true,
+  };
+  log.info('CAPTION', `[Slot ${slot.slotIndex}] Draft kept as slot text (not sent by ${slot.subtitlerName})`);
+  pushSlotCaption(session, slot, caption, draft.updatedAt);
+  broadcastDraft(session, slot);
+
+  broadcastToSession(session, { type: 'caption', caption },
+    (client) => client.clientType === 'subtitler' && client.odId !== slot.subtitlerId);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // FUSION ENGINE - Remove repetitions between consecutive slots
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -838,155 +1808,96 @@ export function addCaptionToSlot(caption) {
  * ║    On retire toujours les mots du DÉBUT du slot suivant,                     ║
  * ║    jamais de la fin du slot précédent.                                       ║
  * ║                                                                              ║
+ * ║  DÉTECTION (fusion.js):                                                      ║
+ * ║    Alignement local avec pénalités de trou entre la fin de N-1 et le début   ║
+ * ║    de N : tolère un mot sauté, un mot ajouté ("euh"), une reprise un peu     ║
+ * ║    plus tôt ou plus tard. La trace est gardée sur le slot (`alignment`).     ║
+ * ║                                                                              ║
  * ╚══════════════════════════════════════════════════════════════════════════════╝
  */
 
-const FRENCH_PUNCTUATION = /([.,!?;:…»«"'])/g;
-
 /**
- * Tokenize - Split text into words and punctuation
+ * getSlotRawText - Get raw concatenated text for a slot
  *
- * Punctuation is separated from words for better overlap detection.
+ * Concatenate all captions received during the slot.
  *
- * @example
- * tokenize("Bonjour, monde!") → ["Bonjour", ",", "monde", "!"]
- * tokenize("Il fait beau.")   → ["Il", "fait", "beau", "."]
- * 
- * @param {string} text - Text to split
- * @returns {string[]} Array of tokens (words + punctuation)
+ * @param {Object} slot - Slot object with captions array
+ * @returns {string} Concatenated text
  */
-function tokenize(text) {
-  if (!text) return [];
-  return text
-    .replace(FRENCH_PUNCTUATION, ' $1 ')  // Add spaces around punctuation
-    .split(/\s+/)                         // Split on spaces
-    .filter(w => w.length > 0);            // Remove empty entries
+function getSlotRawText(slot) {
+  if (!slot || !slot.captions || !slot.captions.length) return '';
+  return slot.captions.map(c => c.text).join(' ').trim();
 }
 
 /**
- * Detokenize - Rebuild readable text from tokens
+ * getSlotText - Text of a slot as seen by the fusion
  *
- * Glue punctuation properly (no extra space before periods, etc.)
+ * Raw text, with its unambiguous typos fixed when the session enables autocorrect
+ * (see spellcheck.js). Cached on the slot until a new caption changes the raw text.
  *
- * @example
- * detokenize(["Bonjour", ",", "monde", "!"]) → "Bonjour, monde!"
- * 
- * @param {string[]} words - Array of tokens
- * @returns {string} Reconstructed text
+ * @param {Object} slot - Slot object with captions array
+ * @returns {string} Text to fuse
  */
-function detokenize(words) {
-  if (!words || !words.length) return '';
-  return words.join(' ')
-    .replace(/ ([.,!?;:…»"'])/g, '$1')  // Remove space before closing punctuation
-    .replace(/([«"']) /g, '$1')         // Remove space after opening punctuation
-    .trim();
+function getSlotText(session, slot) {
+  const raw = getSlotRawText(slot);
+  if (!raw || !session.spellcheck.autocorrect) return raw;
+
+  if (slot.autocorrect?.raw !== raw) {
+    const { text, corrections } = spellcheck.autocorrectText(session, raw);
+    slot.autocorrect = { raw, text, corrections };
+    if (corrections.length) {
+      log.info('SPELL', `[Slot ${slot.slotIndex}] Autocorrect: ${corrections.map(c => `${c.from} → ${c.to}`).join(', ')}`);
+    }
+  }
+  return slot.autocorrect.text;
 }
 
 /**
- * wordSimilarity - Compute similarity between two words (0..1)
+ * getSlotTokens - Tokens of a slot as seen by the fusion, with the time each one was typed
  *
- * Uses Levenshtein distance to tolerate small typos.
+ * Times come from the caption timestamps (see `timeTokens()` in fusion.js), resampled
+ * when autocorrect changed the number of tokens.
  *
- * @example
- * wordSimilarity("Paris", "Paris")     → 1.0   (identique)
- * wordSimilarity("Marsielle", "Marseille") → 0.89 (1 caractère de différence)
- * wordSimilarity("Paris", "Lyon")      → 0.2   (très différent)
- * 
- * @param {string} w1 - First word
- * @param {string} w2 - Second word
- * @returns {number} Similarity score between 0 (different) and 1 (identical)
+ * @param {Object} slot - Slot object with captions array
+ * @returns {{ tokens: string[], times: number[] }} Times in ms since live start
  */
-function wordSimilarity(w1, w2) {
-  const a = w1.toLowerCase();
-  const b = w2.toLowerCase();
-  if (a === b) return 1;
-  
-  const m = a.length, n = b.length;
-  if (m === 0 || n === 0) return 0;
-  
-  // Levenshtein distance via dynamic programming
-  const dp = Array.from({ length: m + 1 }, (_, i) => [i]);
-  for (let j = 1; j <= n; j++) dp[0][j] = j;
-  
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      dp[i][j] = a[i - 1] === b[j - 1]
-        ? dp[i - 1][j - 1]
-        : 1 + Math.min(dp[i - 1][j], dp[i][j - 1], dp[i - 1][j - 1]);
-    }
-  }
-  
-  // Convert distance to similarity score (0-1)
-  return 1 - dp[m][n] / Math.max(m, n);
+function getSlotTokens(session, slot) {
+  const { times } = timeTokens(slot.captions, slot.startTimestamp);
+  const tokens = tokenize(getSlotText(session, slot));
+  return { tokens, times: stretchTimes(times, tokens.length) };
 }
 
 /**
- * findOverlap - Detect overlap between two word sequences
+ * getSlotFinal - Text of a slot without the tokens re-typed from its predecessor
  *
- * Checks if the END of seq1 matches the START of seq2.
- * This is the core of the fusion algorithm.
- *
- * EXAMPLE:
- *   seq1: ["grande", "ville", "La", "France"]
- *   seq2: ["La", "France", "est", "belle"]
- *
- *   Test whether seq1 ends with "La France" and seq2 starts with "La France".
- *   → Yes! Overlap = 2 words
- *
- * ERROR TOLERANCE:
- *   - Uses wordSimilarity() to accept small typos
- *   - A word is a match if similarity >= 80%
- *   - At least 70% of words must match to validate overlap
- *
- * @param {string[]} seq1 - First sequence (search at its end)
- * @param {string[]} seq2 - Second sequence (search at its start)
- * @param {number} [similarityThreshold=0.8] - Similarity threshold for a match
- * @returns {{ overlapLength: number, overlapWords: string[] }} Detection result
+ * @param {Object} slot - Slot object (with `overlapFromPrev` once aligned)
+ * @returns {{ text: string, wordTimestamps: number[] }} Final text + time of each of its words
  */
-function findOverlap(seq1, seq2, similarityThreshold = 0.8) {
-  if (!seq1?.length || !seq2?.length) {
-    return { overlapLength: 0, overlapWords: [] };
-  }
-  
-  const maxOverlap = Math.min(seq1.length, seq2.length, 15); // Maximum 15 words
-  let bestLength = 0;
-  let bestWords = [];
-  
-  // Test different overlap lengths
-  for (let overlapLen = 1; overlapLen <= maxOverlap; overlapLen++) {
-    const startInSeq1 = seq1.length - overlapLen;
-    
-    // Check if seq1[end-overlapLen...end] matches seq2[0...overlapLen]
-    let matches = 0;
-    for (let i = 0; i < overlapLen; i++) {
-      const similarity = wordSimilarity(seq1[startInSeq1 + i], seq2[i]);
-      if (similarity >= similarityThreshold) {
-        matches++;
-      }
-    }
-    
-    // At least 70% of words must match
-    const matchRatio = matches / overlapLen;
-    if (matchRatio >= 0.7 && overlapLen > bestLength) {
-      bestLength = overlapLen;
-      bestWords = seq1.slice(startInSeq1);
-    }
-  }
-  
-  return { overlapLength: bestLength, overlapWords: bestWords };
+function getSlotFinal(session, slot) {
+  const { tokens, times } = getSlotTokens(session, slot);
+  const start = slot.overlapFromPrev || 0;
+  const kept = tokens.slice(start);
+  return { text: detokenize(kept), wordTimestamps: getWordTimes(kept, times.slice(start)) };
 }
 
 /**
- * getSlotRawText - Get raw concatenated text for a slot
- *
- * Concatenate all captions received during the slot.
+ * finalizeSlot - Mark a slot as sent with its final (deduplicated) text
  *
- * @param {Object} slot - Slot object with captions array
- * @returns {string} Concatenated text
+ * @param {Object} slot - Slot object
+ * @param {string} finalText - Text sent to spectators ('' if nothing)
+ * @param {number[]} [wordTimestamps] - Time each word of `finalText` was typed (ms since live start)
  */
-function getSlotRawText(slot) {
-  if (!slot || !slot.captions || !slot.captions.length) return '';
-  return slot.captions.map(c => c.text).join(' ').trim();
+function finalizeSlot(session, slot, finalText, wordTimestamps = []) {
+  slot.finalText = finalText;
+  slot.wordTimestamps = wordTimestamps;
+  slot.sent = true;
+  store.record(session, store.EVENTS.SLOT_FINAL, {
+    slotIndex: slot.slotIndex,
+    finalText,
+    overlapFromPrev: slot.overlapFromPrev || 0,
+    alignment: slot.alignment || null,
+    autocorrections: slot.autocorrect?.corrections || [],
+  });
 }
 
 /**
@@ -1010,8 +1921,8 @@ function getSlotRawText(slot) {
  * The first slot (index 0) is sent IMMEDIATELY at its end because it has no predecessor.
  * Its words are stored for overlap detection with slot 1.
  */
-function processSlotEnd(endedSlotIndexOverride = null) {
-  const { fragment: f } = state;
+function processSlotEnd(session, endedSlotIndexOverride = null) {
+  const { fragment: f } = session;
   const slots = f.captionsBySlot;
   
   if (slots.length === 0) return;
@@ -1022,7 +1933,7 @@ function processSlotEnd(endedSlotIndexOverride = null) {
     : (slots.length - 1);
   const endedSlot = slots[endedSlotIndex];
   if (!endedSlot) return;
-  const endedText = getSlotRawText(endedSlot);
+  const endedText = getSlotText(session, endedSlot);
   
   log.info('FUSION', `════════════════════════════════════════`);
   log.info('FUSION', `END SLOT ${endedSlot.slotIndex} PROCESSING`);
@@ -1032,14 +1943,12 @@ function processSlotEnd(endedSlotIndexOverride = null) {
   if (endedSlotIndex === 0) {
     if (endedText) {
       log.info('FUSION', `  First slot - SEND IMMEDIATELY (no predecessor)`);
-      endedSlot.finalText = endedText;
-      endedSlot.sent = true;
-      sendToSpectators(endedSlot, endedText);
-      storeFusedCaption(endedSlot, endedText, null, 0);
+      const { text, wordTimestamps } = getSlotFinal(session, endedSlot);
+      finalizeSlot(session, endedSlot, text, wordTimestamps);
+      deliverCaption(session, endedSlot, text, null, 0);
     } else {
       log.info('FUSION', `  First slot empty - nothing to send`);
-      endedSlot.sent = true;
-      endedSlot.finalText = '';
+      finalizeSlot(session, endedSlot, '');
     }
     log.info('FUSION', `════════════════════════════════════════`);
     return;
@@ -1047,28 +1956,39 @@ function processSlotEnd(endedSlotIndexOverride = null) {
   
   // Get previous slot (the one we're going to send now)
   const prevSlot = slots[endedSlotIndex - 1];
-  const prevText = getSlotRawText(prevSlot);
+  const prevText = getSlotText(session, prevSlot);
   
   log.info('FUSION', `  Previous slot ${prevSlot.slotIndex}: "${prevText || '(empty)'}"`);
   log.info('FUSION', `  Current slot ${endedSlot.slotIndex}: "${endedText || '(empty)'}"`);
   
-  // Tokenize both texts to compute overlap
-  const prevWords = tokenize(prevText);
-  const currentWords = tokenize(endedText);
+  // Tokenize both texts (with typing times) to compute overlap
+  const prev = getSlotTokens(session, prevSlot);
+  const current = getSlotTokens(session, endedSlot);
+  const currentWords = current.tokens;
   
   // Detect overlap between END of previous slot and START of current slot
-  // (do this even if previous slot was already sent to compute current overlap)
-  if (currentWords.length > 0 && prevWords.length > 0) {
-    const { overlapLength, overlapWords } = findOverlap(prevWords, currentWords);
+  // (do this even if previous slot was already sent to compute current overlap),
+  // comparing only what was typed during the overlap
+  if (currentWords.length > 0 && prev.tokens.length > 0) {
+    const alignment = alignOverlap(prev.tokens, currentWords, {
+      ...session.fusion,
+      slotDuration: f.slotDuration,
+      overlapDuration: f.overlapDuration,
+      prevTimes: prev.times,
+      curTimes: current.times,
+      overlapStart: endedSlot.startTimestamp,
+    });
+    endedSlot.alignment = alignment;
+    endedSlot.overlapFromPrev = alignment.overlapLength;
     
-    if (overlapLength > 0) {
-      log.info('FUSION', `  Overlap detected: ${overlapLength} words "${detokenize(overlapWords)}"`);
-      endedSlot.overlapFromPrev = overlapLength;
+    if (alignment.overlapLength > 0) {
+      log.info('FUSION', `  Overlap detected: ${alignment.overlapLength} tokens "${detokenize(currentWords.slice(0, alignment.overlapLength))}" (score ${alignment.score})`);
     } else {
       log.info('FUSION', `  No overlap`);
-      endedSlot.overlapFromPrev = 0;
     }
+    broadcastToAdmins(session, { type: 'fragment:alignment', alignment: describeAlignment(prevSlot, endedSlot) });
   } else {
+    endedSlot.alignment = null;
     endedSlot.overlapFromPrev = 0;
   }
   
@@ -1083,35 +2003,59 @@ function processSlotEnd(endedSlotIndexOverride = null) {
   // If previous slot is empty, nothing to send
   if (!prevText) {
     log.info('FUSION', `  Nothing to send (previous slot empty)`);
-    prevSlot.sent = true;
-    prevSlot.finalText = '';
+    finalizeSlot(session, prevSlot, '');
     log.info('FUSION', `════════════════════════════════════════`);
     return;
   }
   
-  // Calculate text to send
-  let wordsToSend = prevWords;
-  
-  // If the previous slot had overlap with its own predecessor,
-  // remove those words from its start
+  // Calculate text to send: if the previous slot had overlap with its own
+  // predecessor, those words are removed from its start
   if (prevSlot.overlapFromPrev && prevSlot.overlapFromPrev > 0) {
     log.info('FUSION', `  Slot ${prevSlot.slotIndex} adjusted: removing ${prevSlot.overlapFromPrev} words from beginning`);
-    wordsToSend = prevWords.slice(prevSlot.overlapFromPrev);
   }
   
   // Text to send
-  const textToSend = detokenize(wordsToSend);
-  prevSlot.finalText = textToSend;
-  prevSlot.sent = true;
+  const { text: textToSend, wordTimestamps } = getSlotFinal(session, prevSlot);
+  finalizeSlot(session, prevSlot, textToSend, wordTimestamps);
   
   log.info('FUSION', `  ENVOI Slot ${prevSlot.slotIndex}: "${textToSend}"`);
   log.info('FUSION', `════════════════════════════════════════`);
   
-  // Send to spectators with delay
-  sendToSpectators(prevSlot, textToSend);
-  
-  // Store fused caption for history/export
-  storeFusedCaption(prevSlot, textToSend, endedSlot, endedSlot.overlapFromPrev || 0);
+  // Send to spectators with delay (through the correction queue in moderation mode)
+  // and store the fused caption for history/export
+  deliverCaption(session, prevSlot, textToSend, endedSlot, endedSlot.overlapFromPrev || 0);
+}
+
+/**
+ * Alignment of a slot with its predecessor, as shown to the admin
+ * @param {Object} prevSlot - Slot N-1
+ * @param {Object} slot - Slot N (carries the alignment)
+ */
+function describeAlignment(prevSlot, slot) {
+  return {
+    slotIndex: slot.slotIndex,
+    subtitlerName: slot.subtitlerName,
+    prevSlotIndex: prevSlot.slotIndex,
+    prevSubtitlerName: prevSlot.subtitlerName,
+    overlapLength: slot.overlapFromPrev || 0,
+    score: slot.alignment.score,
+    matches: slot.alignment.matches,
+    ops: slot.alignment.ops,
+    window: slot.alignment.window || null,
+  };
+}
+
+/**
+ * Alignments of the last slots (current live, or the replayed log), most recent first
+ * @param {number} [limit=20] - Max number of slots
+ */
+export function getRecentAlignments(session, limit = 20) {
+  const slots = session.fragment.captionsBySlot;
+  const result = [];
+  for (let i = slots.length - 1; i > 0 && result.length < limit; i--) {
+    if (slots[i].alignment) result.push(describeAlignment(slots[i - 1], slots[i]));
+  }
+  return result;
 }
 
 /**
@@ -1121,8 +2065,8 @@ function processSlotEnd(endedSlotIndexOverride = null) {
  * that haven't been processed yet. This sends them to spectators
  * applying the same deduplication rules.
  */
-function sendRemainingSlots() {
-  const { fragment: f } = state;
+function sendRemainingSlots(session) {
+  const { fragment: f } = session;
   const slots = f.captionsBySlot;
   
   log.info('FUSION', `════════════════════════════════════════`);
@@ -1136,95 +2080,131 @@ function sendRemainingSlots() {
       continue;
     }
     
-    const rawText = getSlotRawText(slot);
+    promoteDraft(session, slot);
+    const rawText = getSlotText(session, slot);
     if (!rawText) {
-      slot.sent = true;
-      slot.finalText = '';
+      finalizeSlot(session, slot, '');
       continue;
     }
     
     // Calculate final text (remove overlap if any)
-    let finalWords = tokenize(rawText);
-    if (slot.overlapFromPrev && slot.overlapFromPrev > 0) {
-      finalWords = finalWords.slice(slot.overlapFromPrev);
-    }
-    
-    const finalText = detokenize(finalWords);
+    const { text: finalText, wordTimestamps } = getSlotFinal(session, slot);
     
     if (finalText) {
       log.info('FUSION', `  SEND Slot ${slot.slotIndex}: "${finalText}"`);
-      slot.finalText = finalText;
-      slot.sent = true;
-      sendToSpectators(slot, finalText);
+      finalizeSlot(session, slot, finalText, wordTimestamps);
+      deliverCaption(session, slot, finalText, slots[i + 1] || null, slots[i + 1]?.overlapFromPrev || 0);
     }
   }
   
   log.info('FUSION', `════════════════════════════════════════`);
 }
 
+/**
+ * Time of each of `count` words of a slot's final text (resampled if the text was
+ * edited in the correction queue); null when the slot has no word times
+ */
+function getDisplayTimestamps(slot, count) {
+  return slot.wordTimestamps?.length ? stretchTimes(slot.wordTimestamps, count) : null;
+}
+
 /**
  * sendToSpectators - Send a caption to spectators word-by-word
  *
- * Words are sent progressively over the slot duration to create
- * a smooth display synchronized with speech.
+ * The text is first segmented into display cues (`segmentCaption()`, same cues as the
+ * exports): sentence and clause boundaries, line / cue lengths, reading rate.
+ * Each word is due at the moment of the slot it was typed (its word time), shifted
+ * by the spectator delay to stay synchronized with speech, and later when the
+ * previous cue still needs reading time.
+ *
+ * The spectator's player is never exactly `delaySec` behind (hls.js buffering, live
+ * sync, playlist quantisation), so words also carry their media time and program date:
+ * the page holds each word until its own video reaches it (`hls.playingDate`), and only
+ * falls back to the wall-clock schedule (`displayInMs`) when it cannot tell.
  *
  * FLOW:
- * 1. Split text into words
- * 2. Compute interval between words (slot duration / word count)
- * 3. Send each word with its index for client-side reconstruction
+ * 1. Segment the text into cues; each word gets a time in the slot: when it was typed,
+ *    or the characters before it spread over the slot duration
+ * 2. Plan each word at: slot display time + (word time - slot start)
+ * 3. Send each word `spectatorCaptionLead` seconds before it is due, with its cue
+ *    (id, index in the cue, line layout, its duration and how long it stays after its
+ *    last word) and its media time (client-side scheduling)
  *
  * @param {Object} slot - Source slot (contains startTimestamp, slotDuration)
  * @param {string} text - Final text to send (after deduplication)
+ * @param {Object} [nextSlot] - Next slot: the caption ends when it starts
  */
-function sendToSpectators(slot, text) {
+function sendToSpectators(session, slot, text, nextSlot = null) {
   // Target: spectators are watching the delayed stream, so the moment "slot.startTime"
   // should be seen at (slot.startTime + delaySec). If we are late producing captions,
   // show immediately (best effort).
-  const baseDisplayAtMs = slot.startTime + state.delaySec * 1000;
+  const baseDisplayAtMs = slot.startTime + session.delaySec * 1000;
   const delayMs = Math.max(0, baseDisplayAtMs - Date.now());
   const videoTimestamp = slot.startTimestamp;
-  
-  // Split into words (keep punctuation attached)
-  const words = text.split(/\s+/).filter(w => w.length > 0);
-  
-  if (words.length === 0) return;
+  const leadMs = config.spectatorCaptionLead * 1000;
   
   // Slot duration in ms (use current config)
-  const slotDurationMs = state.fragment.slotDuration * 1000;
+  const slotDurationMs = session.fragment.slotDuration * 1000;
   
-  // Interval between each word
-  const intervalMs = Math.floor(slotDurationMs / words.length);
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+  const wordTimestamps = getDisplayTimestamps(slot, wordCount);
+  // Timed like the exports (buildCues): up to the next slot, after the last cue sent
+  const { lastCue } = session.fragment;
+  const cues = segmentCaption(text, {
+    startMs: videoTimestamp,
+    endMs: captionEndMs(videoTimestamp, slotDurationMs, nextSlot?.startTimestamp),
+    wordTimes: wordTimestamps,
+    notBeforeMs: lastCue && lastCue.startMs <= videoTimestamp ? lastCue.endMs : -Infinity,
+  });
   
-  // Unique ID for this caption group (so the client can group words)
-  const captionId = crypto.randomUUID();
+  if (cues.length === 0) return;
+  if (!lastCue || lastCue.startMs <= videoTimestamp) {
+    session.fragment.lastCue = { startMs: videoTimestamp, endMs: cues[cues.length - 1].end };
+  }
   
-  log.info('SPECTATOR', `[${formatTimestamp(videoTimestamp)}] SEND WORD-BY-WORD: ${words.length} words, interval ${intervalMs}ms`);
+  log.info('SPECTATOR', `[${formatTimestamp(videoTimestamp)}] SEND WORD-BY-WORD: ${wordCount} words in ${cues.length} cue(s), ${wordTimestamps ? 'typed times' : 'spread over the slot'}`);
   
-  // Send each word with progressive delay
-  words.forEach((word, index) => {
-    const wordDelayMs = delayMs + (index * intervalMs);
+  cues.forEach((cue, cueIndex) => {
+    // Unique ID for this cue (so the client can group words)
+    const captionId = crypto.randomUUID();
+    const lastTime = cue.wordTimes[cue.wordTimes.length - 1];
+    const holdMs = Math.max(cue.end - lastTime, cue.readMs);
     
-    setTimeout(() => {
-      const caption = {
-        id: captionId,
-        word: word,
-        wordIndex: index,
-        totalWords: words.length,
-        isLast: index === words.length - 1,
-        videoTimestamp,
-        slotIndex: slot.slotIndex,
-        subtitlerName: slot.subtitlerName,
-        slotDurationMs,
-      };
-      
-      broadcast({ type: 'caption:word', caption }, ws => ws.clientType === 'spectator');
+    // Send each word ahead of its due time
+    cue.words.forEach((word, index) => {
+      const offsetMs = Math.max(0, cue.wordTimes[index] - videoTimestamp);
+      const dueAt = Date.now() + delayMs + offsetMs;
+      const wordTimestamp = videoTimestamp + offsetMs;
+      const mediaTimestamp = getCaptionMediaTimestamp(session, wordTimestamp, slot.playbackLagMs);
       
-      if (index === 0) {
-        log.info('SPECTATOR', `  → Premier mot: "${word}"`);
-      } else if (index === words.length - 1) {
-        log.info('SPECTATOR', `  → Dernier mot: "${word}"`);
-      }
-    }, wordDelayMs);
+      setTimeout(() => {
+        const caption = {
+          id: captionId,
+          word: word,
+          wordIndex: index,
+          totalWords: cue.words.length,
+          isLast: index === cue.words.length - 1,
+          cueIndex,
+          lines: cue.lines,
+          durationMs: cue.end - cue.start, // Pop-on: the whole cue from its first word, as in the exports
+          holdMs,
+          videoTimestamp,
+          wordTimestamp,
+          mediaTimestamp,
+          programDateTime: mediaTimestamp !== null && session.mediaEpochMs !== null ? session.mediaEpochMs + mediaTimestamp : null,
+          displayInMs: Math.max(0, dueAt - Date.now()),
+          slotIndex: slot.slotIndex,
+          subtitlerName: slot.subtitlerName,
+          slotDurationMs,
+        };
+        
+        broadcastToSpectators(session, { type: 'caption:word', caption });
+        
+        if (index === cue.words.length - 1) {
+          log.info('SPECTATOR', `  → Cue ${cueIndex + 1}/${cues.length}: "${cue.lines.join(' / ')}"`);
+        }
+      }, Math.max(0, delayMs + offsetMs - leadMs));
+    });
   });
 }
 
@@ -1240,29 +2220,193 @@ function sendToSpectators(slot, text) {
  * @param {string} text - Final text sent
  * @param {Object} nextSlot - Next slot (for overlap info)
  * @param {number} overlapCount - Number of detected overlapping words
+ * @param {Object} [review] - Moderation audit: `{ originalText, moderation }`
  */
-function storeFusedCaption(slot, text, nextSlot, overlapCount) {
+function storeFusedCaption(session, slot, text, nextSlot, overlapCount, review = {}) {
   const fusedCaption = {
     id: crypto.randomUUID(),
     text: text,
     type: 'fused',
     createdAt: Date.now(),
     videoTimestamp: slot.startTimestamp,
+    mediaTimestamp: getCaptionMediaTimestamp(session, slot.startTimestamp, slot.playbackLagMs),
+    slotDurationMs: session.fragment.slotDuration * 1000,
+    wordTimestamps: text ? getDisplayTimestamps(slot, text.split(/\s+/).filter(Boolean).length) : null,
     slotIndex: slot.slotIndex,
     nextSlotIndex: nextSlot?.slotIndex,
     overlapCount: overlapCount || 0,
+    ...review,
   };
   
-  state.fragment.fusedCaptions.push(fusedCaption);
-  state.captions.push(fusedCaption);
+  session.fragment.fusedCaptions.push(fusedCaption);
+  session.captions.push(fusedCaption);
+  store.record(session, store.EVENTS.FUSED, { caption: fusedCaption });
   
-  broadcastToAdmins({
+  broadcastToAdmins(session, {
     type: 'fragment:fused-caption',
     caption: fusedCaption,
     overlapCount: overlapCount || 0,
   });
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODERATION (correction queue before spectators)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Hand a fused slot text over for delivery.
+ *
+ * Without moderation it is scheduled for spectators and stored right away. In
+ * moderation mode it waits in the correction queue, where the admin or a designated
+ * corrector can edit/approve it, until shortly before spectators should see it.
+ *
+ * @param {Object} slot - Slot the text belongs to
+ * @param {string} text - Fused text
+ * @param {Object|null} nextSlot - Following slot (null for the last one)
+ * @param {number} overlapCount - Words trimmed as overlap with this slot
+ */
+export function deliverCaption(session, slot, text, nextSlot, overlapCount) {
+  if (session.moderation.enabled && text.trim()) {
+    enqueueForModeration(session, slot, text, nextSlot, overlapCount);
+    return;
+  }
+  sendToSpectators(session, slot, text, nextSlot);
+  storeFusedCaption(session, slot, text, nextSlot, overlapCount);
+}
+
+/** Can this user review the captions of the session? (admins + designated correctors) */
+export function canModerate(session, user) {
+  if (!user) return false;
+  return user.role === 'admin' || session.moderation.correctors.includes(user.username.toLowerCase());
+}
+
+/** Public view of the pending captions (oldest first) */
+export function getModerationQueue(session) {
+  return Array.from(session.moderation.queue.values()).map(item => ({
+    id: item.id,
+    slotIndex: item.slot.slotIndex,
+    subtitlerName: item.slot.subtitlerName,
+    originalText: item.originalText,
+    text: item.text,
+    editedBy: item.editedBy,
+    approved: !!item.approval,  // Waiting for an earlier caption
+    enqueuedAt: item.enqueuedAt,
+    deadline: item.deadline,
+  }));
+}
+
+/** Push the queue to admins and correctors of the session */
+export function broadcastModerationQueue(session) {
+  broadcastToSession(session, {
+    type: 'moderation:queue',
+    enabled: session.moderation.enabled,
+    items: getModerationQueue(session),
+  }, ws => ws.clientType === 'admin' || ws.clientType === 'corrector');
+}
+
+function enqueueForModeration(session, slot, text, nextSlot, overlapCount) {
+  // Released automatically just before the delayed stream reaches the slot
+  const displayAt = slot.startTime + session.delaySec * 1000;
+  const deadline = Math.max(Date.now(), displayAt - config.moderation.releaseMarginMs);
+  
+  const item = {
+    id: crypto.randomUUID(),
+    slot,
+    nextSlot,
+    overlapCount,
+    originalText: text,
+    text,
+    editedBy: null,
+    enqueuedAt: Date.now(),
+    deadline,
+    timer: null,
+    approval: null,  // { finalText, moderation } once approved or timed out
+  };
+  item.timer = setTimeout(() => releaseModeratedCaption(session, item.id), deadline - Date.now());
+  session.moderation.queue.set(item.id, item);
+  
+  log.info('MODERATION', `[${session.id}] Slot ${slot.slotIndex} queued (${Math.round((deadline - Date.now()) / 1000)}s to review)`);
+  broadcastModerationQueue(session);
+}
+
+/**
+ * Save a correction without releasing the caption (shared between reviewers)
+ * @returns {boolean} false if the caption is no longer pending
+ */
+export function editModeratedCaption(session, itemId, text, username) {
+  const item = session.moderation.queue.get(itemId);
+  if (!item || item.approval) return false;
+  item.text = String(text);
+  item.editedBy = username;
+  broadcastModerationQueue(session);
+  return true;
+}
+
+/**
+ * Approve a pending caption, or let it go as is at its deadline
+ *
+ * Captions reach spectators in slot order (the queue keeps the order they were
+ * enqueued in): an approved caption stays in the queue, its text final, until every
+ * earlier one is released too.
+ *
+ * @param {Object} session - Session state
+ * @param {string} itemId - Queue item id
+ * @param {Object} [review] - `{ text, username }` when a reviewer approves; omitted on timeout
+ * @returns {boolean} false if the item is no longer pending (released or already approved)
+ */
+export function releaseModeratedCaption(session, itemId, review = null) {
+  const item = session.moderation.queue.get(itemId);
+  if (!item || item.approval) return false;
+  
+  clearTimeout(item.timer);
+  item.timer = null;
+  if (typeof review?.text === 'string') {
+    item.text = review.text;
+    item.editedBy = review.username;
+  }
+  
+  // An emptied text removes the caption (kept in the history for audit)
+  const finalText = item.text.replace(/\s+/g, ' ').trim();
+  const edited = finalText !== item.originalText;
+  item.approval = {
+    finalText,
+    moderation: {
+      status: edited ? 'edited' : (review ? 'approved' : 'timeout'),
+      reviewedBy: review?.username || null,
+      editedBy: edited ? item.editedBy : null,
+      reviewedAt: Date.now(),
+    },
+  };
+  
+  releaseApprovedCaptions(session);
+  broadcastModerationQueue(session);
+  return true;
+}
+
+/** Send and store the approved captions at the head of the queue, up to the first one still pending */
+function releaseApprovedCaptions(session) {
+  const { queue } = session.moderation;
+  for (const item of queue.values()) {
+    if (!item.approval) break;
+    queue.delete(item.id);
+    
+    const { finalText, moderation } = item.approval;
+    if (finalText) sendToSpectators(session, item.slot, finalText, item.nextSlot);
+    storeFusedCaption(session, item.slot, finalText, item.nextSlot, item.overlapCount, {
+      originalText: item.originalText,
+      moderation,
+    });
+    log.info('MODERATION', `[${session.id}] Slot ${item.slot.slotIndex} ${moderation.status}${moderation.reviewedBy ? ` by ${moderation.reviewedBy}` : ''}`);
+  }
+}
+
+/** Release every pending caption as is (moderation turned off, live ended) */
+export function flushModerationQueue(session) {
+  for (const itemId of Array.from(session.moderation.queue.keys())) {
+    releaseModeratedCaption(session, itemId);
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // UUID HELPER
 // ═══════════════════════════════════════════════════════════════════════════════
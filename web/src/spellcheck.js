@@ -0,0 +1,544 @@
+/**
+ * ROLE — Offline spell checking (Hunspell dictionaries) + per-session glossary
+ *
+ * Loads a Hunspell `.aff`/`.dic` pair from disk (no network, no native module) and:
+ * - checks words by stripping prefix/suffix rules back to a dictionary stem
+ *   (one prefix + up to two suffixes, like Hunspell's lookup)
+ * - suggests corrections: glossary terms, REP table, single edits with the TRY
+ *   characters, missing space between two words
+ * - auto-corrects a slot text when the correction is unambiguous
+ *   (used by the fusion engine when the session enables it)
+ *
+ * The glossary (proper nouns, jargon...) is uploaded by the admin, stored in
+ * `data/<sessionId>/glossary.txt` and always wins over the dictionary.
+ * Without a dictionary, only glossary terms are checked/suggested.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config, log } from './core.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Words of a text with their offsets (letters, inner apostrophes and hyphens) */
+const WORD_PATTERN = /[\p{L}\p{M}]+(?:['’-][\p{L}\p{M}]+)*/gu;
+
+/** Letters tried when the dictionary has no TRY line */
+const DEFAULT_TRY = 'esianrtolcdugmphbqvfyjxzkwéèêàçâîôûùëïüœ';
+
+/** French elided articles/pronouns glued to the next word with an apostrophe */
+const ELISIONS = ['c', 'd', 'j', 'l', 'm', 'n', 's', 't', 'qu', 'jusqu', 'lorsqu', 'puisqu', 'quoiqu'];
+
+const stripAccents = (s) => s.normalize('NFD').replace(/\p{M}/gu, '');
+const isCapitalized = (w) => w[0] !== w[0].toLowerCase() && w.slice(1) === w.slice(1).toLowerCase();
+const isAllCaps = (w) => w.length > 1 && w === w.toUpperCase() && w !== w.toLowerCase();
+const capitalize = (w) => w.charAt(0).toUpperCase() + w.slice(1);
+
+/** Give a suggestion the case of the word it replaces */
+function matchCase(original, suggestion) {
+  if (isAllCaps(original)) return suggestion.toUpperCase();
+  if (isCapitalized(original)) return capitalize(suggestion);
+  return suggestion;
+}
+
+/** Levenshtein distance */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = a[i - 1] === b[j - 1]
+        ? prev[j - 1]
+        : 1 + Math.min(prev[j], row[j - 1], prev[j - 1]);
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/** Max distance for a glossary term to be suggested (short names need an exact-ish match) */
+const glossaryTolerance = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DICTIONARY (Hunspell .aff / .dic)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Loaded dictionary (null = none found) */
+let dictionary = null;
+
+/** Split a flag field according to the FLAG mode (and AF aliases) */
+function parseFlags(aff, field) {
+  if (!field) return [];
+  if (aff.aliases.length && /^\d+$/.test(field)) return aff.aliases[Number(field) - 1] || [];
+  switch (aff.flagMode) {
+    case 'long': return field.match(/../g) || [];
+    case 'num': return field.split(',');
+    default: return Array.from(field);
+  }
+}
+
+/** Turn an affix condition (`[^aeiou]er`, `.`) into a RegExp anchored on the stem side */
+function parseCondition(condition, isSuffix) {
+  if (!condition || condition === '.') return null;
+  let source = '';
+  let inClass = false;
+  for (const ch of condition) {
+    const classStart = source.endsWith('[');
+    if (ch === '[' || ch === ']') inClass = ch === '[';
+    const structural = ch === '[' || ch === ']' || (ch === '^' && inClass && classStart) || (ch === '.' && !inClass);
+    source += structural ? ch : ch.replace(/[-\\$*+?(){}|/.^]/g, '\\$&');
+  }
+  return new RegExp(isSuffix ? `${source}$` : `^${source}`, 'u');
+}
+
+/** Read a dictionary file with the charset declared by `SET` */
+function readDictionaryFile(file, encoding) {
+  const buffer = fs.readFileSync(file);
+  return /^utf-?8$/i.test(encoding) ? buffer.toString('utf8') : buffer.toString('latin1');
+}
+
+/** Get (or create) the entry of a Map */
+function pushTo(map, key, create) {
+  if (!map.has(key)) map.set(key, create());
+  return map.get(key);
+}
+
+/** Parse an .aff file */
+function parseAff(content) {
+  const aff = {
+    flagMode: 'char',
+    aliases: [],
+    prefixes: new Map(), // Map<add, rule[]>
+    suffixes: new Map(), // Map<add, Map<strip, rule[]>>
+    suffixesByCont: new Map(), // Map<flag, rule[]>: suffixes that allow another suffix after them
+    rep: [],             // [from, to][]
+    tryChars: DEFAULT_TRY,
+    needAffix: null,
+    forbidden: null,
+    onlyInCompound: null,
+  };
+  const headers = new Map(); // `${type}${flag}` -> cross product allowed (+ 'AF' once its count is read)
+
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const parts = line.split(/\s+/);
+
+    switch (parts[0]) {
+      case 'FLAG': aff.flagMode = parts[1].toLowerCase() === 'utf-8' ? 'char' : parts[1].toLowerCase(); break;
+      case 'TRY': aff.tryChars = parts[1] || DEFAULT_TRY; break;
+      case 'NEEDAFFIX': aff.needAffix = parts[1]; break;
+      case 'FORBIDDENWORD': aff.forbidden = parts[1]; break;
+      case 'ONLYINCOMPOUND': aff.onlyInCompound = parts[1]; break;
+      case 'AF':
+        // The first AF line is the alias count
+        if (headers.has('AF')) aff.aliases.push(parseFlags({ ...aff, aliases: [] }, parts[1]));
+        headers.set('AF', true);
+        break;
+      case 'REP':
+        if (parts.length >= 3) aff.rep.push([parts[1].replace(/_/g, ' '), parts[2].replace(/_/g, ' ')]);
+        break;
+      case 'PFX':
+      case 'SFX': {
+        const isSuffix = parts[0] === 'SFX';
+        const key = `${parts[0]}${parts[1]}`;
+        if (!headers.has(key)) {
+          headers.set(key, parts[2] === 'Y');
+          break;
+        }
+        const [addField, contField] = (parts[3] || '0').split('/');
+        const rule = {
+          flag: parts[1],
+          cross: headers.get(key),
+          strip: parts[2] === '0' ? '' : parts[2],
+          add: addField === '0' ? '' : addField,
+          cont: new Set(parseFlags(aff, contField)),
+          cond: parseCondition(parts[4], isSuffix),
+        };
+        if (isSuffix) {
+          pushTo(pushTo(aff.suffixes, rule.add, () => new Map()), rule.strip, () => []).push(rule);
+          rule.cont.forEach(flag => pushTo(aff.suffixesByCont, flag, () => []).push(rule));
+        } else {
+          pushTo(aff.prefixes, rule.add, () => []).push(rule);
+        }
+        break;
+      }
+    }
+  }
+  return aff;
+}
+
+/** Parse a .dic file into Map<word, Set<flag>> */
+function parseDic(aff, content) {
+  const words = new Map();
+  const lines = content.split(/\r?\n/);
+  // First line is the (approximate) entry count
+  for (let i = 1; i < lines.length; i++) {
+    const entry = lines[i].split(/[\t ]/)[0];
+    if (!entry) continue;
+    const slash = entry.search(/(?<!\\)\//);
+    const word = (slash === -1 ? entry : entry.slice(0, slash)).replace(/\\\//g, '/');
+    const flags = slash === -1 ? [] : parseFlags(aff, entry.slice(slash + 1));
+    const known = words.get(word);
+    if (known) flags.forEach(f => known.add(f));
+    else words.set(word, new Set(flags));
+  }
+  return words;
+}
+
+/**
+ * Load the dictionary of `config.spellcheck.language` from the first directory of
+ * `config.spellcheck.dictDirs` that has it (called once at startup)
+ * @returns {boolean} true if a dictionary was loaded
+ */
+export function loadDictionary() {
+  const { language, dictDirs } = config.spellcheck;
+  const dir = dictDirs.find(d => fs.existsSync(path.join(d, `${language}.dic`)) && fs.existsSync(path.join(d, `${language}.aff`)));
+  if (!dir) {
+    log.warn('SPELL', `No ${language} dictionary in ${dictDirs.join(', ')} (glossary only)`);
+    return false;
+  }
+
+  try {
+    const affPath = path.join(dir, `${language}.aff`);
+    const encoding = fs.readFileSync(affPath, 'latin1').match(/^SET\s+(\S+)/m)?.[1] || 'ISO8859-1';
+    const aff = parseAff(readDictionaryFile(affPath, encoding));
+    const words = parseDic(aff, readDictionaryFile(path.join(dir, `${language}.dic`), encoding));
+    dictionary = { ...aff, words, language, dir };
+    log.info('SPELL', `Dictionary ${language} loaded from ${dir} (${words.size} stems)`);
+    return true;
+  } catch (e) {
+    log.error('SPELL', `Dictionary load failed: ${e.message}`);
+    dictionary = null;
+    return false;
+  }
+}
+
+/** Public description of the loaded dictionary */
+export const getDictionaryInfo = () => (dictionary
+  ? { language: dictionary.language, stems: dictionary.words.size }
+  : null);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LOOKUP
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Can a stem stand alone / carry this affix flag? */
+function stemFlags(word) {
+  const flags = dictionary.words.get(word);
+  if (!flags || (dictionary.forbidden && flags.has(dictionary.forbidden))) return null;
+  return flags;
+}
+
+/** word = stem + suffix (+ suffix), optionally under a prefix rule */
+function checkSuffixed(word, prefixRule = null) {
+  for (let i = 1; i <= word.length; i++) {
+    const byStrip = dictionary.suffixes.get(word.slice(i));
+    if (!byStrip) continue;
+    const base = word.slice(0, i);
+
+    for (const [strip, rules] of byStrip) {
+      const stem = base + strip;
+      const flags = stemFlags(stem);
+      for (const rule of rules) {
+        if (rule.cond && !rule.cond.test(stem)) continue;
+        if (flags?.has(rule.flag)) {
+          if (!prefixRule) return true;
+          if ((prefixRule.cross && rule.cross && flags.has(prefixRule.flag)) || rule.cont.has(prefixRule.flag)) return true;
+        }
+        if (!prefixRule && hasInnerSuffix(stem, rule.flag)) return true;
+      }
+    }
+  }
+  return false;
+}
+
+/** Twofold suffixes: is `word` a stem + a suffix whose continuation flags allow `outerFlag`? */
+function hasInnerSuffix(word, outerFlag) {
+  for (const inner of dictionary.suffixesByCont.get(outerFlag) || []) {
+    if (word.length <= inner.add.length || !word.endsWith(inner.add)) continue;
+    const stem = word.slice(0, word.length - inner.add.length) + inner.strip;
+    if (inner.cond && !inner.cond.test(stem)) continue;
+    if (stemFlags(stem)?.has(inner.flag)) return true;
+  }
+  return false;
+}
+
+/** word = prefix + stem (+ suffix) */
+function checkPrefixed(word) {
+  for (let i = 1; i <= word.length; i++) {
+    const rules = dictionary.prefixes.get(word.slice(0, i));
+    if (!rules) continue;
+    for (const rule of rules) {
+      const rest = rule.strip + word.slice(i);
+      if (rule.cond && !rule.cond.test(rest)) continue;
+      if (stemFlags(rest)?.has(rule.flag)) return true;
+      if (checkSuffixed(rest, rule)) return true;
+    }
+  }
+  return false;
+}
+
+/** Is this exact form in the dictionary (with its affixes)? */
+function isKnownForm(word) {
+  if (!dictionary || !word) return false;
+  const flags = stemFlags(word);
+  const { needAffix, onlyInCompound } = dictionary;
+  if (flags && !(needAffix && flags.has(needAffix)) && !(onlyInCompound && flags.has(onlyInCompound))) return true;
+  return checkSuffixed(word) || checkPrefixed(word);
+}
+
+/** Glossary terms of a session, by lowercase form */
+function glossaryIndex(session) {
+  const sc = session.spellcheck;
+  if (!sc.glossaryIndex) {
+    sc.glossaryIndex = new Map(getGlossary(session).map(term => [term.toLowerCase(), term]));
+  }
+  return sc.glossaryIndex;
+}
+
+/**
+ * Is a word correctly spelled? (case variants, elisions and hyphenated words included)
+ * @param {Object} session - Session state (glossary)
+ * @param {string} word - Word as typed
+ * @returns {boolean}
+ */
+export function checkWord(session, word) {
+  const normalized = word.replace(/’/g, "'");
+  const glossary = glossaryIndex(session);
+  const term = glossary.get(normalized.toLowerCase());
+  // Glossary terms must keep their capitals ("Macron"), but may start a sentence capitalized
+  if (term && (normalized === term || normalized === capitalize(term) || isAllCaps(normalized))) return true;
+
+  // Nothing to check against: do not flag every word
+  if (!dictionary) return true;
+
+  if (isKnownForm(normalized)) return true;
+  const lower = normalized.toLowerCase();
+  if ((isCapitalized(normalized) || isAllCaps(normalized)) && isKnownForm(lower)) return true;
+  if (isAllCaps(normalized) && isKnownForm(capitalize(lower))) return true;
+
+  const apostrophe = normalized.indexOf("'");
+  if (apostrophe > 0 && ELISIONS.includes(lower.slice(0, apostrophe))) {
+    return checkWord(session, normalized.slice(apostrophe + 1));
+  }
+
+  if (normalized.includes('-')) {
+    // "dit-il", "va-t-on": every part must be a word ("t" is the euphonic t)
+    const parts = normalized.split('-').filter(p => p && p.toLowerCase() !== 't');
+    return parts.length > 1 && parts.every(p => checkWord(session, p));
+  }
+  return false;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SUGGESTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Single-edit variants of a lowercase word (deletion, transposition, replacement, insertion) */
+function* singleEdits(word) {
+  const letters = Array.from(new Set(Array.from(dictionary?.tryChars || DEFAULT_TRY).map(c => c.toLowerCase())));
+  for (let i = 0; i <= word.length; i++) {
+    const head = word.slice(0, i);
+    const tail = word.slice(i);
+    if (tail) yield head + tail.slice(1);
+    if (tail.length > 1) yield head + tail[1] + tail[0] + tail.slice(2);
+    for (const c of letters) {
+      if (tail && c !== tail[0]) yield head + c + tail.slice(1);
+      yield head + c + tail;
+    }
+  }
+}
+
+/** REP table variants (common misspellings: "ph" → "f"...) */
+function* repVariants(word) {
+  for (const [from, to] of dictionary?.rep || []) {
+    const anchoredStart = from.startsWith('^');
+    const anchoredEnd = from.endsWith('$');
+    const pattern = from.replace(/^\^/, '').replace(/\$$/, '');
+    if (!pattern) continue;
+    let index = word.indexOf(pattern);
+    while (index !== -1) {
+      const atStart = index === 0;
+      const atEnd = index + pattern.length === word.length;
+      if ((!anchoredStart || atStart) && (!anchoredEnd || atEnd)) {
+        yield word.slice(0, index) + to + word.slice(index + pattern.length);
+      }
+      index = word.indexOf(pattern, index + 1);
+    }
+  }
+}
+
+/**
+ * Suggest corrections for a misspelled word, best first
+ *
+ * Ranking: glossary terms, then accent-only differences, then by edit distance
+ * (accents ignored first, so "tres" → "très" beats "tes").
+ *
+ * @param {Object} session - Session state (glossary)
+ * @param {string} word - Misspelled word
+ * @returns {{ text: string, glossary: boolean, distance: number }[]}
+ */
+export function suggest(session, word) {
+  const lower = word.replace(/’/g, "'").toLowerCase();
+  const found = new Map(); // Map<lowercase suggestion, { text, glossary }>
+
+  const tolerance = glossaryTolerance(lower);
+  for (const [key, term] of glossaryIndex(session)) {
+    if (Math.abs(key.length - lower.length) <= tolerance && editDistance(key, lower) <= tolerance) {
+      found.set(key, { text: term, glossary: true });
+    }
+  }
+
+  if (dictionary) {
+    const tryCandidate = (candidate) => {
+      if (candidate === lower || found.has(candidate)) return;
+      if (isKnownForm(candidate)) found.set(candidate, { text: matchCase(word, candidate), glossary: false });
+      else if (isKnownForm(capitalize(candidate))) found.set(candidate, { text: capitalize(candidate), glossary: false });
+    };
+
+    for (const candidate of repVariants(lower)) tryCandidate(candidate);
+    for (const candidate of singleEdits(lower)) tryCandidate(candidate);
+
+    // Missing space ("ilfait" → "il fait")
+    for (let i = 1; i < lower.length; i++) {
+      const left = lower.slice(0, i);
+      const right = lower.slice(i);
+      if ((left.length > 1 || 'aày'.includes(left)) && right.length > 1 && isKnownForm(left) && isKnownForm(right)) {
+        found.set(`${left} ${right}`, { text: matchCase(word, `${left} ${right}`), glossary: false });
+      }
+    }
+  }
+
+  const plain = stripAccents(lower);
+  return Array.from(found.entries())
+    .map(([key, s]) => ({
+      ...s,
+      distance: editDistance(key, lower),
+      plainDistance: editDistance(stripAccents(key), plain),
+    }))
+    .sort((a, b) => (b.glossary - a.glossary) || (a.plainDistance - b.plainDistance) || (a.distance - b.distance))
+    .slice(0, config.spellcheck.maxSuggestions)
+    .map(({ text, glossary, distance }) => ({ text, glossary, distance }));
+}
+
+/**
+ * Check a whole text (used by the subtitler input)
+ * @param {Object} session - Session state
+ * @param {string} text - Text as typed
+ * @returns {{ word: string, start: number, end: number, suggestions: string[] }[]} Misspelled words
+ */
+export function checkText(session, text) {
+  const issues = [];
+  for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+    const word = match[0];
+    if (word.length < 2 || checkWord(session, word)) continue;
+    issues.push({
+      word,
+      start: match.index,
+      end: match.index + word.length,
+      suggestions: suggest(session, word).map(s => s.text),
+    });
+  }
+  return issues;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AUTOCORRECT (server side, before fusion)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Is the best suggestion safe to apply without a human? */
+function pickAutocorrection(word, suggestions, sentenceStart) {
+  const [best, second] = suggestions;
+  if (!best) return null;
+  if (best.glossary) return best.text;
+  // A capitalized word inside a sentence is probably a name missing from the dictionary
+  if (isCapitalized(word) && !sentenceStart) return null;
+  if (best.text.includes(' ') || word.length < 4) return null;
+
+  const accentOnly = stripAccents(best.text.toLowerCase()) === stripAccents(word.toLowerCase());
+  if (accentOnly && !(second && stripAccents(second.text.toLowerCase()) === stripAccents(word.toLowerCase()))) {
+    return best.text;
+  }
+  // Single typo with a single candidate at that distance
+  if (best.distance === 1 && (!second || second.distance > 1)) return best.text;
+  return null;
+}
+
+/**
+ * Apply the unambiguous corrections to a text
+ * @param {Object} session - Session state
+ * @param {string} text - Raw text
+ * @returns {{ text: string, corrections: { from: string, to: string }[] }}
+ */
+export function autocorrectText(session, text) {
+  const corrections = [];
+  if (!text) return { text, corrections };
+
+  const replacements = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const word = match[0];
+    if (word.length < 2 || checkWord(session, word)) continue;
+    const before = text.slice(0, match.index).trimEnd();
+    const sentenceStart = !before || /[.!?…]$/.test(before);
+    const fix = pickAutocorrection(word, suggest(session, word), sentenceStart);
+    if (!fix || fix === word) continue;
+    replacements.push({ start: match.index, end: match.index + word.length, fix });
+    corrections.push({ from: word, to: fix });
+  }
+
+  let corrected = text;
+  for (const { start, end, fix } of replacements.reverse()) {
+    corrected = corrected.slice(0, start) + fix + corrected.slice(end);
+  }
+  return { text: corrected, corrections };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GLOSSARY (per session)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const glossaryFile = (session) => path.join(config.dataDir, session.id, 'glossary.txt');
+
+/**
+ * Glossary terms of a session (read from disk on first use)
+ * @param {Object} session - Session state
+ * @returns {string[]}
+ */
+export function getGlossary(session) {
+  const sc = session.spellcheck;
+  if (!sc.glossary) {
+    try {
+      sc.glossary = parseGlossary(fs.readFileSync(glossaryFile(session), 'utf8'));
+    } catch (e) {
+      sc.glossary = [];
+    }
+  }
+  return sc.glossary;
+}
+
+/** One term per line (or comma separated), `#` comments, duplicates removed */
+export function parseGlossary(content) {
+  const terms = String(content || '')
+    .split(/\r?\n|,/)
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+  return [...new Set(terms)].slice(0, config.spellcheck.maxGlossaryTerms);
+}
+
+/**
+ * Replace the glossary of a session and persist it
+ * @param {Object} session - Session state
+ * @param {string[]} terms - Terms (already parsed)
+ */
+export function setGlossary(session, terms) {
+  const sc = session.spellcheck;
+  sc.glossary = terms;
+  sc.glossaryIndex = null;
+  fs.mkdirSync(path.dirname(glossaryFile(session)), { recursive: true });
+  fs.writeFileSync(glossaryFile(session), terms.join('\n') + (terms.length ? '\n' : ''));
+  log.info('SPELL', `[${session.id}] Glossary: ${terms.length} term(s)`);
+}
@@ -0,0 +1,293 @@
+/**
+ * ROLE — On-disk persistence (append-only JSONL event logs + session registry)
+ *
+ * Records the history as it happens so a restart or a crash does not lose it:
+ * - `sessions.json` under `config.dataDir` lists the subtitling sessions (rooms)
+ * - one `<sessionId>/<logId>.jsonl` file per live run of a session
+ * - one JSON line per event (raw caption, slot start/end/final text, fused caption, roster)
+ * - on startup, the sessions are recreated and the most recent log of each one is
+ *   replayed so `/api/captions`, `/api/fragment/raw-captions` and the exports keep working
+ *
+ * Writes are synchronous appends: an event is on disk before the next one is handled.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config, log, sessions, createSession, getDefaultSession, DEFAULT_SESSION_ID } from './core.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EVENT TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const EVENTS = {
+  SESSION_START: 'session:start',   // { session }
+  SESSION_END: 'session:end',       // { endedAt }
+  CAPTION: 'caption',               // { caption } (raw caption, with slotIndex in fragment mode)
+  SLOT_START: 'slot:start',         // { slot } (without captions)
+  SLOT_END: 'slot:end',             // { slotIndex, endTime, endTimestamp }
+  SLOT_FINAL: 'slot:final',         // { slotIndex, finalText, overlapFromPrev, alignment, autocorrections }
+  FUSED: 'fused',                   // { caption }
+  SUBTITLER_JOIN: 'subtitler:join', // { subtitler: { id, name, joinedAt } }
+  SUBTITLER_LEAVE: 'subtitler:leave', // { subtitlerId }
+  PUBLISHER: 'publisher',           // { connected } (ingest lives: encoder lost / back)
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WRITING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const REGISTRY_FILE = 'sessions.json';
+
+const sessionDir = (sessionId) => path.join(config.dataDir, sessionId);
+const logFile = (sessionId, logId) => path.join(sessionDir(sessionId), `${logId}.jsonl`);
+
+/** Ensure the data directory exists */
+export function ensureDataDir() {
+  fs.mkdirSync(config.dataDir, { recursive: true });
+}
+
+/**
+ * Open a new log for a live run of a session
+ * @param {Object} session - Session state
+ * @param {Object} meta - Run metadata (source, delay, fragment config...)
+ * @returns {string} Log id
+ */
+export function openSession(session, meta = {}) {
+  fs.mkdirSync(sessionDir(session.id), { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const logId = `${stamp}_${crypto.randomUUID().slice(0, 8)}`;
+  session.logId = logId;
+  session.logFile = logFile(session.id, logId);
+
+  record(session, EVENTS.SESSION_START, {
+    session: { id: logId, sessionId: session.id, startedAt: Date.now(), ...meta },
+  });
+  log.info('STORE', `Session log: ${session.logFile}`);
+  return logId;
+}
+
+/** Mark the current log of a session as ended (the log stays on disk) */
+export function closeSession(session) {
+  if (!session.logFile) return;
+  record(session, EVENTS.SESSION_END, { endedAt: Date.now() });
+  session.logFile = null;
+}
+
+/**
+ * Append one event to the current log of a session
+ * @param {Object} session - Session state
+ * @param {string} type - One of EVENTS
+ * @param {Object} data - Event payload
+ */
+export function record(session, type, data = {}) {
+  if (!session.logFile) return;
+  try {
+    fs.appendFileSync(session.logFile, JSON.stringify({ type, at: Date.now(), ...data }) + '\n');
+  } catch (e) {
+    log.error('STORE', `Write failed (${type}):`, e.message);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SESSION REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Persist the list of sessions (id, name, creation date) */
+export function saveSessionRegistry() {
+  ensureDataDir();
+  const list = Array.from(sessions.values()).map(s => ({ id: s.id, name: s.name, createdAt: s.createdAt }));
+  try {
+    fs.writeFileSync(path.join(config.dataDir, REGISTRY_FILE), JSON.stringify(list, null, 2));
+  } catch (e) {
+    log.error('STORE', 'Registry write failed:', e.message);
+  }
+}
+
+/** Read the persisted list of sessions */
+function loadSessionRegistry() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(config.dataDir, REGISTRY_FILE), 'utf8'));
+  } catch (e) {
+    return [];
+  }
+}
+
+/** Move logs written before sessions existed (`data/*.jsonl`) into the default session */
+function migrateLegacyLogs() {
+  let files;
+  try {
+    files = fs.readdirSync(config.dataDir).filter(f => f.endsWith('.jsonl'));
+  } catch (e) {
+    return;
+  }
+  if (!files.length) return;
+
+  fs.mkdirSync(sessionDir(DEFAULT_SESSION_ID), { recursive: true });
+  for (const f of files) {
+    fs.renameSync(path.join(config.dataDir, f), path.join(sessionDir(DEFAULT_SESSION_ID), f));
+  }
+  log.info('STORE', `Moved ${files.length} legacy log(s) to session "${DEFAULT_SESSION_ID}"`);
+}
+
+/** Strip runtime-only fields from a slot before persisting it */
+export const serializeSlot = (slot) => ({
+  slotIndex: slot.slotIndex,
+  subtitlerId: slot.subtitlerId,
+  subtitlerName: slot.subtitlerName,
+  startTime: slot.startTime,
+  startTimestamp: slot.startTimestamp,
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// READING / REPLAY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * List the log ids of a session, most recent first
+ * @param {string} sessionId - Session id
+ */
+export function listSessionLogs(sessionId) {
+  try {
+    return fs.readdirSync(sessionDir(sessionId))
+      .filter(f => f.endsWith('.jsonl'))
+      .map(f => f.slice(0, -'.jsonl'.length))
+      .sort()
+      .reverse();
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Read and parse a session log (corrupt trailing lines from a crash are skipped)
+ * @param {string} sessionId - Session id
+ * @param {string} logId - Log id
+ * @returns {Object[]} Events in write order
+ */
+export function readSession(sessionId, logId) {
+  let content;
+  try {
+    content = fs.readFileSync(logFile(sessionId, logId), 'utf8');
+  } catch (e) {
+    return [];
+  }
+
+  const events = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (e) {
+      log.warn('STORE', `Skipping unreadable line in ${sessionId}/${logId}`);
+    }
+  }
+  return events;
+}
+
+/**
+ * Rebuild the caption history of a session from its events
+ * @param {Object[]} events - Session events
+ * @returns {{ session: Object|null, ended: boolean, captions: Object[], captionsBySlot: Object[], fusedCaptions: Object[] }}
+ */
+export function replaySession(events) {
+  let session = null;
+  let ended = false;
+  const captions = [];
+  const fusedCaptions = [];
+  const slots = new Map();
+
+  for (const ev of events) {
+    switch (ev.type) {
+      case EVENTS.SESSION_START:
+        session = ev.session;
+        break;
+      case EVENTS.SESSION_END:
+        ended = true;
+        break;
+      case EVENTS.SLOT_START:
+        slots.set(ev.slot.slotIndex, {
+          ...ev.slot,
+          endTime: null,
+          endTimestamp: null,
+          captions: [],
+          finalText: null,
+          sent: false,
+        });
+        break;
+      case EVENTS.SLOT_END: {
+        const slot = slots.get(ev.slotIndex);
+        if (slot) Object.assign(slot, { endTime: ev.endTime, endTimestamp: ev.endTimestamp });
+        break;
+      }
+      case EVENTS.SLOT_FINAL: {
+        const slot = slots.get(ev.slotIndex);
+        if (slot) {
+          Object.assign(slot, { finalText: ev.finalText, overlapFromPrev: ev.overlapFromPrev, alignment: ev.alignment || null, sent: true });
+          if (ev.autocorrections?.length) slot.autocorrect = { corrections: ev.autocorrections };
+        }
+        break;
+      }
+      case EVENTS.CAPTION: {
+        const slot = Number.isFinite(ev.caption.slotIndex) ? slots.get(ev.caption.slotIndex) : null;
+        if (slot) slot.captions.push(ev.caption);
+        else captions.push(ev.caption);
+        break;
+      }
+      case EVENTS.FUSED:
+        fusedCaptions.push(ev.caption);
+        captions.push(ev.caption);
+        break;
+    }
+  }
+
+  return {
+    session,
+    ended,
+    captions,
+    captionsBySlot: Array.from(slots.values()).sort((a, b) => a.slotIndex - b.slotIndex),
+    fusedCaptions,
+  };
+}
+
+/**
+ * Reload the most recent log of a session into its state
+ * @param {Object} session - Session state
+ * @returns {boolean} true if a log was restored
+ */
+function restoreLatestLog(session) {
+  const [latest] = listSessionLogs(session.id);
+  if (!latest) return false;
+
+  const history = replaySession(readSession(session.id, latest));
+  session.logId = latest;
+  session.lastSource = history.session?.source || null;
+  session.captions = history.captions;
+  session.fragment.captionsBySlot = history.captionsBySlot;
+  session.fragment.fusedCaptions = history.fusedCaptions;
+
+  if (!history.ended) {
+    log.warn('STORE', `[${session.id}] Log ${latest} was interrupted (no clean stop)`);
+  }
+  log.info('STORE', `[${session.id}] Restored log ${latest}: ${history.captionsBySlot.length} slots, ${history.fusedCaptions.length} fused captions`);
+  return true;
+}
+
+/**
+ * Recreate the persisted sessions and reload their history (called once at startup)
+ */
+export function restoreSessions() {
+  ensureDataDir();
+  migrateLegacyLogs();
+
+  getDefaultSession();
+  for (const entry of loadSessionRegistry()) {
+    const session = sessions.get(entry.id) || createSession(entry.id, entry.name);
+    session.createdAt = entry.createdAt || session.createdAt;
+  }
+
+  for (const session of sessions.values()) {
+    restoreLatestLog(session);
+  }
+  saveSessionRegistry();
+}
@@ -0,0 +1,401 @@
+/**
+ * ROLE — Subtitle file generation (SRT / WebVTT)
+ *
+ * Turns the fused captions history into timed cues and serializes them
+ * (downloadable files + segmented WebVTT for the HLS subtitle rendition).
+ * - Cue timing comes from each fused caption's `videoTimestamp` (`mediaTimestamp` for HLS)
+ * - Slot texts are segmented into cues at sentence and clause boundaries, within the
+ *   line / cue lengths and the reading rate of `config.cues` (also used for live delivery)
+ * - A caption spans until the next caption starts, or its slot ends
+ * - Also validates the caption appearance defaults of the spectator page (`POST /config`)
+ */
+
+import { config } from './core.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TIME FORMATTING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Format milliseconds as HH:MM:SS<sep>mmm
+ * @param {number} ms - Time in milliseconds
+ * @param {string} sep - Millisecond separator (',' for SRT, '.' for VTT)
+ * @returns {string}
+ */
+function formatCueTime(ms, sep) {
+  const total = Math.max(0, Math.round(ms));
+  const h = Math.floor(total / 3600000);
+  const m = Math.floor((total % 3600000) / 60000);
+  const s = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}${sep}${String(millis).padStart(3, '0')}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CUE SEGMENTATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Word ending a sentence / a clause (closing quotes and brackets allowed after the mark) */
+const SENTENCE_END = /[.!?…]["»”)\]]*$/;
+const CLAUSE_END = /[,;:]["»”)\]]*$/;
+
+/** Punctuation typed as a word of its own (French spacing: « bonjour ! ») */
+const DETACHED_PUNCTUATION = /^[.!?…,;:»”)\]]+$/;
+
+/** Words that open a clause: a good place to start a cue or a line */
+const CLAUSE_STARTS = new Set([
+  'et', 'mais', 'ou', 'donc', 'car', 'or', 'ni', 'puis', 'alors', 'ensuite', 'qui', 'que', 'quand',
+  'lorsque', 'parce', 'puisque', 'pour', 'afin', 'si', 'comme', 'où', 'dont', 'tandis', 'pendant',
+]);
+
+/** Words that should not end a cue or a line (articles, prepositions, possessives...) */
+const WEAK_WORDS = new Set([
+  'le', 'la', 'les', "l'", 'un', 'une', 'des', 'du', 'de', "d'", 'à', 'au', 'aux', 'en', 'sur', 'sous',
+  'dans', 'par', 'avec', 'sans', 'chez', 'ce', 'cet', 'cette', 'ces', 'mon', 'ma', 'mes', 'ton', 'ta',
+  'tes', 'son', 'sa', 'ses', 'notre', 'nos', 'votre', 'vos', 'leur', 'leurs', 'je', 'tu', 'il', 'elle',
+  'on', 'nous', 'vous', 'ils', 'elles', 'ne', 'très', 'plus',
+]);
+
+/**
+ * Greedy word wrap
+ * @param {string} text - Text to wrap
+ * @param {number} maxLength - Max characters per line
+ * @returns {string[]} Lines
+ */
+function wrapLines(text, maxLength) {
+  const words = text.split(/\s+/).filter(w => w.length > 0);
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    if (current && (current.length + 1 + word.length) > maxLength) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * How good it is to break after `words[index]`:
+ * 3 = end of sentence, 2 = end of clause, 1 = before a clause word, 0 = neutral,
+ * -1 = after a weak word, -Infinity = before a detached punctuation mark
+ */
+function breakScore(words, index) {
+  const word = words[index];
+  const next = words[index + 1];
+  if (next === undefined) return 3;
+  if (DETACHED_PUNCTUATION.test(next)) return -Infinity;
+  if (SENTENCE_END.test(word)) return 3;
+  if (CLAUSE_END.test(word) || /^[-–—]$/.test(next)) return 2;
+  if (CLAUSE_STARTS.has(next.toLowerCase())) return 1;
+  if (WEAK_WORDS.has(word.toLowerCase().replace(/’/g, "'"))) return -1;
+  return 0;
+}
+
+/** Can these words make one cue (line and cue lengths)? */
+function fitsInCue(words, o) {
+  const text = words.join(' ');
+  return text.length <= o.maxCueLength && wrapLines(text, o.maxLineLength).length <= o.maxLinesPerCue;
+}
+
+/**
+ * Lines of a cue: on one line when it fits; on two, the break with the best
+ * score, then the most balanced lengths; greedy wrap beyond two lines
+ */
+function layoutLines(words, o) {
+  const text = words.join(' ');
+  if (text.length <= o.maxLineLength) return [text];
+  const wrapped = wrapLines(text, o.maxLineLength);
+  if (wrapped.length !== 2) return wrapped;
+
+  let best = null;
+  for (let i = 0; i < words.length - 1; i++) {
+    const first = words.slice(0, i + 1).join(' ');
+    const second = words.slice(i + 1).join(' ');
+    const score = breakScore(words, i);
+    if (first.length > o.maxLineLength || second.length > o.maxLineLength || score === -Infinity) continue;
+    const cost = Math.abs(first.length - second.length) - score * 15;
+    if (!best || cost < best.cost) best = { cost, lines: [first, second] };
+  }
+  return best ? best.lines : wrapped;
+}
+
+/**
+ * Where to cut a sentence that does not fit in the cue `words[first..last]`
+ *
+ * Cost of breaking after word j: the break score first, then the length balance with
+ * the rest of the sentence when that rest fits in one cue (no orphan word in the next
+ * cue), otherwise the room left in this cue. Cues stay at least a third full.
+ */
+function pickBreak(words, first, last, o) {
+  let sentenceEnd = last + 1;
+  while (breakScore(words, sentenceEnd) < 3) sentenceEnd++;
+  const minFill = Math.floor(o.maxCueLength / 3);
+
+  let best = null;
+  for (let j = first; j <= last; j++) {
+    const score = breakScore(words, j);
+    const length = words.slice(first, j + 1).join(' ').length;
+    if (score === -Infinity || (length < minFill && j < last)) continue;
+
+    const rest = words.slice(j + 1, sentenceEnd + 1);
+    const balance = fitsInCue(rest, o) ? Math.abs(length - rest.join(' ').length) : o.maxCueLength - length;
+    const cost = balance - score * 20;
+    if (!best || cost < best.cost) best = { cost, j };
+  }
+  return best ? best.j : last;
+}
+
+/**
+ * Segment a text into display cues
+ *
+ * A cue ends at each end of sentence. When the words of a sentence do not fit
+ * (`maxLineLength`, `maxLinesPerCue`, `maxCueLength`), the cue is cut at its best
+ * break (see `pickBreak()`): end of clause, then before a clause word, not after a
+ * weak word when avoidable, with balanced cues.
+ *
+ * @param {string} text - Fused text
+ * @param {Object} [options] - Limits (defaults: `config.cues`)
+ * @returns {{ words: string[], lines: string[], firstWord: number }[]} Segments,
+ *   `firstWord` = index of their first word in the text
+ */
+export function segmentText(text, options = config.cues) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const segments = [];
+
+  let first = 0;
+  while (first < words.length) {
+    let last = first;
+    while (breakScore(words, last) < 3 && fitsInCue(words.slice(first, last + 2), options)) last++;
+
+    if (breakScore(words, last) < 3) last = pickBreak(words, first, last, options);
+
+    const cueWords = words.slice(first, last + 1);
+    segments.push({ words: cueWords, lines: layoutLines(cueWords, options), firstWord: first });
+    first = last + 1;
+  }
+  return segments;
+}
+
+/**
+ * Time the segments of one caption
+ *
+ * Natural start of a cue = time of its first word (word times, or characters spread
+ * over `startMs`..`endMs`); it lasts until the next one starts (`endMs` for the last).
+ * Reading rate: a cue stays at least `max(minDurationMs, length / maxCps)`, at most
+ * `maxDurationMs`, and never starts before the previous one ends (`notBeforeMs`
+ * carries this from the previous caption). Word times are shifted with their cue,
+ * and squeezed when it is shorter than they are.
+ *
+ * @param {string} text - Fused text
+ * @param {Object} timing
+ * @param {number} timing.startMs - Start of the caption
+ * @param {number} timing.endMs - End of the caption (next caption or end of slot)
+ * @param {number[]|null} [timing.wordTimes] - Time of each word (same clock), if known
+ * @param {number} [timing.notBeforeMs] - End of the previous cue
+ * @param {Object} [options] - Limits (defaults: `config.cues`)
+ * @returns {{ start: number, end: number, readMs: number, lines: string[], words: string[], wordTimes: number[] }[]}
+ */
+export function segmentCaption(text, { startMs, endMs, wordTimes = null, notBeforeMs = -Infinity }, options = config.cues) {
+  const segments = segmentText(text, options);
+  const wordCount = segments.reduce((n, s) => n + s.words.length, 0);
+  if (!wordCount) return [];
+
+  const times = wordTimes?.length === wordCount ? wordTimes : spreadWordTimes(segments, startMs, endMs);
+  const cues = [];
+  let cursor = notBeforeMs;
+
+  segments.forEach((segment, index) => {
+    const naturalStart = times[segment.firstWord];
+    const naturalEnd = index < segments.length - 1 ? times[segments[index + 1].firstWord] : Math.max(endMs, naturalStart);
+    const readMs = Math.max(options.minDurationMs, (segment.lines.join(' ').length / options.maxCps) * 1000);
+
+    const start = Math.max(naturalStart, cursor);
+    const end = Math.min(Math.max(naturalEnd, start + readMs), start + options.maxDurationMs);
+    // Delayed or shortened: the words keep their pace, squeezed if needed to stay within the cue
+    const span = naturalEnd - naturalStart;
+    const pace = span > 0 ? Math.min(1, (end - start) / span) : 1;
+    cues.push({
+      start: Math.round(start),
+      end: Math.round(end),
+      readMs: Math.round(readMs),
+      lines: segment.lines,
+      words: segment.words,
+      wordTimes: times.slice(segment.firstWord, segment.firstWord + segment.words.length)
+        .map(t => Math.round(start + (t - naturalStart) * pace)),
+    });
+    cursor = end;
+  });
+
+  return cues;
+}
+
+/** Without word times: each word starts after the characters before it, spread over the span */
+function spreadWordTimes(segments, startMs, endMs) {
+  const words = segments.flatMap(s => s.words);
+  const totalChars = words.reduce((n, w) => n + w.length + 1, 0) || 1;
+  const times = [];
+  let chars = 0;
+  for (const word of words) {
+    times.push(startMs + ((endMs - startMs) * chars) / totalChars);
+    chars += word.length + 1;
+  }
+  return times;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CUE BUILDING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * End of a caption: the start of the next one, or the end of its slot
+ * (shared by `buildCues()` and the live delivery, so both time cues alike)
+ *
+ * @param {number} startMs - Start of the caption
+ * @param {number} slotDurationMs - Duration of its slot
+ * @param {number|null} [nextStartMs] - Start of the next caption, if known
+ * @returns {number} End in ms
+ */
+export function captionEndMs(startMs, slotDurationMs, nextStartMs = null) {
+  const slotEnd = startMs + slotDurationMs;
+  const end = Number.isFinite(nextStartMs) ? Math.min(nextStartMs, slotEnd) : slotEnd;
+  return end > startMs ? end : slotEnd;
+}
+
+/**
+ * Build timed cues from fused captions
+ *
+ * Each caption spans until the next one starts, or its slot ends; its text is
+ * segmented by `segmentCaption()`, with its word times when it has them.
+ *
+ * @param {Object[]} fusedCaptions - Fused captions of a session
+ * @param {string} [timeKey='videoTimestamp'] - Caption field used as start time
+ *   ('videoTimestamp' = since live start, 'mediaTimestamp' = HLS stream time)
+ * @returns {{ start: number, end: number, lines: string[] }[]} Cues in ms
+ */
+export function buildCues(fusedCaptions, timeKey = 'videoTimestamp') {
+  const fallbackDurationMs = config.defaultSlotDuration * 1000;
+  const entries = fusedCaptions
+    .filter(c => c.text && c.text.trim() && Number.isFinite(c[timeKey]))
+    .sort((a, b) => a[timeKey] - b[timeKey]);
+
+  const cues = [];
+  entries.forEach((entry, index) => {
+    const start = entry[timeKey];
+    const end = captionEndMs(start, entry.slotDurationMs || fallbackDurationMs, entries[index + 1]?.[timeKey]);
+
+    // Word times are taken on the live clock (`videoTimestamp`)
+    const offset = start - (entry.videoTimestamp ?? start);
+    const wordTimes = entry.wordTimestamps?.map(t => t + offset) ?? null;
+
+    const captionCues = segmentCaption(entry.text.trim(), {
+      startMs: start,
+      endMs: end,
+      wordTimes,
+      notBeforeMs: cues.length ? cues[cues.length - 1].end : -Infinity,
+    });
+    cues.push(...captionCues.map(({ start: s, end: e, lines }) => ({ start: s, end: e, lines })));
+  });
+
+  return cues;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SERIALIZERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Serialize cues as SubRip (.srt); empty file without cues */
+export function toSrt(cues) {
+  const body = cues.map((cue, i) => [
+    String(i + 1),
+    `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`,
+    ...cue.lines,
+  ].join('\n')).join('\n\n');
+  return body ? `${body}\n` : '';
+}
+
+/** Serialize cues as WebVTT (.vtt) */
+export function toVtt(cues) {
+  const body = cues.map(cue => [
+    `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`,
+    ...cue.lines,
+  ].join('\n')).join('\n\n');
+  return `WEBVTT\n\n${body}${body ? '\n' : ''}`;
+}
+
+/**
+ * Serialize cues as one HLS WebVTT segment
+ *
+ * Cue times are stream media times; X-TIMESTAMP-MAP anchors LOCAL 0 to the
+ * first MPEG-TS PTS so players align them with the video segments.
+ *
+ * @param {Object[]} cues - Cues overlapping the segment
+ * @param {number} mpegtsPts - PTS (90kHz) of media time 0
+ */
+export function toVttSegment(cues, mpegtsPts) {
+  const header = `WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:${mpegtsPts},LOCAL:00:00:00.000\n\n`;
+  const body = cues.map(cue => [
+    `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`,
+    ...cue.lines,
+  ].join('\n')).join('\n\n');
+  return `${header}${body}${body ? '\n' : ''}`;
+}
+
+/** Supported export formats */
+export const EXPORT_FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', serialize: toSrt },
+  vtt: { contentType: 'text/vtt; charset=utf-8', serialize: toVtt },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CAPTION APPEARANCE (spectator defaults)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Accepted values of each appearance setting: [min, max, integer] or a list of choices */
+const STYLE_RANGES = {
+  fontSize: [50, 300, true],
+  fontFamily: ['sans', 'serif', 'mono', 'casual'],
+  textColor: 'color',
+  textOpacity: [0, 1],
+  backgroundColor: 'color',
+  backgroundOpacity: [0, 1],
+  edgeStyle: ['none', 'outline', 'shadow', 'raised', 'depressed'],
+  position: [0, 80, true],
+  maxLines: [1, 5, true],
+  displayMode: ['paint-on', 'roll-up', 'pop-on'],
+};
+
+/**
+ * Validate caption appearance settings sent to the API (missing keys keep their current value)
+ * @param {Object} body - Partial settings
+ * @param {Object} current - Current settings of the session
+ * @returns {{ style: Object|null, error: string|null }}
+ */
+export function validateCaptionStyle(body, current) {
+  const style = { ...current };
+  for (const [key, value] of Object.entries(body || {})) {
+    const range = STYLE_RANGES[key];
+    if (!range) return { style: null, error: `Unknown setting: ${key}` };
+
+    if (range === 'color') {
+      if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+        return { style: null, error: `${key} must be a #rrggbb color` };
+      }
+      style[key] = value.toLowerCase();
+    } else if (typeof range[0] === 'string') {
+      if (!range.includes(value)) return { style: null, error: `${key} must be one of: ${range.join(', ')}` };
+      style[key] = value;
+    } else {
+      const [min, max, integer] = range;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+        return { style: null, error: `${key} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}` };
+      }
+      style[key] = value;
+    }
+  }
+  return { style, error: null };
+}
@@ -2,15 +2,31 @@
  * ROLE — WebSocket realtime hub (`/ws`)
  *
  * Manages realtime communications between browser clients and the server:
- * - Clients identify as: admin | subtitler | spectator
- * - Subtitlers join/leave the fragment session
+ * - The handshake reads the login token (cookie or `?token=`); `identify` as admin
+ *   or subtitler requires an account with that role, spectators stay anonymous
+ * - Clients identify as: admin | subtitler | spectator | corrector, for one session (room);
+ *   correctors (designated per session) receive the moderation queue like admins
+ * - Subtitlers join/leave the fragment session of their room; a dropped subtitler keeps
+ *   their seat for `config.reconnectGraceSec` and resumes it with the reconnect token
+ *   received in `fragment:joined`
  * - Subtitlers send captions; server validates and routes them
+ * - The subtitler of an open slot streams what they are typing (`caption:draft`), relayed
+ *   to the admins and the next subtitler, and kept as slot text if they drop before sending
+ * - Subtitlers receive their merged abbreviation/macro dictionary (`expansions`, see expansions.js)
+ * - Subtitler players report the program date they show (`player:position`); the server
+ *   answers with the measured latency (`player:latency`), also shown to admins
  * - Server periodically broadcasts fragment status to keep UIs in sync
  */
 
 import { WebSocketServer } from 'ws';
-import { state, log, isLiveRunning, getLiveTimestamp } from './core.js';
+import { config, log, sessions, getSession, isLiveRunning, getLiveTimestamp, DEFAULT_SESSION_ID } from './core.js';
 import * as services from './services.js';
+import * as store from './store.js';
+import * as auth from './auth.js';
+import * as expansions from './expansions.js';
+
+/** Close code of a subtitler socket whose seat was resumed elsewhere (`WS_CLOSE_CODES` in shared.js) */
+const SEAT_TAKEN_CLOSE_CODE = 4000;
 
 /**
  * Initialize the WebSocket server on an existing HTTP server
@@ -20,35 +36,34 @@ import * as services from './services.js';
 export function createWebSocketServer(server) {
   const wss = new WebSocketServer({ server, path: '/ws' });
   
-  wss.on('connection', (ws) => {
+  wss.on('connection', (ws, req) => {
     // Assign unique ID
     ws.odId = services.generateUUID();
     ws.clientType = null;
     ws.subtitlerName = null;
+    ws.sessionId = null;  // Set by 'identify'
+    ws.playerLatencyMs = null;  // Subtitlers: measured latency of their player (see services.recordPlayerPosition)
+    try {
+      ws.user = authenticateUpgrade(req);  // Account behind the handshake (null = anonymous)
+    } catch (e) {
+      log.warn('WS', `Rejected handshake: ${e.message}`);
+      ws.close(1008, 'Bad credentials');
+      return;
+    }
     
     services.addClient(ws);
-    log.info('WS', `Client connected: ${ws.odId}`);
-    
-    // Send initial state
-    services.send(ws, {
-      type: 'init',
-      odId: ws.odId,
-      running: isLiveRunning(),
-      delaySec: state.delaySec,
-      mode: state.currentMode,
-      fragmentMode: state.fragment.active,
-    });
+    log.info('WS', `Client connected: ${ws.odId}${ws.user ? ` (${ws.user.username})` : ''}`);
     
     ws.on('message', (data) => handleMessage(ws, data));
     
     ws.on('close', () => {
       services.removeClient(ws);
       
-      // Remove from subtitlers if applicable
-      if (ws.clientType === 'subtitler' && state.fragment.subtitlers.has(ws.odId)) {
-        state.fragment.subtitlers.delete(ws.odId);
-        services.broadcastFragmentStatus();
-        log.info('WS', `Subtitler left: ${ws.subtitlerName}`);
+      // Keep the subtitler's seat for a while (unless this socket was already replaced)
+      const session = getSession(ws.sessionId);
+      const subtitler = session?.fragment.subtitlers.get(ws.odId);
+      if (ws.clientType === 'subtitler' && subtitler?.ws === ws) {
+        suspendSubtitler(session, subtitler);
       }
       
       log.info('WS', `Client disconnected: ${ws.odId}`);
@@ -60,16 +75,31 @@ export function createWebSocketServer(server) {
   });
   
   // Fragment status broadcast (every second)
-  setInterval(() => {
-    if (state.fragment.active) {
-      services.broadcastFragmentStatus();
+  const statusTimer = setInterval(() => {
+    for (const session of sessions.values()) {
+      if (session.fragment.active) {
+        services.broadcastFragmentStatus(session);
+      }
     }
   }, 1000);
+  wss.on('close', () => clearInterval(statusTimer));
   
   log.info('WS', 'WebSocket server ready');
   return wss;
 }
 
+/**
+ * Authenticate the upgrade request: cookie / Authorization header, or `?token=`
+ * for clients that cannot send cookies
+ */
+function authenticateUpgrade(req) {
+  const user = auth.authenticateRequest(req);
+  if (user) return user;
+
+  const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+  return token ? auth.authenticateRequest({ headers: { authorization: `Bearer ${token}` } }) : null;
+}
+
 /**
  * Handle incoming WebSocket message
  * @param {WebSocket} ws - Client connection
@@ -84,21 +114,43 @@ function handleMessage(ws, data) {
     return;
   }
   
+  if (msg.type === 'identify') {
+    handleIdentify(ws, msg);
+    return;
+  }
+  
+  // Every other message needs an identified session
+  const session = getSession(ws.sessionId);
+  if (!session) {
+    log.debug('WS', `Message before identify: ${msg.type}`);
+    return;
+  }
+  
+  // Only subtitlers take part in the fragment session
+  if (ws.clientType !== 'subtitler') {
+    log.debug('WS', `Ignored ${msg.type} from ${ws.clientType}`);
+    return;
+  }
+  
   switch (msg.type) {
-    case 'identify':
-      handleIdentify(ws, msg);
-      break;
-      
     case 'fragment:join':
-      handleFragmentJoin(ws, msg);
+      handleFragmentJoin(ws, session, msg);
       break;
       
     case 'fragment:leave':
-      handleFragmentLeave(ws);
+      handleFragmentLeave(ws, session);
       break;
       
     case 'caption':
-      handleCaption(ws, msg);
+      handleCaption(ws, session, msg);
+      break;
+      
+    case 'caption:draft':
+      handleDraft(ws, session, msg);
+      break;
+      
+    case 'player:position':
+      services.recordPlayerPosition(session, ws, msg.programDateTime);
       break;
       
     default:
@@ -108,42 +160,102 @@ function handleMessage(ws, data) {
 
 /**
  * Handle client identification
+ * Checks the role of the account behind the connection, binds the client to a
+ * session (`sessionId`, default session if omitted) and replies with that
+ * session's initial state. Subtitlers are named after their account.
  */
 function handleIdentify(ws, msg) {
-  const { clientType, name } = msg;
+  const { clientType, sessionId = DEFAULT_SESSION_ID } = msg;
+  
+  if (!['admin', 'subtitler', 'spectator', 'corrector'].includes(clientType)) {
+    return;
+  }
+  
+  const session = getSession(sessionId);
+  if (!session) {
+    services.send(ws, { type: 'error', message: `Unknown session: ${sessionId}` });
+    return;
+  }
   
-  if (!['admin', 'subtitler', 'spectator'].includes(clientType)) {
+  // Correctors are designated per session (admins can always review)
+  const allowed = clientType === 'spectator'
+    || (clientType === 'corrector' ? services.canModerate(session, ws.user) : auth.hasRole(ws.user, [clientType]));
+  if (!allowed) {
+    services.send(ws, { type: 'error', code: ws.user ? 'forbidden' : 'unauthorized', message: `Login as ${clientType} required` });
+    log.warn('WS', `Rejected identify as ${clientType} (${ws.user?.username || 'anonymous'})`);
     return;
   }
+  const name = clientType === 'subtitler' ? ws.user.username : null;
   
   ws.clientType = clientType;
+  ws.sessionId = session.id;
   if (name) ws.subtitlerName = name;
   
-  log.info('WS', `Identified: ${clientType}${name ? ` (${name})` : ''}`);
+  // Reconnecting subtitler: take back the previous identity
+  const resumed = clientType === 'subtitler' ? findResumableSubtitler(ws, session, msg.reconnectToken) : null;
+  if (resumed) ws.odId = resumed.id;
+  
+  log.info('WS', `[${session.id}] Identified: ${clientType}${name ? ` (${name})` : ''}`);
+  
+  // Send initial state
+  services.send(ws, {
+    type: 'init',
+    odId: ws.odId,
+    sessionId: session.id,
+    sessionName: session.name,
+    running: isLiveRunning(session),
+    delaySec: session.delaySec,
+    mode: session.currentMode,
+    fragmentMode: session.fragment.active,
+    captionStyle: session.captionStyle,
+  });
+  
+  if (clientType === 'admin' || clientType === 'corrector') {
+    services.send(ws, {
+      type: 'moderation:queue',
+      enabled: session.moderation.enabled,
+      items: services.getModerationQueue(session),
+    });
+  }
+  
+  // Abbreviations/macros merged for this subtitler
+  if (clientType === 'subtitler') {
+    services.send(ws, { type: 'expansions', ...expansions.getEffectiveDictionary(session, ws.user.username) });
+  }
   
   // Auto-join fragment session for subtitlers (if not already joined)
-  if (clientType === 'subtitler' && name && !state.fragment.subtitlers.has(ws.odId)) {
-    handleFragmentJoin(ws, { name });
+  if (resumed) {
+    resumeSubtitler(ws, session, resumed);
+  } else if (clientType === 'subtitler' && name && !session.fragment.subtitlers.has(ws.odId)) {
+    handleFragmentJoin(ws, session, { name });
   }
 }
 
 /**
  * Handle a subtitler joining the fragment session
  */
-function handleFragmentJoin(ws, msg) {
-  const name = msg.name || ws.subtitlerName || 'Anonymous';
+function handleFragmentJoin(ws, session, msg) {
+  const name = ws.subtitlerName || msg.name || 'Anonymous';
   
   // Skip if already joined
-  if (state.fragment.subtitlers.has(ws.odId)) {
+  if (session.fragment.subtitlers.has(ws.odId)) {
     return;
   }
   
   // Add to subtitlers map
-  state.fragment.subtitlers.set(ws.odId, {
+  const subtitler = {
     id: ws.odId,
     name,
+    username: ws.user?.username || null,
     ws,
     joinedAt: Date.now(),
+    reconnectToken: services.generateUUID(),  // Lets the same page take the seat back after a drop
+    disconnectedAt: null,
+    dropTimer: null,
+  };
+  session.fragment.subtitlers.set(ws.odId, subtitler);
+  store.record(session, store.EVENTS.SUBTITLER_JOIN, {
+    subtitler: { id: subtitler.id, name, joinedAt: subtitler.joinedAt },
   });
   
   ws.subtitlerName = name;
@@ -152,31 +264,111 @@ function handleFragmentJoin(ws, msg) {
   services.send(ws, {
     type: 'fragment:joined',
     odId: ws.odId,
-    active: state.fragment.active,
+    active: session.fragment.active,
+    reconnectToken: subtitler.reconnectToken,
+    reconnectGraceSec: config.reconnectGraceSec,
   });
   
-  log.info('FRAGMENT', `Subtitler joined: ${name}`);
-  services.broadcastFragmentStatus();
+  log.info('FRAGMENT', `[${session.id}] Subtitler joined: ${name}`);
+  services.broadcastFragmentStatus(session);
   
   // Check if we can start fragment mode
-  const activeCount = services.getActiveSubtitlers().length;
-  if (state.fragment.active && activeCount >= state.fragment.requiredSubtitlers && !state.fragment.slotTimer) {
-    services.startSlotTimer();
+  const activeCount = services.getActiveSubtitlers(session).length;
+  if (session.fragment.active && activeCount >= session.fragment.requiredSubtitlers && !session.fragment.slotTimer) {
+    services.startSlotTimer(session);
   }
 }
 
 /**
- * Handle a subtitler leaving the fragment session
+ * Handle a subtitler leaving the fragment session (explicit leave: no grace window)
  */
-function handleFragmentLeave(ws) {
-  if (state.fragment.subtitlers.has(ws.odId)) {
-    const name = state.fragment.subtitlers.get(ws.odId).name;
-    state.fragment.subtitlers.delete(ws.odId);
-    log.info('FRAGMENT', `Subtitler left: ${name}`);
-    services.broadcastFragmentStatus();
+function handleFragmentLeave(ws, session) {
+  if (session.fragment.subtitlers.has(ws.odId)) {
+    removeSubtitler(session, session.fragment.subtitlers.get(ws.odId));
   }
 }
 
+/**
+ * Remove a subtitler from the rotation
+ */
+function removeSubtitler(session, subtitler) {
+  clearTimeout(subtitler.dropTimer);
+  session.fragment.subtitlers.delete(subtitler.id);
+  store.record(session, store.EVENTS.SUBTITLER_LEAVE, { subtitlerId: subtitler.id });
+  log.info('FRAGMENT', `[${session.id}] Subtitler left: ${subtitler.name}`);
+  services.broadcastFragmentStatus(session);
+}
+
+/**
+ * Subtitler socket closed: keep the seat (join order, open slot) during the
+ * reconnect grace window, then drop it
+ */
+function suspendSubtitler(session, subtitler) {
+  subtitler.disconnectedAt = Date.now();
+  subtitler.dropTimer = setTimeout(() => {
+    // The fragment state may have been reset meanwhile
+    if (session.fragment.subtitlers.get(subtitler.id) === subtitler) {
+      removeSubtitler(session, subtitler);
+    }
+  }, config.reconnectGraceSec * 1000);
+
+  log.info('FRAGMENT', `[${session.id}] Subtitler disconnected: ${subtitler.name} (seat kept ${config.reconnectGraceSec}s)`);
+  services.broadcastFragmentStatus(session);
+}
+
+/**
+ * Find the seat matching a reconnect token (same account only)
+ * @returns {Object|null} Subtitler entry
+ */
+function findResumableSubtitler(ws, session, reconnectToken) {
+  if (typeof reconnectToken !== 'string' || !reconnectToken) return null;
+  for (const subtitler of session.fragment.subtitlers.values()) {
+    if (subtitler.reconnectToken === reconnectToken && subtitler.username === ws.user?.username) {
+      return subtitler;
+    }
+  }
+  return null;
+}
+
+/**
+ * Give a seat back to a reconnected subtitler: same id and join order, plus the
+ * slot still open for them and the captions already sent into it
+ */
+function resumeSubtitler(ws, session, subtitler) {
+  const { fragment: f } = session;
+  const previous = subtitler.ws;
+
+  clearTimeout(subtitler.dropTimer);
+  subtitler.dropTimer = null;
+  subtitler.disconnectedAt = null;
+  subtitler.ws = ws;
+
+  // Same seat opened from another page: the newest connection wins
+  if (previous && previous !== ws && previous.readyState === 1) {
+    previous.close(SEAT_TAKEN_CLOSE_CODE, 'Seat resumed by another connection');
+  }
+
+  const slotIndex = f.openSlotBySubtitlerId.get(subtitler.id);
+  const slot = Number.isFinite(slotIndex) ? f.captionsBySlot.find(s => s.slotIndex === slotIndex) : null;
+
+  services.send(ws, {
+    type: 'fragment:joined',
+    odId: subtitler.id,
+    active: f.active,
+    reconnectToken: subtitler.reconnectToken,
+    reconnectGraceSec: config.reconnectGraceSec,
+    resumed: true,
+    openSlot: slot ? {
+      slotIndex: slot.slotIndex,
+      captions: slot.captions.map(c => ({ text: c.text, createdAt: c.createdAt, autoSent: c.autoSent })),
+      draft: slot.draft?.text || null,
+    } : null,
+  });
+
+  log.info('FRAGMENT', `[${session.id}] Subtitler resumed: ${subtitler.name}${slot ? ` (slot ${slot.slotIndex} open)` : ''}`);
+  services.broadcastFragmentStatus(session);
+}
+
 /**
  * handleCaption - Process a caption sent by a subtitler
  *
@@ -192,9 +384,10 @@ function handleFragmentLeave(ws) {
  * 4. Non-fragment mode: broadcast directly to spectators
  *
  * @param {WebSocket} ws - Subtitler connection
- * @param {Object} msg - Message containing { text, subtitlerName, autoSent }
+ * @param {Object} session - Session the subtitler identified for
+ * @param {Object} msg - Message containing { text, subtitlerName, autoSent, expansions }
  */
-function handleCaption(ws, msg) {
+function handleCaption(ws, session, msg) {
   const { text, subtitlerName, autoSent } = msg;
   
   if (!text || typeof text !== 'string') return;
@@ -202,35 +395,41 @@ function handleCaption(ws, msg) {
   const caption = {
     id: services.generateUUID(),
     text: text.trim().slice(0, 500),
-    subtitlerName: subtitlerName || ws.subtitlerName || 'Anonymous',
+    subtitlerName: ws.subtitlerName || subtitlerName || 'Anonymous',
     subtitlerId: ws.odId,  // Unique subtitler ID for validation
     createdAt: Date.now(),
-    liveTimestamp: getLiveTimestamp(),
+    liveTimestamp: getLiveTimestamp(session),
     autoSent: autoSent || false,
   };
   
+  // Abbreviations/macros expanded while typing (checked against the subtitler's dictionary)
+  const expanded = expansions.summarizeExpansions(session, ws.user?.username, caption.text, msg.expansions);
+  if (expanded) caption.expansions = expanded;
+  
   // Fragment mode: add to current slot (timestamp calculated by addCaptionToSlot)
-  if (state.fragment.active) {
-    const accepted = services.addCaptionToSlot(caption);
+  if (session.fragment.active) {
+    const accepted = services.addCaptionToSlot(session, caption);
     
     if (accepted) {
       // Broadcast to OTHER subtitlers (exclude sender to avoid duplication)
-      services.broadcast(
+      services.broadcastToSession(
+        session,
         { type: 'caption', caption },
         (client) => client.clientType === 'subtitler' && client.odId !== ws.odId
       );
     }
   } else {
     // Non-fragment mode: direct broadcast to spectators
-    state.captions.push(caption);
+    session.captions.push(caption);
+    store.record(session, store.EVENTS.CAPTION, { caption });
     
-    services.broadcast({
+    services.broadcastToSpectators(session, {
       type: 'caption',
       caption,
-      displayAt: Date.now() + state.delaySec * 1000,
-    }, (c) => c.clientType === 'spectator');
+      displayAt: Date.now() + session.delaySec * 1000,
+    });
     
-    services.broadcastToAdmins({
+    services.broadcastToAdmins(session, {
       type: 'caption',
       caption,
     });
@@ -239,4 +438,19 @@ function handleCaption(ws, msg) {
   log.debug('CAPTION', `From ${caption.subtitlerName}: "${caption.text.slice(0, 30)}..."`);
 }
 
+/**
+ * handleDraft - Text being typed by a subtitler (debounced by the client)
+ *
+ * Only the subtitler of an open slot is listened to; outside fragment mode
+ * captions go straight to spectators and there is no slot to keep it on.
+ *
+ * @param {WebSocket} ws - Subtitler connection
+ * @param {Object} session - Session the subtitler identified for
+ * @param {Object} msg - Message containing { text }
+ */
+function handleDraft(ws, session, msg) {
+  if (!session.fragment.active || typeof msg.text !== 'string') return;
+  services.updateSlotDraft(session, ws.odId, msg.text.slice(0, 500));
+}
+
 export default { createWebSocketServer };
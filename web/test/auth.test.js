@@ -0,0 +1,120 @@
+/**
+ * Accounts, password hashing and request authentication (src/auth.js)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The config reads these when core.js is first imported
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stc-auth-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_USERNAME = 'boss';
+process.env.ADMIN_PASSWORD = 'admin-secret';
+
+const auth = await import('../src/auth.js');
+const { config } = await import('../src/core.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const request = (headers) => ({ headers });
+const readStoredUsers = () => JSON.parse(fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8'));
+
+// ─── Accounts (in order: the account store is module state) ──────────────────
+
+test('register: closed until an admin exists', () => {
+  const { error, status } = auth.register('alice', 'secret123');
+  assert.equal(status, 403);
+  assert.match(error, /closed/);
+});
+
+test('loadUsers: creates the configured admin', () => {
+  auth.loadUsers();
+  assert.deepEqual(auth.listUsers().map(u => [u.username, u.role]), [['boss', auth.ROLES.ADMIN]]);
+});
+
+test('register: subtitler accounts once the admin exists', () => {
+  const { user, error } = auth.register('alice', 'secret123');
+  assert.equal(error, undefined);
+  assert.equal(user.role, auth.ROLES.SUBTITLER);
+  assert.equal(user.passwordHash, undefined);
+});
+
+test('register: rejects invalid, short and taken credentials', () => {
+  assert.match(auth.register('a b', 'secret123').error, /Invalid username/);
+  assert.match(auth.register('bob', 'short').error, /too short/);
+  assert.match(auth.register('ALICE', 'secret123').error, /taken/);
+});
+
+test('passwords are stored as salted scrypt hashes', () => {
+  const stored = readStoredUsers();
+  const [alice, boss] = ['alice', 'boss'].map(name => stored.find(u => u.username === name));
+  assert.match(alice.passwordHash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.ok(!JSON.stringify(stored).includes('secret123'));
+  // Same scheme, different salt
+  assert.notEqual(alice.passwordHash.split('$')[1], boss.passwordHash.split('$')[1]);
+});
+
+test('login: right password only, username case-insensitive', () => {
+  assert.match(auth.login('alice', 'wrong-password').error, /Invalid/);
+  assert.match(auth.login('nobody', 'secret123').error, /Invalid/);
+  assert.match(auth.login('alice', undefined).error, /Invalid/);
+
+  const { token, user } = auth.login('Alice', 'secret123');
+  assert.equal(user.username, 'alice');
+  assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+});
+
+// ─── Tokens and cookies ──────────────────────────────────────────────────────
+
+test('readCookie: finds one cookie among others', () => {
+  assert.equal(auth.readCookie('a=1; stc_token=abc; b=2', 'stc_token'), 'abc');
+  assert.equal(auth.readCookie('a=1', 'stc_token'), null);
+  assert.equal(auth.readCookie(undefined, 'stc_token'), null);
+  assert.equal(auth.readCookie('x=a%20b=c', 'x'), 'a b=c');
+});
+
+test('readCookie: a malformed escape keeps the raw value instead of throwing', () => {
+  assert.equal(auth.readCookie('stc_token=%E0%A4%A', 'stc_token'), '%E0%A4%A');
+  assert.equal(auth.readCookie('other=%; stc_token=ok', 'stc_token'), 'ok');
+});
+
+test('authCookie: readable back, cleared without token', () => {
+  const header = auth.authCookie('tok/en+1');
+  assert.match(header, /HttpOnly; SameSite=Strict; Max-Age=43200$/);
+  assert.equal(auth.readCookie(header.split(';')[0], config.auth.cookieName), 'tok/en+1');
+  assert.match(auth.authCookie(null), /^stc_token=; .*Max-Age=0$/);
+});
+
+test('authenticateRequest: bearer token or auth cookie', () => {
+  const { token } = auth.login('boss', 'admin-secret');
+  const expected = { username: 'boss', role: auth.ROLES.ADMIN };
+
+  assert.deepEqual(pick(auth.authenticateRequest(request({ authorization: `Bearer ${token}` }))), expected);
+  assert.deepEqual(pick(auth.authenticateRequest(request({ cookie: `stc_token=${token}` }))), expected);
+  assert.equal(auth.authenticateRequest(request({})), null);
+  assert.equal(auth.authenticateRequest(request({ authorization: 'Bearer nope' })), null);
+});
+
+test('authenticateRequest: a malformed cookie is anonymous, not an error', () => {
+  assert.equal(auth.authenticateRequest(request({ cookie: 'stc_token=%E0%A4%A' })), null);
+});
+
+test('authenticateRequest: logged-out tokens are refused', () => {
+  const { token } = auth.login('alice', 'secret123');
+  auth.logout(token);
+  assert.equal(auth.authenticateRequest(request({ authorization: `Bearer ${token}` })), null);
+});
+
+test('hasRole: admins can do everything', () => {
+  assert.equal(auth.hasRole({ role: 'admin' }, ['subtitler']), true);
+  assert.equal(auth.hasRole({ role: 'subtitler' }, ['subtitler']), true);
+  assert.equal(auth.hasRole({ role: 'subtitler' }, []), false);
+  assert.equal(auth.hasRole(null, ['subtitler']), false);
+});
+
+function pick(user) {
+  return user && { username: user.username, role: user.role };
+}
@@ -0,0 +1,89 @@
+/**
+ * Live drafts of the open slots (src/services.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionState } from '../src/core.js';
+import * as services from '../src/services.js';
+
+/** Fake page keeping the messages it receives */
+const page = (session, clientType, odId) => ({
+  readyState: 1, sessionId: session.id, clientType, odId, messages: [],
+  send(data) { this.messages.push(JSON.parse(data)); },
+});
+
+/**
+ * Session in fragment mode with alice then bob (default timing: 30s slots,
+ * 5s overlap, 20% grace) and an admin page
+ */
+function startTwoSubtitlers(t, id) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  const session = createSessionState(id);
+  const admin = page(session, 'admin');
+  services.addClient(admin);
+
+  const seats = {};
+  for (const [i, name] of ['alice', 'bob'].entries()) {
+    const ws = page(session, 'subtitler', name);
+    services.addClient(ws);
+    seats[name] = ws;
+    session.fragment.subtitlers.set(name, { id: name, name, ws, joinedAt: i, disconnectedAt: null });
+  }
+
+  services.startFragmentMode(session);
+  t.after(() => {
+    services.stopFragmentMode(session);
+    for (const ws of [admin, seats.alice, seats.bob]) services.removeClient(ws);
+  });
+  return { session, admin, ...seats };
+}
+
+const ofType = (ws, type) => ws.messages.filter(m => m.type === type);
+
+test('drafts are relayed to the admins, only for an open slot', (t) => {
+  const { session, admin } = startTwoSubtitlers(t, 'drafts-relay');
+
+  assert.equal(services.updateSlotDraft(session, 'alice', '  Bonjour à '), true);
+  assert.equal(services.updateSlotDraft(session, 'alice', 'Bonjour à'), true); // unchanged
+  assert.equal(services.updateSlotDraft(session, 'bob', 'trop tôt'), false);
+
+  assert.deepEqual(ofType(admin, 'caption:draft').map(m => [m.slotIndex, m.subtitlerId, m.text]), [[0, 'alice', 'Bonjour à']]);
+  assert.equal(session.fragment.captionsBySlot[0].draft.text, 'Bonjour à');
+});
+
+test('a draft never sent becomes the slot text at the deadline', (t) => {
+  const { session, admin, bob } = startTwoSubtitlers(t, 'drafts-promote');
+  services.updateSlotDraft(session, 'alice', 'Bonjour à tous');
+
+  // Slot end (30s) + grace (6s), then the 800ms left for the auto-send
+  t.mock.timers.tick(36000);
+  t.mock.timers.tick(800);
+
+  const [slot] = session.fragment.captionsBySlot;
+  assert.equal(slot.draft, null);
+  assert.deepEqual(slot.captions.map(c => [c.text, c.autoSent, c.fromDraft]), [['Bonjour à tous', true, true]]);
+  assert.equal(ofType(admin, 'caption:draft').at(-1).text, '');
+  assert.deepEqual(ofType(bob, 'caption').map(m => m.caption.text), ['Bonjour à tous']);
+});
+
+// ─── Handoff ─────────────────────────────────────────────────────────────────
+
+test('handoff: the next subtitler follows the slot until the overlap ends', (t) => {
+  const { session, alice, bob } = startTwoSubtitlers(t, 'drafts-handoff');
+
+  // "Prepare" for bob 5s before their slot starts at 25s
+  t.mock.timers.tick(20000);
+  services.updateSlotDraft(session, 'alice', 'et maintenant la météo');
+
+  const handoffs = ofType(bob, 'fragment:handoff');
+  assert.deepEqual(handoffs.map(m => [m.active, m.slotIndex, m.subtitlerName, m.draft]), [
+    [true, 0, 'alice', ''],
+    [true, 0, 'alice', 'et maintenant la météo'],
+  ]);
+  assert.equal(ofType(alice, 'fragment:handoff').length, 0);
+
+  // End of slot 0 (30s): bob is on his own
+  t.mock.timers.tick(10000);
+  assert.deepEqual(ofType(bob, 'fragment:handoff').at(-1), { type: 'fragment:handoff', active: false, slotIndex: 0 });
+});
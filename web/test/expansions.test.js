@@ -0,0 +1,80 @@
+/**
+ * Abbreviation and macro dictionaries (src/expansions.js)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The config reads DATA_DIR when core.js is first imported
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stc-expansions-'));
+process.env.DATA_DIR = dataDir;
+
+const expansions = await import('../src/expansions.js');
+const { createSession, createSessionState } = await import('../src/core.js');
+const services = await import('../src/services.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+test('validateDictionary: keys normalized, texts trimmed', () => {
+  const { dictionary, error } = expansions.validateDictionary({
+    abbreviations: { GVT: ' gouvernement ' },
+    macros: { f2: 'Emmanuel Macron :' },
+  });
+  assert.equal(error, null);
+  assert.deepEqual(dictionary, { abbreviations: { gvt: 'gouvernement' }, macros: { F2: 'Emmanuel Macron :' } });
+  assert.deepEqual(expansions.validateDictionary(null).dictionary, { abbreviations: {}, macros: {} });
+});
+
+test('validateDictionary: rejects bad keys, texts and shapes', () => {
+  assert.match(expansions.validateDictionary({ abbreviations: { 'a b': 'x' } }).error, /Invalid abbreviation/);
+  assert.match(expansions.validateDictionary({ macros: { F13: 'x' } }).error, /Invalid macro key/);
+  assert.match(expansions.validateDictionary({ abbreviations: { gvt: '  ' } }).error, /Invalid text for gvt/);
+  assert.match(expansions.validateDictionary({ macros: ['x'] }).error, /macros must be an object/);
+});
+
+// ─── Storage and merge ───────────────────────────────────────────────────────
+
+test('personal entries override the session ones, both are stored and pushed', () => {
+  const session = createSession('expand-merge');
+  const received = [];
+  const page = {
+    readyState: 1, sessionId: session.id, clientType: 'subtitler', user: { username: 'Alice' },
+    send: (data) => received.push(JSON.parse(data)),
+  };
+  services.addClient(page);
+
+  expansions.setSessionDictionary(session, { abbreviations: { gvt: 'gouvernement', pdt: 'président' }, macros: {} });
+  expansions.setUserDictionary('alice', { abbreviations: { pdt: 'présidente' }, macros: { F2: 'Alice :' } });
+  services.removeClient(page);
+
+  assert.deepEqual(expansions.getEffectiveDictionary(session, 'ALICE'), {
+    abbreviations: { gvt: 'gouvernement', pdt: 'présidente' },
+    macros: { F2: 'Alice :' },
+  });
+  assert.deepEqual(received.map(m => [m.type, m.abbreviations.pdt]), [['expansions', 'président'], ['expansions', 'présidente']]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'expansions.json'), 'utf8')).alice.macros, { F2: 'Alice :' });
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dataDir, session.id, 'expansions.json'), 'utf8')).abbreviations.gvt, 'gouvernement');
+});
+
+// ─── Stats ───────────────────────────────────────────────────────────────────
+
+test('summarizeExpansions: only entries really in the caption, counted once per occurrence', () => {
+  const session = createSessionState('expand-stats');
+  expansions.setSessionDictionary(session, { abbreviations: { gvt: 'gouvernement' }, macros: { F3: 'Le Premier ministre :' } });
+  const text = 'Le Premier ministre : le gouvernement et le gouvernement';
+
+  assert.deepEqual(expansions.summarizeExpansions(session, 'bob', text, [
+    { key: 'gvt' }, { key: 'GVT' }, { key: 'gvt' }, { key: 'F3' }, { key: 'inconnu' },
+  ]), {
+    count: 3,
+    // 2 × (12 - 3) for the abbreviation, 21 - 1 for the macro
+    savedChars: 38,
+  });
+  assert.equal(expansions.summarizeExpansions(session, 'bob', 'rien à voir', [{ key: 'gvt' }]), null);
+  assert.equal(expansions.summarizeExpansions(session, 'bob', text, 'gvt'), null);
+});
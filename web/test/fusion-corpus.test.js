@@ -0,0 +1,48 @@
+/**
+ * Fusion corpus (scripts/fusion-corpus.json) with the default settings
+ *
+ * The same cases as `npm run eval:fusion`: hand-written pairs, not recorded lives.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/core.js';
+import { EVENTS } from '../src/store.js';
+import { loadCorpus, runCase, casesFromLog } from '../scripts/fusion-cases.js';
+
+const corpus = loadCorpus();
+
+for (const c of corpus.cases) {
+  test(`corpus: ${c.id}`, () => {
+    assert.equal(runCase(corpus, c, config.fusion).kept, c.expected);
+  });
+}
+
+test('casesFromLog: consecutive sent slots become timed cases', () => {
+  const slotStart = (slotIndex, startTimestamp) => ({ type: EVENTS.SLOT_START, slot: { slotIndex, startTimestamp } });
+  const caption = (slotIndex, text, videoTimestamp) => ({ type: EVENTS.CAPTION, caption: { slotIndex, text, videoTimestamp } });
+  const events = [
+    { type: EVENTS.SESSION_START, session: { id: 'log1', fragment: { slotDuration: 10, overlapDuration: 2 } } },
+    slotStart(0, 0),
+    caption(0, 'Bonjour à tous', 4000),
+    caption(0, 'la séance', 9500),
+    slotStart(1, 8000),
+    caption(1, 'la séance est ouverte', 11250),
+    { type: EVENTS.SLOT_FINAL, slotIndex: 0, finalText: 'Bonjour à tous la séance', overlapFromPrev: 0 },
+    { type: EVENTS.SLOT_FINAL, slotIndex: 1, finalText: 'est ouverte', overlapFromPrev: 2 },
+    // Never sent: no case
+    slotStart(2, 16000),
+    caption(2, 'Première question', 17000),
+  ];
+
+  const cases = casesFromLog(events, 'log1');
+  assert.deepEqual(cases, [{
+    id: 'log1-slot-1',
+    slotDuration: 10,
+    overlapDuration: 2,
+    prevCaptions: [{ text: 'Bonjour à tous', at: 4 }, { text: 'la séance', at: 9.5 }],
+    curCaptions: [{ text: 'la séance est ouverte', at: 3.3 }],
+    expected: 'est ouverte',
+  }]);
+  assert.equal(runCase(corpus, cases[0], config.fusion).ok, true);
+});
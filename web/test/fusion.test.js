@@ -0,0 +1,102 @@
+/**
+ * Overlap alignment between consecutive slots (src/fusion.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, detokenize, alignOverlap, timeTokens, stretchTimes, getWordTimes } from '../src/fusion.js';
+
+/** Slot and overlap durations (s): no token times, the windows are estimated */
+const SLOTS = { slotDuration: 8, overlapDuration: 2 };
+
+const align = (prev, cur, options = SLOTS) => alignOverlap(tokenize(prev), tokenize(cur), options);
+
+// ─── Tokens ──────────────────────────────────────────────────────────────────
+
+test('tokenize / detokenize: punctuation as tokens, glued back', () => {
+  assert.deepEqual(tokenize('Bonjour, monde!'), ['Bonjour', ',', 'monde', '!']);
+  assert.equal(detokenize(tokenize('Bonjour, monde!')), 'Bonjour, monde!');
+  assert.deepEqual(tokenize(''), []);
+  assert.equal(detokenize([]), '');
+});
+
+test('timeTokens: words spread between the previous caption and their send time', () => {
+  assert.deepEqual(timeTokens([
+    { text: 'Bonjour à tous', videoTimestamp: 3000 },
+    { text: 'merci.', videoTimestamp: 5000 },
+  ], 0), { tokens: ['Bonjour', 'à', 'tous', 'merci', '.'], times: [1000, 2000, 3000, 4000, 5000] });
+});
+
+test('stretchTimes / getWordTimes: one time per word', () => {
+  assert.deepEqual(stretchTimes([100, 200], 4), [100, 100, 200, 200]);
+  assert.deepEqual(stretchTimes(null, 3), []);
+  assert.deepEqual(getWordTimes(['Oui', ',', 'merci', '.'], [100, 100, 200, 200]), [100, 200]);
+});
+
+// ─── Alignment ───────────────────────────────────────────────────────────────
+
+test('alignOverlap: an empty slot has no overlap', () => {
+  assert.equal(align('', 'bonjour').overlapLength, 0);
+  assert.equal(align('bonjour', '').overlapLength, 0);
+  assert.equal(alignOverlap(null, null, SLOTS).overlapLength, 0);
+});
+
+test('alignOverlap: re-typed words at the start of slot N', () => {
+  const result = align('nous allons parler des éoliennes', 'parler des éoliennes en mer');
+  assert.equal(result.overlapLength, 3);
+  assert.equal(result.matches, 3);
+  assert.deepEqual(result.ops.map(s => s.op), ['match', 'match', 'match']);
+});
+
+test('alignOverlap: a typo still matches', () => {
+  const result = align('nous allons parler des éoliennes', 'parler des eoliennes en mer');
+  assert.equal(result.overlapLength, 3);
+  assert.equal(result.ops[2].op, 'match');
+  assert.ok(result.ops[2].sim < 1);
+});
+
+test('alignOverlap: a filler before the re-typed words goes with them', () => {
+  const result = align('capitale de la France. La France', 'euh la France est un grand pays');
+  assert.equal(result.overlapLength, 3);
+  assert.deepEqual(result.ops.map(s => s.op), ['lead', 'match', 'match']);
+});
+
+test('alignOverlap: punctuation after the re-typed words is removed too', () => {
+  const cur = tokenize('éoliennes, en mer');
+  const result = alignOverlap(tokenize('elle parle des éoliennes'), cur, SLOTS);
+  assert.equal(result.overlapLength, 2);
+  assert.equal(detokenize(cur.slice(result.overlapLength)), 'en mer');
+});
+
+test('alignOverlap: different texts have no overlap', () => {
+  assert.equal(align('le chat dort', 'un chien court dans le jardin').overlapLength, 0);
+});
+
+test('alignOverlap: more leading words than maxLeadSkip is not an overlap', () => {
+  assert.equal(align('ils mangent des pommes vertes', 'euh bon alors pommes vertes et rouges').overlapLength, 0);
+});
+
+test('alignOverlap: more words left in slot N-1 than maxTailSkip is not an overlap', () => {
+  const prev = 'nous allons parler des éoliennes marines et du vent';
+  const cur = 'parler des éoliennes marines en mer';
+  assert.equal(align(prev, cur).overlapLength, 0);
+  assert.equal(align(prev, cur, { ...SLOTS, maxTailSkip: 3 }).overlapLength, 4);
+});
+
+test('alignOverlap: a short word shared by chance stays below minScore', () => {
+  const result = align('il est venu de', 'de la campagne');
+  assert.equal(result.overlapLength, 0);
+  assert.equal(result.score, 1);
+});
+
+test('alignOverlap: token times restrict the compared window', () => {
+  const prev = tokenize('parler des éoliennes bla bla bla bla bla bla bla bla bla bla');
+  const cur = tokenize('parler des éoliennes en mer');
+  // Slot N-1 typed "parler des éoliennes" long before the overlap (10s)
+  const prevTimes = prev.map((_, k) => (k < 3 ? 0 : 9000 + k * 100));
+  const curTimes = cur.map((_, k) => 10000 + k * 300);
+  const result = alignOverlap(prev, cur, { ...SLOTS, prevTimes, curTimes, overlapStart: 10000, timeMarginSec: 1 });
+  assert.equal(result.window.timed, true);
+  assert.equal(result.window.prev, prev.length - 3);
+  assert.equal(result.overlapLength, 0);
+});
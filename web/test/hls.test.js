@@ -0,0 +1,284 @@
+/**
+ * HLS playlists and the WebVTT rendition, from playlists written like FFmpeg's (src/services.js)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config, createSessionState } from '../src/core.js';
+import * as services from '../src/services.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stc-hls-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/** Session whose HLS output is a temporary directory */
+function createTestSession(id) {
+  const session = createSessionState(id);
+  session.hlsDir = path.join(tmpDir, id);
+  services.ensureHlsDir(session);
+  return session;
+}
+
+/**
+ * Write the playlist of one rendition, as FFmpeg does
+ * @param {number[]} durations - Segment durations (s)
+ */
+function writeRendition(session, name, durations, mediaSequence = 0) {
+  const content = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${config.segmentDuration}`,
+    `#EXT-X-MEDIA-SEQUENCE:${mediaSequence}`,
+    ...durations.flatMap((d, i) => [`#EXTINF:${d.toFixed(6)},`, `seg${String(mediaSequence + i).padStart(5, '0')}.ts`]),
+  ].join('\n') + '\n';
+  fs.writeFileSync(path.join(session.hlsDir, name, config.sourcePlaylist), content);
+}
+
+/** Write the same playlist in every rendition */
+function writeStream(session, durations, mediaSequence = 0) {
+  for (const { name } of config.ffmpeg.ladder) writeRendition(session, name, durations, mediaSequence);
+}
+
+// ─── WebVTT rendition ────────────────────────────────────────────────────────
+
+test('getSubtitleSegment: cues of the segment interval, up to date with new captions', () => {
+  const session = createTestSession('subs');
+  writeStream(session, [2, 2, 2]);
+  const caption = (text, mediaTimestamp) => ({ text, videoTimestamp: mediaTimestamp, mediaTimestamp, slotDurationMs: 4000 });
+  session.fragment.fusedCaptions.push(caption('Bonjour.', 2500));
+
+  const first = services.getSubtitleSegment(session, 'seg00001');
+  assert.equal(first.error, null);
+  assert.match(first.content, /^WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00\.000\n/);
+  assert.match(first.content, /00:00:02\.500 --> 00:00:06\.500\nBonjour\.\n$/);
+  assert.doesNotMatch(services.getSubtitleSegment(session, 'seg00000').content, /-->/);
+
+  session.fragment.fusedCaptions.push(caption('Au revoir.', 3500));
+  assert.match(services.getSubtitleSegment(session, 'seg00001').content,
+    /00:00:02\.500 --> 00:00:03\.500\nBonjour\.\n\n00:00:03\.500 --> 00:00:07\.500\nAu revoir\.\n$/);
+
+  assert.equal(services.getSubtitleSegment(session, 'seg00009').error, 'Unknown segment');
+});
+
+// ─── Playlists ───────────────────────────────────────────────────────────────
+
+test('playlists date each segment from the media epoch once the live has started', () => {
+  const session = createTestSession('dated');
+  writeStream(session, [2, 2.5, 2], 10);
+  const rendition = config.ffmpeg.ladder[0].name;
+  assert.doesNotMatch(services.getLivePlaylist(session, rendition).content, /PROGRAM-DATE-TIME/);
+
+  session.mediaEpochMs = Date.UTC(2026, 0, 1, 12, 0, 0);
+  const dates = services.getLivePlaylist(session, rendition).content.match(/#EXT-X-PROGRAM-DATE-TIME:.*/g);
+  assert.deepEqual(dates, [
+    '#EXT-X-PROGRAM-DATE-TIME:2026-01-01T12:00:00.000Z',
+    '#EXT-X-PROGRAM-DATE-TIME:2026-01-01T12:00:02.000Z',
+    '#EXT-X-PROGRAM-DATE-TIME:2026-01-01T12:00:04.500Z',
+  ]);
+});
+
+// ─── Ladder ──────────────────────────────────────────────────────────────────
+
+const RUNGS = config.ffmpeg.ladder.map(rung => rung.name);
+
+test('master playlist: one variant per rung, the subtitle group when asked', () => {
+  const session = createTestSession('master');
+  assert.equal(services.getMasterPlaylist(session, 'delayed.m3u8').error, 'No manifest');
+  writeStream(session, [2, 2]);
+
+  const { content } = services.getMasterPlaylist(session, 'delayed.m3u8', true);
+  const lines = content.trim().split('\n');
+  assert.equal(lines.filter(l => l.startsWith('#EXT-X-MEDIA:TYPE=SUBTITLES')).length, 1);
+  assert.match(lines.find(l => l.startsWith('#EXT-X-MEDIA')), new RegExp(`URI="${config.subtitlePlaylist}"`));
+  assert.deepEqual(lines.filter(l => !l.startsWith('#')), RUNGS.map(name => `${name}/delayed.m3u8`));
+  // 3000k video + 128k audio
+  assert.match(lines[lines.indexOf(`${RUNGS[0]}/delayed.m3u8`) - 1], /^#EXT-X-STREAM-INF:BANDWIDTH=3128000,.*SUBTITLES="subs"$/);
+
+  assert.doesNotMatch(services.getMasterPlaylist(session, 'live.m3u8').content, /SUBTITLES/);
+});
+
+test('renditions: trimmed to the segments all of them have, on the reference times', () => {
+  const session = createTestSession('ladder');
+  session.mediaEpochMs = 0;
+  // The first rung already has its newest segment; another one rounds its durations differently
+  writeRendition(session, RUNGS[0], Array(20).fill(2));
+  writeRendition(session, RUNGS[1], Array(19).fill(2.002));
+  for (const name of RUNGS.slice(2)) writeRendition(session, name, Array(19).fill(2));
+
+  assert.equal(services.getHlsStatus(session).segmentCount, 19);
+  const playlists = RUNGS.map(name => services.getDelayedPlaylist(session, 20, name).content);
+  const tail = (content) => content.split('\n').filter(l => l.startsWith('#EXT-X-PROGRAM-DATE-TIME') || l.endsWith('.ts')).slice(-2);
+  assert.deepEqual(tail(playlists[0]), ['#EXT-X-PROGRAM-DATE-TIME:1970-01-01T00:00:18.000Z', 'seg00009.ts']);
+  for (const content of playlists.slice(1)) assert.deepEqual(tail(content), tail(playlists[0]));
+  assert.match(playlists[1], /#EXTINF:2\.002000,/);
+
+  assert.equal(services.getDelayedPlaylist(session, 20, '1080p').error, 'Unknown rendition');
+  assert.equal(services.getLivePlaylist(session, '1080p').error, 'Unknown rendition');
+});
+
+// ─── Delayed window ──────────────────────────────────────────────────────────
+
+/** 90s of media in segments of 2s and 4s, alternately */
+const UNEVEN = Array.from({ length: 30 }, (_, i) => (i % 2 ? 4 : 2));
+
+const lastUri = (content) => content.trim().split('\n').at(-1);
+
+test('delayed playlist: the delay is media time, the edge kept at the minimum delay', () => {
+  const session = createTestSession('delay-window');
+  writeStream(session, UNEVEN);
+  session.delaySec = 40;
+  assert.equal(services.getMinSpectatorDelaySec(session), 36);
+
+  // Position at 50s; the hold-back would reach 56s, the minimum delay stops at 54s
+  assert.deepEqual(services.getEffectiveDelay(session), { effectiveDelaySec: 40, edgeDelaySec: 36 });
+  const { content } = services.getDelayedPlaylist(session, 40, config.ffmpeg.ladder[0].name);
+  assert.match(content, /#EXT-X-START:TIME-OFFSET=-4\.000,PRECISE=YES\n/);
+  assert.equal(lastUri(content), 'seg00017.ts');
+});
+
+test('delayed playlist: below the minimum delay, it still ends past the position', () => {
+  const session = createTestSession('delay-short');
+  writeStream(session, UNEVEN);
+  session.delaySec = 20;
+
+  // Position at 70s, in the segment 68-72s
+  assert.deepEqual(services.getEffectiveDelay(session), { effectiveDelaySec: 20, edgeDelaySec: 18 });
+  const { content } = services.getDelayedPlaylist(session, 20, config.ffmpeg.ladder[0].name);
+  assert.match(content, /TIME-OFFSET=-2\.000/);
+  assert.equal(lastUri(content), 'seg00023.ts');
+});
+
+test('delayed playlist: starts spectatorDvrWindow before the position, waits for enough media', () => {
+  const session = createTestSession('delay-dvr');
+  writeStream(session, Array(100).fill(2), 500);
+  // Position at 160s: the window starts at 40s (segment 20)
+  const { content } = services.getDelayedPlaylist(session, 40, config.ffmpeg.ladder[0].name);
+  assert.match(content, new RegExp(`#EXT-X-MEDIA-SEQUENCE:${500 + (160 - config.spectatorDvrWindow) / 2}\n`));
+
+  assert.equal(services.getDelayedPlaylist(session, 201, config.ffmpeg.ladder[0].name).error, 'Not enough segments');
+  session.delaySec = 201;
+  assert.deepEqual(services.getEffectiveDelay(session), { effectiveDelaySec: null, edgeDelaySec: null });
+});
+
+// ─── Low latency ─────────────────────────────────────────────────────────────
+
+const PARTS_PER_SEGMENT = config.segmentDuration / config.lowLatency.partDuration;
+
+/** Session with a partial segment run, its parts playlist written like FFmpeg's */
+function createLowLatencySession(id) {
+  const session = createTestSession(id);
+  session.lowLatency = { firstPart: 0, mediaStartMs: 0, discontinuitySeq: 0 };
+  return session;
+}
+
+/** Write FFmpeg's playlist of parts `first`..`last` */
+function writeParts(session, first, last) {
+  const content = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:7',
+    '#EXT-X-TARGETDURATION:1',
+    `#EXT-X-MEDIA-SEQUENCE:${first}`,
+    '#EXT-X-MAP:URI="init0.mp4"',
+    ...Array.from({ length: last - first + 1 }, (_, k) => [
+      `#EXTINF:${config.lowLatency.partDuration.toFixed(6)},`,
+      `part${String(first + k).padStart(5, '0')}.m4s`,
+    ]).flat(),
+  ].join('\n') + '\n';
+  fs.writeFileSync(path.join(session.hlsDir, config.lowLatency.dir, config.lowLatency.partsPlaylist), content);
+}
+
+/** Let a held reload run its next poll */
+async function poll(t) {
+  t.mock.timers.tick(config.lowLatency.pollIntervalMs);
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+test('low-latency playlist: parts grouped into segments, the head rotated out skipped', async () => {
+  const session = createLowLatencySession('ll-playlist');
+  // Parts 2-3 end a segment whose start FFmpeg already deleted; 3 segments follow, the last one growing
+  writeParts(session, 2, 2 + PARTS_PER_SEGMENT * 3 - 1);
+
+  const { content, error } = await services.getLowLatencyPlaylist(session);
+  assert.equal(error, null);
+  const lines = content.trim().split('\n');
+  assert.ok(lines.includes('#EXT-X-MEDIA-SEQUENCE:1'));
+  assert.ok(lines.includes('#EXT-X-MAP:URI="ll/init0.mp4"'));
+  assert.deepEqual(lines.filter(l => !l.startsWith('#EXT-X-PART:') && (l.startsWith('#EXTINF') || l.endsWith('.m4s'))), [
+    '#EXTINF:2.000,', 'll/seg00001.m4s',
+    '#EXTINF:2.000,', 'll/seg00002.m4s',
+  ]);
+  const parts = lines.filter(l => l.startsWith('#EXT-X-PART:'));
+  assert.equal(parts.length, PARTS_PER_SEGMENT * 2 + 2);
+  assert.equal(parts[0], '#EXT-X-PART:DURATION=0.500,URI="ll/part00004.m4s",INDEPENDENT=YES');
+  assert.equal(parts.at(-1), '#EXT-X-PART:DURATION=0.500,URI="ll/part00013.m4s"');
+
+  assert.equal(services.getLowLatencySegment(session, 3).error, 'Unknown segment');
+});
+
+test('low-latency playlist: a blocking reload waits for its part, sees the playlist rewritten', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const session = createLowLatencySession('ll-blocking');
+  writeParts(session, 0, 5);
+
+  // Segment 1, part 3 = part 7
+  let done = null;
+  const pending = services.getLowLatencyPlaylist(session, 1, 3).then(result => { done = result; });
+  await poll(t);
+  assert.equal(done, null);
+
+  writeParts(session, 0, 7);
+  await poll(t);
+  await pending;
+  assert.equal(done.error, null);
+  assert.match(done.content, /URI="ll\/part00007\.m4s"/);
+
+  assert.equal((await services.getLowLatencyPlaylist(session, 9)).status, 400);
+});
+
+test('low-latency playlist: a held reload ends at the timeout or when the request closes', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const session = createLowLatencySession('ll-held');
+  writeParts(session, 0, 5);
+
+  let timedOut = null;
+  services.getLowLatencyPlaylist(session, 2).then(result => { timedOut = result; });
+  for (let ms = 0; ms <= config.lowLatency.blockTimeoutMs && !timedOut; ms += config.lowLatency.pollIntervalMs) await poll(t);
+  assert.deepEqual(timedOut, { content: null, error: 'Part not available yet', status: 503 });
+
+  const closed = new AbortController();
+  let aborted = null;
+  services.getLowLatencyPlaylist(session, 2, null, closed.signal).then(result => { aborted = result; });
+  await poll(t);
+  assert.equal(aborted, null);
+  closed.abort();
+  await poll(t);
+  assert.equal(aborted.status, 499);
+});
+
+// ─── Transcript ──────────────────────────────────────────────────────────────
+
+test('transcript: held back past the delayed window during the live, whole once stopped', () => {
+  const session = createTestSession('transcript');
+  writeStream(session, Array(60).fill(2));
+  session.delaySec = 40;
+  session.mediaEpochMs = 1000;
+  session.ffmpegProc = {}; // Live running
+  const caption = (text, mediaTimestamp) => ({ text, videoTimestamp: mediaTimestamp, mediaTimestamp, slotDurationMs: 4000 });
+  session.fragment.fusedCaptions.push(caption('Bonjour.', 10000), caption('Presque.', 83000), caption('Trop tôt.', 90000));
+
+  // Position at 80s, the delayed window ends at 84s
+  const live = services.getTranscript(session);
+  assert.equal(live.live, true);
+  assert.equal(live.epochMs, 1000);
+  assert.deepEqual(live.cues.map(c => [c.start, c.text]), [[10000, 'Bonjour.'], [83000, 'Presque.']]);
+  assert.deepEqual(services.getTranscript(session, 10001).cues.map(c => c.text), ['Presque.']);
+
+  session.fragment.fusedCaptions.push(caption('Encore.', 50000));
+  assert.deepEqual(services.getTranscript(session).cues.map(c => c.text), ['Bonjour.', 'Encore.', 'Presque.']);
+
+  session.ffmpegProc = null;
+  const stopped = services.getTranscript(session);
+  assert.deepEqual([stopped.live, stopped.epochMs, stopped.cues.length], [false, null, 4]);
+});
@@ -0,0 +1,70 @@
+/**
+ * Live sources: validation of the start body and FFmpeg input arguments (src/ingest.js)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config, createSession } from '../src/core.js';
+import { resolveLiveSource, buildInputArgs, getPublishUrls, isListenerSource, describeSource } from '../src/ingest.js';
+
+const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stc-ingest-'));
+config.media = mediaDir;
+fs.writeFileSync(path.join(mediaDir, 'clip.mp4'), '');
+after(() => fs.rmSync(mediaDir, { recursive: true, force: true }));
+
+const room = createSession('room');
+const other = createSession('other');
+
+test('resolveLiveSource: uploaded file, legacy body', () => {
+  assert.deepEqual(resolveLiveSource(room, { source: '/media/clip.mp4' }),
+    { source: { kind: 'file', path: path.join(mediaDir, 'clip.mp4') }, error: null });
+  assert.equal(resolveLiveSource(room, {}).error, 'Source required');
+  assert.equal(resolveLiveSource(room, { source: 'missing.mp4' }).error, 'File not found');
+  assert.match(resolveLiveSource(room, { ingest: 'ndi' }).error, /^Invalid ingest/);
+});
+
+test('resolveLiveSource: remote URL, stream protocols only', () => {
+  assert.deepEqual(resolveLiveSource(room, { ingest: 'url', url: 'srt://encoder.local:9000?streamid=x' }).source,
+    { kind: 'url', url: 'srt://encoder.local:9000?streamid=x' });
+  assert.equal(resolveLiveSource(room, { ingest: 'url', url: 'not a url' }).error, 'Valid URL required');
+  assert.match(resolveLiveSource(room, { ingest: 'url', url: 'file:///etc/passwd' }).error, /^Unsupported protocol/);
+});
+
+test('resolveLiveSource: a listener port serves one live session at a time', () => {
+  assert.deepEqual(resolveLiveSource(room, { ingest: 'rtmp' }), { source: { kind: 'rtmp' }, error: null });
+
+  other.ffmpegProc = {};
+  other.ingest = { kind: 'rtmp' };
+  const busy = resolveLiveSource(room, { ingest: 'rtmp' });
+  assert.equal(busy.status, 409);
+  assert.match(busy.error, /used by session "other"/);
+  // Its own port, and the other listener
+  assert.equal(resolveLiveSource(other, { ingest: 'rtmp' }).error, null);
+  assert.equal(resolveLiveSource(room, { ingest: 'srt' }).error, null);
+  other.ffmpegProc = null;
+  other.ingest = null;
+});
+
+test('buildInputArgs: native speed for files, listeners with a read timeout', () => {
+  const { rtmpPort, srtPort } = config.ingest;
+  assert.deepEqual(buildInputArgs(room, { kind: 'file', path: '/m/clip.mp4' }), ['-re', '-i', '/m/clip.mp4']);
+  assert.deepEqual(buildInputArgs(room, { kind: 'rtmp' }),
+    ['-rw_timeout', '5000000', '-listen', '1', '-i', `rtmp://0.0.0.0:${rtmpPort}/live/room`]);
+  assert.deepEqual(buildInputArgs(room, { kind: 'srt' }),
+    ['-i', `srt://0.0.0.0:${srtPort}?mode=listener&peer_idle_timeout=5000000`]);
+  assert.deepEqual(buildInputArgs(room, { kind: 'url', url: 'rtsp://cam/1' }), ['-rw_timeout', '5000000', '-i', 'rtsp://cam/1']);
+});
+
+test('getPublishUrls / isListenerSource / describeSource', () => {
+  assert.deepEqual(getPublishUrls(room, 'studio.local'), {
+    rtmp: `rtmp://studio.local:${config.ingest.rtmpPort}/live/room`,
+    srt: `srt://studio.local:${config.ingest.srtPort}?streamid=room`,
+  });
+  assert.equal(isListenerSource({ kind: 'srt' }), true);
+  assert.equal(isListenerSource({ kind: 'url' }), false);
+  assert.equal(describeSource({ kind: 'file', path: '/m/clip.mp4' }), 'clip.mp4');
+  assert.equal(describeSource({ kind: 'rtmp' }), 'rtmp-ingest');
+});
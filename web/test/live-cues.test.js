@@ -0,0 +1,101 @@
+/**
+ * Live delivery (caption:word, src/services.js) and exports (buildCues) give the same cues
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionState } from '../src/core.js';
+import { buildCues } from '../src/subtitles.js';
+import * as services from '../src/services.js';
+
+/** Spectator socket of the session, keeping what it receives */
+function addSpectator(session) {
+  const ws = {
+    readyState: 1,
+    sessionId: session.id,
+    clientType: 'spectator',
+    received: [],
+    send(data) { this.received.push(JSON.parse(data)); },
+  };
+  services.addClient(ws);
+  return ws;
+}
+
+/** Cues as a spectator rebuilds them from caption:word messages */
+function receivedCues(ws) {
+  const cues = new Map();
+  for (const { type, caption } of ws.received) {
+    if (type !== 'caption:word') continue;
+    const cue = cues.get(caption.id) || { start: caption.wordTimestamp, lines: caption.lines, wordTimes: [] };
+    cue.wordTimes.push(caption.wordTimestamp);
+    if (caption.isLast) cue.end = caption.wordTimestamp + caption.holdMs;
+    cues.set(caption.id, cue);
+  }
+  return Array.from(cues.values()).sort((a, b) => a.start - b.start);
+}
+
+test('live cues start like the exported cues, with the same lines', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+
+  const session = createSessionState('live-cues');
+  session.fragment.slotDuration = 10;
+  const ws = addSpectator(session);
+  t.after(() => services.removeClient(ws));
+
+  // Slots of 10s every 8s (2s overlap); already due for the spectators (no delay to wait)
+  const startTime = Date.now() - 60000;
+  const slot = (slotIndex, startTimestamp, wordTimestamps = null) => ({
+    slotIndex, startTimestamp, startTime: startTime + startTimestamp, subtitlerName: 'alice', wordTimestamps,
+  });
+  const slots = [
+    // Typed late in the slot: its reading time runs over the start of the next slot
+    slot(0, 0, [6000, 6100, 6200, 6300, 6400, 6500, 6600, 6700, 6800, 6900, 7000, 7100]),
+    slot(1, 8000),
+    slot(2, 16000),
+  ];
+  const texts = [
+    'Bonjour à tous et bienvenue dans cette émission consacrée à la transition énergétique.',
+    "Aujourd'hui, nous allons parler des éoliennes en mer.",
+    'Vous êtes prêts ?',
+  ];
+
+  // The same delivery as live, one slot after the other
+  slots.forEach((s, i) => services.deliverCaption(session, s, texts[i], slots[i + 1] || null, 0));
+  t.mock.timers.tick(60000);
+
+  const live = receivedCues(ws);
+  const exported = buildCues(session.fragment.fusedCaptions);
+  assert.equal(live.length, exported.length);
+  assert.deepEqual(live.map(c => [c.start, c.lines]), exported.map(c => [c.start, c.lines]));
+  // The second slot waits for the end of the first one's last cue
+  assert.ok(exported.find(c => c.lines[0].startsWith("Aujourd'hui")).start > 8000);
+  live.forEach((cue, i) => {
+    // Every word shows up while the exported cue is on screen
+    assert.ok(cue.wordTimes.every(t => t >= exported[i].start && t < exported[i].end), `cue ${i}: ${cue.wordTimes}`);
+    // The cue stays at least until its exported end (the reading time after its last word, for pop-on)
+    assert.ok(cue.end >= exported[i].end, `cue ${i} ends at ${cue.end} < ${exported[i].end}`);
+  });
+});
+
+test('live cues end at the next slot like the exports', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+
+  const session = createSessionState('live-cues-overlap');
+  session.fragment.slotDuration = 10;
+  const ws = addSpectator(session);
+  t.after(() => services.removeClient(ws));
+
+  // Slots of 10s every 6s: the first caption is cut when the second one starts
+  const startTime = Date.now() - 60000;
+  const slots = [0, 6000].map((startTimestamp, slotIndex) => ({
+    slotIndex, startTimestamp, startTime: startTime + startTimestamp, subtitlerName: 'bob', wordTimestamps: null,
+  }));
+  const texts = ['Bonjour.', 'Au revoir.'];
+  slots.forEach((s, i) => services.deliverCaption(session, s, texts[i], slots[i + 1] || null, 0));
+  t.mock.timers.tick(60000);
+
+  const live = receivedCues(ws);
+  const exported = buildCues(session.fragment.fusedCaptions);
+  assert.deepEqual(live.map(({ start, end, lines }) => ({ start, end, lines })), exported);
+  assert.equal(live[0].end, 6000);
+});
@@ -0,0 +1,84 @@
+/**
+ * Per-subtitler metrics of a run (src/metrics.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSubtitlerMetrics } from '../src/metrics.js';
+
+/** Ended slot of 30s started at `startTime` */
+const slot = (subtitlerId, startTime, captions, extra = {}) => ({
+  slotIndex: startTime / 25000, subtitlerId, subtitlerName: subtitlerId, startTime, endTime: startTime + 30000, captions, ...extra,
+});
+const caption = (text, createdAt, autoSent = false) => ({ text, createdAt, autoSent });
+
+test('words per minute, first caption latency and auto-sent share', () => {
+  const { subtitlers: [alice] } = computeSubtitlerMetrics([
+    slot('alice', 0, [caption('Bonjour à tous, bienvenue !', 4000), caption('On commence', 20000, true)]),
+    slot('alice', 50000, [caption('Première question', 52000)]),
+  ], 30);
+
+  assert.equal(alice.slots, 2);
+  // "!" is not a word
+  assert.equal(alice.words, 8);
+  assert.equal(alice.wpm, 8);
+  assert.equal(alice.avgFirstCaptionLatencyMs, 3000);
+  assert.equal(alice.autoWords, 2);
+  assert.equal(alice.manualWords, 6);
+  assert.equal(alice.autoShare, 0.25);
+});
+
+test('empty slots, overlap trimmed words and totals', () => {
+  const { subtitlers, totals } = computeSubtitlerMetrics([
+    slot('alice', 0, [caption('un deux trois quatre', 1000)]),
+    slot('bob', 25000, [caption('trois quatre cinq six', 26000)], { overlapFromPrev: 2 }),
+    slot('alice', 50000, []),
+    slot(null, 75000, [caption('sans sous-titreur', 76000)]),
+  ], 30);
+
+  const [alice, bob] = subtitlers;
+  assert.deepEqual(subtitlers.map(s => s.subtitlerId), ['alice', 'bob']);
+  assert.equal(alice.emptySlots, 1);
+  assert.equal(alice.emptySlotRate, 0.5);
+  assert.equal(alice.avgFirstCaptionLatencyMs, 1000);
+  assert.equal(bob.overlapTrimmedWords, 2);
+  assert.equal(bob.overlapTrimmedRate, 0.5);
+  assert.equal(totals.slots, 3);
+  assert.equal(totals.words, 8);
+  assert.equal(totals.emptySlots, 1);
+});
+
+test('an open slot counts up to now and is not empty yet', () => {
+  const open = { ...slot('alice', 0, []), endTime: null };
+  const { subtitlers: [alice] } = computeSubtitlerMetrics([open], 30, 15000);
+  assert.equal(alice.emptySlots, 0);
+  assert.equal(alice.wpm, 0);
+  assert.equal(alice.avgFirstCaptionLatencyMs, null);
+  assert.equal(alice.emptySlotRate, 0);
+
+  // Words over 15s of video: 4 words = 16 wpm
+  const typing = { ...open, captions: [caption('un deux trois quatre', 5000)] };
+  assert.equal(computeSubtitlerMetrics([typing], 30, 15000).subtitlers[0].wpm, 16);
+});
+
+test('words fixed by autocorrect', () => {
+  const { subtitlers: [alice] } = computeSubtitlerMetrics([
+    slot('alice', 0, [caption('Le chat dort très bien', 1000)], { autocorrect: { corrections: [{ from: 'chqt', to: 'chat' }] } }),
+    slot('alice', 50000, [caption('Il fait beau', 51000)]),
+  ], 30);
+  assert.equal(alice.autocorrectedWords, 1);
+  assert.equal(alice.autocorrectedRate, 0.125);
+});
+
+test('expansions and the share of the text they produced', () => {
+  const { subtitlers: [alice] } = computeSubtitlerMetrics([
+    slot('alice', 0, [
+      { ...caption('le gouvernement parle', 1000), expansions: { count: 1, savedChars: 9 } },
+      caption('ensuite', 9000),
+    ]),
+  ], 30);
+  assert.equal(alice.expansions, 1);
+  assert.equal(alice.expansionSavedChars, 9);
+  // 9 of the 28 characters
+  assert.equal(alice.expansionShare, 0.321);
+});
@@ -0,0 +1,97 @@
+/**
+ * Caption correction queue between fusion and spectators (src/services.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionState } from '../src/core.js';
+import * as services from '../src/services.js';
+
+/** Session in moderation mode, with a spectator keeping the caption words it receives */
+function createModeratedSession(t, id) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const session = createSessionState(id);
+  session.moderation.enabled = true;
+  session.fragment.slotDuration = 10;
+
+  const spectator = {
+    readyState: 1,
+    sessionId: session.id,
+    clientType: 'spectator',
+    words: [],
+    send(data) {
+      const msg = JSON.parse(data);
+      if (msg.type === 'caption:word') this.words.push(msg.caption.word);
+    },
+  };
+  services.addClient(spectator);
+  t.after(() => services.removeClient(spectator));
+  return { session, spectator };
+}
+
+/** Deliver one fused text per slot, slots 8s apart, due for spectators in a minute */
+function deliverSlots(session, texts) {
+  const startTime = Date.now() + 60000 - session.delaySec * 1000;
+  const slots = texts.map((_, slotIndex) => ({
+    slotIndex, startTimestamp: slotIndex * 8000, startTime: startTime + slotIndex * 8000, subtitlerName: 'alice', wordTimestamps: null,
+  }));
+  slots.forEach((slot, i) => services.deliverCaption(session, slot, texts[i], slots[i + 1] || null, 0));
+  return services.getModerationQueue(session).map(item => item.id);
+}
+
+const fusedTexts = (session) => session.fragment.fusedCaptions.map(c => c.text);
+
+test('captions wait in the queue until approved', (t) => {
+  const { session, spectator } = createModeratedSession(t, 'moderation');
+  const [id] = deliverSlots(session, ['Bonjour à tous']);
+
+  assert.deepEqual(services.getModerationQueue(session).map(i => [i.slotIndex, i.text, i.approved]), [[0, 'Bonjour à tous', false]]);
+  assert.deepEqual(fusedTexts(session), []);
+
+  assert.equal(services.editModeratedCaption(session, id, 'Bonjour à toutes', 'boss'), true);
+  assert.equal(services.releaseModeratedCaption(session, id, { username: 'boss' }), true);
+  assert.equal(services.releaseModeratedCaption(session, id, { username: 'boss' }), false);
+  t.mock.timers.tick(120000);
+
+  const [caption] = session.fragment.fusedCaptions;
+  assert.equal(caption.text, 'Bonjour à toutes');
+  assert.equal(caption.originalText, 'Bonjour à tous');
+  assert.deepEqual([caption.moderation.status, caption.moderation.reviewedBy, caption.moderation.editedBy], ['edited', 'boss', 'boss']);
+  assert.deepEqual(spectator.words, ['Bonjour', 'à', 'toutes']);
+});
+
+test('an approved caption waits for the earlier ones, spectators get them in slot order', (t) => {
+  const { session, spectator } = createModeratedSession(t, 'moderation-order');
+  const [first, second, third] = deliverSlots(session, ['un', 'deux', 'trois']);
+
+  // Approved out of order: the third one is held
+  assert.equal(services.releaseModeratedCaption(session, third, { text: 'TROIS', username: 'boss' }), true);
+  assert.deepEqual(fusedTexts(session), []);
+  assert.deepEqual(services.getModerationQueue(session).map(i => i.approved), [false, false, true]);
+  assert.equal(services.editModeratedCaption(session, third, 'trois ?', 'boss'), false);
+
+  services.releaseModeratedCaption(session, first, { username: 'boss' });
+  assert.deepEqual(fusedTexts(session), ['un']);
+
+  services.releaseModeratedCaption(session, second, { username: 'boss' });
+  assert.deepEqual(fusedTexts(session), ['un', 'deux', 'TROIS']);
+  assert.deepEqual(services.getModerationQueue(session), []);
+
+  t.mock.timers.tick(120000);
+  assert.deepEqual(spectator.words, ['un', 'deux', 'TROIS']);
+});
+
+test('a deadline releases its caption and the approved ones behind it', (t) => {
+  const { session } = createModeratedSession(t, 'moderation-timeout');
+  const [, second] = deliverSlots(session, ['un', 'deux', 'trois']);
+  services.releaseModeratedCaption(session, second, { username: 'boss' });
+
+  // Deadline of the first slot (due in a minute, released a margin before)
+  t.mock.timers.tick(59500);
+  assert.deepEqual(fusedTexts(session), ['un', 'deux']);
+  assert.deepEqual(session.fragment.fusedCaptions.map(c => c.moderation.status), ['timeout', 'approved']);
+  assert.equal(services.getModerationQueue(session).length, 1);
+
+  services.flushModerationQueue(session);
+  assert.deepEqual(fusedTexts(session), ['un', 'deux', 'trois']);
+});
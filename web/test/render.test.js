@@ -0,0 +1,65 @@
+/**
+ * Post-live render: what is checked before FFmpeg starts (src/render.js)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config, createSessionState } from '../src/core.js';
+import { startRender, describeRenderJob, getRenderOutput } from '../src/render.js';
+
+const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stc-render-'));
+config.media = mediaDir;
+fs.writeFileSync(path.join(mediaDir, 'clip.mp4'), '');
+after(() => fs.rmSync(mediaDir, { recursive: true, force: true }));
+
+/** Session after a live of `source`, with its fused captions */
+function endedSession(source, fusedCaptions = []) {
+  const session = createSessionState('render');
+  session.lastSource = source;
+  session.fragment.fusedCaptions = fusedCaptions;
+  return session;
+}
+
+const refusal = (session, mode) => {
+  try {
+    startRender(session, mode);
+  } catch (e) {
+    return { status: e.status, message: e.message };
+  }
+  assert.fail('render started');
+};
+
+test('startRender: refused with an HTTP status before anything is spawned', () => {
+  const captions = [{ text: 'Bonjour.', videoTimestamp: 0, slotDurationMs: 8000 }];
+
+  assert.deepEqual(refusal(endedSession('clip.mp4', captions), 'hard'), { status: 400, message: 'Invalid mode (soft, burn)' });
+  assert.equal(refusal(endedSession(null, captions)).status, 400);
+  assert.match(refusal(endedSession('other.mp4', captions)).message, /not found: other\.mp4/);
+  assert.match(refusal(endedSession('clip.mp4', [{ text: '  ', videoTimestamp: 0 }])).message, /No captions/);
+
+  const live = endedSession('clip.mp4', captions);
+  live.ffmpegProc = {};
+  assert.equal(refusal(live, 'burn').status, 409);
+  assert.equal(live.renderJob, null);
+});
+
+test('describeRenderJob / getRenderOutput: output only once done', () => {
+  const session = endedSession('clip.mp4');
+  assert.equal(describeRenderJob(null), null);
+  assert.equal(getRenderOutput(session), null);
+
+  const outputPath = path.join(mediaDir, 'render_subtitled.mp4');
+  fs.writeFileSync(outputPath, '');
+  session.renderJob = { id: 'render_subtitled', mode: 'soft', status: 'running', outputPath, proc: {} };
+  assert.equal(describeRenderJob(session.renderJob).output, null);
+  assert.equal(getRenderOutput(session), null);
+
+  session.renderJob.status = 'done';
+  const described = describeRenderJob(session.renderJob);
+  assert.equal(described.output, 'render_subtitled.mp4');
+  assert.equal('proc' in described || 'outputPath' in described, false);
+  assert.equal(getRenderOutput(session), outputPath);
+});
@@ -0,0 +1,107 @@
+/**
+ * Archived runs and their replay (src/services.js)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The config reads these when core.js is first imported
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stc-replay-'));
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.ARCHIVE_DIR = path.join(tmpDir, 'archive');
+
+const { config, createSessionState } = await import('../src/core.js');
+const services = await import('../src/services.js');
+const store = await import('../src/store.js');
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const RUNGS = config.ffmpeg.ladder.map(rung => rung.name);
+
+/**
+ * Record a run of `segmentCount` segments of 2s with one fused caption, then stop it
+ * (no FFmpeg process: the stop archives right away)
+ * @returns {Promise<string>} Log id of the run
+ */
+async function recordRun(session, segmentCount, caption) {
+  session.hlsDir = path.join(tmpDir, 'hls', session.id);
+  services.ensureHlsDir(session);
+  const playlist = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${config.segmentDuration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    ...Array.from({ length: segmentCount }, (_, i) => ['#EXTINF:2.000000,', `seg${String(i).padStart(5, '0')}.ts`]).flat(),
+  ].join('\n') + '\n';
+  for (const name of RUNGS) fs.writeFileSync(path.join(session.hlsDir, name, config.sourcePlaylist), playlist);
+
+  const logId = store.openSession(session, { source: 'test.mp4' });
+  session.lastSource = 'test.mp4';
+  session.mediaEpochMs = Date.UTC(2026, 0, 1);
+  store.record(session, store.EVENTS.FUSED, {
+    caption: { text: caption, videoTimestamp: 2500, mediaTimestamp: 2500, slotDurationMs: 4000 },
+  });
+  await services.stopLive(session);
+  return logId;
+}
+
+test('a stopped run is archived with VOD playlists and replays its captions', async () => {
+  const session = createSessionState('replay');
+  const logId = await recordRun(session, 3, 'Bonjour.');
+
+  const [archive] = services.listArchives(session);
+  assert.equal(archive.logId, logId);
+  assert.equal(archive.source, 'test.mp4');
+  assert.equal(archive.segmentCount, 3);
+  assert.equal(archive.durationSec, 6);
+  assert.deepEqual(archive.renditions, RUNGS);
+  // The HLS directory is free for the next run
+  assert.deepEqual(fs.readdirSync(session.hlsDir), []);
+
+  const dir = path.join(config.archiveDir, session.id, logId);
+  const vod = fs.readFileSync(path.join(dir, RUNGS[1], config.vodPlaylist), 'utf8');
+  assert.match(vod, /#EXT-X-PLAYLIST-TYPE:VOD\n/);
+  assert.match(vod, /#EXT-X-PROGRAM-DATE-TIME:2026-01-01T00:00:04\.000Z\n#EXTINF:2\.000000,\nseg00002\.ts\n#EXT-X-ENDLIST\n$/);
+  assert.match(fs.readFileSync(path.join(dir, config.masterPlaylist), 'utf8'), new RegExp(`URI="${config.subtitlePlaylist}"`));
+
+  const subs = services.getReplaySubtitlePlaylist(session, logId).content;
+  assert.deepEqual(subs.split('\n').filter(l => l.endsWith('.vtt')), ['subs/seg00000.vtt', 'subs/seg00001.vtt', 'subs/seg00002.vtt']);
+  assert.match(subs, /#EXT-X-ENDLIST\n$/);
+  assert.match(services.getReplaySubtitleSegment(session, logId, 'seg00001').content, /00:00:02\.500 --> 00:00:06\.500\nBonjour\.\n$/);
+
+  assert.equal(services.getReplaySubtitlePlaylist(session, 'nope').error, 'Unknown archive');
+});
+
+test('a run without segments is not archived', async () => {
+  const session = createSessionState('replay-empty');
+  await recordRun(session, 0, 'Rien.');
+  assert.deepEqual(services.listArchives(session), []);
+});
+
+test('replay captions: the least recently used archives leave the cache', async (t) => {
+  const session = createSessionState('replay-cache');
+  const [first, second, third] = [
+    await recordRun(session, 2, 'Un.'),
+    await recordRun(session, 2, 'Deux.'),
+    await recordRun(session, 2, 'Trois.'),
+  ];
+  const previousSize = config.replayCacheSize;
+  config.replayCacheSize = 2;
+  t.after(() => { config.replayCacheSize = previousSize; });
+
+  const segment = (logId) => services.getReplaySubtitleSegment(session, logId, 'seg00001');
+  segment(first);
+  segment(second);
+  segment(first);
+  // Held in memory: still served once its files are gone
+  for (const logId of [first, second]) fs.rmSync(path.join(config.archiveDir, session.id, logId), { recursive: true });
+  assert.match(segment(second).content, /Deux\./);
+
+  // A third archive evicts the least recently used one (first)
+  assert.match(segment(third).content, /Trois\./);
+  assert.match(segment(second).content, /Deux\./);
+  assert.equal(segment(first).error, 'Unknown archive');
+});
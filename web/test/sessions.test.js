@@ -0,0 +1,63 @@
+/**
+ * Sessions (rooms): registry and per-session state and broadcasts (src/core.js, src/services.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  sessions, createSession, getSession, getDefaultSession, DEFAULT_SESSION_ID, SESSION_ID_PATTERN,
+} from '../src/core.js';
+import * as services from '../src/services.js';
+
+/** Client of a session, keeping what it receives */
+function addClient(session, clientType) {
+  const ws = {
+    readyState: 1,
+    sessionId: session.id,
+    clientType,
+    received: [],
+    send(data) { this.received.push(JSON.parse(data)); },
+  };
+  services.addClient(ws);
+  return ws;
+}
+
+test('SESSION_ID_PATTERN: URL-safe slugs only', () => {
+  for (const id of ['default', 'salle-2', 'a', '0conf']) assert.ok(SESSION_ID_PATTERN.test(id), id);
+  for (const id of ['', '-salle', 'Salle', 'salle 2', 'salle/2', 'x'.repeat(33)]) assert.ok(!SESSION_ID_PATTERN.test(id), id);
+});
+
+test('createSession / getSession: each session has its own state and HLS output', () => {
+  const a = createSession('room-a', 'Salle A');
+  const b = createSession('room-b');
+  assert.equal(getSession('room-a'), a);
+  assert.equal(getSession('nope'), null);
+  assert.equal(b.name, 'room-b');
+  assert.notEqual(a.hlsDir, b.hlsDir);
+  assert.notEqual(a.fragment, b.fragment);
+  assert.notEqual(a.captions, b.captions);
+});
+
+test('getDefaultSession: created on first use, then the same one', () => {
+  const session = getDefaultSession();
+  assert.equal(session.id, DEFAULT_SESSION_ID);
+  assert.equal(getDefaultSession(), session);
+  assert.equal(sessions.get(DEFAULT_SESSION_ID), session);
+});
+
+test('broadcasts only reach the clients of their session', () => {
+  const a = getSession('room-a');
+  const b = getSession('room-b');
+  const spectatorA = addClient(a, 'spectator');
+  const adminA = addClient(a, 'admin');
+  const spectatorB = addClient(b, 'spectator');
+
+  services.broadcastToSpectators(a, { type: 'ping' });
+  services.broadcastToSession(b, { type: 'pong' });
+  assert.deepEqual(spectatorA.received, [{ type: 'ping' }]);
+  assert.deepEqual(adminA.received, []);
+  assert.deepEqual(spectatorB.received, [{ type: 'pong' }]);
+  assert.equal(services.getSessionClients(a).length, 2);
+
+  for (const ws of [spectatorA, adminA, spectatorB]) services.removeClient(ws);
+});
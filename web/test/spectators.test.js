@@ -0,0 +1,102 @@
+/**
+ * Caption words sent to the spectators and their media time (src/services.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config, createSessionState } from '../src/core.js';
+import { buildCues } from '../src/subtitles.js';
+import * as services from '../src/services.js';
+
+const NOW = 1_700_000_000_000;
+
+/**
+ * Session live for a minute, whose live edge was at media time 60s when it started
+ * (clock and timers mocked at NOW), with a spectator keeping its caption words
+ */
+function startLiveSession(t, id) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+  const session = createSessionState(id);
+  session.liveStartedAt = NOW - 60000;
+  session.liveMediaOffsetMs = 60000;
+  session.mediaEpochMs = session.liveStartedAt - session.liveMediaOffsetMs;
+
+  const spectator = {
+    readyState: 1, sessionId: session.id, clientType: 'spectator', words: [],
+    send(data) {
+      const msg = JSON.parse(data);
+      if (msg.type === 'caption:word') this.words.push(msg.caption);
+    },
+  };
+  services.addClient(spectator);
+  t.after(() => services.removeClient(spectator));
+  return { session, spectator };
+}
+
+test('getCaptionMediaTimestamp: live time shifted by the subtitler player lag', () => {
+  const session = createSessionState('media-time');
+  assert.equal(services.getCaptionMediaTimestamp(session, 5000), null);
+
+  session.liveMediaOffsetMs = 60000;
+  assert.equal(services.getCaptionMediaTimestamp(session, 5000, 3000), 62000);
+  assert.equal(services.getCaptionMediaTimestamp(session, 5000), 65000 - config.subtitlerPlaybackLag * 1000);
+  assert.equal(services.getCaptionMediaTimestamp(session, 0, 90000), 0);
+  assert.equal(services.getCaptionMediaTimestamp(session, null), null);
+});
+
+test('recordPlayerPosition: latency of a subtitler player from its program date', (t) => {
+  const { session } = startLiveSession(t, 'player-latency');
+  const sent = [];
+  const ws = { readyState: 1, send: (data) => sent.push(JSON.parse(data)) };
+
+  // Live edge at media time 120s, the player shows 115.5s
+  services.recordPlayerPosition(session, ws, session.mediaEpochMs + 115500);
+  assert.equal(ws.playerLatencyMs, 4500);
+  assert.deepEqual(sent, [{ type: 'player:latency', latencyMs: 4500 }]);
+
+  services.recordPlayerPosition(session, ws, 'not a date');
+  assert.equal(sent.length, 1);
+});
+
+test('caption words carry their media time and program date, sent ahead of time', (t) => {
+  const { session, spectator } = startLiveSession(t, 'word-media-time');
+  session.delaySec = 30;
+  // Slot started 10s ago; its words were typed 2s and 4s into it, seen 3s late by the subtitler
+  const slot = {
+    slotIndex: 6, startTimestamp: 50000, startTime: NOW - 10000, subtitlerName: 'alice',
+    wordTimestamps: [52000, 54000], playbackLagMs: 3000,
+  };
+  services.deliverCaption(session, slot, 'Bonjour Paris', null, 0);
+
+  // Due 20s + 2s from now, sent spectatorCaptionLead before
+  const leadMs = config.spectatorCaptionLead * 1000;
+  t.mock.timers.tick(22000 - leadMs - 1);
+  assert.equal(spectator.words.length, 0);
+  t.mock.timers.tick(1);
+
+  const [first] = spectator.words;
+  assert.equal(first.word, 'Bonjour');
+  assert.equal(first.wordTimestamp, 52000);
+  assert.equal(first.mediaTimestamp, 60000 + 52000 - 3000);
+  assert.equal(first.programDateTime, session.mediaEpochMs + first.mediaTimestamp);
+  assert.equal(first.displayInMs, leadMs);
+
+  t.mock.timers.tick(2000);
+  assert.deepEqual(spectator.words.map(w => w.word), ['Bonjour', 'Paris']);
+  for (const w of spectator.words) assert.equal(w.mediaTimestamp, 60000 + w.wordTimestamp - 3000);
+});
+
+test('pop-on: every word carries the duration of its cue, as exported', (t) => {
+  const { session, spectator } = startLiveSession(t, 'word-cue-duration');
+  const slot = { slotIndex: 0, startTimestamp: 0, startTime: NOW - 60000, subtitlerName: 'bob', wordTimestamps: null };
+  services.deliverCaption(session, slot, 'Bonjour à tous. Nous allons parler des éoliennes en mer.', null, 0);
+  t.mock.timers.tick(60000);
+
+  const exported = buildCues(session.fragment.fusedCaptions);
+  assert.ok(exported.length > 1);
+  const firstWords = spectator.words.filter(w => w.wordIndex === 0);
+  assert.deepEqual(firstWords.map(w => [w.lines, w.wordTimestamp, w.durationMs]), exported.map(c => [c.lines, c.start, c.end - c.start]));
+  for (const w of spectator.words) {
+    assert.equal(w.durationMs, firstWords.find(f => f.id === w.id).durationMs);
+  }
+});
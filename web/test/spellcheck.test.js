@@ -0,0 +1,118 @@
+/**
+ * Offline spell checking on a small Hunspell dictionary, glossary and autocorrect (src/spellcheck.js)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A tiny fr_FR dictionary: plural and verb suffixes (one twofold), a prefix, REP/TRY, a forbidden form
+const AFF = `SET UTF-8
+TRY esianrtolcdugmphbqvfyjxzkwéèêàçâîôûùëïüœ
+FORBIDDENWORD !
+
+REP 1
+REP f ph
+
+PFX R Y 1
+PFX R 0 re .
+
+SFX S Y 1
+SFX S 0 s .
+
+SFX V Y 2
+SFX V er e/S er
+SFX V er ons er
+`;
+const DIC = `14
+bien
+chat/S
+chatte/!
+chanter/VR
+dort
+homme/S
+il
+le
+Lyon
+photo/S
+très
+va
+fait
+dit
+`;
+
+// The config reads these when core.js is first imported
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stc-spell-'));
+fs.writeFileSync(path.join(tmpDir, 'fr_FR.aff'), AFF);
+fs.writeFileSync(path.join(tmpDir, 'fr_FR.dic'), DIC);
+process.env.DICT_DIR = tmpDir;
+process.env.DATA_DIR = tmpDir;
+
+const spellcheck = await import('../src/spellcheck.js');
+const { createSessionState } = await import('../src/core.js');
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const session = createSessionState('spell');
+const suggestions = (word) => spellcheck.suggest(session, word).map(s => s.text);
+
+test('loadDictionary: the .aff/.dic pair of DICT_DIR', () => {
+  assert.equal(spellcheck.loadDictionary(), true);
+  assert.deepEqual(spellcheck.getDictionaryInfo(), { language: 'fr_FR', stems: 14 });
+});
+
+test('checkWord: stems with their suffixes and prefixes', () => {
+  for (const word of ['chat', 'chats', 'chante', 'chantons', 'rechante', 'chantes', 'photos']) {
+    assert.equal(spellcheck.checkWord(session, word), true, word);
+  }
+  // Not allowed by the flags, no such stem, forbidden form
+  for (const word of ['chanters', 'bienS', 'chien', 'chatte', 'redort']) {
+    assert.equal(spellcheck.checkWord(session, word), false, word);
+  }
+});
+
+test('checkWord: case, elisions and hyphenated words', () => {
+  for (const word of ['Chat', 'CHATS', 'LYON', 'l’homme', "L'homme", 'dit-il', 'va-t-il']) {
+    assert.equal(spellcheck.checkWord(session, word), true, word);
+  }
+  for (const word of ['lyon', "x'homme", 'dit-chien']) {
+    assert.equal(spellcheck.checkWord(session, word), false, word);
+  }
+});
+
+test('suggest: REP table, single edits, accents first, missing space', () => {
+  assert.deepEqual(suggestions('fotos'), ['photos']);
+  assert.equal(suggestions('chta')[0], 'chat');
+  assert.deepEqual(suggestions('tres'), ['très']);
+  assert.equal(suggestions('Chqt')[0], 'Chat');
+  assert.ok(suggestions('ilfait').includes('il fait'));
+});
+
+test('checkText: misspelled words with their offsets', () => {
+  assert.deepEqual(spellcheck.checkText(session, 'Le chqt dort très bien.'), [
+    { word: 'chqt', start: 3, end: 7, suggestions: ['chat'] },
+  ]);
+});
+
+test('autocorrectText: only unambiguous fixes', () => {
+  const { text, corrections } = spellcheck.autocorrectText(session, 'Le chqt dort tres bien. Lyonn fait beau');
+  // A capitalized word may be a misspelled name at the start of a sentence
+  assert.equal(text, 'Le chat dort très bien. Lyon fait beau');
+  assert.deepEqual(corrections, [{ from: 'chqt', to: 'chat' }, { from: 'tres', to: 'très' }, { from: 'Lyonn', to: 'Lyon' }]);
+  // Short words, a missing space and a capitalized word inside a sentence are left alone
+  assert.equal(spellcheck.autocorrectText(session, 'ilfait le chqt de Lyonn').text, 'ilfait le chat de Lyonn');
+});
+
+test('glossary: exact capitals, suggested and applied first', () => {
+  spellcheck.setGlossary(session, spellcheck.parseGlossary('Macron\n# commentaire\nGrammalecte, Macron'));
+  assert.deepEqual(spellcheck.getGlossary(session), ['Macron', 'Grammalecte']);
+  assert.equal(fs.readFileSync(path.join(tmpDir, 'spell', 'glossary.txt'), 'utf8'), 'Macron\nGrammalecte\n');
+
+  assert.equal(spellcheck.checkWord(session, 'Macron'), true);
+  assert.equal(spellcheck.checkWord(session, 'MACRON'), true);
+  assert.equal(spellcheck.checkWord(session, 'macron'), false);
+  assert.deepEqual(spellcheck.suggest(session, 'Macronn')[0], { text: 'Macron', glossary: true, distance: 1 });
+  assert.equal(spellcheck.autocorrectText(session, 'le président Macronn').text, 'le président Macron');
+});
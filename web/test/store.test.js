@@ -0,0 +1,91 @@
+/**
+ * Session logs: append-only events replayed into the caption history (src/store.js)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The config reads DATA_DIR when core.js is first imported
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stc-store-'));
+process.env.DATA_DIR = dataDir;
+
+const store = await import('../src/store.js');
+const { createSessionState, createSession, sessions } = await import('../src/core.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const slot = (slotIndex, startTimestamp) => ({
+  slotIndex, subtitlerId: `s${slotIndex}`, subtitlerName: 'alice', startTime: 1000 + startTimestamp, startTimestamp,
+});
+
+test('a recorded run replays into slots, raw and fused captions', () => {
+  const session = createSessionState('store');
+  const logId = store.openSession(session, { source: 'clip.mp4' });
+  const { EVENTS } = store;
+
+  store.record(session, EVENTS.CAPTION, { caption: { id: 'c0', text: 'hors slot' } });
+  store.record(session, EVENTS.SLOT_START, { slot: store.serializeSlot({ ...slot(0, 0), captions: ['runtime only'] }) });
+  store.record(session, EVENTS.CAPTION, { caption: { id: 'c1', text: 'Bonjour', slotIndex: 0 } });
+  store.record(session, EVENTS.SLOT_END, { slotIndex: 0, endTime: 9000, endTimestamp: 8000 });
+  store.record(session, EVENTS.SLOT_FINAL, { slotIndex: 0, finalText: 'Bonjour', overlapFromPrev: 0 });
+  store.record(session, EVENTS.FUSED, { caption: { id: 'f1', text: 'Bonjour', videoTimestamp: 0 } });
+  store.closeSession(session);
+  assert.equal(session.logFile, null);
+
+  const history = store.replaySession(store.readSession('store', logId));
+  assert.equal(history.session.source, 'clip.mp4');
+  assert.equal(history.ended, true);
+  assert.deepEqual(history.fusedCaptions.map(c => c.id), ['f1']);
+  assert.deepEqual(history.captions.map(c => c.id), ['c0', 'f1']);
+
+  const [replayed] = history.captionsBySlot;
+  assert.deepEqual(replayed.captions.map(c => c.id), ['c1']);
+  assert.equal(replayed.finalText, 'Bonjour');
+  assert.equal(replayed.endTimestamp, 8000);
+  assert.equal(replayed.sent, true);
+});
+
+test('an interrupted run replays up to its last complete line', () => {
+  const session = createSessionState('crash');
+  const logId = store.openSession(session);
+  store.record(session, store.EVENTS.FUSED, { caption: { id: 'f1', text: 'Bonjour' } });
+  // Crash in the middle of a write: half a line, no session:end
+  fs.appendFileSync(session.logFile, '{"type":"fused","caption":{"id":"f2"');
+
+  const history = store.replaySession(store.readSession('crash', logId));
+  assert.equal(history.ended, false);
+  assert.deepEqual(history.fusedCaptions.map(c => c.id), ['f1']);
+});
+
+test('listSessionLogs: most recent first, nothing for an unknown session', async () => {
+  const session = createSessionState('runs');
+  const first = store.openSession(session);
+  store.closeSession(session);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const second = store.openSession(session);
+  store.closeSession(session);
+
+  assert.deepEqual(store.listSessionLogs('runs'), [second, first]);
+  assert.deepEqual(store.listSessionLogs('nobody'), []);
+  assert.deepEqual(store.readSession('nobody', first), []);
+});
+
+test('restoreSessions: sessions come back with the history of their latest run', () => {
+  const session = createSession('room', 'Salle 1');
+  store.saveSessionRegistry();
+  store.openSession(session);
+  store.record(session, store.EVENTS.FUSED, { caption: { id: 'f1', text: 'Bonjour' } });
+  store.closeSession(session);
+
+  // Restart
+  sessions.clear();
+  store.restoreSessions();
+  const restored = sessions.get('room');
+  assert.equal(restored.name, 'Salle 1');
+  assert.notEqual(restored, session);
+  assert.equal(restored.logId, session.logId);
+  assert.deepEqual(restored.fragment.fusedCaptions.map(c => c.id), ['f1']);
+});
@@ -0,0 +1,186 @@
+/**
+ * Cue segmentation, timing, serialization and caption appearance (src/subtitles.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  segmentText, segmentCaption, captionEndMs, buildCues,
+  toSrt, toVtt, toVttSegment, validateCaptionStyle,
+} from '../src/subtitles.js';
+import { config } from '../src/core.js';
+
+const linesOf = (text, options) => segmentText(text, options).map(s => s.lines);
+
+/** One short line per cue: forces the sentence breaks (see pickBreak()) */
+const NARROW = { ...config.cues, maxLineLength: 20, maxLinesPerCue: 1, maxCueLength: 20 };
+
+// ─── Segmentation ────────────────────────────────────────────────────────────
+
+test('segmentText: a short sentence is one cue on one line', () => {
+  assert.deepEqual(linesOf('Bonjour à tous.'), [['Bonjour à tous.']]);
+});
+
+test('segmentText: each sentence starts a cue', () => {
+  const segments = segmentText('Bonjour à tous. Vous êtes prêts ?');
+  assert.deepEqual(segments.map(s => s.lines), [['Bonjour à tous.'], ['Vous êtes prêts ?']]);
+  assert.deepEqual(segments.map(s => s.firstWord), [0, 3]);
+});
+
+test('segmentText: no text, no cue', () => {
+  assert.deepEqual(segmentText(''), []);
+  assert.deepEqual(segmentText('   '), []);
+});
+
+test('segmentText: a long sentence is cut at its clauses', () => {
+  const text = "Aujourd'hui, nous allons parler des éoliennes en mer, de leur coût et de leur impact "
+    + 'sur la pêche locale et sur les oiseaux migrateurs qui traversent la Manche chaque année.';
+  assert.deepEqual(linesOf(text), [
+    ["Aujourd'hui,", 'nous allons parler des éoliennes en mer,'],
+    ['de leur coût', 'et de leur impact sur la pêche locale'],
+    ['et sur les oiseaux migrateurs', 'qui traversent la Manche chaque année.'],
+  ]);
+});
+
+test('pickBreak: cuts before a clause word rather than after a weak word', () => {
+  assert.deepEqual(linesOf('Il pleut beaucoup mais nous sortons quand même', NARROW),
+    [['Il pleut beaucoup'], ['mais nous sortons'], ['quand même']]);
+  assert.deepEqual(linesOf('Le chat de la voisine dort sur le canapé du salon', NARROW),
+    [['Le chat'], ['de la voisine dort'], ['sur le canapé'], ['du salon']]);
+});
+
+test('pickBreak: detached punctuation stays with its word', () => {
+  assert.deepEqual(linesOf('Je suis venu , et puis je suis reparti', NARROW),
+    [['Je suis venu ,'], ['et puis'], ['je suis reparti']]);
+  assert.deepEqual(linesOf('Vraiment incroyable ce match !', NARROW), [['Vraiment incroyable'], ['ce match !']]);
+});
+
+test('layoutLines: two balanced lines within the line length', () => {
+  const [segment] = segmentText('Nous allons parler des éoliennes en mer et de leur coût pour les habitants');
+  assert.deepEqual(segment.lines, ['Nous allons parler des éoliennes en mer', 'et de leur coût pour les habitants']);
+  for (const line of segment.lines) assert.ok(line.length <= config.cues.maxLineLength);
+});
+
+test('layoutLines: a line does not end on a weak word', () => {
+  const [segment] = segmentText("C'est vraiment une très bonne nouvelle pour tout le monde ici présent ce soir");
+  assert.deepEqual(segment.lines, ["C'est vraiment une très bonne nouvelle", 'pour tout le monde ici présent ce soir']);
+});
+
+// ─── Timing ──────────────────────────────────────────────────────────────────
+
+test('segmentCaption: cues last at least minDurationMs, one after the other', () => {
+  const cues = segmentCaption('Bonjour. Oui.', { startMs: 0, endMs: 1000 });
+  assert.deepEqual(cues.map(c => [c.start, c.end]), [[0, 1000], [1000, 2000]]);
+});
+
+test('segmentCaption: word times set the cue start', () => {
+  const [cue] = segmentCaption('un deux trois', { startMs: 0, endMs: 4000, wordTimes: [100, 900, 1500] });
+  assert.equal(cue.start, 100);
+  assert.equal(cue.end, 4000);
+  assert.deepEqual(cue.wordTimes, [100, 900, 1500]);
+});
+
+test('segmentCaption: notBeforeMs delays the first cue, its words stay within it', () => {
+  const [cue] = segmentCaption('un deux trois', { startMs: 0, endMs: 4000, wordTimes: [100, 900, 1500], notBeforeMs: 600 });
+  assert.equal(cue.start, 600);
+  assert.equal(cue.end, 4000);
+  // 3900ms of words squeezed into 3400ms
+  assert.deepEqual(cue.wordTimes, [600, 1297, 1821]);
+});
+
+test('segmentCaption: word times never pass the end of their cue', () => {
+  const wordTimes = Array.from({ length: 8 }, (_, i) => 1000 + i * 1000);
+  const cues = segmentCaption('un deux trois quatre cinq six sept huit', { startMs: 0, endMs: 9000, wordTimes, notBeforeMs: 4000 });
+  for (const cue of cues) {
+    assert.ok(cue.wordTimes.every(t => t >= cue.start && t < cue.end), JSON.stringify(cue));
+  }
+});
+
+test('captionEndMs: next caption start, else end of slot', () => {
+  assert.equal(captionEndMs(1000, 8000), 9000);
+  assert.equal(captionEndMs(1000, 8000, 7000), 7000);
+  assert.equal(captionEndMs(1000, 8000, 12000), 9000);
+  // A next caption at the same time does not make an empty caption
+  assert.equal(captionEndMs(1000, 8000, 1000), 9000);
+});
+
+test('buildCues: captions in time order, empty ones skipped, cut at the next caption', () => {
+  const cues = buildCues([
+    { text: 'Deuxième phrase.', videoTimestamp: 6000, slotDurationMs: 8000 },
+    { text: '  ', videoTimestamp: 3000, slotDurationMs: 8000 },
+    { text: 'Première phrase.', videoTimestamp: 0, slotDurationMs: 8000 },
+  ]);
+  assert.deepEqual(cues, [
+    { start: 0, end: 6000, lines: ['Première phrase.'] },
+    // End of slot 14000, capped at maxDurationMs
+    { start: 6000, end: 13000, lines: ['Deuxième phrase.'] },
+  ]);
+});
+
+test('buildCues: a cue does not start before the previous one ends', () => {
+  const cues = buildCues([
+    { text: 'Bonjour.', videoTimestamp: 0, slotDurationMs: 8000, wordTimestamps: [7500] },
+    { text: 'Au revoir.', videoTimestamp: 8000, slotDurationMs: 8000, wordTimestamps: [8000] },
+  ]);
+  assert.deepEqual(cues.map(c => [c.start, c.end]), [[7500, 8500], [8500, 15500]]);
+});
+
+test('buildCues: media times keep the word times relative to the caption', () => {
+  const [cue] = buildCues([
+    { text: 'Bonjour à tous', videoTimestamp: 1000, mediaTimestamp: 31000, slotDurationMs: 8000, wordTimestamps: [1500, 2000, 2500] },
+  ], 'mediaTimestamp');
+  assert.equal(cue.start, 31500);
+  assert.equal(cue.end, 31500 + config.cues.maxDurationMs);
+});
+
+// ─── Serialization ───────────────────────────────────────────────────────────
+
+const CUES = [
+  { start: 500, end: 2500, lines: ['Bonjour à tous,'] },
+  { start: 3723004, end: 3725000, lines: ['nous allons parler', 'des éoliennes.'] },
+];
+
+test('toSrt: numbered cues with comma milliseconds', () => {
+  assert.equal(toSrt(CUES),
+    '1\n00:00:00,500 --> 00:00:02,500\nBonjour à tous,\n\n'
+    + '2\n01:02:03,004 --> 01:02:05,000\nnous allons parler\ndes éoliennes.\n');
+});
+
+test('toSrt: empty file without cues', () => {
+  assert.equal(toSrt([]), '');
+});
+
+test('toSrt: negative times are clamped to zero', () => {
+  assert.match(toSrt([{ start: -200, end: 800, lines: ['x'] }]), /^1\n00:00:00,000 --> 00:00:00,800\n/);
+});
+
+test('toVtt: header then cues with dot milliseconds', () => {
+  assert.equal(toVtt(CUES),
+    'WEBVTT\n\n00:00:00.500 --> 00:00:02.500\nBonjour à tous,\n\n'
+    + '01:02:03.004 --> 01:02:05.000\nnous allons parler\ndes éoliennes.\n');
+  assert.equal(toVtt([]), 'WEBVTT\n\n');
+});
+
+test('toVttSegment: X-TIMESTAMP-MAP anchors media time 0', () => {
+  assert.equal(toVttSegment([], 126000), 'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00.000\n\n');
+  assert.match(toVttSegment(CUES.slice(0, 1), 0), /\n\n00:00:00\.500 --> 00:00:02\.500\nBonjour à tous,\n$/);
+});
+
+// ─── Caption appearance ──────────────────────────────────────────────────────
+
+test('validateCaptionStyle: merges valid settings over the current ones', () => {
+  const { style, error } = validateCaptionStyle({ textColor: '#FFCC00', maxLines: 3, displayMode: 'roll-up' }, config.captionStyle);
+  assert.equal(error, null);
+  assert.equal(style.textColor, '#ffcc00');
+  assert.equal(style.maxLines, 3);
+  assert.equal(style.displayMode, 'roll-up');
+  assert.equal(style.fontSize, config.captionStyle.fontSize);
+});
+
+test('validateCaptionStyle: rejects unknown keys and out-of-range values', () => {
+  assert.match(validateCaptionStyle({ blink: true }, config.captionStyle).error, /Unknown setting/);
+  assert.match(validateCaptionStyle({ textColor: 'red' }, config.captionStyle).error, /#rrggbb/);
+  assert.match(validateCaptionStyle({ maxLines: 2.5 }, config.captionStyle).error, /integer/);
+  assert.match(validateCaptionStyle({ displayMode: 'scroll' }, config.captionStyle).error, /one of/);
+  assert.equal(validateCaptionStyle({ fontSize: 400 }, config.captionStyle).style, null);
+});
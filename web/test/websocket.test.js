@@ -0,0 +1,119 @@
+/**
+ * Subtitler seats over real sockets: resume with the reconnect token (src/websocket.js)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import WebSocket from 'ws';
+
+// The config reads these when core.js is first imported
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stc-ws-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_USERNAME = 'boss';
+process.env.ADMIN_PASSWORD = 'admin-secret';
+
+const auth = await import('../src/auth.js');
+const { getDefaultSession } = await import('../src/core.js');
+const { createWebSocketServer } = await import('../src/websocket.js');
+
+let server;
+let wss;
+let token;
+
+before(async () => {
+  auth.loadUsers();
+  auth.register('alice', 'secret123');
+  ({ token } = auth.login('alice', 'secret123'));
+  getDefaultSession();
+
+  server = http.createServer();
+  wss = createWebSocketServer(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+  wss.close();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/** Open a subtitler page: its socket, with `next(type)` waiting for a message type */
+async function openPage() {
+  const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/ws?token=${token}`);
+  const received = [];
+  const waiting = [];
+  ws.on('message', (data) => {
+    const msg = JSON.parse(data);
+    const i = waiting.findIndex(w => w.type === msg.type);
+    if (i === -1) received.push(msg);
+    else waiting.splice(i, 1)[0].resolve(msg);
+  });
+  ws.closed = new Promise(resolve => ws.on('close', (code) => resolve(code)));
+  ws.next = (type) => {
+    const i = received.findIndex(m => m.type === type);
+    if (i !== -1) return Promise.resolve(received.splice(i, 1)[0]);
+    return new Promise(resolve => waiting.push({ type, resolve }));
+  };
+  await new Promise((resolve, reject) => { ws.on('open', resolve); ws.on('error', reject); });
+  return ws;
+}
+
+const identify = (ws, extra = {}) => ws.send(JSON.stringify({ type: 'identify', clientType: 'subtitler', ...extra }));
+
+test('a second page with the reconnect token takes the seat, the first one is closed with 4000', async () => {
+  const first = await openPage();
+  identify(first);
+  const joined = await first.next('fragment:joined');
+  assert.equal(joined.resumed, undefined);
+  assert.match(joined.reconnectToken, /^[0-9a-f-]{36}$/);
+
+  const second = await openPage();
+  identify(second, { reconnectToken: joined.reconnectToken });
+  const resumed = await second.next('fragment:joined');
+  assert.equal(resumed.resumed, true);
+  assert.equal(resumed.odId, joined.odId);
+  assert.equal(resumed.reconnectToken, joined.reconnectToken);
+  assert.equal(await first.closed, 4000);
+
+  const { subtitlers } = getDefaultSession().fragment;
+  assert.equal(subtitlers.size, 1);
+  assert.equal(subtitlers.get(joined.odId).disconnectedAt, null);
+
+  second.send(JSON.stringify({ type: 'fragment:leave' }));
+  second.close();
+  await second.closed;
+});
+
+test('a dropped page resumes its seat; an unknown token gets a new one', async () => {
+  const page = await openPage();
+  identify(page);
+  const joined = await page.next('fragment:joined');
+  page.close();
+  await page.closed;
+
+  const { subtitlers } = getDefaultSession().fragment;
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.ok(subtitlers.get(joined.odId).disconnectedAt > 0, 'seat kept during the grace window');
+
+  const reloaded = await openPage();
+  identify(reloaded, { reconnectToken: joined.reconnectToken });
+  const resumed = await reloaded.next('fragment:joined');
+  assert.equal(resumed.odId, joined.odId);
+  assert.equal(subtitlers.get(joined.odId).dropTimer, null);
+
+  const other = await openPage();
+  identify(other, { reconnectToken: 'not-a-token' });
+  const fresh = await other.next('fragment:joined');
+  assert.notEqual(fresh.odId, joined.odId);
+  assert.equal(subtitlers.size, 2);
+
+  for (const ws of [reloaded, other]) {
+    ws.send(JSON.stringify({ type: 'fragment:leave' }));
+    ws.close();
+    await ws.closed;
+  }
+});